@@ -0,0 +1,355 @@
+const { run, get, all } = require('./dbHelpers')
+const { distanceKm, isLatLng } = require('./geoUtils')
+const { escapeHtml } = require('./notificationText')
+
+// Fire events a rule can react to
+const RULE_EVENTS = ['created', 'updated'];
+
+// Comparison operators on a feature property
+const FIELD_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'changed', 'changed_to'];
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+/**
+ * Validate a single rule condition
+ * @param {Object} condition - Condition to check
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object') {
+    return 'Each condition must be an object';
+  }
+
+  if (condition.op === 'within_km') {
+    const { point, value } = condition;
+    if (!isLatLng(point)) {
+      return 'within_km conditions require point as [lat, lng]';
+    }
+    if (typeof value !== 'number' || value <= 0) {
+      return 'within_km conditions require a positive value in kilometres';
+    }
+    return null;
+  }
+
+  if (!FIELD_OPERATORS.includes(condition.op)) {
+    return `Invalid condition op (must be ${[...FIELD_OPERATORS, 'within_km'].join(', ')})`;
+  }
+  if (!condition.field || typeof condition.field !== 'string') {
+    return 'Field conditions require a field name';
+  }
+  if (condition.op === 'in' && !Array.isArray(condition.value)) {
+    return 'in conditions require an array value';
+  }
+  if (['gt', 'gte', 'lt', 'lte'].includes(condition.op) && typeof condition.value !== 'number') {
+    return `${condition.op} conditions require a numeric value`;
+  }
+  if (condition.op !== 'changed' && condition.value === undefined) {
+    return `${condition.op} conditions require a value`;
+  }
+  return null;
+}
+
+/**
+ * Validate an alert rule request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether missing fields are allowed (PATCH)
+ * @returns {{rule: Object}|{error: string}}
+ */
+function validateRule(body, partial = false) {
+  const rule = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Name is required and must be a non-empty string' };
+    }
+    rule.name = body.name.trim();
+  }
+
+  if (body.message_template !== undefined || !partial) {
+    if (!body.message_template || typeof body.message_template !== 'string' || !body.message_template.trim()) {
+      return { error: 'message_template is required and must be a non-empty string' };
+    }
+    rule.message_template = body.message_template;
+  }
+
+  if (body.conditions !== undefined || !partial) {
+    if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+      return { error: 'conditions is required and must be a non-empty array' };
+    }
+    for (const condition of body.conditions) {
+      const error = validateCondition(condition);
+      if (error) {
+        return { error };
+      }
+    }
+    rule.conditions = body.conditions;
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0 ||
+        body.events.some(event => !RULE_EVENTS.includes(event))) {
+      return { error: `Invalid events (must be a non-empty array of ${RULE_EVENTS.join(', ')})` };
+    }
+    rule.events = body.events;
+  } else if (!partial) {
+    rule.events = [...RULE_EVENTS];
+  }
+
+  if (body.cooldown_minutes !== undefined) {
+    if (typeof body.cooldown_minutes !== 'number' || body.cooldown_minutes < 0) {
+      return { error: 'cooldown_minutes must be a non-negative number' };
+    }
+    rule.cooldown_minutes = body.cooldown_minutes;
+  } else if (!partial) {
+    rule.cooldown_minutes = DEFAULT_COOLDOWN_MINUTES;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    rule.enabled = body.enabled;
+  } else if (!partial) {
+    rule.enabled = true;
+  }
+
+  return { rule };
+}
+
+/**
+ * Convert an alert_rules row to its API representation
+ * @param {Object} row - alert_rules row
+ * @returns {Object}
+ */
+function ruleToJSON(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: row.enabled === 1,
+    events: JSON.parse(row.events),
+    conditions: JSON.parse(row.conditions),
+    message_template: row.message_template,
+    cooldown_minutes: row.cooldown_minutes,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Store a new alert rule
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} rule - Validated rule
+ * @param {string} createdBy - Who created the rule
+ * @returns {Promise<Object>}
+ */
+async function createRule(db, rule, createdBy) {
+  const now = new Date().toISOString();
+  const { lastID } = await run(db, `
+    INSERT INTO alert_rules (name, enabled, events, conditions, message_template, cooldown_minutes, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    rule.name, rule.enabled ? 1 : 0, JSON.stringify(rule.events), JSON.stringify(rule.conditions),
+    rule.message_template, rule.cooldown_minutes, createdBy, now, now
+  ]);
+  return getRule(db, lastID);
+}
+
+/**
+ * List all alert rules
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<Array<Object>>}
+ */
+async function listRules(db) {
+  const rows = await all(db, 'SELECT * FROM alert_rules ORDER BY id ASC');
+  return rows.map(ruleToJSON);
+}
+
+/**
+ * Fetch one alert rule
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Rule ID
+ * @returns {Promise<Object|null>}
+ */
+async function getRule(db, id) {
+  const row = await get(db, 'SELECT * FROM alert_rules WHERE id = ?', [id]);
+  return row ? ruleToJSON(row) : null;
+}
+
+/**
+ * Apply a partial update to an alert rule
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Rule ID
+ * @param {Object} changes - Validated partial rule
+ * @returns {Promise<Object|null>} - Updated rule, or null if not found
+ */
+async function updateRule(db, id, changes) {
+  const fields = [];
+  const values = [];
+
+  Object.entries(changes).forEach(([key, value]) => {
+    fields.push(`${key} = ?`);
+    if (key === 'events' || key === 'conditions') {
+      values.push(JSON.stringify(value));
+    } else if (key === 'enabled') {
+      values.push(value ? 1 : 0);
+    } else {
+      values.push(value);
+    }
+  });
+
+  fields.push('updated_at = ?');
+  values.push(new Date().toISOString(), id);
+
+  const { changes: updated } = await run(db, `UPDATE alert_rules SET ${fields.join(', ')} WHERE id = ?`, values);
+  return updated > 0 ? getRule(db, id) : null;
+}
+
+/**
+ * Delete an alert rule and its trigger log
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Rule ID
+ * @returns {Promise<boolean>} - False if not found
+ */
+async function deleteRule(db, id) {
+  const { changes } = await run(db, 'DELETE FROM alert_rules WHERE id = ?', [id]);
+  await run(db, 'DELETE FROM alert_rule_triggers WHERE rule_id = ?', [id]);
+  return changes > 0;
+}
+
+/**
+ * List the most recent triggers of a rule
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} ruleId - Rule ID
+ * @param {number} limit - Maximum number of triggers
+ * @returns {Promise<Array<Object>>}
+ */
+function listTriggers(db, ruleId, limit = 100) {
+  return all(db,
+    'SELECT * FROM alert_rule_triggers WHERE rule_id = ? ORDER BY id DESC LIMIT ?',
+    [ruleId, limit]
+  );
+}
+
+/**
+ * Read a property of a feature, allowing dotted paths (resources_on_site.aircraft)
+ * @param {Object} properties - Feature properties
+ * @param {string} field - Property name or dotted path
+ * @returns {*}
+ */
+function readField(properties, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), properties);
+}
+
+/**
+ * Check a single condition against a fire event
+ * @param {Object} condition - Rule condition
+ * @param {Object} event - Fire event from the event hub
+ * @returns {boolean}
+ */
+function matchesCondition(condition, event) {
+  const { properties, geometry } = event.feature;
+
+  if (condition.op === 'within_km') {
+    const [lng, lat] = geometry.coordinates;
+    return distanceKm(lat, lng, condition.point[0], condition.point[1]) <= condition.value;
+  }
+
+  const value = readField(properties, condition.field);
+  const column = condition.field.split('.').pop();
+  const change = event.changes ? event.changes[column] : undefined;
+
+  switch (condition.op) {
+    case 'eq': return value === condition.value;
+    case 'neq': return value !== condition.value;
+    case 'gt': return typeof value === 'number' && value > condition.value;
+    case 'gte': return typeof value === 'number' && value >= condition.value;
+    case 'lt': return typeof value === 'number' && value < condition.value;
+    case 'lte': return typeof value === 'number' && value <= condition.value;
+    case 'in': return condition.value.includes(value);
+    case 'changed': return change !== undefined;
+    case 'changed_to': return change !== undefined && value === condition.value;
+    default: return false;
+  }
+}
+
+/**
+ * Fill {{placeholders}} in a message template from a fire feature
+ * @param {string} template - Template with {{property}} placeholders
+ * @param {Object} feature - GeoJSON Feature of the fire
+ * @returns {string}
+ */
+function renderTemplate(template, feature) {
+  const [longitude, latitude] = feature.geometry.coordinates;
+  const values = { ...feature.properties, latitude, longitude };
+
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, field) => {
+    const value = readField(values, field);
+    return value === undefined || value === null ? '' : escapeHtml(value);
+  });
+}
+
+/**
+ * Evaluate every enabled rule against a fire event and send a notification
+ * for each match outside its cooldown
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} event - Fire event from the event hub
+ * @param {Function} notify - async (message, location) => notification queued in the outbox
+ * @returns {Promise<Array<Object>>} - Triggers recorded for this event
+ */
+async function evaluateAlertRules(db, event, notify) {
+  if (!RULE_EVENTS.includes(event.type)) {
+    return [];
+  }
+
+  const fireId = event.feature.properties.id;
+  const [lng, lat] = event.feature.geometry.coordinates;
+  const rules = (await all(db, 'SELECT * FROM alert_rules WHERE enabled = 1')).map(ruleToJSON);
+  const triggers = [];
+
+  for (const rule of rules) {
+    if (!rule.events.includes(event.type) ||
+        !rule.conditions.every(condition => matchesCondition(condition, event))) {
+      continue;
+    }
+
+    const last = await get(db,
+      'SELECT triggered_at FROM alert_rule_triggers WHERE rule_id = ? AND fire_id = ? AND status != ? ORDER BY id DESC LIMIT 1',
+      [rule.id, fireId, 'failed']
+    );
+    if (last && Date.now() - Date.parse(last.triggered_at) < rule.cooldown_minutes * 60000) {
+      continue;
+    }
+
+    const message = renderTemplate(rule.message_template, event.feature);
+    const { lastID } = await run(db, `
+      INSERT INTO alert_rule_triggers (rule_id, fire_id, event_id, triggered_at, message)
+      VALUES (?, ?, ?, ?, ?)
+    `, [rule.id, fireId, event.id, new Date().toISOString(), message]);
+
+    try {
+      const notification = await notify(message, [lat, lng]);
+      await run(db, 'UPDATE alert_rule_triggers SET status = ?, notification_id = ? WHERE id = ?', ['sent', notification.id, lastID]);
+      triggers.push({ id: lastID, rule_id: rule.id, status: 'sent', notification_id: notification.id });
+    } catch (error) {
+      console.error(`Alert rule ${rule.id} notification error:`, error);
+      await run(db, 'UPDATE alert_rule_triggers SET status = ?, error = ? WHERE id = ?', ['failed', error.message, lastID]);
+      triggers.push({ id: lastID, rule_id: rule.id, status: 'failed', error: error.message });
+    }
+  }
+
+  return triggers;
+}
+
+module.exports = {
+  RULE_EVENTS,
+  validateRule,
+  createRule,
+  listRules,
+  getRule,
+  updateRule,
+  deleteRule,
+  listTriggers,
+  renderTemplate,
+  evaluateAlertRules
+}
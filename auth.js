@@ -0,0 +1,282 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { run, get, all } = require('./dbHelpers')
+
+// Roles from least to most privileged; each role includes those before it
+const ROLES = ['viewer', 'field_reporter', 'dispatcher', 'admin'];
+
+const KEY_PREFIX = 'fm_';
+
+/**
+ * Warn when nothing can authorize write requests: no admin key, no JWT
+ * secret and no active API key
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function initializeAuth(db) {
+  if (!process.env.ADMIN_API_KEY && !process.env.JWT_SECRET) {
+    const { count } = await get(db, 'SELECT COUNT(*) AS count FROM api_keys WHERE revoked_at IS NULL');
+    if (count === 0) {
+      console.warn('No API keys configured: set ADMIN_API_KEY to manage keys and call write endpoints');
+    }
+  }
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string}
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a role grants at least the permissions of another
+ * @param {string} role - Role of the caller
+ * @param {string} required - Minimum role
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Resolve the principal behind an API key
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} - { type, id, name, role }, or null if unknown
+ */
+async function verifyApiKey(db, key) {
+  const adminKey = Buffer.from(process.env.ADMIN_API_KEY || '');
+  const candidate = Buffer.from(key);
+  if (adminKey.length > 0 && candidate.length === adminKey.length &&
+      crypto.timingSafeEqual(candidate, adminKey)) {
+    return { type: 'api_key', id: null, name: 'admin', role: 'admin' };
+  }
+
+  const row = await get(db,
+    'SELECT id, name, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+    [hashKey(key)]
+  );
+  if (!row) {
+    return null;
+  }
+
+  run(db, 'UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), row.id])
+    .catch(err => console.error('Error updating API key usage:', err));
+
+  return { type: 'api_key', id: row.id, name: row.name, role: row.role };
+}
+
+/**
+ * Resolve the principal behind a JWT signed with JWT_SECRET (HS256).
+ * The token must carry a sub claim and a role claim.
+ * @param {string} token - Bearer token
+ * @returns {Object|null} - { type, id, name, role }, or null if invalid
+ */
+function verifyJwt(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    return null;
+  }
+
+  try {
+    const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+    if (!claims.sub || !ROLES.includes(claims.role)) {
+      return null;
+    }
+    return { type: 'jwt', id: claims.sub, name: claims.name || claims.sub, role: claims.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stable identity of a principal, e.g. api_key:12 or jwt:<sub>. Names are
+ * for display only: several keys or tokens may share one.
+ * @param {Object} principal - From resolvePrincipal
+ * @returns {string}
+ */
+function principalId(principal) {
+  return `${principal.type}:${principal.id === null ? principal.name : principal.id}`;
+}
+
+/**
+ * Read credentials from a request: X-API-Key header, Authorization: Bearer
+ * (JWT or API key), or the api_key query parameter for clients that cannot
+ * set headers (EventSource, WebSocket)
+ * @param {Object} req - HTTP request
+ * @returns {string|null}
+ */
+function readCredentials(req) {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  const url = new URL(req.originalUrl || req.url, 'http://localhost');
+  return url.searchParams.get('api_key');
+}
+
+/**
+ * Resolve the principal making a request
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object|null|undefined>} - Principal, null if anonymous, undefined if credentials are invalid
+ */
+async function resolvePrincipal(db, req) {
+  const credentials = readCredentials(req);
+  if (!credentials) {
+    return null;
+  }
+
+  if (!credentials.startsWith(KEY_PREFIX)) {
+    const principal = verifyJwt(credentials);
+    if (principal) {
+      return principal;
+    }
+  }
+
+  return (await verifyApiKey(db, credentials)) || undefined;
+}
+
+/**
+ * Express middleware attaching req.auth, and rejecting invalid credentials
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Function}
+ */
+function authenticate(db) {
+  return async (req, res, next) => {
+    try {
+      const principal = await resolvePrincipal(db, req);
+      if (principal === undefined) {
+        return res.status(401).json({ error: 'Invalid API key or token' });
+      }
+      req.auth = principal;
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+/**
+ * Express middleware requiring at least the given role
+ * @param {string} role - Minimum role
+ * @returns {Function}
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.auth.role, role)) {
+      return res.status(403).json({ error: `Insufficient permissions (requires ${role} role)` });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for read endpoints: open to everyone unless
+ * PUBLIC_READ is set to false, in which case the viewer role is required
+ * @returns {Function}
+ */
+function requireReadAccess() {
+  const viewer = requireRole('viewer');
+  return (req, res, next) => (isPublicRead() ? next() : viewer(req, res, next));
+}
+
+/**
+ * Whether read endpoints are open to anonymous callers
+ * @returns {boolean}
+ */
+function isPublicRead() {
+  return process.env.PUBLIC_READ !== 'false';
+}
+
+/**
+ * Convert an api_keys row to its public representation
+ * @param {Object} row - api_keys row
+ * @returns {Object}
+ */
+function keyToJSON(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    key_hint: row.key_hint,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+/**
+ * Issue a new API key. The plain key is only returned here.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} options
+ * @param {string} options.name - Label for the key holder
+ * @param {string} options.role - Role granted by the key
+ * @param {string} options.createdBy - Who issued the key
+ * @returns {Promise<{key: string, apiKey: Object}>}
+ */
+async function createApiKey(db, { name, role, createdBy }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const createdAt = new Date().toISOString();
+
+  const { lastID } = await run(db, `
+    INSERT INTO api_keys (name, role, key_hash, key_hint, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [name, role, hashKey(key), `${key.slice(0, 7)}…${key.slice(-4)}`, createdBy, createdAt]);
+
+  const row = await get(db, 'SELECT * FROM api_keys WHERE id = ?', [lastID]);
+  return { key, apiKey: keyToJSON(row) };
+}
+
+/**
+ * List all API keys, newest first
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<Array<Object>>}
+ */
+async function listApiKeys(db) {
+  const rows = await all(db, 'SELECT * FROM api_keys ORDER BY id DESC');
+  return rows.map(keyToJSON);
+}
+
+/**
+ * Revoke an API key
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - API key ID
+ * @returns {Promise<boolean>} - False if no active key has this ID
+ */
+async function revokeApiKey(db, id) {
+  const { changes } = await run(db,
+    'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), id]
+  );
+  return changes > 0;
+}
+
+module.exports = {
+  ROLES,
+  initializeAuth,
+  hasRole,
+  resolvePrincipal,
+  principalId,
+  authenticate,
+  requireRole,
+  requireReadAccess,
+  isPublicRead,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+}
@@ -0,0 +1,254 @@
+const { run, get, all } = require('./dbHelpers')
+const { isLatLng } = require('./geoUtils')
+
+const REPORT_STATUSES = ['pending', 'confirmed', 'rejected'];
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_NAME_LENGTH = 100;
+const MAX_CONTACT_LENGTH = 200;
+
+// Decoded photo size limit; the base64 request body is about a third larger
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Leading bytes of each accepted photo format
+const PHOTO_SIGNATURES = {
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/webp': [0x52, 0x49, 0x46, 0x46]
+};
+
+// Reports accepted from one client per window
+const DEFAULT_RATE_LIMIT = 5;
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Decode a photo sent as a data URL and check it is an image we accept
+ * @param {*} value - data:image/...;base64,... string
+ * @returns {{photo: {type: string, data: Buffer}}|{error: string}}
+ */
+function decodePhoto(value) {
+  const match = typeof value === 'string' && value.match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/);
+  if (!match || !PHOTO_SIGNATURES[match[1]]) {
+    return { error: `photo must be a base64 data URL of type ${Object.keys(PHOTO_SIGNATURES).join(', ')}` };
+  }
+
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length > MAX_PHOTO_BYTES) {
+    return { error: `photo must be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB` };
+  }
+  if (!PHOTO_SIGNATURES[match[1]].every((byte, index) => data[index] === byte)) {
+    return { error: `photo content is not ${match[1]}` };
+  }
+
+  return { photo: { type: match[1], data } };
+}
+
+/**
+ * Validate a citizen report
+ * @param {Object} body - Request body
+ * @returns {{report: Object}|{error: string}}
+ */
+function validateCitizenReport(body) {
+  const { latitude, longitude, description, reporter_name = null, reporter_contact = null } = body;
+
+  if (!isLatLng([latitude, longitude])) {
+    return { error: 'latitude and longitude are required and must be valid coordinates' };
+  }
+  if (typeof description !== 'string' || description.trim() === '' || description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `description is required (up to ${MAX_DESCRIPTION_LENGTH} characters)` };
+  }
+  if (reporter_name !== null && (typeof reporter_name !== 'string' || reporter_name.length > MAX_NAME_LENGTH)) {
+    return { error: `reporter_name must be a string of up to ${MAX_NAME_LENGTH} characters` };
+  }
+  if (reporter_contact !== null && (typeof reporter_contact !== 'string' || reporter_contact.length > MAX_CONTACT_LENGTH)) {
+    return { error: `reporter_contact must be a string of up to ${MAX_CONTACT_LENGTH} characters` };
+  }
+
+  let photo = null;
+  if (body.photo !== undefined && body.photo !== null) {
+    const decoded = decodePhoto(body.photo);
+    if (decoded.error) {
+      return { error: decoded.error };
+    }
+    photo = decoded.photo;
+  }
+
+  return {
+    report: {
+      latitude,
+      longitude,
+      description: description.trim(),
+      reporter_name: reporter_name ? reporter_name.trim() : null,
+      reporter_contact: reporter_contact ? reporter_contact.trim() : null,
+      photo
+    }
+  };
+}
+
+/**
+ * Convert a citizen_reports row to its API representation (for moderators;
+ * the photo itself is served separately)
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function citizenReportToJSON(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    description: row.description,
+    reporter_name: row.reporter_name,
+    reporter_contact: row.reporter_contact,
+    client_address: row.client_address,
+    photo_url: row.photo_type ? `/api/citizen-reports/${row.id}/photo` : null,
+    fire_id: row.fire_id,
+    moderated_by: row.moderated_by,
+    moderated_at: row.moderated_at,
+    rejection_reason: row.rejection_reason,
+    created_at: row.created_at
+  };
+}
+
+// Columns returned by list and get (everything except the photo blob)
+const REPORT_COLUMNS = `
+  id, latitude, longitude, description, reporter_name, reporter_contact, photo_type,
+  client_address, status, fire_id, moderated_by, moderated_at, rejection_reason, created_at
+`;
+
+/**
+ * Store a validated report in the moderation queue
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} report - Validated report
+ * @param {string|null} clientAddress - Address the report came from
+ * @returns {Promise<Object>}
+ */
+async function createCitizenReport(db, report, clientAddress) {
+  const { lastID } = await run(db, `
+    INSERT INTO citizen_reports (
+      latitude, longitude, description, reporter_name, reporter_contact, photo, photo_type,
+      client_address, created_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    report.latitude, report.longitude, report.description, report.reporter_name,
+    report.reporter_contact, report.photo ? report.photo.data : null,
+    report.photo ? report.photo.type : null, clientAddress, new Date().toISOString()
+  ]);
+  return getCitizenReport(db, lastID);
+}
+
+/**
+ * List citizen reports, oldest first so the queue is worked in order
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} filters
+ * @param {string|null} filters.status - Only reports with this status
+ * @param {number} filters.limit - Page size
+ * @param {number} filters.offset - Rows to skip
+ * @returns {Promise<{total: number, data: Array<Object>}>}
+ */
+async function listCitizenReports(db, { status = null, limit = 50, offset = 0 } = {}) {
+  const where = status ? 'WHERE status = ?' : '';
+  const params = status ? [status] : [];
+
+  const { total } = await get(db, `SELECT COUNT(*) AS total FROM citizen_reports ${where}`, params);
+  const rows = await all(db,
+    `SELECT ${REPORT_COLUMNS} FROM citizen_reports ${where} ORDER BY created_at ASC, id ASC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { total, data: rows.map(citizenReportToJSON) };
+}
+
+/**
+ * Get a citizen report
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Report ID
+ * @returns {Promise<Object|null>}
+ */
+async function getCitizenReport(db, id) {
+  const row = await get(db, `SELECT ${REPORT_COLUMNS} FROM citizen_reports WHERE id = ?`, [id]);
+  return row ? citizenReportToJSON(row) : null;
+}
+
+/**
+ * Get the photo attached to a citizen report
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Report ID
+ * @returns {Promise<{type: string, data: Buffer}|null>}
+ */
+async function getCitizenReportPhoto(db, id) {
+  const row = await get(db, 'SELECT photo, photo_type FROM citizen_reports WHERE id = ? AND photo IS NOT NULL', [id]);
+  return row ? { type: row.photo_type, data: row.photo } : null;
+}
+
+/**
+ * Take a pending report out of the queue. Only one moderator can win: the
+ * update applies only while the report is still pending.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Report ID
+ * @param {Object} decision
+ * @param {string} decision.status - confirmed or rejected
+ * @param {number|null} [decision.fireId] - Fire the report was confirmed as
+ * @param {string|null} [decision.reason] - Why it was rejected
+ * @param {string} decision.moderatedBy - Moderator
+ * @returns {Promise<Object|null>} - Updated report, or null if it was not pending
+ */
+async function moderateCitizenReport(db, id, { status, fireId = null, reason = null, moderatedBy }) {
+  const { changes } = await run(db, `
+    UPDATE citizen_reports
+    SET status = ?, fire_id = ?, rejection_reason = ?, moderated_by = ?, moderated_at = ?
+    WHERE id = ? AND status = 'pending'
+  `, [status, fireId, reason, moderatedBy, new Date().toISOString(), id]);
+
+  return changes === 0 ? null : getCitizenReport(db, id);
+}
+
+/**
+ * Fixed-window rate limiter keyed by client
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @returns {{hit: Function}}
+ */
+function createRateLimiter({ limit = DEFAULT_RATE_LIMIT, windowMs = RATE_WINDOW_MS } = {}) {
+  const windows = new Map();
+
+  /**
+   * Count a request from a client
+   * @param {string} key - Client identifier
+   * @returns {{allowed: boolean, retryAfterSeconds: number}}
+   */
+  function hit(key) {
+    const now = Date.now();
+
+    // Forget finished windows so the map does not grow with every client seen
+    for (const [client, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(client);
+      }
+    }
+
+    const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+    window.count++;
+    windows.set(key, window);
+
+    return {
+      allowed: window.count <= limit,
+      retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000)
+    };
+  }
+
+  return { hit };
+}
+
+module.exports = {
+  REPORT_STATUSES,
+  DEFAULT_RATE_LIMIT,
+  validateCitizenReport,
+  createCitizenReport,
+  listCitizenReports,
+  getCitizenReport,
+  getCitizenReportPhoto,
+  moderateCitizenReport,
+  createRateLimiter
+}
@@ -0,0 +1,213 @@
+const path = require('path')
+const sqlite3 = require('sqlite3').verbose()
+
+const DEFAULT_DB_PATH = path.join(__dirname, 'fires.db');
+
+// PostgreSQL type OIDs of int8 and numeric, which pg returns as strings by
+// default; COUNT(*) and SUM() produce them
+const NUMERIC_TYPE_OIDS = [20, 1700];
+
+// CURRENT_TIMESTAMP in the format SQLite produces (UTC, no zone)
+const POSTGRES_NOW = "to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')";
+
+/**
+ * Read the database configuration from environment variables. DATABASE_URL
+ * selects PostgreSQL; otherwise SQLite is used at DB_PATH.
+ * @param {Object} env - process.env or equivalent
+ * @returns {{dialect: string, path: string}|{dialect: string, url: string}}
+ */
+function readDatabaseConfig(env) {
+  const errors = [];
+  let config;
+
+  if (env.DATABASE_URL) {
+    config = { dialect: 'postgres', url: env.DATABASE_URL };
+    let protocol = null;
+    try {
+      protocol = new URL(env.DATABASE_URL).protocol;
+    } catch (error) {
+      // Reported below
+    }
+    if (protocol !== 'postgres:' && protocol !== 'postgresql:') {
+      errors.push('DATABASE_URL must be a postgres:// connection URL');
+    }
+  } else {
+    config = { dialect: 'sqlite', path: env.DB_PATH ? path.resolve(env.DB_PATH) : DEFAULT_DB_PATH };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid database configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Number the ? placeholders of a statement ($1, $2, ...), leaving quoted
+ * strings and identifiers alone
+ * @param {string} sql - SQL with ? placeholders
+ * @returns {string}
+ */
+function numberPlaceholders(sql) {
+  let result = '';
+  let quote = null;
+  let index = 0;
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      result += char;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      result += char;
+    } else if (char === '?') {
+      index += 1;
+      result += `$${index}`;
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Rewrite a statement written for SQLite into its PostgreSQL equivalent.
+ * Covers the SQLite syntax the server uses: column types in table
+ * definitions, INSERT OR IGNORE, IS NOT with a parameter, BEGIN IMMEDIATE
+ * and CURRENT_TIMESTAMP. INSERTs return the new row so the ID can be read
+ * like SQLite's lastID.
+ * @param {string} sql - SQLite statement
+ * @returns {string}
+ */
+function toPostgres(sql) {
+  let text = sql
+    .replace(/\bBEGIN IMMEDIATE\b/i, 'BEGIN')
+    .replace(/\bCURRENT_TIMESTAMP\b/g, POSTGRES_NOW)
+    .replace(/\bIS NOT \?/g, 'IS DISTINCT FROM ?');
+
+  if (/^\s*(CREATE|ALTER) TABLE\b/i.test(text)) {
+    text = text
+      .replace(/\bINTEGER PRIMARY KEY AUTOINCREMENT\b/gi, 'SERIAL PRIMARY KEY')
+      .replace(/\bREAL\b/g, 'DOUBLE PRECISION')
+      .replace(/\bDATETIME\b/g, 'TEXT')
+      .replace(/\bBLOB\b/g, 'BYTEA');
+  }
+
+  if (/^\s*INSERT OR IGNORE\b/i.test(text)) {
+    text = `${text.replace(/\bINSERT OR IGNORE\b/i, 'INSERT')} ON CONFLICT DO NOTHING`;
+  }
+  if (/^\s*INSERT\b/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+    text = `${text} RETURNING *`;
+  }
+
+  return numberPlaceholders(text);
+}
+
+/**
+ * Split the optional parameters off a sqlite3-style call
+ * @param {Array|Function} [params] - Bound parameters, or the callback
+ * @param {Function} [callback]
+ * @returns {{params: Array, callback: Function}}
+ */
+function callArguments(params, callback) {
+  if (typeof params === 'function') {
+    return { params: [], callback: params };
+  }
+  return { params: params || [], callback: callback || (() => {}) };
+}
+
+/**
+ * Connect to PostgreSQL through a single client, exposing the subset of the
+ * sqlite3 Database API the server uses (run, get, all, exec, close) so the
+ * rest of the code runs unchanged. A single connection keeps transactions
+ * begun with BEGIN on the statements issued inside them.
+ * @param {string} url - postgres:// connection URL
+ * @param {Function} callback - Called with an error, or null once connected
+ * @returns {Object}
+ */
+function openPostgres(url, callback) {
+  const pg = require('pg');
+  const client = new pg.Client({
+    connectionString: url,
+    options: '-c TimeZone=UTC',
+    types: {
+      getTypeParser: (oid, format) => (NUMERIC_TYPE_OIDS.includes(oid) ? Number : pg.types.getTypeParser(oid, format))
+    }
+  });
+  client.connect().then(() => callback(null), callback);
+  client.on('error', err => console.error('PostgreSQL connection error:', err));
+
+  return {
+    dialect: 'postgres',
+    client,
+
+    run(sql, ...args) {
+      const { params, callback: done } = callArguments(...args);
+      client.query(toPostgres(sql), params).then(
+        result => done.call({ lastID: result.rows && result.rows[0] ? result.rows[0].id : undefined, changes: result.rowCount }, null),
+        err => done.call({}, err)
+      );
+      return this;
+    },
+
+    get(sql, ...args) {
+      const { params, callback: done } = callArguments(...args);
+      client.query(toPostgres(sql), params).then(result => done(null, result.rows[0]), done);
+      return this;
+    },
+
+    all(sql, ...args) {
+      const { params, callback: done } = callArguments(...args);
+      client.query(toPostgres(sql), params).then(result => done(null, result.rows), done);
+      return this;
+    },
+
+    exec(sql, callback = () => {}) {
+      client.query(sql).then(() => callback(null), callback);
+      return this;
+    },
+
+    close(callback = () => {}) {
+      client.end().then(() => callback(null), callback);
+    }
+  };
+}
+
+/**
+ * Open the configured database. Both dialects return an object with the
+ * sqlite3 Database API and a dialect property ('sqlite' or 'postgres') for
+ * the few places that need to tell them apart.
+ * @param {Object} config - From readDatabaseConfig
+ * @param {Function} callback - Called with an error, or null once connected
+ * @returns {Object} - Database connection
+ */
+function openDatabase(config, callback) {
+  if (config.dialect === 'postgres') {
+    return openPostgres(config.url, callback);
+  }
+  const db = new sqlite3.Database(config.path, callback);
+  db.dialect = 'sqlite';
+  return db;
+}
+
+/**
+ * Describe the configured database for logs, without credentials
+ * @param {Object} config - From readDatabaseConfig
+ * @returns {string}
+ */
+function describeDatabase(config) {
+  if (config.dialect === 'postgres') {
+    const url = new URL(config.url);
+    return `PostgreSQL database ${url.pathname.slice(1)} on ${url.host}`;
+  }
+  return `SQLite database ${config.path}`;
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  readDatabaseConfig,
+  openDatabase,
+  describeDatabase
+}
@@ -0,0 +1,184 @@
+/**
+ * Promise wrappers around the sqlite3 callback API
+ */
+
+const { AsyncLocalStorage } = require('async_hooks')
+
+// The connection whose transaction the current async call chain runs in
+const transactionScope = new AsyncLocalStorage();
+
+// Per connection: the open transaction and the statements in flight outside it
+const connectionStates = new WeakMap();
+
+/**
+ * Gate state of a connection
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {{transaction: Promise|null, active: number, drained: Function|null, queue: Promise}}
+ */
+function connectionState(db) {
+  if (!connectionStates.has(db)) {
+    connectionStates.set(db, { transaction: null, active: 0, drained: null, queue: Promise.resolve() });
+  }
+  return connectionStates.get(db);
+}
+
+/**
+ * Run a statement on the shared connection. Statements issued from outside
+ * an open transaction wait until it has ended, so they are never committed
+ * or rolled back with it.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Function} execute - Issues the statement, resolving when it is done
+ * @returns {Promise<*>}
+ */
+async function withConnection(db, execute) {
+  if (transactionScope.getStore() === db) {
+    return execute();
+  }
+
+  const state = connectionState(db);
+  while (state.transaction) {
+    await state.transaction;
+  }
+
+  state.active += 1;
+  try {
+    return await execute();
+  } finally {
+    state.active -= 1;
+    if (state.active === 0 && state.drained) {
+      state.drained();
+    }
+  }
+}
+
+/**
+ * Run a statement that does not return rows
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function run(db, sql, params = []) {
+  return withConnection(db, () => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  }));
+}
+
+/**
+ * Fetch the first row of a query
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object|undefined>}
+ */
+function get(db, sql, params = []) {
+  return withConnection(db, () => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row);
+    });
+  }));
+}
+
+/**
+ * Fetch all rows of a query
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array<Object>>}
+ */
+function all(db, sql, params = []) {
+  return withConnection(db, () => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  }));
+}
+
+/**
+ * Add a column to an existing table unless it is already there, for tables
+ * created by an earlier version of the server
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<void>}
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  if (db.dialect === 'postgres') {
+    await run(db, `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+    return;
+  }
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  if (!columns.some(existing => existing.name === column)) {
+    await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Run a function inside a transaction: committed if it resolves, rolled
+ * back if it throws. The server shares one connection, so a transaction
+ * waits for the ones started before it and for statements already in
+ * flight, and statements from outside it wait until it ends. Statements
+ * issued by fn, and transactions nested in it, run inside it.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Function} fn - Async function issuing the statements
+ * @returns {Promise<*>} - What fn resolved to
+ */
+async function transaction(db, fn) {
+  if (transactionScope.getStore() === db) {
+    return fn();
+  }
+
+  const state = connectionState(db);
+  const previous = state.queue;
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+  state.queue = previous.then(() => done);
+  await previous;
+
+  state.transaction = done;
+  try {
+    if (state.active > 0) {
+      await new Promise((resolve) => {
+        state.drained = resolve;
+      });
+      state.drained = null;
+    }
+
+    return await transactionScope.run(db, async () => {
+      await run(db, 'BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        await run(db, 'COMMIT');
+        return result;
+      } catch (err) {
+        await run(db, 'ROLLBACK');
+        throw err;
+      }
+    });
+  } finally {
+    state.transaction = null;
+    release();
+  }
+}
+
+module.exports = {
+  run,
+  get,
+  all,
+  addColumnIfMissing,
+  transaction
+}
@@ -0,0 +1,102 @@
+const nodemailer = require('nodemailer')
+const { formatNotificationText, stripHtml, parseEnvList } = require('./notificationText')
+
+/**
+ * Send notification by email over SMTP
+ * @param {Object} transporter - nodemailer transport
+ * @param {string} from - Sender address
+ * @param {Array<string>} to - Recipient addresses
+ * @param {string} message - Message text
+ * @param {Array<Array<number>>} evacuationPoints - Array of [lat, lng] coordinates
+ * @param {Array<number>} location - [lat, lng] of the notification location
+ * @returns {Promise<Object>}
+ */
+async function sendEmailNotification(transporter, from, to, message, evacuationPoints = [], location = null) {
+  const text = stripHtml(formatNotificationText(message, evacuationPoints, location));
+  const firstLine = stripHtml(message).split('\n')[0];
+  const subject = `🔥 Fire alert: ${firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine}`;
+
+  let info;
+  try {
+    info = await transporter.sendMail({ from, to: to.join(', '), subject, text });
+  } catch (error) {
+    const failure = new Error(`Email request failed: ${error.message}`);
+    // SMTP 5xx replies are permanent (e.g. rejected recipient), 4xx and network errors are transient
+    failure.retryable = !(error.responseCode >= 500);
+    throw failure;
+  }
+
+  return {
+    success: true,
+    messageId: info.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected
+  };
+}
+
+/**
+ * SMTP email notification channel provider
+ */
+const emailChannel = {
+  name: 'email',
+
+  readConfig(env) {
+    if (!env.SMTP_HOST) {
+      return null;
+    }
+    return {
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: env.EMAIL_FROM,
+      to: parseEnvList(env.EMAIL_TO)
+    };
+  },
+
+  validateConfig(config) {
+    const errors = [];
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+      errors.push('SMTP_PORT must be a port number');
+    }
+    if (!config.from) {
+      errors.push('EMAIL_FROM is required when SMTP_HOST is set');
+    }
+    if (config.to.length === 0) {
+      errors.push('EMAIL_TO is required when SMTP_HOST is set');
+    }
+    if (Boolean(config.user) !== Boolean(config.pass)) {
+      errors.push('SMTP_USER and SMTP_PASS must be set together');
+    }
+    return errors;
+  },
+
+  /**
+   * @param {string} address - Subscriber email address
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAddress(address) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address) ? null : 'Email address is invalid';
+  },
+
+  createChannel(config) {
+    const transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined
+    });
+
+    return {
+      send: ({ message, evacuationPoints, location, recipient }) => sendEmailNotification(
+        transporter, config.from, recipient ? [recipient] : config.to, message, evacuationPoints, location
+      )
+    };
+  }
+};
+
+module.exports = {
+  sendEmailNotification,
+  emailChannel
+}
@@ -0,0 +1,449 @@
+const { run, get, all } = require('./dbHelpers')
+const { validatePolygonGeometry, polygonCentroid } = require('./geoUtils')
+
+const ZONE_STATUSES = ['ordered', 'advised', 'lifted'];
+
+/**
+ * Check an optional free-text field
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isOptionalText(value) {
+  return value === null || typeof value === 'string';
+}
+
+/**
+ * Validate an evacuation zone payload
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {{zone: Object}|{error: string}}
+ */
+function validateZone(body, partial = false) {
+  const zone = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required and must be a non-empty string' };
+    }
+    zone.name = body.name.trim();
+  }
+
+  if (!partial || body.status !== undefined) {
+    if (!ZONE_STATUSES.includes(body.status)) {
+      return { error: `status must be one of ${ZONE_STATUSES.join(', ')}` };
+    }
+    zone.status = body.status;
+  }
+
+  if (!partial || body.geometry !== undefined) {
+    const { geometry, error } = validatePolygonGeometry(body.geometry, 'geometry');
+    if (error) {
+      return { error };
+    }
+    zone.geometry = geometry;
+  }
+
+  if (body.fire_id !== undefined) {
+    if (body.fire_id !== null && !Number.isInteger(body.fire_id)) {
+      return { error: 'fire_id must be an integer or null' };
+    }
+    zone.fire_id = body.fire_id;
+  }
+
+  if (body.instructions !== undefined) {
+    if (!isOptionalText(body.instructions)) {
+      return { error: 'instructions must be a string or null' };
+    }
+    zone.instructions = body.instructions;
+  }
+
+  if (body.shelter_ids !== undefined) {
+    if (!Array.isArray(body.shelter_ids) || !body.shelter_ids.every(Number.isInteger)) {
+      return { error: 'shelter_ids must be an array of shelter IDs' };
+    }
+    zone.shelter_ids = [...new Set(body.shelter_ids)];
+  }
+
+  return { zone };
+}
+
+/**
+ * Validate a shelter payload
+ * @param {Object} body - Request body
+ * @param {Object|null} current - Shelter being updated, or null when creating
+ * @returns {{shelter: Object}|{error: string}}
+ */
+function validateShelter(body, current = null) {
+  const shelter = {};
+  const partial = current !== null;
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required and must be a non-empty string' };
+    }
+    shelter.name = body.name.trim();
+  }
+
+  if (!partial || body.latitude !== undefined || body.longitude !== undefined) {
+    const { latitude, longitude } = { ...current, ...body };
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return { error: 'latitude and longitude must be valid coordinates' };
+    }
+    shelter.latitude = latitude;
+    shelter.longitude = longitude;
+  }
+
+  if (body.address !== undefined) {
+    if (!isOptionalText(body.address)) {
+      return { error: 'address must be a string or null' };
+    }
+    shelter.address = body.address;
+  }
+
+  ['capacity', 'occupancy'].forEach((field) => {
+    if (body[field] !== undefined || (field === 'capacity' && !partial)) {
+      shelter[field] = body[field];
+    }
+  });
+  if (shelter.capacity !== undefined && (!Number.isInteger(shelter.capacity) || shelter.capacity < 1)) {
+    return { error: 'capacity must be a positive integer' };
+  }
+  if (shelter.occupancy !== undefined && (!Number.isInteger(shelter.occupancy) || shelter.occupancy < 0)) {
+    return { error: 'occupancy must be a non-negative integer' };
+  }
+
+  const capacity = shelter.capacity !== undefined ? shelter.capacity : current.capacity;
+  const occupancy = shelter.occupancy !== undefined ? shelter.occupancy : (current ? current.occupancy : 0);
+  if (occupancy > capacity) {
+    return { error: 'occupancy cannot exceed capacity' };
+  }
+
+  return { shelter };
+}
+
+/**
+ * Convert a shelters row to its API representation
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function shelterToJSON(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    address: row.address,
+    capacity: row.capacity,
+    occupancy: row.occupancy,
+    available: row.capacity - row.occupancy,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Convert an evacuation_zones row to its API representation
+ * @param {Object} row - Database row
+ * @param {Array<Object>} shelters - shelters rows linked to the zone
+ * @returns {Object}
+ */
+function zoneToJSON(row, shelters) {
+  return {
+    id: row.id,
+    fire_id: row.fire_id,
+    name: row.name,
+    status: row.status,
+    geometry: JSON.parse(row.geometry),
+    instructions: row.instructions,
+    shelters: shelters.map(shelterToJSON),
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    status_changed_at: row.status_changed_at
+  };
+}
+
+/**
+ * Load the shelters linked to a zone
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} zoneId - Zone ID
+ * @returns {Promise<Array<Object>>} - shelters rows
+ */
+function zoneShelterRows(db, zoneId) {
+  return all(db, `
+    SELECT shelters.* FROM shelters
+    JOIN evacuation_zone_shelters links ON links.shelter_id = shelters.id
+    WHERE links.zone_id = ?
+    ORDER BY shelters.id
+  `, [zoneId]);
+}
+
+/**
+ * Replace the shelters linked to a zone
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} zoneId - Zone ID
+ * @param {Array<number>} shelterIds - Shelter IDs
+ * @returns {Promise<void>}
+ */
+async function linkShelters(db, zoneId, shelterIds) {
+  await run(db, 'DELETE FROM evacuation_zone_shelters WHERE zone_id = ?', [zoneId]);
+  for (const shelterId of shelterIds) {
+    await run(db, 'INSERT INTO evacuation_zone_shelters (zone_id, shelter_id) VALUES (?, ?)', [zoneId, shelterId]);
+  }
+}
+
+/**
+ * Find which of the given shelter IDs do not exist
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Array<number>} shelterIds - Shelter IDs
+ * @returns {Promise<Array<number>>}
+ */
+async function findMissingShelters(db, shelterIds) {
+  if (shelterIds.length === 0) {
+    return [];
+  }
+  const rows = await all(db,
+    `SELECT id FROM shelters WHERE id IN (${shelterIds.map(() => '?').join(', ')})`, shelterIds);
+  const existing = new Set(rows.map(row => row.id));
+  return shelterIds.filter(id => !existing.has(id));
+}
+
+/**
+ * Store a new evacuation zone
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} zone - Validated zone
+ * @param {string} createdBy - Name of the creator
+ * @returns {Promise<Object>}
+ */
+async function createZone(db, zone, createdBy) {
+  const now = new Date().toISOString();
+  const { lastID } = await run(db, `
+    INSERT INTO evacuation_zones (fire_id, name, status, geometry, instructions, created_by, created_at, updated_at, status_changed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    zone.fire_id === undefined ? null : zone.fire_id,
+    zone.name,
+    zone.status,
+    JSON.stringify(zone.geometry),
+    zone.instructions === undefined ? null : zone.instructions,
+    createdBy,
+    now,
+    now,
+    now
+  ]);
+  await linkShelters(db, lastID, zone.shelter_ids || []);
+  return getZone(db, lastID);
+}
+
+/**
+ * List evacuation zones
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} filters - { fireId, status }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listZones(db, { fireId = null, status = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (fireId !== null) {
+    conditions.push('fire_id = ?');
+    params.push(fireId);
+  }
+  if (status !== null) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = await all(db, `SELECT * FROM evacuation_zones ${where} ORDER BY id`, params);
+
+  const zones = [];
+  for (const row of rows) {
+    zones.push(zoneToJSON(row, await zoneShelterRows(db, row.id)));
+  }
+  return zones;
+}
+
+/**
+ * Load one evacuation zone with its shelters
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Zone ID
+ * @returns {Promise<Object|null>}
+ */
+async function getZone(db, id) {
+  const row = await get(db, 'SELECT * FROM evacuation_zones WHERE id = ?', [id]);
+  return row ? zoneToJSON(row, await zoneShelterRows(db, row.id)) : null;
+}
+
+/**
+ * Apply validated changes to an evacuation zone
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Zone ID
+ * @param {Object} changes - Validated partial zone
+ * @returns {Promise<Object|null>}
+ */
+async function updateZone(db, id, changes) {
+  const current = await get(db, 'SELECT * FROM evacuation_zones WHERE id = ?', [id]);
+  if (!current) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const columns = ['updated_at = ?'];
+  const params = [now];
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (key === 'shelter_ids') {
+      return;
+    }
+    columns.push(`${key} = ?`);
+    params.push(key === 'geometry' ? JSON.stringify(value) : value);
+  });
+  if (changes.status !== undefined && changes.status !== current.status) {
+    columns.push('status_changed_at = ?');
+    params.push(now);
+  }
+
+  await run(db, `UPDATE evacuation_zones SET ${columns.join(', ')} WHERE id = ?`, [...params, current.id]);
+  if (changes.shelter_ids !== undefined) {
+    await linkShelters(db, current.id, changes.shelter_ids);
+  }
+  return getZone(db, current.id);
+}
+
+/**
+ * Delete an evacuation zone and its shelter links
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Zone ID
+ * @returns {Promise<boolean>} - Whether a zone was deleted
+ */
+async function deleteZone(db, id) {
+  const { changes } = await run(db, 'DELETE FROM evacuation_zones WHERE id = ?', [id]);
+  await run(db, 'DELETE FROM evacuation_zone_shelters WHERE zone_id = ?', [id]);
+  return changes > 0;
+}
+
+/**
+ * Store a new shelter
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} shelter - Validated shelter
+ * @returns {Promise<Object>}
+ */
+async function createShelter(db, shelter) {
+  const now = new Date().toISOString();
+  const { lastID } = await run(db, `
+    INSERT INTO shelters (name, latitude, longitude, address, capacity, occupancy, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    shelter.name,
+    shelter.latitude,
+    shelter.longitude,
+    shelter.address === undefined ? null : shelter.address,
+    shelter.capacity,
+    shelter.occupancy === undefined ? 0 : shelter.occupancy,
+    now,
+    now
+  ]);
+  return getShelter(db, lastID);
+}
+
+/**
+ * List shelters, optionally only those linked to a zone
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|null} zoneId - Zone to filter by, or null for all
+ * @returns {Promise<Array<Object>>}
+ */
+async function listShelters(db, zoneId = null) {
+  const rows = zoneId === null
+    ? await all(db, 'SELECT * FROM shelters ORDER BY id')
+    : await zoneShelterRows(db, zoneId);
+  return rows.map(shelterToJSON);
+}
+
+/**
+ * Load one shelter
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Shelter ID
+ * @returns {Promise<Object|null>}
+ */
+async function getShelter(db, id) {
+  const row = await get(db, 'SELECT * FROM shelters WHERE id = ?', [id]);
+  return row ? shelterToJSON(row) : null;
+}
+
+/**
+ * Apply validated changes to a shelter
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Shelter ID
+ * @param {Object} changes - Validated partial shelter
+ * @returns {Promise<Object|null>}
+ */
+async function updateShelter(db, id, changes) {
+  const columns = Object.keys(changes).map(key => `${key} = ?`);
+  const params = Object.values(changes);
+
+  columns.push('updated_at = ?');
+  params.push(new Date().toISOString(), id);
+
+  const { changes: updated } = await run(db, `UPDATE shelters SET ${columns.join(', ')} WHERE id = ?`, params);
+  return updated === 0 ? null : getShelter(db, id);
+}
+
+/**
+ * Delete a shelter and unlink it from every zone
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Shelter ID
+ * @returns {Promise<boolean>} - Whether a shelter was deleted
+ */
+async function deleteShelter(db, id) {
+  const { changes } = await run(db, 'DELETE FROM shelters WHERE id = ?', [id]);
+  await run(db, 'DELETE FROM evacuation_zone_shelters WHERE shelter_id = ?', [id]);
+  return changes > 0;
+}
+
+/**
+ * Notification content for an evacuation zone: its shelters with free
+ * places become the evacuation points, listed by name in the message in
+ * the same order, and the zone centre becomes the location
+ * @param {Object} zone - Zone returned by getZone
+ * @returns {{text: string, evacuationPoints: Array<Array<number>>, location: Array<number>}}
+ */
+function zoneNotification(zone) {
+  const shelters = zone.shelters.filter(shelter => shelter.available > 0);
+  const lines = [`Evacuation ${zone.status}: ${zone.name}`];
+
+  if (zone.instructions) {
+    lines.push(zone.instructions);
+  }
+  if (shelters.length > 0) {
+    lines.push('Shelters:');
+    shelters.forEach((shelter, index) => {
+      const address = shelter.address ? `, ${shelter.address}` : '';
+      lines.push(`${index + 1}. ${shelter.name}${address} (${shelter.available} places free)`);
+    });
+  }
+
+  return {
+    text: lines.join('\n'),
+    evacuationPoints: shelters.map(shelter => [shelter.latitude, shelter.longitude]),
+    location: polygonCentroid(zone.geometry)
+  };
+}
+
+module.exports = {
+  ZONE_STATUSES,
+  validateZone,
+  validateShelter,
+  findMissingShelters,
+  createZone,
+  listZones,
+  getZone,
+  updateZone,
+  deleteZone,
+  createShelter,
+  listShelters,
+  getShelter,
+  updateShelter,
+  deleteShelter,
+  zoneNotification
+}
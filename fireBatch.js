@@ -0,0 +1,107 @@
+// Largest number of features or updates accepted in one batch
+const MAX_BATCH_SIZE = 1000;
+
+const BATCH_MODES = ['create', 'upsert'];
+
+// Feature properties computed by the server, ignored on import
+const COMPUTED_PROPERTIES = ['id', 'timestamp_detected', 'last_update', 'has_perimeter', 'media', 'fire_danger'];
+
+/**
+ * Check the body of a batch import is a FeatureCollection of a size we accept
+ * @param {Object} body - Request body
+ * @returns {{features: Array<Object>}|{error: string}}
+ */
+function parseFeatureCollection(body) {
+  if (!body || body.type !== 'FeatureCollection' || !Array.isArray(body.features)) {
+    return { error: 'Body must be a GeoJSON FeatureCollection' };
+  }
+  if (body.features.length === 0 || body.features.length > MAX_BATCH_SIZE) {
+    return { error: `features must contain between 1 and ${MAX_BATCH_SIZE} features` };
+  }
+  return { features: body.features };
+}
+
+/**
+ * Convert an imported feature, shaped like the features GET /api/fires
+ * returns, to the fields of a fire report. A Point gives the location; a
+ * Polygon or MultiPolygon becomes the perimeter.
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {{id: number|null, fields: Object, detectedAt: string|null}|{error: string}}
+ */
+function featureToFire(feature) {
+  if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+    return { error: 'Must be a GeoJSON Feature with a geometry' };
+  }
+
+  const properties = feature.properties || {};
+  const id = properties.id ?? feature.id ?? null;
+  if (id !== null && !Number.isInteger(id)) {
+    return { error: 'id must be an integer' };
+  }
+
+  const fields = {};
+  Object.entries(properties).forEach(([name, value]) => {
+    if (name === 'resources_on_site' && value) {
+      Object.assign(fields, value);
+    } else if (!COMPUTED_PROPERTIES.includes(name)) {
+      fields[name] = value;
+    }
+  });
+
+  const { type, coordinates } = feature.geometry;
+  if (type === 'Point') {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) {
+      return { error: 'Point geometry must have [longitude, latitude] coordinates' };
+    }
+    [fields.longitude, fields.latitude] = coordinates;
+  } else if (type === 'Polygon' || type === 'MultiPolygon') {
+    fields.perimeter = feature.geometry;
+  } else {
+    return { error: 'geometry must be a Point, Polygon or MultiPolygon' };
+  }
+
+  let detectedAt = null;
+  if (properties.timestamp_detected) {
+    const value = String(properties.timestamp_detected);
+    const date = new Date(/Z|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    if (isNaN(date.getTime())) {
+      return { error: 'timestamp_detected must be a timestamp' };
+    }
+    detectedAt = date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  return { id, fields, detectedAt };
+}
+
+/**
+ * Check the body of a batch update is a list of changes to fires by ID
+ * @param {Object} body - Request body
+ * @returns {{updates: Array<Object>}|{error: string}}
+ */
+function parseBatchUpdates(body) {
+  const updates = body && body.updates;
+  if (!Array.isArray(updates) || updates.length === 0 || updates.length > MAX_BATCH_SIZE) {
+    return { error: `updates must be a list of between 1 and ${MAX_BATCH_SIZE} changes` };
+  }
+  return { updates };
+}
+
+/**
+ * Leave out fields that already hold the given values, so re-importing an
+ * export changes nothing
+ * @param {Object} row - Current fire row
+ * @param {Object} fields - Column values to set
+ * @returns {Object}
+ */
+function changedFields(row, fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([column, value]) => row[column] !== value));
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  BATCH_MODES,
+  parseFeatureCollection,
+  featureToFire,
+  parseBatchUpdates,
+  changedFields
+}
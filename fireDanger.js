@@ -0,0 +1,112 @@
+// Hot-Dry-Windy index bands (hPa·m/s), lowest first: a rating applies
+// from its threshold up to the next one
+const DANGER_RATINGS = [
+  { rating: 'low', from: 0 },
+  { rating: 'moderate', from: 50 },
+  { rating: 'high', from: 150 },
+  { rating: 'very_high', from: 300 },
+  { rating: 'extreme', from: 500 }
+];
+
+/**
+ * Saturation vapour pressure over water (Tetens)
+ * @param {number} temperature - °C
+ * @returns {number} - hPa
+ */
+function saturationVapourPressure(temperature) {
+  return 6.1078 * Math.exp(17.27 * temperature / (temperature + 237.3));
+}
+
+/**
+ * Hot-Dry-Windy index (Srock et al. 2018): vapour pressure deficit times
+ * wind speed, computed from a single surface reading
+ * @param {number|null} temperature - °C
+ * @param {number|null} humidity - Relative humidity, %
+ * @param {number|null} windSpeed - km/h
+ * @returns {number|null} - Index in hPa·m/s, or null when a reading is missing
+ */
+function hotDryWindyIndex(temperature, humidity, windSpeed) {
+  if ([temperature, humidity, windSpeed].some(value => typeof value !== 'number' || isNaN(value))) {
+    return null;
+  }
+
+  const relativeHumidity = Math.min(Math.max(humidity, 0), 100);
+  const deficit = saturationVapourPressure(temperature) * (1 - relativeHumidity / 100);
+  const windMs = Math.max(windSpeed, 0) / 3.6;
+  return Math.round(deficit * windMs * 10) / 10;
+}
+
+/**
+ * Rating band of an index value
+ * @param {number|null} index - Hot-Dry-Windy index
+ * @returns {string|null}
+ */
+function dangerRating(index) {
+  if (index === null) {
+    return null;
+  }
+  return DANGER_RATINGS.filter(band => index >= band.from).pop().rating;
+}
+
+/**
+ * Fire danger of a fires row, as exposed in its feature properties
+ * @param {Object} row - fires row
+ * @returns {{hdw: number|null, rating: string|null}}
+ */
+function fireDanger(row) {
+  const hdw = hotDryWindyIndex(row.temperature, row.humidity, row.wind_speed);
+  return { hdw, rating: dangerRating(hdw) };
+}
+
+/**
+ * Summarize danger per district: the worst and mean index over the given
+ * readings, and the reading it comes from
+ * @param {Array<Object>} rows - fires rows
+ * @returns {Array<Object>} - One entry per district, most dangerous first
+ */
+function summarizeDanger(rows) {
+  const districts = new Map();
+
+  rows.forEach((row) => {
+    const { hdw } = fireDanger(row);
+    if (hdw === null) {
+      return;
+    }
+
+    const name = row.district || 'Unknown';
+    if (!districts.has(name)) {
+      districts.set(name, { district: name, readings: [], worst: row, worstIndex: hdw });
+    }
+    const summary = districts.get(name);
+    summary.readings.push(hdw);
+    if (hdw > summary.worstIndex) {
+      summary.worst = row;
+      summary.worstIndex = hdw;
+    }
+  });
+
+  return [...districts.values()]
+    .map(({ district, readings, worst, worstIndex }) => ({
+      district,
+      rating: dangerRating(worstIndex),
+      hdw: worstIndex,
+      mean_hdw: Math.round(readings.reduce((sum, value) => sum + value, 0) / readings.length * 10) / 10,
+      readings: readings.length,
+      worst_reading: {
+        fire_id: worst.id,
+        temperature: worst.temperature,
+        humidity: worst.humidity,
+        wind_speed: worst.wind_speed,
+        last_update: worst.last_update
+      }
+    }))
+    .sort((a, b) => b.hdw - a.hdw);
+}
+
+module.exports = {
+  DANGER_RATINGS,
+  hotDryWindyIndex,
+  dangerRating,
+  fireDanger,
+  summarizeDanger
+}
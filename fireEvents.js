@@ -0,0 +1,268 @@
+const EventEmitter = require('events')
+const { WebSocketServer } = require('ws')
+const { all } = require('./dbHelpers')
+const { parseList, parseNumberList } = require('./fireFilters')
+
+// Upper bound on events replayed to a reconnecting client
+const MAX_REPLAY = 1000;
+
+/**
+ * Parse stream subscription filters from query parameters
+ * @param {Object} query - district (comma-separated) and bbox (minLon,minLat,maxLon,maxLat)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.omit] - Columns the client may not see
+ * @returns {{districts: Array<string>|null, bbox: Array<number>|null, omit: Array<string>}|{error: string}}
+ */
+function parseSubscription(query, { omit = [] } = {}) {
+  const districts = query.district !== undefined ? parseList(query.district) : null;
+
+  let bbox = null;
+  if (query.bbox !== undefined) {
+    bbox = parseNumberList(query.bbox, 4);
+    if (!bbox || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+      return { error: 'Invalid bbox (must be minLon,minLat,maxLon,maxLat)' };
+    }
+  }
+
+  return { districts, bbox, omit };
+}
+
+/**
+ * Copy of an event without the given columns in its changes and feature
+ * properties (live events are shared by every subscriber, so never mutated)
+ * @param {Object} event - Fire event
+ * @param {Array<string>} omit - Columns to leave out
+ * @returns {Object}
+ */
+function omitColumns(event, omit) {
+  if (omit.length === 0) {
+    return event;
+  }
+  const changes = { ...event.changes };
+  const properties = { ...event.feature.properties };
+  omit.forEach((column) => {
+    delete changes[column];
+    delete properties[column];
+  });
+  return { ...event, changes, feature: { ...event.feature, properties } };
+}
+
+/**
+ * Check whether a fire event matches a subscription
+ * @param {Object} event - Fire event
+ * @param {Object} subscription - Parsed subscription filters
+ * @returns {boolean}
+ */
+function matchesSubscription(event, subscription) {
+  const { properties, geometry } = event.feature;
+
+  if (subscription.districts && !subscription.districts.includes(properties.district)) {
+    return false;
+  }
+
+  if (subscription.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = subscription.bbox;
+    const [lng, lat] = geometry.coordinates;
+    if (lng < minLon || lng > maxLon || lat < minLat || lat > maxLat) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Create the hub that broadcasts fire changes to stream clients. Event IDs
+ * are fire revision IDs, so clients can resume after a reconnect or a
+ * server restart by replaying fire_revisions.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Function} toFeature - Converts a fires row to a GeoJSON Feature
+ * @returns {Object} - Hub with publish, subscribe and on
+ */
+function createFireEventHub(db, toFeature) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  /**
+   * Broadcast a recorded revision
+   * @param {Object} revision - Revision returned by recordRevision
+   * @param {Object} row - Fire row after the change (before it, for deletes)
+   */
+  function publish(revision, row) {
+    if (!revision) {
+      return;
+    }
+    emitter.emit('event', {
+      id: revision.id,
+      type: revision.action,
+      changes: revision.changes,
+      feature: toFeature(row)
+    });
+  }
+
+  /**
+   * Load events recorded after an event ID
+   * @param {number} lastEventId - Last event ID the client received
+   * @returns {Promise<Array<Object>>}
+   */
+  async function replay(lastEventId) {
+    const rows = await all(db,
+      'SELECT * FROM fire_revisions WHERE id > ? AND snapshot IS NOT NULL ORDER BY id ASC LIMIT ?',
+      [lastEventId, MAX_REPLAY]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      type: row.action,
+      changes: JSON.parse(row.changes),
+      feature: toFeature(JSON.parse(row.snapshot))
+    }));
+  }
+
+  /**
+   * Deliver matching events to a client, replaying missed events first
+   * @param {Object} subscription - Parsed subscription filters
+   * @param {number|null} lastEventId - Resume point, or null for live events only
+   * @param {Function} send - Called with each matching event
+   * @returns {Promise<Function>} - Unsubscribe function
+   */
+  async function subscribe(subscription, lastEventId, send) {
+    let lastSent = lastEventId || 0;
+    let pending = [];
+
+    const deliver = (event) => {
+      if (event.id > lastSent) {
+        lastSent = event.id;
+        if (matchesSubscription(event, subscription)) {
+          send(omitColumns(event, subscription.omit || []));
+        }
+      }
+    };
+
+    // Buffer live events while the replay is running so none are lost
+    const listener = (event) => (pending ? pending.push(event) : deliver(event));
+    emitter.on('event', listener);
+
+    try {
+      if (lastEventId !== null) {
+        (await replay(lastEventId)).forEach(deliver);
+      }
+    } finally {
+      pending.forEach(deliver);
+      pending = null;
+    }
+
+    return () => emitter.off('event', listener);
+  }
+
+  return {
+    publish,
+    subscribe,
+    on: (listener) => emitter.on('event', listener)
+  };
+}
+
+/**
+ * Parse a Last-Event-ID value
+ * @param {string|undefined} value - Header or query value
+ * @returns {number|null|undefined} - Event ID, null if absent, undefined if invalid
+ */
+function parseLastEventId(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : undefined;
+}
+
+/**
+ * Serve fire events over WebSocket on an HTTP server. Clients connect to the
+ * given path with the same district, bbox and last_event_id query
+ * parameters as the SSE stream and receive JSON messages.
+ * @param {Object} server - http.Server returned by app.listen
+ * @param {Object} hub - Hub returned by createFireEventHub
+ * @param {string} path - URL path to accept upgrades on
+ * @param {Function} [authorize] - Resolves to false to reject an upgrade
+ *   request, otherwise to the parseSubscription options for the client
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(server, hub, path, authorize = async () => ({})) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+
+    let access;
+    try {
+      access = await authorize(req);
+      if (!access) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+    } catch (error) {
+      console.error('WebSocket authorization error:', error);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, url, access));
+  });
+
+  wss.on('connection', async (ws, url, access) => {
+    const query = Object.fromEntries(url.searchParams);
+    const subscription = parseSubscription(query, access === true ? {} : access);
+    const lastEventId = parseLastEventId(query.last_event_id);
+
+    if (subscription.error || lastEventId === undefined) {
+      ws.close(1008, subscription.error || 'Invalid last_event_id');
+      return;
+    }
+
+    let alive = true;
+    ws.on('pong', () => {
+      alive = true;
+    });
+
+    const heartbeat = setInterval(() => {
+      if (!alive) {
+        ws.terminate();
+        return;
+      }
+      alive = false;
+      ws.ping();
+    }, 30000);
+
+    let unsubscribe = null;
+    ws.on('close', () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    });
+
+    try {
+      unsubscribe = await hub.subscribe(subscription, lastEventId, (event) => {
+        ws.send(JSON.stringify(event));
+      });
+      if (ws.readyState !== ws.OPEN) {
+        unsubscribe();
+      }
+    } catch (error) {
+      console.error('WebSocket subscription error:', error);
+      ws.close(1011, 'Failed to replay events');
+    }
+  });
+
+  return wss;
+}
+
+module.exports = {
+  createFireEventHub,
+  parseSubscription,
+  parseLastEventId,
+  attachWebSocketServer
+}
@@ -0,0 +1,657 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const archiver = require('archiver')
+const { all } = require('./dbHelpers')
+const { SELECTABLE_PROPERTIES, orderByClause, keysetCondition } = require('./firePagination')
+
+const EXPORT_FORMATS = {
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  shapefile: { contentType: 'application/zip', extension: 'zip' }
+};
+
+// Media types understood through the Accept header when format is not given
+const ACCEPT_TYPES = {
+  'application/geo+json': 'geojson',
+  'application/json': 'geojson',
+  'application/vnd.google-earth.kml+xml': 'kml',
+  'text/csv': 'csv',
+  'application/gpx+xml': 'gpx',
+  'application/zip': 'shapefile'
+};
+
+// Rows read per query while streaming an export
+const BATCH_SIZE = 500;
+
+// Nested feature properties and the flat columns they become
+const FLAT_COLUMNS = {
+  resources_on_site: ['firefighters', 'vehicles', 'aircraft'],
+  fire_danger: ['fire_danger_hdw', 'fire_danger_rating'],
+  media: ['media_count']
+};
+
+// KML icon colours (aabbggrr) by fire_status and icon scale by risk_to_settlements
+const STATUS_COLORS = {
+  reported: 'ff00ffff',
+  confirmed: 'ff00ffff',
+  active: 'ff0000ff',
+  threat: 'ff0080ff',
+  contained: 'ff00c0ff',
+  controlled: 'ff00b000'
+};
+const DEFAULT_STATUS_COLOR = 'ff808080';
+const RISK_SCALES = {
+  low: 0.8,
+  medium: 1.1,
+  high: 1.5
+};
+
+const FIRE_ICON = 'http://maps.google.com/mapfiles/kml/shapes/firedept.png';
+
+// dBase field names are limited to 10 characters
+const DBF_NAMES = {
+  id: 'ID',
+  timestamp_detected: 'DETECTED',
+  last_update: 'UPDATED',
+  fire_status: 'STATUS',
+  fire_type: 'FIRE_TYPE',
+  fire_intensity: 'INTENSITY',
+  fire_size: 'SIZE_HA',
+  confidence: 'CONFIDENCE',
+  fuel_type: 'FUEL_TYPE',
+  terrain_type: 'TERRAIN',
+  slope: 'SLOPE',
+  temperature: 'TEMP',
+  humidity: 'HUMIDITY',
+  wind_speed: 'WIND_SPEED',
+  wind_direction: 'WIND_DIR',
+  wind_type: 'WIND_TYPE',
+  agency_in_charge: 'AGENCY',
+  response_level: 'RESPONSE',
+  firefighters: 'FIREFIGHT',
+  vehicles: 'VEHICLES',
+  aircraft: 'AIRCRAFT',
+  evacuation_status: 'EVACUATION',
+  district: 'DISTRICT',
+  nearest_village: 'VILLAGE',
+  distance_to_village: 'VILLAGE_KM',
+  risk_to_settlements: 'RISK',
+  has_perimeter: 'PERIMETER',
+  fire_danger_hdw: 'HDW',
+  fire_danger_rating: 'DANGER',
+  media_count: 'MEDIA'
+};
+
+// Flat columns stored as dBase numbers (with their decimal places) and logicals
+const NUMERIC_COLUMNS = {
+  id: 0,
+  fire_intensity: 2,
+  fire_size: 2,
+  confidence: 0,
+  slope: 2,
+  temperature: 2,
+  humidity: 0,
+  wind_speed: 2,
+  wind_direction: 0,
+  firefighters: 0,
+  vehicles: 0,
+  aircraft: 0,
+  distance_to_village: 2,
+  fire_danger_hdw: 1,
+  media_count: 0
+};
+const LOGICAL_COLUMNS = ['has_perimeter'];
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Pick the output format from the format parameter or, failing that, the
+ * Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} - geojson or an EXPORT_FORMATS key, null if format is invalid
+ */
+function parseExportFormat(req) {
+  if (req.query.format !== undefined) {
+    return ['geojson', ...Object.keys(EXPORT_FORMATS)].includes(req.query.format) ? req.query.format : null;
+  }
+  const type = req.accepts(Object.keys(ACCEPT_TYPES));
+  return type ? ACCEPT_TYPES[type] : 'geojson';
+}
+
+/**
+ * Flat columns of an export, in order
+ * @param {Array<string>|null} properties - Requested properties, or null for all
+ * @returns {Array<string>}
+ */
+function exportColumns(properties) {
+  return (properties || ['id', ...SELECTABLE_PROPERTIES])
+    .flatMap(property => FLAT_COLUMNS[property] || [property]);
+}
+
+/**
+ * Flatten the nested properties of a feature into export columns
+ * @param {Object} properties - Feature properties
+ * @returns {Object}
+ */
+function flattenProperties(properties) {
+  const flat = {};
+  Object.entries(properties).forEach(([name, value]) => {
+    if (name === 'resources_on_site') {
+      Object.assign(flat, value);
+    } else if (name === 'fire_danger') {
+      flat.fire_danger_hdw = value ? value.hdw : null;
+      flat.fire_danger_rating = value ? value.rating : null;
+    } else if (name === 'media') {
+      flat.media_count = value.length;
+    } else {
+      flat[name] = value;
+    }
+  });
+  return flat;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ * @param {*} value - Value to write
+ * @returns {string}
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a SQLite timestamp to ISO 8601
+ * @param {string|null} value - "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @returns {string|null}
+ */
+function isoTime(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(/Z|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Error for a stream closed before everything was written, e.g. a client
+ * disconnecting mid-export
+ * @returns {Error}
+ */
+function closedError() {
+  return new Error('Stream closed before the export finished');
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full.
+ * Rejects if the stream is closed or fails instead, since it will then
+ * never drain.
+ * @param {Object} stream - Writable stream
+ * @param {string|Buffer} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(stream, chunk) {
+  if (stream.destroyed) {
+    return Promise.reject(closedError());
+  }
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      stream.off('drain', settle);
+      stream.off('close', onClose);
+      stream.off('error', settle);
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+    const onClose = () => settle(closedError());
+    stream.on('drain', settle);
+    stream.on('close', onClose);
+    stream.on('error', settle);
+  });
+}
+
+/**
+ * Close a write stream and wait until its data is on disk
+ * @param {Object} stream - fs write stream
+ * @returns {Promise<void>}
+ */
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+/**
+ * KML geometry of a feature
+ * @param {Object} geometry - GeoJSON Point, Polygon or MultiPolygon
+ * @returns {string}
+ */
+function kmlGeometry(geometry) {
+  const coordinates = positions => positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+  const polygon = rings => '<Polygon>' +
+    `<outerBoundaryIs><LinearRing><coordinates>${coordinates(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+    rings.slice(1).map(ring =>
+      `<innerBoundaryIs><LinearRing><coordinates>${coordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`
+    ).join('') +
+    '</Polygon>';
+
+  if (geometry.type === 'Polygon') {
+    return polygon(geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+  }
+  return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+}
+
+/**
+ * KML writer: one placemark per fire, styled by status (colour) and risk
+ * to settlements (icon size), with every property as ExtendedData
+ * @param {Object} out - Response stream
+ * @returns {Object}
+ */
+function createKmlWriter(out) {
+  const styles = Object.entries(STATUS_COLORS).flatMap(([status, color]) =>
+    Object.entries(RISK_SCALES).map(([risk, scale]) => `
+    <Style id="fire-${status}-${risk}">
+      <IconStyle><color>${color}</color><scale>${scale}</scale><Icon><href>${FIRE_ICON}</href></Icon></IconStyle>
+      <LineStyle><color>${color}</color><width>2</width></LineStyle>
+      <PolyStyle><color>${`66${color.slice(2)}`}</color></PolyStyle>
+    </Style>`)
+  ).join('');
+
+  return {
+    start() {
+      return writeChunk(out, '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n  <name>Fires</name>' +
+        styles +
+        `\n    <Style id="fire-default"><IconStyle><color>${DEFAULT_STATUS_COLOR}</color>` +
+        `<Icon><href>${FIRE_ICON}</href></Icon></IconStyle></Style>\n`);
+    },
+
+    write(feature) {
+      const { properties } = feature;
+      const style = STATUS_COLORS[properties.fire_status] && RISK_SCALES[properties.risk_to_settlements]
+        ? `fire-${properties.fire_status}-${properties.risk_to_settlements}`
+        : 'fire-default';
+      const name = properties.district ? `Fire ${properties.id} — ${properties.district}` : `Fire ${properties.id}`;
+      const when = isoTime(properties.timestamp_detected);
+      const data = Object.entries(flattenProperties(properties))
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+
+      return writeChunk(out, `  <Placemark id="fire-${properties.id}">` +
+        `<name>${escapeXml(name)}</name>` +
+        (when ? `<TimeStamp><when>${when}</when></TimeStamp>` : '') +
+        `<styleUrl>#${style}</styleUrl>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `${kmlGeometry(feature.geometry)}</Placemark>\n`);
+    },
+
+    end() {
+      out.end('</Document>\n</kml>\n');
+    }
+  };
+}
+
+/**
+ * CSV writer: latitude and longitude followed by the flattened properties
+ * @param {Object} out - Response stream
+ * @param {Array<string>} columns - Flat property columns
+ * @returns {Object}
+ */
+function createCsvWriter(out, columns) {
+  const header = ['id', 'latitude', 'longitude', ...columns.filter(column => column !== 'id')];
+
+  return {
+    start() {
+      return writeChunk(out, `${header.join(',')}\n`);
+    },
+
+    write(feature, row) {
+      const values = { ...flattenProperties(feature.properties), latitude: row.latitude, longitude: row.longitude };
+      return writeChunk(out, `${header.map(column => csvValue(values[column])).join(',')}\n`);
+    },
+
+    end() {
+      out.end();
+    }
+  };
+}
+
+/**
+ * GPX writer: one waypoint per fire
+ * @param {Object} out - Response stream
+ * @returns {Object}
+ */
+function createGpxWriter(out) {
+  return {
+    start() {
+      return writeChunk(out, '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="Fire Monitoring API" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        `  <metadata><name>Fires</name><time>${new Date().toISOString()}</time></metadata>\n`);
+    },
+
+    write(feature, row) {
+      const { properties } = feature;
+      const when = isoTime(properties.timestamp_detected);
+      const description = Object.entries(flattenProperties(properties))
+        .filter(([key, value]) => key !== 'id' && value !== null && value !== undefined)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('; ');
+
+      return writeChunk(out, `  <wpt lat="${row.latitude}" lon="${row.longitude}">` +
+        (when ? `<time>${when}</time>` : '') +
+        `<name>Fire ${properties.id}</name>` +
+        `<desc>${escapeXml(description)}</desc>` +
+        (properties.fire_status ? `<type>${escapeXml(properties.fire_status)}</type>` : '') +
+        '</wpt>\n');
+    },
+
+    end() {
+      out.end('</gpx>\n');
+    }
+  };
+}
+
+/**
+ * dBase field descriptors for the attribute table
+ * @param {Array<string>} columns - Flat property columns
+ * @returns {Array<Object>}
+ */
+function dbfFields(columns) {
+  return columns.map((column) => {
+    const name = DBF_NAMES[column] || column.slice(0, 10).toUpperCase();
+    if (NUMERIC_COLUMNS[column] !== undefined) {
+      return { column, name, type: 'N', length: 18, decimals: NUMERIC_COLUMNS[column] };
+    }
+    if (LOGICAL_COLUMNS.includes(column)) {
+      return { column, name, type: 'L', length: 1, decimals: 0 };
+    }
+    return { column, name, type: 'C', length: 254, decimals: 0 };
+  });
+}
+
+/**
+ * Encode one dBase record
+ * @param {Array<Object>} fields - Field descriptors
+ * @param {Object} values - Flat property values
+ * @returns {Buffer}
+ */
+function dbfRecord(fields, values) {
+  const parts = [Buffer.from(' ')];
+  fields.forEach((field) => {
+    const value = values[field.column];
+    let text;
+    if (field.type === 'N') {
+      text = typeof value === 'number' && isFinite(value) ? value.toFixed(field.decimals) : '';
+      text = text.slice(0, field.length).padStart(field.length, ' ');
+    } else if (field.type === 'L') {
+      text = value === true ? 'T' : value === false ? 'F' : '?';
+    } else {
+      text = value === null || value === undefined ? '' : String(value);
+    }
+
+    // Character fields are UTF-8 (see the .cpg file); cut on a character boundary
+    let bytes = Buffer.from(text, 'utf8');
+    while (bytes.length > field.length) {
+      text = text.slice(0, -1);
+      bytes = Buffer.from(text, 'utf8');
+    }
+    parts.push(bytes, Buffer.alloc(field.length - bytes.length, ' '));
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * dBase III header, written again with the record count once it is known
+ * @param {Array<Object>} fields - Field descriptors
+ * @param {number} count - Number of records
+ * @returns {Buffer}
+ */
+function dbfHeader(fields, count) {
+  const header = Buffer.alloc(32 + fields.length * 32 + 1);
+  const now = new Date();
+  header.writeUInt8(0x03, 0);
+  header.writeUInt8(now.getUTCFullYear() - 1900, 1);
+  header.writeUInt8(now.getUTCMonth() + 1, 2);
+  header.writeUInt8(now.getUTCDate(), 3);
+  header.writeUInt32LE(count, 4);
+  header.writeUInt16LE(header.length, 8);
+  header.writeUInt16LE(1 + fields.reduce((sum, field) => sum + field.length, 0), 10);
+
+  fields.forEach((field, index) => {
+    const offset = 32 + index * 32;
+    header.write(field.name, offset, 10, 'ascii');
+    header.write(field.type, offset + 11, 1, 'ascii');
+    header.writeUInt8(field.length, offset + 16);
+    header.writeUInt8(field.decimals, offset + 17);
+  });
+  header.writeUInt8(0x0d, header.length - 1);
+  return header;
+}
+
+/**
+ * Main file header shared by .shp and .shx
+ * @param {number} lengthBytes - File length
+ * @param {Array<number>} bbox - [minX, minY, maxX, maxY]
+ * @returns {Buffer}
+ */
+function shapeHeader(lengthBytes, bbox) {
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32BE(lengthBytes / 2, 24);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(1, 32); // Point
+  bbox.forEach((value, index) => header.writeDoubleLE(value, 36 + index * 8));
+  return header;
+}
+
+/**
+ * Shapefile writer: points with an attribute table, written to a temporary
+ * directory record by record and sent as a zip once complete
+ * @param {Object} out - Response stream
+ * @param {Array<string>} columns - Flat property columns
+ * @returns {Object}
+ */
+function createShapefileWriter(out, columns) {
+  const fields = dbfFields(columns);
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  let dir = null;
+  let shp = null;
+  let shx = null;
+  let dbf = null;
+  let count = 0;
+
+  /**
+   * Rewrite a header at the start of a finished file
+   * @param {string} file - File path
+   * @param {Buffer} header - Header bytes
+   * @returns {Promise<void>}
+   */
+  async function patchHeader(file, header) {
+    const handle = await fs.promises.open(file, 'r+');
+    try {
+      await handle.write(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return {
+    async start() {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'fires-shp-'));
+      shp = fs.createWriteStream(path.join(dir, 'fires.shp'));
+      shx = fs.createWriteStream(path.join(dir, 'fires.shx'));
+      dbf = fs.createWriteStream(path.join(dir, 'fires.dbf'));
+      await writeChunk(shp, Buffer.alloc(100));
+      await writeChunk(shx, Buffer.alloc(100));
+      await writeChunk(dbf, dbfHeader(fields, 0));
+    },
+
+    async write(feature, row) {
+      const record = Buffer.alloc(28);
+      record.writeInt32BE(count + 1, 0);
+      record.writeInt32BE(10, 4);
+      record.writeInt32LE(1, 8);
+      record.writeDoubleLE(row.longitude, 12);
+      record.writeDoubleLE(row.latitude, 20);
+
+      const index = Buffer.alloc(8);
+      index.writeInt32BE((100 + count * 28) / 2, 0);
+      index.writeInt32BE(10, 4);
+
+      bbox[0] = Math.min(bbox[0], row.longitude);
+      bbox[1] = Math.min(bbox[1], row.latitude);
+      bbox[2] = Math.max(bbox[2], row.longitude);
+      bbox[3] = Math.max(bbox[3], row.latitude);
+      count++;
+
+      await writeChunk(shp, record);
+      await writeChunk(shx, index);
+      await writeChunk(dbf, dbfRecord(fields, flattenProperties(feature.properties)));
+    },
+
+    async end() {
+      await writeChunk(dbf, Buffer.from([0x1a]));
+      await Promise.all([closeStream(shp), closeStream(shx), closeStream(dbf)]);
+
+      const extent = count > 0 ? bbox : [0, 0, 0, 0];
+      await patchHeader(path.join(dir, 'fires.shp'), shapeHeader(100 + count * 28, extent));
+      await patchHeader(path.join(dir, 'fires.shx'), shapeHeader(100 + count * 8, extent));
+      await patchHeader(path.join(dir, 'fires.dbf'), dbfHeader(fields, count));
+
+      // The client may have gone while the files were finished; abort() then removes them
+      if (out.destroyed) {
+        throw closedError();
+      }
+      const zip = archiver('zip');
+      const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+      out.once('close', cleanup);
+      zip.on('error', (err) => {
+        out.destroy(err);
+        cleanup();
+      });
+      zip.pipe(out);
+      ['shp', 'shx', 'dbf'].forEach(extension => zip.file(path.join(dir, `fires.${extension}`), { name: `fires.${extension}` }));
+      zip.append(WGS84_PRJ, { name: 'fires.prj' });
+      zip.append('UTF-8', { name: 'fires.cpg' });
+      await zip.finalize();
+    },
+
+    async abort() {
+      [shp, shx, dbf].filter(Boolean).forEach(stream => stream.destroy());
+      if (dir) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Stream fires matching a query in an export format. Rows are read in
+ * keyset-paginated batches, so the export never holds the whole table.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - EXPORT_FORMATS key
+ * @param {Object} options.query - source, columns, conditions, params, sort and optional limit
+ * @param {Array<string>|null} options.properties - Requested properties, or null for all
+ * @param {Function} options.toFeature - Converts a row to a GeoJSON Feature
+ * @returns {Promise<void>}
+ */
+async function exportFires(db, res, { format, query, properties, toFeature }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const columns = exportColumns(properties);
+  const writer = {
+    kml: () => createKmlWriter(res),
+    csv: () => createCsvWriter(res, columns),
+    gpx: () => createGpxWriter(res),
+    shapefile: () => createShapefileWriter(res, columns)
+  }[format]();
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="fires-${stamp}.${extension}"`);
+
+  try {
+    await writer.start();
+
+    let position = null;
+    let exported = 0;
+    for (;;) {
+      const conditions = [...query.conditions];
+      const params = [...query.params];
+      if (position) {
+        const keyset = keysetCondition(query.sort, position);
+        conditions.push(keyset.condition);
+        params.push(...keyset.params);
+      }
+
+      const size = query.limit ? Math.min(BATCH_SIZE, query.limit - exported) : BATCH_SIZE;
+      const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await all(db,
+        `SELECT ${query.columns} FROM ${query.source}${where} ${orderByClause(query.sort)} LIMIT ?`,
+        [...params, size]
+      );
+
+      // Writers that spool to disk do not notice a client disconnecting
+      if (res.destroyed) {
+        throw closedError();
+      }
+      for (const row of rows) {
+        await writer.write(toFeature(row), row);
+      }
+      exported += rows.length;
+
+      if (rows.length < size || (query.limit && exported >= query.limit)) {
+        break;
+      }
+      const last = rows[rows.length - 1];
+      position = { v: last[query.sort.column], id: last.id };
+    }
+
+    await writer.end();
+  } catch (err) {
+    if (writer.abort) {
+      await writer.abort();
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvValue,
+  isoTime,
+  parseExportFormat,
+  exportFires
+}
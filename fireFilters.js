@@ -0,0 +1,168 @@
+const { EARTH_RADIUS_KM } = require('./geoUtils')
+
+// Attribute filters accepting a single value or a comma-separated list
+const LIST_FILTERS = ['district', 'fire_type', 'risk_to_settlements', 'response_level'];
+
+// Numeric columns accepting <column>_min / <column>_max bounds
+const RANGE_FILTERS = ['fire_intensity', 'fire_size', 'confidence'];
+
+// Time window parameters mapped to the timestamp column they bound
+const TIME_FILTERS = {
+  detected_since: { column: 'timestamp_detected', operator: '>=' },
+  detected_until: { column: 'timestamp_detected', operator: '<=' },
+  updated_since: { column: 'last_update', operator: '>=' },
+  updated_until: { column: 'last_update', operator: '<=' }
+};
+
+// Every query parameter buildFireFilters understands
+const FILTER_PARAMETERS = [
+  'fire_status', 'status', 'include_archived', ...LIST_FILTERS,
+  ...RANGE_FILTERS.flatMap(column => [`${column}_min`, `${column}_max`]),
+  ...Object.keys(TIME_FILTERS), 'older_than_days', 'bbox', 'near', 'radius_km'
+];
+
+/**
+ * Parse a comma-separated list of numbers
+ * @param {string} value - Raw query string value
+ * @param {number} expected - Number of values required
+ * @returns {Array<number>|null} - Parsed numbers, or null if malformed
+ */
+function parseNumberList(value, expected) {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== expected || parts.some(part => part === '')) {
+    return null;
+  }
+  const numbers = parts.map(Number);
+  return numbers.some(isNaN) ? null : numbers;
+}
+
+/**
+ * Split a query value into a list of non-empty strings
+ * @param {string|Array<string>} value - Raw query string value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Translate GET /api/fires query parameters into parameterised SQL conditions
+ * @param {Object} query - Express req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.hideArchived] - Leave out archived fires unless
+ *   the status filter or include_archived=true asks for them
+ * @returns {{conditions: Array<string>, params: Array}|{error: string}}
+ */
+function buildFireFilters(query, { hideArchived = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (query.include_archived !== undefined && !['true', 'false'].includes(query.include_archived)) {
+    return { error: 'Invalid include_archived (must be true or false)' };
+  }
+
+  // Status filter (fire_status, or status for compatibility)
+  const statusFilter = query.fire_status || query.status;
+  if (statusFilter) {
+    const statuses = parseList(statusFilter);
+    conditions.push(`fire_status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  } else if (hideArchived && query.include_archived !== 'true') {
+    conditions.push('fire_status IS NOT ?');
+    params.push('archived');
+  }
+
+  // Attribute filters
+  for (const column of LIST_FILTERS) {
+    if (query[column] === undefined) {
+      continue;
+    }
+    const values = parseList(query[column]);
+    if (values.length === 0) {
+      return { error: `Invalid ${column} (must be a value or comma-separated list)` };
+    }
+    conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+
+  // Numeric ranges
+  for (const column of RANGE_FILTERS) {
+    for (const [suffix, operator] of [['min', '>='], ['max', '<=']]) {
+      const name = `${column}_${suffix}`;
+      if (query[name] === undefined) {
+        continue;
+      }
+      const value = Number(query[name]);
+      if (query[name] === '' || isNaN(value)) {
+        return { error: `Invalid ${name} (must be a number)` };
+      }
+      conditions.push(`${column} ${operator} ?`);
+      params.push(value);
+    }
+  }
+
+  // Time windows
+  for (const [name, { column, operator }] of Object.entries(TIME_FILTERS)) {
+    if (query[name] === undefined) {
+      continue;
+    }
+    if (isNaN(Date.parse(query[name]))) {
+      return { error: `Invalid ${name} (must be an ISO 8601 timestamp)` };
+    }
+    conditions.push(`julianday(${column}) ${operator} julianday(?)`);
+    params.push(new Date(query[name]).toISOString());
+  }
+
+  // Fires nobody has updated for a number of days
+  if (query.older_than_days !== undefined) {
+    const days = Number(query.older_than_days);
+    if (query.older_than_days === '' || isNaN(days) || days < 0) {
+      return { error: 'Invalid older_than_days (must be a non-negative number)' };
+    }
+    conditions.push("julianday(last_update) <= julianday('now') - ?");
+    params.push(days);
+  }
+
+  // Bounding box: minLon,minLat,maxLon,maxLat
+  if (query.bbox !== undefined) {
+    const bbox = parseNumberList(query.bbox, 4);
+    if (!bbox || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+      return { error: 'Invalid bbox (must be minLon,minLat,maxLon,maxLat)' };
+    }
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    conditions.push('longitude BETWEEN ? AND ?', 'latitude BETWEEN ? AND ?');
+    params.push(minLon, maxLon, minLat, maxLat);
+  }
+
+  // Radius search: near=lat,lng&radius_km=
+  if (query.near !== undefined || query.radius_km !== undefined) {
+    const near = query.near !== undefined ? parseNumberList(query.near, 2) : null;
+    if (!near || near[0] < -90 || near[0] > 90 || near[1] < -180 || near[1] > 180) {
+      return { error: 'Invalid near (must be lat,lng)' };
+    }
+    const radiusKm = Number(query.radius_km);
+    if (query.radius_km === undefined || query.radius_km === '' || isNaN(radiusKm) || radiusKm <= 0) {
+      return { error: 'Invalid radius_km (must be a positive number)' };
+    }
+    const [lat, lng] = near;
+    conditions.push(`
+      2 * ${EARTH_RADIUS_KM} * asin(sqrt(
+        power(sin(radians(latitude - ?) / 2), 2) +
+        cos(radians(?)) * cos(radians(latitude)) * power(sin(radians(longitude - ?) / 2), 2)
+      )) <= ?
+    `.trim());
+    params.push(lat, lat, lng, radiusKm);
+  }
+
+  return { conditions, params };
+}
+
+module.exports = {
+  FILTER_PARAMETERS,
+  parseList,
+  parseNumberList,
+  buildFireFilters
+}
@@ -0,0 +1,177 @@
+const { run, get, all } = require('./dbHelpers')
+
+// Every column of the fires table, in schema order
+const FIRE_COLUMNS = [
+  'id', 'latitude', 'longitude', 'timestamp_detected', 'last_update',
+  'fire_status', 'fire_type', 'fire_intensity', 'fire_size', 'confidence',
+  'fuel_type', 'terrain_type', 'slope', 'temperature', 'humidity',
+  'wind_speed', 'wind_direction', 'wind_type', 'agency_in_charge',
+  'response_level', 'firefighters', 'vehicles', 'aircraft',
+  'evacuation_status', 'district', 'nearest_village', 'distance_to_village',
+  'risk_to_settlements', 'reporter_name', 'reporter_contact', 'perimeter'
+];
+
+// Columns compared between revisions (last_update changes on every write)
+const TRACKED_COLUMNS = FIRE_COLUMNS.filter(column => !['id', 'last_update'].includes(column));
+
+/**
+ * Backfill a "created" revision for fires that predate history tracking
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function initializeHistory(db) {
+  const untracked = await all(db, `
+    SELECT * FROM fires
+    WHERE id NOT IN (SELECT DISTINCT fire_id FROM fire_revisions)
+    ORDER BY id
+  `);
+
+  for (const row of untracked) {
+    await recordRevision(db, {
+      action: 'created',
+      changedBy: 'system',
+      changedAt: sqliteTimestampToISO(row.timestamp_detected),
+      newRow: row
+    });
+  }
+}
+
+/**
+ * Convert a SQLite CURRENT_TIMESTAMP value (UTC, no zone) to ISO 8601
+ * @param {string} value - Timestamp in "YYYY-MM-DD HH:MM:SS" format
+ * @returns {string}
+ */
+function sqliteTimestampToISO(value) {
+  const date = value ? new Date(`${value.replace(' ', 'T')}Z`) : new Date();
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Compute field-level differences between two versions of a fire row
+ * @param {Object|null} oldRow - Row before the change (null on create)
+ * @param {Object|null} newRow - Row after the change (null on delete)
+ * @returns {Object} - Map of column to { old, new }
+ */
+function diffRows(oldRow, newRow) {
+  const changes = {};
+
+  TRACKED_COLUMNS.forEach(column => {
+    const oldValue = oldRow ? oldRow[column] : null;
+    const newValue = newRow ? newRow[column] : null;
+    if (oldValue !== newValue) {
+      changes[column] = { old: oldValue ?? null, new: newValue ?? null };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Append a revision to a fire's history. The snapshot is the row after the
+ * change, or its last state for deletes.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} revision
+ * @param {string} revision.action - created, updated or deleted
+ * @param {string} revision.changedBy - Who made the change
+ * @param {string} [revision.changedAt] - ISO timestamp, defaults to now
+ * @param {Object|null} [revision.oldRow] - Row before the change
+ * @param {Object|null} [revision.newRow] - Row after the change
+ * @returns {Promise<Object|null>} - Stored revision, or null if nothing changed
+ */
+async function recordRevision(db, { action, changedBy, changedAt, oldRow = null, newRow = null }) {
+  const fireId = (newRow || oldRow).id;
+  const changes = diffRows(oldRow, newRow);
+
+  if (action === 'updated' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const { version } = await get(db,
+    'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM fire_revisions WHERE fire_id = ?',
+    [fireId]
+  );
+
+  const revision = {
+    fire_id: fireId,
+    version,
+    action,
+    changed_by: changedBy || 'anonymous',
+    changed_at: changedAt || new Date().toISOString(),
+    changes
+  };
+
+  const { lastID } = await run(db, `
+    INSERT INTO fire_revisions (fire_id, version, action, changed_by, changed_at, changes, snapshot)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    revision.fire_id, revision.version, revision.action, revision.changed_by,
+    revision.changed_at, JSON.stringify(changes), JSON.stringify(newRow || oldRow)
+  ]);
+
+  return { id: lastID, ...revision };
+}
+
+/**
+ * List every revision of a fire, oldest first
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} fireId - Fire incident ID
+ * @param {Object} [options]
+ * @param {Array<string>} [options.omit] - Columns left out of the changes
+ * @returns {Promise<Array<Object>>}
+ */
+async function getHistory(db, fireId, { omit = [] } = {}) {
+  const rows = await all(db,
+    'SELECT * FROM fire_revisions WHERE fire_id = ? ORDER BY version ASC',
+    [fireId]
+  );
+
+  return rows.map((row) => {
+    const changes = JSON.parse(row.changes);
+    omit.forEach(column => delete changes[column]);
+    return {
+      version: row.version,
+      action: row.action,
+      changed_by: row.changed_by,
+      changed_at: row.changed_at,
+      changes
+    };
+  });
+}
+
+/**
+ * Build a derived table that replays the fires table as it was at a given
+ * moment, usable in place of "fires" in a FROM clause. Snapshot values are
+ * read back with the column types of the fires table.
+ * @param {string} asOf - ISO 8601 timestamp
+ * @param {string} [dialect] - Database dialect ('sqlite' or 'postgres')
+ * @returns {{sql: string, params: Array}}
+ */
+function asOfSource(asOf, dialect = 'sqlite') {
+  const postgres = dialect === 'postgres';
+  const columns = FIRE_COLUMNS
+    .map(column => (postgres ? `s.${column}` : `json_extract(r.snapshot, '$.${column}') AS ${column}`))
+    .join(',\n        ');
+
+  return {
+    sql: `(
+      SELECT
+        ${columns}
+      FROM fire_revisions r${postgres ? ',\n        jsonb_populate_record(NULL::fires, r.snapshot::jsonb) s' : ''}
+      WHERE r.id IN (
+        SELECT MAX(id) FROM fire_revisions
+        WHERE julianday(changed_at) <= julianday(?)
+        GROUP BY fire_id
+      )
+      AND r.action != 'deleted'
+    )`,
+    params: [new Date(asOf).toISOString()]
+  };
+}
+
+module.exports = {
+  FIRE_COLUMNS,
+  initializeHistory,
+  recordRevision,
+  getHistory,
+  asOfSource
+}
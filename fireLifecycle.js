@@ -0,0 +1,156 @@
+const { run, all } = require('./dbHelpers')
+const { FIRE_STATUSES } = require('./fireSchema')
+
+// Statuses each status may move on to: reported → confirmed → active ↔
+// threat → contained → controlled → extinguished → archived
+const FIRE_TRANSITIONS = {
+  reported: ['confirmed'],
+  confirmed: ['active'],
+  active: ['threat', 'contained'],
+  threat: ['active', 'contained'],
+  contained: ['controlled'],
+  controlled: ['extinguished'],
+  extinguished: ['archived'],
+  archived: []
+};
+
+// Fires that are still burning: every status before controlled, from the
+// first report until the fire is contained
+const BURNING_STATUSES = FIRE_STATUSES.slice(0, FIRE_STATUSES.indexOf('controlled'));
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Backfill the status changes of fires that predate lifecycle tracking from
+ * their revision history
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function initializeLifecycle(db) {
+  const revisions = await all(db, `
+    SELECT fire_id, action, changed_by, changed_at, changes FROM fire_revisions
+    WHERE fire_id NOT IN (SELECT DISTINCT fire_id FROM fire_status_transitions)
+    ORDER BY fire_id, version
+  `);
+
+  for (const revision of revisions) {
+    const change = JSON.parse(revision.changes).fire_status;
+    if (revision.action === 'deleted' || !change) {
+      continue;
+    }
+    await recordTransition(db, {
+      fireId: revision.fire_id,
+      from: change.old,
+      to: change.new,
+      changedBy: revision.changed_by,
+      changedAt: revision.changed_at
+    });
+  }
+}
+
+/**
+ * Statuses a fire may move on to from its current one
+ * @param {string} status - Current fire_status
+ * @returns {Array<string>}
+ */
+function allowedTransitions(status) {
+  return FIRE_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check a status change against the lifecycle
+ * @param {string} from - Current fire_status
+ * @param {string} to - Requested fire_status
+ * @returns {{error: string, allowed: Array<string>}|null} - null if allowed or unchanged
+ */
+function statusChangeError(from, to) {
+  if (to === undefined || to === from || allowedTransitions(from).includes(to)) {
+    return null;
+  }
+  const allowed = allowedTransitions(from);
+  return {
+    error: `Cannot change fire_status from ${from} to ${to}` +
+      (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`),
+    allowed
+  };
+}
+
+/**
+ * Validate a transition request body
+ * @param {Object} body - { status, reason }
+ * @returns {{status: string, reason: string|null}|{error: string, details: Array<Object>}}
+ */
+function validateTransition(body) {
+  const { status, reason } = body || {};
+  const details = [];
+
+  if (!FIRE_STATUSES.includes(status)) {
+    details.push({ field: 'status', message: `must be one of ${FIRE_STATUSES.join(', ')}` });
+  }
+  if (reason !== undefined && reason !== null &&
+    (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    details.push({ field: 'reason', message: `must be a string of at most ${MAX_REASON_LENGTH} characters` });
+  }
+
+  if (details.length > 0) {
+    return {
+      error: `Invalid fields: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`,
+      details
+    };
+  }
+  return { status, reason: reason ? reason.trim() || null : null };
+}
+
+/**
+ * Store a status change of a fire
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} transition
+ * @param {number} transition.fireId - Fire ID
+ * @param {string} transition.from - Previous fire_status
+ * @param {string} transition.to - New fire_status
+ * @param {string|null} [transition.reason] - Why the status changed
+ * @param {string} transition.changedBy - Who changed it
+ * @param {string} [transition.changedAt] - When, defaults to now
+ * @returns {Promise<Object>} - Stored transition
+ */
+async function recordTransition(db, { fireId, from, to, reason = null, changedBy, changedAt = null }) {
+  const transition = {
+    fire_id: fireId,
+    from_status: from,
+    to_status: to,
+    reason,
+    changed_by: changedBy || 'anonymous',
+    changed_at: changedAt || new Date().toISOString()
+  };
+
+  const { lastID } = await run(db, `
+    INSERT INTO fire_status_transitions (fire_id, from_status, to_status, reason, changed_by, changed_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    transition.fire_id, transition.from_status, transition.to_status,
+    transition.reason, transition.changed_by, transition.changed_at
+  ]);
+
+  return { id: lastID, ...transition };
+}
+
+/**
+ * Status changes of a fire, oldest first
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} fireId - Fire ID
+ * @returns {Promise<Array<Object>>}
+ */
+function listTransitions(db, fireId) {
+  return all(db, 'SELECT * FROM fire_status_transitions WHERE fire_id = ? ORDER BY changed_at, id', [fireId]);
+}
+
+module.exports = {
+  FIRE_TRANSITIONS,
+  BURNING_STATUSES,
+  initializeLifecycle,
+  allowedTransitions,
+  statusChangeError,
+  validateTransition,
+  recordTransition,
+  listTransitions
+}
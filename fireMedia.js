@@ -0,0 +1,244 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const sharp = require('sharp')
+const exifr = require('exifr')
+const { run, get, all } = require('./dbHelpers')
+
+// Drone stills run to 15–20 MB
+const MAX_MEDIA_BYTES = 25 * 1024 * 1024;
+
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Formats accepted (as detected from the content, not the declared type)
+const MEDIA_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: '.jpg' },
+  png: { contentType: 'image/png', extension: '.png' },
+  webp: { contentType: 'image/webp', extension: '.webp' },
+  tiff: { contentType: 'image/tiff', extension: '.tif' }
+};
+
+// Longest side of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Camera position and time from EXIF. Pictures without EXIF, or whose EXIF
+ * cannot be read, simply have no metadata.
+ * @param {Buffer} data - Image content
+ * @returns {Promise<Object>}
+ */
+async function readExif(data) {
+  let tags = null;
+  try {
+    tags = await exifr.parse(data, { tiff: true, exif: true, gps: true, xmp: false, icc: false, iptc: false });
+  } catch (err) {
+    tags = null;
+  }
+  if (!tags) {
+    return { latitude: null, longitude: null, altitude: null, taken_at: null, camera: null };
+  }
+
+  const takenAt = tags.DateTimeOriginal || tags.CreateDate || null;
+  const camera = [tags.Make, tags.Model].filter(Boolean).join(' ');
+  return {
+    latitude: typeof tags.latitude === 'number' ? tags.latitude : null,
+    longitude: typeof tags.longitude === 'number' ? tags.longitude : null,
+    altitude: typeof tags.GPSAltitude === 'number' ? tags.GPSAltitude : null,
+    taken_at: takenAt instanceof Date && !isNaN(takenAt.getTime()) ? takenAt.toISOString() : null,
+    camera: camera || null
+  };
+}
+
+/**
+ * Convert a fire_media row to its API representation
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function mediaToJSON(row) {
+  const url = `/api/fires/${row.fire_id}/media/${row.id}`;
+  return {
+    id: row.id,
+    fire_id: row.fire_id,
+    url: `${url}/file`,
+    thumbnail_url: `${url}/thumbnail`,
+    original_name: row.original_name,
+    content_type: row.content_type,
+    size_bytes: row.size_bytes,
+    width: row.width,
+    height: row.height,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    altitude: row.altitude,
+    taken_at: row.taken_at,
+    camera: row.camera,
+    uploaded_by: row.uploaded_by,
+    uploaded_at: row.uploaded_at
+  };
+}
+
+/**
+ * Create the store for photos and drone images attached to fires. Files
+ * live under dir as <fire id>/<random name>, each with a JPEG thumbnail;
+ * the fires.media column keeps the URLs returned in the fire's properties.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} options
+ * @param {string} options.dir - Storage directory
+ * @returns {Object}
+ */
+function createMediaStore(db, { dir }) {
+  /**
+   * Create the storage directory
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+
+  /**
+   * Rewrite the media URLs kept on the fire row
+   * @param {number} fireId - Fire ID
+   * @returns {Promise<void>}
+   */
+  async function refreshFireMedia(fireId) {
+    const rows = await all(db, 'SELECT id, fire_id FROM fire_media WHERE fire_id = ? ORDER BY id', [fireId]);
+    const media = rows.map(mediaToJSON).map(({ id, url, thumbnail_url }) => ({ id, url, thumbnail_url }));
+    await run(db, 'UPDATE fires SET media = ? WHERE id = ?', [media.length > 0 ? JSON.stringify(media) : null, fireId]);
+  }
+
+  /**
+   * Check an upload's content, extract its EXIF and store it with a thumbnail
+   * @param {number} fireId - Fire ID
+   * @param {Object} file
+   * @param {Buffer} file.data - Content
+   * @param {string} [file.originalName] - Name given by the uploader
+   * @param {string} uploadedBy - Who uploaded the file
+   * @returns {Promise<{media: Object}|{error: string}>}
+   */
+  async function addMedia(fireId, { data, originalName = null }, uploadedBy) {
+    let metadata;
+    try {
+      metadata = await sharp(data).metadata();
+    } catch (err) {
+      return { error: `${originalName || 'File'} is not a readable image` };
+    }
+
+    const format = MEDIA_FORMATS[metadata.format];
+    if (!format) {
+      return { error: `${originalName || 'File'} must be one of ${Object.keys(MEDIA_FORMATS).join(', ')} (got ${metadata.format})` };
+    }
+
+    const name = crypto.randomBytes(12).toString('hex');
+    const filePath = path.join(String(fireId), `${name}${format.extension}`);
+    const thumbnailPath = path.join(String(fireId), `${name}.thumb.jpg`);
+    const exif = await readExif(data);
+
+    await fs.promises.mkdir(path.join(dir, String(fireId)), { recursive: true });
+    await fs.promises.writeFile(path.join(dir, filePath), data);
+    await sharp(data)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(path.join(dir, thumbnailPath));
+
+    const { lastID } = await run(db, `
+      INSERT INTO fire_media (
+        fire_id, file_path, thumbnail_path, original_name, content_type, size_bytes, width, height,
+        latitude, longitude, altitude, taken_at, camera, uploaded_by, uploaded_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      fireId, filePath, thumbnailPath, originalName, format.contentType, data.length,
+      metadata.width || null, metadata.height || null, exif.latitude, exif.longitude, exif.altitude,
+      exif.taken_at, exif.camera, uploadedBy, new Date().toISOString()
+    ]);
+
+    await refreshFireMedia(fireId);
+    return { media: mediaToJSON(await get(db, 'SELECT * FROM fire_media WHERE id = ?', [lastID])) };
+  }
+
+  /**
+   * Media attached to a fire, oldest first
+   * @param {number|string} fireId - Fire ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async function listMedia(fireId) {
+    const rows = await all(db, 'SELECT * FROM fire_media WHERE fire_id = ? ORDER BY id', [fireId]);
+    return rows.map(mediaToJSON);
+  }
+
+  /**
+   * Get an attachment of a fire
+   * @param {number|string} fireId - Fire ID
+   * @param {number|string} id - Media ID
+   * @returns {Promise<Object|null>} - API representation plus the absolute file and thumbnail paths
+   */
+  async function getMedia(fireId, id) {
+    const row = await get(db, 'SELECT * FROM fire_media WHERE id = ? AND fire_id = ?', [id, fireId]);
+    if (!row) {
+      return null;
+    }
+    return {
+      ...mediaToJSON(row),
+      filePath: path.resolve(dir, row.file_path),
+      thumbnailPath: path.resolve(dir, row.thumbnail_path)
+    };
+  }
+
+  /**
+   * Remove the files of media rows; files already gone are ignored
+   * @param {Array<Object>} rows - fire_media rows
+   * @returns {Promise<void>}
+   */
+  async function removeFiles(rows) {
+    for (const row of rows) {
+      await fs.promises.rm(path.join(dir, row.file_path), { force: true });
+      await fs.promises.rm(path.join(dir, row.thumbnail_path), { force: true });
+    }
+  }
+
+  /**
+   * Delete an attachment and its files
+   * @param {number|string} fireId - Fire ID
+   * @param {number|string} id - Media ID
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async function deleteMedia(fireId, id) {
+    const row = await get(db, 'SELECT * FROM fire_media WHERE id = ? AND fire_id = ?', [id, fireId]);
+    if (!row) {
+      return false;
+    }
+
+    await run(db, 'DELETE FROM fire_media WHERE id = ?', [row.id]);
+    await removeFiles([row]);
+    await refreshFireMedia(row.fire_id);
+    return true;
+  }
+
+  /**
+   * Delete every attachment of a deleted fire
+   * @param {number} fireId - Fire ID
+   * @returns {Promise<void>}
+   */
+  async function deleteFireMedia(fireId) {
+    const rows = await all(db, 'SELECT * FROM fire_media WHERE fire_id = ?', [fireId]);
+    await run(db, 'DELETE FROM fire_media WHERE fire_id = ?', [fireId]);
+    await removeFiles(rows);
+  }
+
+  return {
+    initialize,
+    addMedia,
+    listMedia,
+    getMedia,
+    deleteMedia,
+    deleteFireMedia,
+    refreshFireMedia
+  };
+}
+
+module.exports = {
+  MAX_MEDIA_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  MEDIA_FORMATS,
+  createMediaStore
+}
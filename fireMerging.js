@@ -0,0 +1,190 @@
+const { run, get, all } = require('./dbHelpers')
+const { distanceKm } = require('./geoUtils')
+const { BURNING_STATUSES } = require('./fireLifecycle')
+
+// A report this close to a fire that was active around the same time is
+// probably the same incident
+const DUPLICATE_RADIUS_KM = 1;
+const DUPLICATE_WINDOW_HOURS = 12;
+
+const DUPLICATE_ACTIONS = ['flag', 'merge'];
+
+const RISK_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * Fires that a report probably duplicates: still burning (see BURNING_STATUSES),
+ * within DUPLICATE_RADIUS_KM and active between detection and last update,
+ * give or take DUPLICATE_WINDOW_HOURS. A report near a fire that is already
+ * under control is a flare-up, not a duplicate.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} row - The new fire row
+ * @returns {Promise<Array<Object>>} - Candidates, nearest first
+ */
+async function findDuplicates(db, row) {
+  const window = DUPLICATE_WINDOW_HOURS / 24;
+  // Bounding box prefilter; one degree of latitude is about 111 km
+  const dLat = DUPLICATE_RADIUS_KM / 111;
+  const dLng = dLat / Math.max(Math.cos(row.latitude * Math.PI / 180), 0.01);
+
+  const candidates = await all(db, `
+    SELECT * FROM fires
+    WHERE id IS NOT ?
+      AND fire_status IN (${BURNING_STATUSES.map(() => '?').join(', ')})
+      AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+      AND julianday(timestamp_detected) - ? <= julianday(?)
+      AND julianday(last_update) + ? >= julianday(?)
+  `, [
+    row.id, ...BURNING_STATUSES, row.latitude - dLat, row.latitude + dLat, row.longitude - dLng, row.longitude + dLng,
+    window, row.timestamp_detected, window, row.timestamp_detected
+  ]);
+
+  return candidates
+    .map(candidate => ({
+      id: candidate.id,
+      fire_status: candidate.fire_status,
+      district: candidate.district,
+      timestamp_detected: candidate.timestamp_detected,
+      last_update: candidate.last_update,
+      distance_km: Math.round(distanceKm(row.latitude, row.longitude, candidate.latitude, candidate.longitude) * 100) / 100
+    }))
+    .filter(candidate => candidate.distance_km <= DUPLICATE_RADIUS_KM)
+    .sort((a, b) => a.distance_km - b.distance_km);
+}
+
+/**
+ * Fields of the surviving fire after folding another into it: the earliest
+ * detection, the strongest readings and the higher risk. Manual resource
+ * counts are added up unless either fire has tracked assignments.
+ * @param {Object} target - Surviving fire row
+ * @param {Object} source - Fire row being folded in
+ * @param {boolean} tracked - Whether either fire has resource assignments
+ * @returns {Object} - Column values to update
+ */
+function mergedFields(target, source, tracked) {
+  const fields = {
+    timestamp_detected: source.timestamp_detected < target.timestamp_detected
+      ? source.timestamp_detected
+      : target.timestamp_detected,
+    fire_intensity: Math.max(target.fire_intensity, source.fire_intensity),
+    fire_size: Math.max(target.fire_size, source.fire_size),
+    confidence: Math.max(target.confidence, source.confidence),
+    risk_to_settlements: RISK_ORDER[Math.max(
+      RISK_ORDER.indexOf(target.risk_to_settlements),
+      RISK_ORDER.indexOf(source.risk_to_settlements)
+    )]
+  };
+
+  if (!tracked) {
+    ['firefighters', 'vehicles', 'aircraft'].forEach((column) => {
+      fields[column] = (target[column] || 0) + (source[column] || 0);
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Keep a report folded into a fire among its original reports
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} source - Fire row being folded in, with a null id for a
+ *   report that was never stored as a fire
+ * @param {number} targetId - Surviving fire ID
+ * @param {string} mergedBy - Who merged the report
+ * @returns {Promise<void>}
+ */
+async function recordReport(db, source, targetId, mergedBy) {
+  await run(db, `
+    INSERT INTO fire_reports (
+      fire_id, source_fire_id, latitude, longitude, reported_at, reporter_name,
+      reporter_contact, snapshot, merged_by, merged_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    targetId, source.id, source.latitude, source.longitude, source.timestamp_detected,
+    source.reporter_name || null, source.reporter_contact || null, JSON.stringify(source),
+    mergedBy, new Date().toISOString()
+  ]);
+}
+
+/**
+ * Move everything attached to a fire over to another: its original report
+ * (the fire row as it was), reports it had absorbed, satellite detections,
+ * resource assignments, evacuation zones and media. The caller deletes the
+ * source row.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} source - Fire row being folded in
+ * @param {number} targetId - Surviving fire ID
+ * @param {string} mergedBy - Who merged the fires
+ * @returns {Promise<void>}
+ */
+async function moveFireRecords(db, source, targetId, mergedBy) {
+  await recordReport(db, source, targetId, mergedBy);
+  await run(db, 'UPDATE fire_reports SET fire_id = ? WHERE fire_id = ?', [targetId, source.id]);
+  await run(db, 'UPDATE satellite_detections SET fire_id = ? WHERE fire_id = ?', [targetId, source.id]);
+  await run(db, 'UPDATE resource_assignments SET fire_id = ? WHERE fire_id = ?', [targetId, source.id]);
+  await run(db, 'UPDATE evacuation_zones SET fire_id = ? WHERE fire_id = ?', [targetId, source.id]);
+  await run(db, 'UPDATE fire_media SET fire_id = ? WHERE fire_id = ?', [targetId, source.id]);
+}
+
+/**
+ * Convert a fire_reports row to its API representation
+ * @param {Object} row - Database row
+ * @param {boolean} hideReporters - Leave out who reported the fire and how to reach them
+ * @returns {Object}
+ */
+function reportToJSON(row, hideReporters) {
+  const report = JSON.parse(row.snapshot);
+  if (hideReporters) {
+    delete report.reporter_name;
+    delete report.reporter_contact;
+  }
+
+  return {
+    id: row.id,
+    source_fire_id: row.source_fire_id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    reported_at: row.reported_at,
+    reporter_name: hideReporters ? undefined : row.reporter_name,
+    reporter_contact: hideReporters ? undefined : row.reporter_contact,
+    merged_by: row.merged_by,
+    merged_at: row.merged_at,
+    report
+  };
+}
+
+/**
+ * Original reports merged into a fire, oldest first
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} fireId - Fire ID
+ * @param {Object} [options]
+ * @param {boolean} [options.hideReporters] - Leave out reporter names and contacts
+ * @returns {Promise<Array<Object>>}
+ */
+async function listReports(db, fireId, { hideReporters = false } = {}) {
+  const rows = await all(db, 'SELECT * FROM fire_reports WHERE fire_id = ? ORDER BY reported_at, id', [fireId]);
+  return rows.map(row => reportToJSON(row, hideReporters));
+}
+
+/**
+ * ID of the fire a deleted fire was merged into
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} sourceId - ID of the merged fire
+ * @returns {Promise<number|null>}
+ */
+async function findMergedInto(db, sourceId) {
+  const row = await get(db, 'SELECT fire_id FROM fire_reports WHERE source_fire_id = ? ORDER BY id DESC LIMIT 1', [sourceId]);
+  return row ? row.fire_id : null;
+}
+
+module.exports = {
+  DUPLICATE_RADIUS_KM,
+  DUPLICATE_WINDOW_HOURS,
+  DUPLICATE_ACTIONS,
+  findDuplicates,
+  mergedFields,
+  recordReport,
+  moveFireRecords,
+  listReports,
+  findMergedInto
+}
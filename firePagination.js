@@ -0,0 +1,206 @@
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DEFAULT_SORT = '-timestamp_detected';
+
+// Columns clients may sort the fires collection by
+const SORTABLE_COLUMNS = [
+  'id', 'timestamp_detected', 'last_update', 'fire_intensity', 'fire_size',
+  'confidence', 'district', 'fire_status', 'risk_to_settlements'
+];
+
+// Feature properties backed by columns with a different name
+const PROPERTY_COLUMNS = {
+  resources_on_site: ['firefighters', 'vehicles', 'aircraft'],
+  has_perimeter: ['perimeter'],
+  fire_danger: ['temperature', 'humidity', 'wind_speed']
+};
+
+// Feature properties clients may request through the fields parameter
+const SELECTABLE_PROPERTIES = [
+  'timestamp_detected', 'last_update', 'fire_status', 'fire_type', 'fire_intensity',
+  'fire_size', 'confidence', 'fuel_type', 'terrain_type', 'slope', 'temperature',
+  'humidity', 'wind_speed', 'wind_direction', 'wind_type', 'agency_in_charge',
+  'response_level', 'resources_on_site', 'evacuation_status', 'district',
+  'nearest_village', 'distance_to_village', 'risk_to_settlements', 'has_perimeter',
+  'fire_danger', 'media'
+];
+
+/**
+ * Parse the limit parameter
+ * @param {string} value - Raw query string value
+ * @returns {number|null} - Page size, or null if invalid
+ */
+function parseLimit(value) {
+  if (value === undefined) {
+    return DEFAULT_LIMIT;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return null;
+  }
+  return limit;
+}
+
+/**
+ * Parse the sort parameter ("column" ascending, "-column" descending)
+ * @param {string} value - Raw query string value
+ * @returns {{key: string, column: string, descending: boolean}|null}
+ */
+function parseSort(value = DEFAULT_SORT) {
+  // A repeated parameter arrives as an array
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const descending = value.startsWith('-');
+  const column = descending ? value.slice(1) : value;
+  if (!SORTABLE_COLUMNS.includes(column)) {
+    return null;
+  }
+  return { key: value, column, descending };
+}
+
+/**
+ * Parse the fields parameter into the properties to return and the
+ * columns needed to build them
+ * @param {string} value - Comma-separated property names
+ * @returns {{properties: Array<string>|null, columns: Array<string>|null}|{error: string}}
+ */
+function parseFields(value) {
+  if (value === undefined) {
+    return { properties: null, columns: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: 'Invalid fields (must be given once, as a comma-separated list)' };
+  }
+
+  const properties = value.split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = properties.filter(property => property !== 'id' && !SELECTABLE_PROPERTIES.includes(property));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+
+  const columns = new Set(['id', 'latitude', 'longitude']);
+  properties.forEach(property => {
+    (PROPERTY_COLUMNS[property] || [property]).forEach(column => columns.add(column));
+  });
+
+  return { properties: ['id', ...properties.filter(property => property !== 'id')], columns: [...columns] };
+}
+
+/**
+ * Keep only the requested properties of a GeoJSON Feature
+ * @param {Object} feature - GeoJSON Feature
+ * @param {Array<string>|null} properties - Properties to keep, or null for all
+ * @returns {Object}
+ */
+function pickProperties(feature, properties) {
+  if (!properties) {
+    return feature;
+  }
+  const picked = {};
+  properties.forEach(property => {
+    picked[property] = feature.properties[property];
+  });
+  return { ...feature, properties: picked };
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} sort - Parsed sort
+ * @param {Object} row - Last row of the current page
+ * @returns {string}
+ */
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sort.key, v: row[sort.column], id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Object} sort - Parsed sort the cursor must have been issued for
+ * @returns {{v: *, id: number}|null}
+ */
+function decodeCursor(cursor, sort) {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.s !== sort.key || !Number.isInteger(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the ORDER BY clause for a sort, with id as tie-breaker. NULLs are
+ * placed explicitly so keyset conditions behave the same on every database.
+ * @param {Object} sort - Parsed sort
+ * @returns {string}
+ */
+function orderByClause(sort) {
+  return sort.descending
+    ? `ORDER BY ${sort.column} DESC NULLS LAST, id DESC`
+    : `ORDER BY ${sort.column} ASC NULLS FIRST, id ASC`;
+}
+
+/**
+ * Build the keyset condition selecting rows after a cursor position
+ * @param {Object} sort - Parsed sort
+ * @param {{v: *, id: number}} position - Decoded cursor
+ * @returns {{condition: string, params: Array}}
+ */
+function keysetCondition(sort, position) {
+  const { column } = sort;
+  const after = sort.descending ? '<' : '>';
+
+  if (position.v === null || position.v === undefined) {
+    return sort.descending
+      ? { condition: `(${column} IS NULL AND id < ?)`, params: [position.id] }
+      : { condition: `((${column} IS NULL AND id > ?) OR ${column} IS NOT NULL)`, params: [position.id] };
+  }
+
+  const condition = `(${column} ${after} ? OR (${column} = ? AND id ${after} ?)` +
+    (sort.descending ? ` OR ${column} IS NULL)` : ')');
+  return { condition, params: [position.v, position.v, position.id] };
+}
+
+/**
+ * Build a link to the same collection with some query parameters replaced
+ * @param {Object} req - Express request
+ * @param {Object} overrides - Parameters to set (undefined removes them)
+ * @returns {string} - Relative URL
+ */
+function buildLink(req, overrides) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (value === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  });
+  return `${url.pathname}${url.search}`;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORTABLE_COLUMNS,
+  SELECTABLE_PROPERTIES,
+  parseLimit,
+  parseSort,
+  parseFields,
+  pickProperties,
+  encodeCursor,
+  decodeCursor,
+  orderByClause,
+  keysetCondition,
+  buildLink
+}
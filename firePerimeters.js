@@ -0,0 +1,58 @@
+const { run, all } = require('./dbHelpers')
+const { validatePolygonGeometry, polygonAreaHa } = require('./geoUtils')
+
+/**
+ * Validate a perimeter geometry
+ * @param {*} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {{geometry: Object}|{error: string}}
+ */
+function validatePerimeter(geometry) {
+  return validatePolygonGeometry(geometry, 'perimeter');
+}
+
+/**
+ * Store a perimeter observation
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} fireId - Fire ID
+ * @param {Object} geometry - Validated Polygon or MultiPolygon
+ * @param {string} recordedBy - Name of who reported it
+ * @returns {Promise<{id: number, area_ha: number, recorded_at: string}>}
+ */
+async function recordPerimeter(db, fireId, geometry, recordedBy) {
+  const areaHa = polygonAreaHa(geometry);
+  const recordedAt = new Date().toISOString();
+  const { lastID } = await run(db,
+    'INSERT INTO fire_perimeters (fire_id, geometry, area_ha, recorded_by, recorded_at) VALUES (?, ?, ?, ?, ?)',
+    [fireId, JSON.stringify(geometry), areaHa, recordedBy, recordedAt]
+  );
+  return { id: lastID, area_ha: areaHa, recorded_at: recordedAt };
+}
+
+/**
+ * Perimeter progression of a fire as GeoJSON Features, oldest first, with
+ * the growth since the previous observation
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} fireId - Fire ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPerimeters(db, fireId) {
+  const rows = await all(db, 'SELECT * FROM fire_perimeters WHERE fire_id = ? ORDER BY recorded_at ASC, id ASC', [fireId]);
+
+  return rows.map((row, index) => ({
+    type: 'Feature',
+    geometry: JSON.parse(row.geometry),
+    properties: {
+      id: row.id,
+      recorded_at: row.recorded_at,
+      recorded_by: row.recorded_by,
+      area_ha: row.area_ha,
+      growth_ha: index === 0 ? null : Math.round((row.area_ha - rows[index - 1].area_ha) * 100) / 100
+    }
+  }));
+}
+
+module.exports = {
+  validatePerimeter,
+  recordPerimeter,
+  getPerimeters
+}
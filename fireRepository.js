@@ -0,0 +1,94 @@
+const { run, get } = require('./dbHelpers')
+
+/**
+ * Whether a value can be a fire ID. PostgreSQL rejects comparing the
+ * integer id column with other strings, where SQLite just finds no row.
+ * @param {*} id - Value from a route parameter or request body
+ * @returns {boolean}
+ */
+function isFireId(id) {
+  return /^\d+$/.test(String(id));
+}
+
+/**
+ * Create the repository holding the statements that read and write single
+ * fire rows, written once for both SQLite and PostgreSQL. Column names come
+ * from validated fields, never from request input.
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Object}
+ */
+function createFireRepository(db) {
+  /**
+   * Fire row by ID
+   * @param {number|string} id - Fire ID
+   * @returns {Promise<Object|undefined>}
+   */
+  async function findById(id) {
+    if (!isFireId(id)) {
+      return undefined;
+    }
+    return get(db, 'SELECT * FROM fires WHERE id = ?', [id]);
+  }
+
+  /**
+   * Whether a fire exists
+   * @param {number|string} id - Fire ID
+   * @returns {Promise<boolean>}
+   */
+  async function exists(id) {
+    return isFireId(id) && Boolean(await get(db, 'SELECT id FROM fires WHERE id = ?', [id]));
+  }
+
+  /**
+   * Insert a fire
+   * @param {Object} fields - Column values
+   * @param {Object} [options]
+   * @param {string|null} [options.detectedAt] - timestamp_detected, defaults to now
+   * @returns {Promise<Object>} - Stored row
+   */
+  async function insert(fields, { detectedAt = null } = {}) {
+    const columns = Object.keys(fields);
+    const { lastID } = await run(db, `
+      INSERT INTO fires (${columns.join(', ')}, timestamp_detected)
+      VALUES (${columns.map(() => '?').join(', ')}, COALESCE(?, CURRENT_TIMESTAMP))
+    `, [...columns.map(column => fields[column]), detectedAt]);
+    return findById(lastID);
+  }
+
+  /**
+   * Set columns of a fire and its last_update time
+   * @param {number} id - Fire ID
+   * @param {Object} fields - Column values to set
+   * @returns {Promise<Object|undefined>} - Updated row
+   */
+  async function update(id, fields) {
+    const columns = Object.keys(fields);
+    await run(db,
+      `UPDATE fires SET ${columns.map(column => `${column} = ?`).join(', ')}, last_update = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), id]
+    );
+    return findById(id);
+  }
+
+  /**
+   * Delete a fire row (records attached to it are left to the caller)
+   * @param {number} id - Fire ID
+   * @returns {Promise<boolean>} - Whether a row was deleted
+   */
+  async function remove(id) {
+    const { changes } = await run(db, 'DELETE FROM fires WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  return {
+    findById,
+    exists,
+    insert,
+    update,
+    remove
+  };
+}
+
+module.exports = {
+  createFireRepository
+}
@@ -0,0 +1,263 @@
+// Lifecycle order; the allowed changes are in fireLifecycle.js
+const FIRE_STATUSES = ['reported', 'confirmed', 'active', 'threat', 'contained', 'controlled', 'extinguished', 'archived'];
+
+// Statuses a fire may be reported with; the later ones are reached through the lifecycle
+const ENTRY_STATUSES = ['reported', 'confirmed', 'active'];
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const FIRE_TYPES = ['wildfire', 'forest', 'grassland', 'shrubland', 'agricultural', 'interface', 'other'];
+
+// Matches the fuel models of the spread forecast
+const FUEL_TYPES = [
+  'dry_grass', 'grassland', 'crop_residue', 'shrubland', 'maquis',
+  'pine_forest', 'mixed_forest', 'broadleaf_forest'
+];
+
+// Prevailing winds over Cyprus
+const WIND_TYPES = ['meltemi', 'levante', 'ostro', 'sirocco', 'tramontana', 'maistro', 'gregale', 'libeccio', 'ponente', 'variable'];
+
+const RESPONSE_LEVELS = ['local', 'district', 'national', 'international'];
+
+const EVACUATION_STATUSES = ['none', 'advisory', 'partial', 'full'];
+
+/*
+ * Writable fire fields. Each field has an OpenAPI type and may have:
+ * - minimum / maximum, maxLength and enum: the values accepted
+ * - createEnum: the values a new report may give, when narrower than enum
+ *   (imports restoring exported fires may give any value of enum)
+ * - default: the value a new report gets when the field is left out
+ * - required: new reports must give it
+ * - createOnly: set when the fire is reported, never updated
+ * - group: the object property the field is nested in on GeoJSON features
+ * - writeOnly: accepted but not returned in feature properties
+ */
+const FIRE_SCHEMA = {
+  latitude: { type: 'number', minimum: -90, maximum: 90, required: true, createOnly: true, writeOnly: true, example: 34.6857 },
+  longitude: { type: 'number', minimum: -180, maximum: 180, required: true, createOnly: true, writeOnly: true, example: 33.0437 },
+  fire_status: { type: 'string', enum: FIRE_STATUSES, createEnum: ENTRY_STATUSES, default: 'active', description: 'Lifecycle status. New fires start as reported, confirmed or active; updates may only move it along the lifecycle, see POST /api/fires/{id}/transition' },
+  fire_type: { type: 'string', enum: FIRE_TYPES, default: 'wildfire' },
+  fire_intensity: { type: 'number', minimum: 0, maximum: 500000, default: 100, description: 'Fireline intensity in kW/m' },
+  fire_size: { type: 'number', minimum: 0, maximum: 1000000, default: 1.0, description: 'Fire size in hectares' },
+  confidence: { type: 'integer', minimum: 0, maximum: 100, default: 85, description: 'Detection confidence in percent' },
+  fuel_type: { type: 'string', enum: FUEL_TYPES, default: 'mixed_forest' },
+  terrain_type: { type: 'string', maxLength: 50, default: 'mountain' },
+  slope: { type: 'number', minimum: 0, maximum: 90, default: 15, description: 'Slope in degrees' },
+  temperature: { type: 'number', minimum: -30, maximum: 60, default: 30, description: 'Air temperature in °C' },
+  humidity: { type: 'integer', minimum: 0, maximum: 100, default: 25, description: 'Relative humidity in percent' },
+  wind_speed: { type: 'number', minimum: 0, maximum: 250, default: 10, description: 'Wind speed in km/h' },
+  wind_direction: { type: 'integer', minimum: 0, maximum: 360, default: 180, description: 'Direction the wind blows from, in degrees' },
+  wind_type: { type: 'string', enum: WIND_TYPES, default: 'meltemi' },
+  agency_in_charge: { type: 'string', maxLength: 200, default: 'Cyprus Fire Service' },
+  response_level: { type: 'string', enum: RESPONSE_LEVELS, default: 'district' },
+  firefighters: { type: 'integer', minimum: 0, maximum: 10000, default: 20, group: 'resources_on_site' },
+  vehicles: { type: 'integer', minimum: 0, maximum: 10000, default: 5, group: 'resources_on_site' },
+  aircraft: { type: 'integer', minimum: 0, maximum: 1000, default: 1, group: 'resources_on_site' },
+  evacuation_status: { type: 'string', enum: EVACUATION_STATUSES, default: 'none' },
+  district: { type: 'string', maxLength: 100, default: 'Unknown', example: 'Limassol' },
+  nearest_village: { type: 'string', maxLength: 100, default: 'Unknown', example: 'Troodos' },
+  distance_to_village: { type: 'number', minimum: 0, maximum: 1000, default: 1.5, description: 'Distance to the nearest village in km' },
+  risk_to_settlements: { type: 'string', enum: RISK_LEVELS, default: 'medium' },
+  reporter_name: { type: 'string', maxLength: 100, default: '', createOnly: true, writeOnly: true },
+  reporter_contact: { type: 'string', maxLength: 200, default: '', createOnly: true, writeOnly: true }
+};
+
+/**
+ * Check one value against its field definition
+ * @param {Object} definition - Entry of FIRE_SCHEMA
+ * @param {*} value - Value to check
+ * @returns {string|null} - What is wrong with it, or null if valid
+ */
+function checkValue(definition, value) {
+  if (definition.type === 'string') {
+    if (typeof value !== 'string') {
+      return 'must be a string';
+    }
+    if (definition.enum && !definition.enum.includes(value)) {
+      return `must be one of ${definition.enum.join(', ')}`;
+    }
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      return `must be at most ${definition.maxLength} characters`;
+    }
+    return null;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return 'must be a number';
+  }
+  if (definition.type === 'integer' && !Number.isInteger(value)) {
+    return 'must be an integer';
+  }
+  if ((definition.minimum !== undefined && value < definition.minimum) ||
+    (definition.maximum !== undefined && value > definition.maximum)) {
+    return `must be between ${definition.minimum} and ${definition.maximum}`;
+  }
+  return null;
+}
+
+/**
+ * A field definition as it applies to new reports
+ * @param {Object} definition - Entry of FIRE_SCHEMA
+ * @returns {Object}
+ */
+function createDefinition(definition) {
+  return definition.createEnum ? { ...definition, enum: definition.createEnum } : definition;
+}
+
+/**
+ * Validate fire fields against FIRE_SCHEMA. A new report gets the defaults
+ * of the fields it leaves out; an update (partial) sets only the fields it
+ * gives and cannot change createOnly fields. Other properties are ignored.
+ * @param {Object} body - Fields to validate
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Validate an update rather than a new report
+ * @param {boolean} [options.restore] - Validate a new fire restored from an export, which may be in any lifecycle status
+ * @returns {{values: Object}|{error: string, details: Array<{field: string, message: string}>}}
+ */
+function validateFireFields(body, { partial = false, restore = false } = {}) {
+  const values = {};
+  const details = [];
+
+  Object.entries(FIRE_SCHEMA).forEach(([field, definition]) => {
+    if (partial && definition.createOnly) {
+      return;
+    }
+
+    const value = body[field];
+    if (value === undefined || value === null) {
+      if (!partial && definition.required) {
+        details.push({ field, message: 'is required' });
+      } else if (!partial) {
+        values[field] = definition.default;
+      } else if (value === null) {
+        details.push({ field, message: 'cannot be null' });
+      }
+      return;
+    }
+
+    const message = checkValue(partial || restore ? definition : createDefinition(definition), value);
+    if (message) {
+      details.push({ field, message });
+    } else {
+      values[field] = value;
+    }
+  });
+
+  if (details.length > 0) {
+    return {
+      error: `Invalid fields: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`,
+      details
+    };
+  }
+  return { values };
+}
+
+/**
+ * OpenAPI description of a field
+ * @param {Object} definition - Entry of FIRE_SCHEMA
+ * @param {boolean} [withDefault] - Include the default of new reports
+ * @returns {Object}
+ */
+function fieldToOpenApi(definition, withDefault = true) {
+  const property = { type: definition.type };
+  const keys = ['enum', 'minimum', 'maximum', 'maxLength', 'description', 'example'];
+  (withDefault ? [...keys, 'default'] : keys).forEach((key) => {
+    if (definition[key] !== undefined) {
+      property[key] = definition[key];
+    }
+  });
+  return property;
+}
+
+/**
+ * OpenAPI components generated from FIRE_SCHEMA: FireInput (POST body),
+ * FireUpdate (PATCH body) and FireProperties (properties of returned
+ * features, including the fields computed by the server)
+ * @returns {Object} - Schemas keyed by component name
+ */
+function fireOpenApiSchemas() {
+  const entries = Object.entries(FIRE_SCHEMA);
+  const perimeter = {
+    type: 'object',
+    description: 'Burned area as a GeoJSON Polygon or MultiPolygon ([longitude, latitude] rings). Stored as a new perimeter observation; fire_size is set to its area in hectares',
+    example: { type: 'Polygon', coordinates: [[[33.04, 34.68], [33.05, 34.68], [33.05, 34.69], [33.04, 34.69], [33.04, 34.68]]] }
+  };
+
+  const input = {
+    type: 'object',
+    description: 'latitude and longitude may be omitted when a perimeter is given; its centre is used instead',
+    properties: {
+      ...Object.fromEntries(entries.map(([field, definition]) => [field, fieldToOpenApi(createDefinition(definition))])),
+      perimeter
+    }
+  };
+
+  const update = {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      ...Object.fromEntries(entries
+        .filter(([, definition]) => !definition.createOnly)
+        .map(([field, definition]) => [field, fieldToOpenApi(definition, false)])),
+      perimeter: { ...perimeter, nullable: true, description: `${perimeter.description}; null removes the current perimeter` }
+    }
+  };
+
+  const properties = {
+    id: { type: 'integer' },
+    timestamp_detected: { type: 'string', example: '2025-08-01 12:00:00' },
+    last_update: { type: 'string', example: '2025-08-01 12:30:00' }
+  };
+  entries.filter(([, definition]) => !definition.writeOnly).forEach(([field, definition]) => {
+    const property = fieldToOpenApi(definition, false);
+    if (definition.group) {
+      properties[definition.group] = properties[definition.group] || { type: 'object', properties: {} };
+      properties[definition.group].properties[field] = property;
+    } else {
+      properties[field] = property;
+    }
+  });
+  Object.assign(properties, {
+    has_perimeter: { type: 'boolean' },
+    media: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          url: { type: 'string' },
+          thumbnail_url: { type: 'string' }
+        }
+      }
+    },
+    fire_danger: {
+      type: 'object',
+      nullable: true,
+      description: 'Hot-Dry-Windy index computed from temperature, humidity and wind_speed, and its rating (null when a reading is missing)',
+      properties: {
+        hdw: { type: 'number', example: 320.4 },
+        rating: { type: 'string', enum: ['low', 'moderate', 'high', 'very_high', 'extreme'] }
+      }
+    }
+  });
+
+  return {
+    FireInput: input,
+    FireUpdate: update,
+    FireProperties: { type: 'object', properties }
+  };
+}
+
+module.exports = {
+  FIRE_STATUSES,
+  ENTRY_STATUSES,
+  RISK_LEVELS,
+  FIRE_TYPES,
+  FUEL_TYPES,
+  WIND_TYPES,
+  RESPONSE_LEVELS,
+  EVACUATION_STATUSES,
+  FIRE_SCHEMA,
+  validateFireFields,
+  fireOpenApiSchemas
+}
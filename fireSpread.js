@@ -0,0 +1,229 @@
+const { distanceKm, destinationPoint, pointInPolygon } = require('./geoUtils')
+const { VILLAGES } = require('./villages')
+
+// Forecast horizons returned when none are requested
+const DEFAULT_HOURS = [1, 3, 6];
+const MAX_HOURS = 48;
+const MAX_HORIZONS = 12;
+
+// Vertices of each predicted ellipse
+const POLYGON_POINTS = 72;
+
+// No-wind, flat-ground rate of spread in m/min and fuel load in kg/m² by fuel type
+const FUEL_MODELS = {
+  dry_grass: { rate: 2.0, load: 0.3 },
+  grassland: { rate: 1.8, load: 0.4 },
+  crop_residue: { rate: 1.5, load: 0.5 },
+  shrubland: { rate: 1.0, load: 1.2 },
+  maquis: { rate: 1.0, load: 1.5 },
+  pine_forest: { rate: 0.8, load: 2.0 },
+  mixed_forest: { rate: 0.6, load: 2.5 },
+  broadleaf_forest: { rate: 0.4, load: 2.5 }
+};
+const DEFAULT_FUEL = 'mixed_forest';
+
+// Heat of combustion for Byram's intensity equation, kJ/kg
+const HEAT_OF_COMBUSTION = 18000;
+
+// Longest ellipse allowed; higher ratios are outside the range the model was fitted to
+const MAX_LENGTH_TO_BREADTH = 8;
+
+// Column defaults used when a fire has no reading
+const DEFAULT_CONDITIONS = {
+  wind_speed: 10,
+  wind_direction: 180,
+  slope: 15,
+  humidity: 25,
+  temperature: 30
+};
+
+/**
+ * Parse the hours query parameter
+ * @param {string} [value] - Comma-separated forecast horizons in hours
+ * @returns {Array<number>|null} - Sorted unique horizons, or null if invalid
+ */
+function parseHours(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_HOURS;
+  }
+
+  const hours = String(value).split(',').map(part => Number(part.trim()));
+  if (hours.length > MAX_HORIZONS || !hours.every(h => Number.isFinite(h) && h > 0 && h <= MAX_HOURS)) {
+    return null;
+  }
+  return [...new Set(hours)].sort((a, b) => a - b);
+}
+
+/**
+ * Dead fine fuel moisture from air temperature and humidity (McArthur)
+ * @param {number} temperature - °C
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number} - Moisture content, %
+ */
+function fineFuelMoisture(temperature, humidity) {
+  const moisture = 5.658 + 0.04651 * humidity +
+    0.0003151 * humidity ** 3 / Math.max(temperature, 1) -
+    0.184 * Math.max(temperature, 0) ** 0.77;
+  return Math.min(Math.max(moisture, 2), 30);
+}
+
+/**
+ * Fire weather and fuel inputs of a fire, falling back to column defaults
+ * @param {Object} row - fires row
+ * @returns {Object}
+ */
+function spreadConditions(row) {
+  const value = field => (row[field] === null || row[field] === undefined ? DEFAULT_CONDITIONS[field] : row[field]);
+  const fuelType = FUEL_MODELS[row.fuel_type] ? row.fuel_type : DEFAULT_FUEL;
+
+  return {
+    fuel_type: fuelType,
+    wind_speed: value('wind_speed'),
+    wind_direction: value('wind_direction'),
+    slope: value('slope'),
+    humidity: value('humidity'),
+    temperature: value('temperature'),
+    fire_intensity: row.fire_intensity
+  };
+}
+
+/**
+ * Head rate of spread. The fuel's base rate is scaled for wind and slope
+ * (exponential McArthur-style factors) and for fuel moisture; a reported
+ * fire intensity is converted back to a rate with Byram's equation and
+ * averaged in, so the forecast follows what crews observe on the ground.
+ * @param {Object} conditions - Result of spreadConditions
+ * @returns {number} - Metres per minute
+ */
+function headRateOfSpread(conditions) {
+  const fuel = FUEL_MODELS[conditions.fuel_type];
+  const windFactor = Math.exp(0.05 * Math.max(conditions.wind_speed, 0));
+  const slopeFactor = Math.exp(0.069 * Math.min(Math.max(conditions.slope, 0), 45));
+  const moistureFactor = Math.exp(-0.108 * (fineFuelMoisture(conditions.temperature, conditions.humidity) - 5));
+  const modelled = fuel.rate * windFactor * slopeFactor * moistureFactor;
+
+  if (typeof conditions.fire_intensity !== 'number' || conditions.fire_intensity <= 0) {
+    return modelled;
+  }
+  // Byram: I (kW/m) = H (kJ/kg) * w (kg/m²) * R (m/s)
+  const observed = conditions.fire_intensity / (HEAT_OF_COMBUSTION * fuel.load) * 60;
+  return Math.sqrt(modelled * observed);
+}
+
+/**
+ * Length-to-breadth ratio of a wind-driven fire (Alexander 1985)
+ * @param {number} windSpeed - 10 m wind speed, km/h
+ * @returns {number}
+ */
+function lengthToBreadth(windSpeed) {
+  return Math.min(1 + 0.0012 * Math.max(windSpeed, 0) ** 2.154, MAX_LENGTH_TO_BREADTH);
+}
+
+/**
+ * Predicted fire ellipse after a number of hours. The fire grows from its
+ * current size (as an equal-area circle): the head runs downwind from the
+ * fire location, the back creeps upwind at the rate the ellipse shape implies.
+ * @param {Object} origin - { latitude, longitude, fire_size (ha) }
+ * @param {Object} conditions - Result of spreadConditions
+ * @param {number} hours - Forecast horizon
+ * @returns {{ring: Array<Array<number>>, headKm: number, backKm: number, widthKm: number}}
+ *   ring holds [lat, lng] vertices, closed
+ */
+function spreadEllipse(origin, conditions, hours) {
+  const headRate = headRateOfSpread(conditions);
+  const ratio = lengthToBreadth(conditions.wind_speed);
+  const root = Math.sqrt(ratio * ratio - 1);
+  const backRate = headRate * (ratio - root) / (ratio + root);
+
+  const startRadiusKm = Math.sqrt(Math.max(origin.fire_size || 0, 0) * 10000 / Math.PI) / 1000;
+  const headKm = headRate * hours * 60 / 1000 + startRadiusKm;
+  const backKm = backRate * hours * 60 / 1000 + startRadiusKm;
+
+  const semiMajor = (headKm + backKm) / 2;
+  const semiMinor = Math.max(semiMajor / ratio, startRadiusKm);
+  // Wind direction is where the wind blows from; the fire runs the other way
+  const heading = (conditions.wind_direction + 180) % 360;
+  const centre = destinationPoint(origin.latitude, origin.longitude, heading, (headKm - backKm) / 2);
+
+  const ring = [];
+  for (let i = 0; i < POLYGON_POINTS; i++) {
+    const angle = 2 * Math.PI * i / POLYGON_POINTS;
+    const along = semiMajor * Math.cos(angle);
+    const across = semiMinor * Math.sin(angle);
+    const bearing = heading + Math.atan2(across, along) * 180 / Math.PI;
+    ring.push(destinationPoint(centre[0], centre[1], bearing, Math.hypot(along, across)));
+  }
+  ring.push(ring[0]);
+
+  return { ring, headKm, backKm, widthKm: 2 * semiMinor };
+}
+
+/**
+ * Predict the spread of a fire for each forecast horizon
+ * @param {Object} row - fires row
+ * @param {Array<number>} hours - Forecast horizons
+ * @param {Array<Object>} [villages] - Settlements to check, { name, district, latitude, longitude }
+ * @returns {Object} - GeoJSON FeatureCollection with the model inputs and the villages at risk
+ */
+function predictSpread(row, hours, villages = VILLAGES) {
+  const conditions = spreadConditions(row);
+  const headRate = headRateOfSpread(conditions);
+  const reachedAt = new Map();
+
+  const features = hours.map((horizon) => {
+    const { ring, headKm, backKm, widthKm } = spreadEllipse(row, conditions, horizon);
+
+    const reached = villages
+      .filter(village => pointInPolygon(village.latitude, village.longitude, ring))
+      .map(village => ({
+        name: village.name,
+        district: village.district,
+        distance_km: Math.round(distanceKm(row.latitude, row.longitude, village.latitude, village.longitude) * 10) / 10
+      }))
+      .sort((a, b) => a.distance_km - b.distance_km);
+
+    reached.forEach((village) => {
+      if (!reachedAt.has(village.name)) {
+        reachedAt.set(village.name, { ...village, within_hours: horizon });
+      }
+    });
+
+    return {
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [ring.map(([lat, lng]) => [lng, lat])]
+      },
+      properties: {
+        hours: horizon,
+        head_distance_km: Math.round(headKm * 100) / 100,
+        back_distance_km: Math.round(backKm * 100) / 100,
+        width_km: Math.round(widthKm * 100) / 100,
+        area_ha: Math.round(Math.PI * (headKm + backKm) / 2 * widthKm / 2 * 100 * 100) / 100,
+        villages: reached
+      }
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    fire_id: row.id,
+    model: {
+      name: 'elliptical',
+      head_rate_m_per_min: Math.round(headRate * 100) / 100,
+      length_to_breadth: Math.round(lengthToBreadth(conditions.wind_speed) * 100) / 100,
+      spread_direction: (conditions.wind_direction + 180) % 360,
+      inputs: conditions
+    },
+    villages_at_risk: [...reachedAt.values()],
+    features
+  };
+}
+
+module.exports = {
+  DEFAULT_HOURS,
+  MAX_HOURS,
+  FUEL_MODELS,
+  parseHours,
+  predictSpread
+}
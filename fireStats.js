@@ -0,0 +1,217 @@
+const { all } = require('./dbHelpers')
+const { csvValue, isoTime } = require('./fireExport')
+
+// Dimensions statistics can be grouped by; the time buckets split fires by
+// the UTC day, week (starting Monday) or month they were detected in
+const STATS_GROUPS = ['district', 'fire_type', 'fuel_type', 'day', 'week', 'month'];
+const TIME_BUCKETS = ['day', 'week', 'month'];
+
+// Measures of each group, in CSV column order
+const STATS_MEASURES = [
+  'fires', 'total_fire_size', 'mean_fire_size', 'peak_fire_intensity',
+  'controlled_fires', 'mean_hours_to_controlled', 'resource_hours'
+];
+
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Parse the group_by parameter
+ * @param {string|undefined} value - Comma-separated STATS_GROUPS, default district
+ * @returns {{groups: Array<string>}|{error: string}}
+ */
+function parseGroupBy(value) {
+  if (value === undefined) {
+    return { groups: ['district'] };
+  }
+
+  const groups = String(value).split(',').map(group => group.trim()).filter(Boolean);
+  if (groups.length === 0 || groups.some(group => !STATS_GROUPS.includes(group))) {
+    return { error: `Invalid group_by (must be a comma-separated list of ${STATS_GROUPS.join(', ')})` };
+  }
+  if (new Set(groups).size !== groups.length) {
+    return { error: 'Invalid group_by (each group may be given once)' };
+  }
+  if (groups.filter(group => TIME_BUCKETS.includes(group)).length > 1) {
+    return { error: `Invalid group_by (only one of ${TIME_BUCKETS.join(', ')} may be given)` };
+  }
+  return { groups };
+}
+
+/**
+ * Time bucket a timestamp falls in
+ * @param {string} timestamp - Stored timestamp (UTC)
+ * @param {string} bucket - day (YYYY-MM-DD), week (date of its Monday) or month (YYYY-MM)
+ * @returns {string|null}
+ */
+function timeBucket(timestamp, bucket) {
+  const iso = isoTime(timestamp);
+  if (!iso) {
+    return null;
+  }
+  if (bucket === 'month') {
+    return iso.slice(0, 7);
+  }
+  if (bucket === 'week') {
+    const date = new Date(`${iso.slice(0, 10)}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toISOString().slice(0, 10);
+  }
+  return iso.slice(0, 10);
+}
+
+/**
+ * Hours between two stored timestamps
+ * @param {string} from - Start
+ * @param {string|null} to - End, now if null
+ * @returns {number|null}
+ */
+function hoursBetween(from, to) {
+  const start = Date.parse(isoTime(from));
+  const end = to ? Date.parse(isoTime(to)) : Date.now();
+  return isNaN(start) || isNaN(end) ? null : Math.max(0, end - start) / HOUR_MS;
+}
+
+/**
+ * Round a measure to two decimals
+ * @param {number|null} value - Measure
+ * @returns {number|null}
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Measures of a group of fires
+ * @param {Array<Object>} fires - Fire rows with hours_to_controlled and resource_hours
+ * @returns {Object}
+ */
+function summarize(fires) {
+  const sizes = fires.map(fire => fire.fire_size).filter(size => size !== null);
+  const intensities = fires.map(fire => fire.fire_intensity).filter(intensity => intensity !== null);
+  const controlled = fires.map(fire => fire.hours_to_controlled).filter(hours => hours !== null);
+  const totalSize = sizes.reduce((sum, size) => sum + size, 0);
+
+  return {
+    fires: fires.length,
+    total_fire_size: round(totalSize),
+    mean_fire_size: sizes.length > 0 ? round(totalSize / sizes.length) : null,
+    peak_fire_intensity: intensities.length > 0 ? intensities.reduce((peak, value) => Math.max(peak, value)) : null,
+    controlled_fires: controlled.length,
+    mean_hours_to_controlled: controlled.length > 0
+      ? round(controlled.reduce((sum, hours) => sum + hours, 0) / controlled.length)
+      : null,
+    resource_hours: round(fires.reduce((sum, fire) => sum + fire.resource_hours, 0))
+  };
+}
+
+/**
+ * Order group values ascending, missing values last
+ * @param {Array<string|null>} a - Group values
+ * @param {Array<string|null>} b - Group values
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  for (let index = 0; index < a.length; index++) {
+    if (a[index] === b[index]) {
+      continue;
+    }
+    if (a[index] === null) {
+      return 1;
+    }
+    if (b[index] === null) {
+      return -1;
+    }
+    return a[index] < b[index] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Aggregate the fires matching filters by the given groups. Time to
+ * controlled runs from detection to the first change to controlled (fires
+ * reported as already controlled are left out); resource-hours add up how
+ * long each unit was assigned, until now for units still committed.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {{conditions: Array<string>, params: Array}} filters - From buildFireFilters
+ * @param {Array<string>} groups - From parseGroupBy
+ * @returns {Promise<{totals: Object, data: Array<Object>}>} - data sorted by group values
+ */
+async function fireStats(db, filters, groups) {
+  const where = filters.conditions.length > 0 ? ` WHERE ${filters.conditions.join(' AND ')}` : '';
+  const matching = `SELECT id FROM fires${where}`;
+
+  const fires = await all(db,
+    `SELECT id, district, fire_type, fuel_type, timestamp_detected, fire_size, fire_intensity FROM fires${where}`,
+    filters.params
+  );
+  const controlled = await all(db, `
+    SELECT fire_id, MIN(changed_at) AS controlled_at FROM fire_status_transitions
+    WHERE to_status = 'controlled' AND from_status IS NOT NULL AND fire_id IN (${matching})
+    GROUP BY fire_id
+  `, filters.params);
+  const assignments = await all(db,
+    `SELECT fire_id, dispatched_at, released_at FROM resource_assignments WHERE fire_id IN (${matching})`,
+    filters.params
+  );
+
+  const controlledAt = new Map(controlled.map(row => [row.fire_id, row.controlled_at]));
+  const resourceHours = new Map();
+  assignments.forEach((assignment) => {
+    const hours = hoursBetween(assignment.dispatched_at, assignment.released_at) || 0;
+    resourceHours.set(assignment.fire_id, (resourceHours.get(assignment.fire_id) || 0) + hours);
+  });
+
+  const measured = fires.map(fire => ({
+    ...fire,
+    hours_to_controlled: controlledAt.has(fire.id)
+      ? hoursBetween(fire.timestamp_detected, controlledAt.get(fire.id))
+      : null,
+    resource_hours: resourceHours.get(fire.id) || 0
+  }));
+
+  const groupsByKey = new Map();
+  measured.forEach((fire) => {
+    const values = groups.map(group => (TIME_BUCKETS.includes(group)
+      ? timeBucket(fire.timestamp_detected, group)
+      : fire[group] ?? null));
+
+    const key = JSON.stringify(values);
+    if (!groupsByKey.has(key)) {
+      groupsByKey.set(key, { values, fires: [] });
+    }
+    groupsByKey.get(key).fires.push(fire);
+  });
+
+  const data = [...groupsByKey.values()]
+    .sort((a, b) => compareValues(a.values, b.values))
+    .map(({ values, fires: members }) => ({
+      ...Object.fromEntries(groups.map((group, index) => [group, values[index]])),
+      ...summarize(members)
+    }));
+
+  return {
+    totals: summarize(measured),
+    data
+  };
+}
+
+/**
+ * Statistics as CSV: one line per group, the group columns followed by the measures
+ * @param {Array<string>} groups - From parseGroupBy
+ * @param {Array<Object>} data - From fireStats
+ * @returns {string}
+ */
+function statsToCsv(groups, data) {
+  const header = [...groups, ...STATS_MEASURES];
+  return [header.join(','), ...data.map(row => header.map(column => csvValue(row[column])).join(','))]
+    .map(line => `${line}\n`)
+    .join('');
+}
+
+module.exports = {
+  STATS_GROUPS,
+  STATS_MEASURES,
+  parseGroupBy,
+  fireStats,
+  statsToCsv
+}
@@ -0,0 +1,456 @@
+const fs = require('fs')
+const path = require('path')
+const { run, get, all } = require('./dbHelpers')
+const { distanceKm } = require('./geoUtils')
+const { nearestVillage } = require('./villages')
+const { BURNING_STATUSES } = require('./fireLifecycle')
+
+// Detections within this distance of a burning fire are attached to it
+const DEFAULT_ATTACH_RADIUS_KM = 1.5;
+
+const DEFAULT_WATCH_INTERVAL_SECONDS = 60;
+
+// Files modified more recently than this may still be being written
+const FILE_SETTLE_MS = 10 * 1000;
+
+// VIIRS reports confidence as low / nominal / high, MODIS as 0–100
+const VIIRS_CONFIDENCE = {
+  l: 30,
+  low: 30,
+  n: 60,
+  nominal: 60,
+  h: 90,
+  high: 90
+};
+
+// Nominal pixel size at nadir (km) when the file has no scan column
+const DEFAULT_SCAN_KM = {
+  VIIRS: 0.375,
+  MODIS: 1
+};
+
+// Share of the combustion energy released as radiation (Wooster et al. 2005)
+const RADIATIVE_FRACTION = 0.15;
+
+const REQUIRED_COLUMNS = ['latitude', 'longitude', 'acq_date', 'acq_time', 'frp', 'confidence'];
+
+/**
+ * Read the importer configuration. Uploads always work; the watched
+ * directory is polled only when FIRMS_WATCH_DIR is set.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Config
+ */
+function readFirmsConfig(env) {
+  const config = {
+    watchDir: env.FIRMS_WATCH_DIR || null,
+    intervalSeconds: Number(env.FIRMS_WATCH_INTERVAL_SECONDS || DEFAULT_WATCH_INTERVAL_SECONDS),
+    attachRadiusKm: Number(env.FIRMS_ATTACH_RADIUS_KM || DEFAULT_ATTACH_RADIUS_KM),
+    minConfidence: Number(env.FIRMS_MIN_CONFIDENCE || 0)
+  };
+
+  const errors = [];
+  if (!(config.intervalSeconds > 0)) {
+    errors.push('FIRMS_WATCH_INTERVAL_SECONDS must be a positive number');
+  }
+  if (!(config.attachRadiusKm > 0)) {
+    errors.push('FIRMS_ATTACH_RADIUS_KM must be a positive number');
+  }
+  if (isNaN(config.minConfidence) || config.minConfidence < 0 || config.minConfidence > 100) {
+    errors.push('FIRMS_MIN_CONFIDENCE must be between 0 and 100');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid FIRMS import configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Map a FIRMS confidence value to 0–100
+ * @param {string} value - VIIRS class (l/n/h) or MODIS percentage
+ * @returns {number|null}
+ */
+function parseConfidence(value) {
+  const key = value.toLowerCase();
+  if (VIIRS_CONFIDENCE[key] !== undefined) {
+    return VIIRS_CONFIDENCE[key];
+  }
+  const percent = Number(value);
+  return value !== '' && !isNaN(percent) && percent >= 0 && percent <= 100 ? Math.round(percent) : null;
+}
+
+/**
+ * Approximate fire-line intensity from fire radiative power, assuming the
+ * radiating front spans the width of the pixel
+ * @param {number} frp - Fire radiative power (MW)
+ * @param {number} scanKm - Pixel size along scan (km)
+ * @returns {number} - kW/m
+ */
+function frpToIntensity(frp, scanKm) {
+  return Math.round(frp * 1000 / (RADIATIVE_FRACTION * scanKm * 1000) * 10) / 10;
+}
+
+/**
+ * Acquisition time as stored in the fires table
+ * @param {string} date - acq_date (YYYY-MM-DD)
+ * @param {string} time - acq_time (HHMM, UTC; leading zeros may be dropped)
+ * @returns {string|null} - 'YYYY-MM-DD HH:MM:SS'
+ */
+function acquisitionTime(date, time) {
+  const hhmm = time.padStart(4, '0');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{4}$/.test(hhmm)) {
+    return null;
+  }
+  const timestamp = `${date} ${hhmm.slice(0, 2)}:${hhmm.slice(2)}:00`;
+  return isNaN(Date.parse(`${timestamp.replace(' ', 'T')}Z`)) ? null : timestamp;
+}
+
+/**
+ * Parse a FIRMS CSV export (VIIRS or MODIS, standard or NRT)
+ * @param {string} text - File contents
+ * @returns {{detections: Array<Object>, errors: Array<Object>}|{error: string}}
+ */
+function parseFirmsCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+
+  const missing = REQUIRED_COLUMNS.filter(name => !header.includes(name));
+  if (!header.includes('bright_ti4') && !header.includes('brightness')) {
+    missing.push('bright_ti4 or brightness');
+  }
+  if (missing.length > 0) {
+    return { error: `Not a FIRMS CSV file: missing columns ${missing.join(', ')}` };
+  }
+
+  const detections = [];
+  const errors = [];
+
+  lines.slice(1).forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    const lineNumber = index + 2;
+    const values = line.split(',').map(value => value.trim());
+    const field = name => (header.includes(name) ? values[header.indexOf(name)] || '' : '');
+
+    const latitude = Number(field('latitude'));
+    const longitude = Number(field('longitude'));
+    if (field('latitude') === '' || field('longitude') === '' || isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      errors.push({ line: lineNumber, error: 'Invalid latitude or longitude' });
+      return;
+    }
+
+    const acquiredAt = acquisitionTime(field('acq_date'), field('acq_time'));
+    if (!acquiredAt) {
+      errors.push({ line: lineNumber, error: 'Invalid acq_date or acq_time' });
+      return;
+    }
+
+    const frp = Number(field('frp'));
+    if (field('frp') === '' || isNaN(frp) || frp < 0) {
+      errors.push({ line: lineNumber, error: 'Invalid frp' });
+      return;
+    }
+
+    const confidence = parseConfidence(field('confidence'));
+    if (confidence === null) {
+      errors.push({ line: lineNumber, error: 'Invalid confidence' });
+      return;
+    }
+
+    const instrument = (field('instrument') || (header.includes('bright_ti4') ? 'VIIRS' : 'MODIS')).toUpperCase();
+    const brightness = Number(field('bright_ti4') || field('brightness'));
+    const scan = Number(field('scan')) || DEFAULT_SCAN_KM[instrument] || DEFAULT_SCAN_KM.MODIS;
+
+    detections.push({
+      line: lineNumber,
+      latitude,
+      longitude,
+      acquiredAt,
+      satellite: field('satellite') || 'unknown',
+      instrument,
+      brightness: isNaN(brightness) ? null : brightness,
+      frp,
+      scan,
+      confidence,
+      daynight: field('daynight') || null,
+      intensity: frpToIntensity(frp, scan)
+    });
+  });
+
+  return { detections, errors };
+}
+
+/**
+ * Create the FIRMS importer: parses uploads and, when configured, polls a
+ * directory for new CSV files, moving each to processed/ or failed/.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} config - Config from readFirmsConfig
+ * @param {Object} actions - createFire(body, changedBy, options) and
+ *   updateFire(oldRow, update, changedBy) from the server
+ * @returns {Object}
+ */
+function createFirmsImporter(db, config, actions) {
+  let timer = null;
+  let scanning = false;
+
+  /**
+   * Nearest burning fire (see BURNING_STATUSES) within the attach radius
+   * @param {Object} detection - Parsed detection
+   * @returns {Promise<Object|null>} - Fire row
+   */
+  async function findNearbyFire(detection) {
+    // Bounding box prefilter; one degree of latitude is about 111 km
+    const dLat = config.attachRadiusKm / 111;
+    const dLng = dLat / Math.max(Math.cos(detection.latitude * Math.PI / 180), 0.01);
+    const rows = await all(db, `
+      SELECT * FROM fires
+      WHERE fire_status IN (${BURNING_STATUSES.map(() => '?').join(', ')})
+        AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+    `, [
+      ...BURNING_STATUSES,
+      detection.latitude - dLat, detection.latitude + dLat, detection.longitude - dLng, detection.longitude + dLng
+    ]);
+
+    return rows
+      .map(row => ({ row, distance: distanceKm(detection.latitude, detection.longitude, row.latitude, row.longitude) }))
+      .filter(candidate => candidate.distance <= config.attachRadiusKm)
+      .sort((a, b) => a.distance - b.distance)
+      .map(candidate => candidate.row)[0] || null;
+  }
+
+  /**
+   * Create a fire record for a detection with no fire nearby
+   * @param {Object} detection - Parsed detection
+   * @param {string} importedBy - Recorded as the author of the change
+   * @returns {Promise<Object>} - Fire row
+   */
+  async function createDetectedFire(detection, importedBy) {
+    const village = nearestVillage(detection.latitude, detection.longitude);
+    const { row, error } = await actions.createFire({
+      latitude: detection.latitude,
+      longitude: detection.longitude,
+      fire_intensity: detection.intensity,
+      confidence: detection.confidence,
+      firefighters: 0,
+      vehicles: 0,
+      aircraft: 0,
+      district: village.district,
+      nearest_village: village.name,
+      distance_to_village: village.distance_km,
+      reporter_name: `FIRMS ${detection.instrument} ${detection.satellite}`
+    }, importedBy, { detectedAt: detection.acquiredAt });
+
+    if (error) {
+      throw new Error(error);
+    }
+    return row;
+  }
+
+  /**
+   * Raise a fire's intensity and confidence to the latest detections
+   * @param {number} fireId - Fire ID
+   * @param {Object} reading - Highest intensity and confidence seen
+   * @param {string} importedBy - Recorded as the author of the change
+   * @returns {Promise<void>}
+   */
+  async function applyReading(fireId, reading, importedBy) {
+    const oldRow = await get(db, 'SELECT * FROM fires WHERE id = ?', [fireId]);
+    if (!oldRow) {
+      return;
+    }
+
+    const confidence = Math.max(oldRow.confidence || 0, reading.confidence);
+    if (oldRow.fire_intensity === reading.intensity && oldRow.confidence === confidence) {
+      return;
+    }
+
+    await actions.updateFire(oldRow, {
+      fields: { fire_intensity: reading.intensity, confidence },
+      perimeter: null
+    }, importedBy);
+  }
+
+  /**
+   * Import a FIRMS CSV file. Each new detection is attached to the nearest
+   * active fire within the attach radius or starts a new fire; detections
+   * already imported are skipped. A fire's fire_intensity becomes the
+   * strongest of its detections in the file and its confidence never drops.
+   * @param {string} text - File contents
+   * @param {Object} options - importedBy and minConfidence (defaults to config)
+   * @returns {Promise<Object>} - Summary, or {error} if the file is not FIRMS CSV
+   */
+  async function importCsv(text, { importedBy = 'firms', minConfidence = config.minConfidence } = {}) {
+    const parsed = parseFirmsCsv(text);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    const summary = {
+      rows: parsed.detections.length + parsed.errors.length,
+      created: 0,
+      attached: 0,
+      duplicates: 0,
+      skipped: 0,
+      fires: [],
+      errors: parsed.errors
+    };
+    const readings = new Map();
+    const createdIds = new Set();
+    const importedAt = new Date().toISOString();
+
+    for (const detection of parsed.detections) {
+      if (detection.confidence < minConfidence) {
+        summary.skipped++;
+        continue;
+      }
+
+      const { changes, lastID } = await run(db, `
+        INSERT OR IGNORE INTO satellite_detections (
+          satellite, instrument, latitude, longitude, acquired_at, brightness, frp,
+          confidence, daynight, imported_by, imported_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        detection.satellite, detection.instrument, detection.latitude, detection.longitude,
+        detection.acquiredAt, detection.brightness, detection.frp, detection.confidence,
+        detection.daynight, importedBy, importedAt
+      ]);
+      if (changes === 0) {
+        summary.duplicates++;
+        continue;
+      }
+
+      try {
+        let fire = await findNearbyFire(detection);
+        if (fire) {
+          summary.attached++;
+        } else {
+          fire = await createDetectedFire(detection, importedBy);
+          createdIds.add(fire.id);
+          summary.created++;
+        }
+        await run(db, 'UPDATE satellite_detections SET fire_id = ? WHERE id = ?', [fire.id, lastID]);
+
+        const reading = readings.get(fire.id) || { intensity: 0, confidence: 0 };
+        readings.set(fire.id, {
+          intensity: Math.max(reading.intensity, detection.intensity),
+          confidence: Math.max(reading.confidence, detection.confidence)
+        });
+      } catch (err) {
+        await run(db, 'DELETE FROM satellite_detections WHERE id = ?', [lastID]);
+        summary.errors.push({ line: detection.line, error: err.message });
+      }
+    }
+
+    for (const [fireId, reading] of readings) {
+      await applyReading(fireId, reading, importedBy);
+      summary.fires.push({ id: fireId, action: createdIds.has(fireId) ? 'created' : 'updated' });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Detections recorded for a fire
+   * @param {number} fireId - Fire ID
+   * @returns {Promise<Array<Object>>}
+   */
+  function listDetections(fireId) {
+    return all(db, `
+      SELECT id, satellite, instrument, latitude, longitude, acquired_at, brightness, frp,
+             confidence, daynight, imported_by, imported_at
+      FROM satellite_detections WHERE fire_id = ? ORDER BY acquired_at, id
+    `, [fireId]);
+  }
+
+  /**
+   * Move a handled file out of the watched directory
+   * @param {string} file - File name
+   * @param {string} folder - 'processed' or 'failed'
+   * @returns {Promise<void>}
+   */
+  async function moveFile(file, folder) {
+    const target = path.join(config.watchDir, folder);
+    await fs.promises.mkdir(target, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.rename(path.join(config.watchDir, file), path.join(target, `${stamp}-${file}`));
+  }
+
+  /**
+   * Import every settled CSV file in the watched directory
+   * @returns {Promise<void>}
+   */
+  async function scan() {
+    if (scanning) {
+      return;
+    }
+    scanning = true;
+
+    try {
+      const entries = await fs.promises.readdir(config.watchDir, { withFileTypes: true });
+      const files = entries.filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.csv'));
+
+      for (const { name } of files) {
+        const stats = await fs.promises.stat(path.join(config.watchDir, name));
+        if (Date.now() - stats.mtimeMs < FILE_SETTLE_MS) {
+          continue;
+        }
+
+        const text = await fs.promises.readFile(path.join(config.watchDir, name), 'utf8');
+        const summary = await importCsv(text, { importedBy: `firms:${name}` });
+        if (summary.error) {
+          console.error(`FIRMS import of ${name} failed: ${summary.error}`);
+          await moveFile(name, 'failed');
+        } else {
+          console.log(`FIRMS import of ${name}: ${summary.created} created, ${summary.attached} attached, ` +
+            `${summary.duplicates} duplicates, ${summary.skipped} skipped, ${summary.errors.length} errors`);
+          await moveFile(name, 'processed');
+        }
+      }
+    } catch (err) {
+      console.error('Error scanning FIRMS watch directory:', err.message);
+    } finally {
+      scanning = false;
+    }
+  }
+
+  /**
+   * Start polling the watched directory, if one is configured
+   * @returns {boolean} - Whether polling started
+   */
+  function start() {
+    if (!config.watchDir || timer) {
+      return false;
+    }
+    timer = setInterval(scan, config.intervalSeconds * 1000);
+    timer.unref();
+    scan();
+    return true;
+  }
+
+  /**
+   * Stop polling
+   */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    watchDir: config.watchDir,
+    importCsv,
+    listDetections,
+    scan,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  readFirmsConfig,
+  parseFirmsCsv,
+  frpToIntensity,
+  createFirmsImporter
+}
@@ -0,0 +1,174 @@
+// Mean Earth radius used for great-circle distances
+const EARTH_RADIUS_KM = 6371;
+
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+const SQUARE_METRES_PER_HECTARE = 10000;
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} - Distance in kilometres
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Check whether a [lat, lng] pair is a valid coordinate
+ * @param {*} point - Value to check
+ * @returns {boolean}
+ */
+function isLatLng(point) {
+  return Array.isArray(point) && point.length === 2 &&
+    point.every(n => typeof n === 'number' && !isNaN(n)) &&
+    point[0] >= -90 && point[0] <= 90 && point[1] >= -180 && point[1] <= 180;
+}
+
+/**
+ * Ray-casting test of a point against a polygon ring
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @param {Array<Array<number>>} ring - Polygon vertices as [lat, lng]
+ * @returns {boolean}
+ */
+function pointInPolygon(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) &&
+        lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point reached by travelling a distance along a great circle
+ * @param {number} lat - Latitude of the start point
+ * @param {number} lng - Longitude of the start point
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} distance - Distance in kilometres
+ * @returns {Array<number>} - [lat, lng]
+ */
+function destinationPoint(lat, lng, bearing, distance) {
+  const toRad = deg => deg * Math.PI / 180;
+  const toDeg = rad => rad * 180 / Math.PI;
+  const angular = distance / EARTH_RADIUS_KM;
+  const lat1 = toRad(lat);
+  const theta = toRad(bearing);
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+    Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+  const lng2 = toRad(lng) + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+  return [toDeg(lat2), ((toDeg(lng2) + 540) % 360) - 180];
+}
+
+/**
+ * Check a GeoJSON linear ring: closed, at least four [lng, lat] positions
+ * @param {*} ring - Value to check
+ * @returns {boolean}
+ */
+function isLinearRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return false;
+  }
+  const valid = ring.every(position => Array.isArray(position) && position.length >= 2 &&
+    typeof position[0] === 'number' && typeof position[1] === 'number' &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90);
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return valid && first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon
+ * @param {*} geometry - Value to check
+ * @param {string} name - Field name used in error messages
+ * @returns {{geometry: Object}|{error: string}}
+ */
+function validatePolygonGeometry(geometry, name) {
+  if (!geometry || typeof geometry !== 'object' || !POLYGON_TYPES.includes(geometry.type)) {
+    return { error: `${name} must be a GeoJSON Polygon or MultiPolygon geometry` };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0 ||
+      !polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isLinearRing))) {
+    return { error: `${name} rings must be closed arrays of at least 4 [longitude, latitude] positions` };
+  }
+
+  return { geometry: { type: geometry.type, coordinates: geometry.coordinates } };
+}
+
+/**
+ * Area enclosed by a ring on the sphere (Chamberlain & Duquette), in m²
+ * @param {Array<Array<number>>} ring - [lng, lat] positions
+ * @returns {number}
+ */
+function ringArea(ring) {
+  const toRad = deg => deg * Math.PI / 180;
+  const radius = EARTH_RADIUS_KM * 1000;
+  let total = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+
+  return Math.abs(total * radius * radius / 2);
+}
+
+/**
+ * Area of a Polygon or MultiPolygon (outer rings minus holes)
+ * @param {Object} geometry - Validated Polygon or MultiPolygon
+ * @returns {number} - Hectares
+ */
+function polygonAreaHa(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const squareMetres = polygons.reduce((sum, [outer, ...holes]) =>
+    sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0), 0);
+  return Math.round(squareMetres / SQUARE_METRES_PER_HECTARE * 100) / 100;
+}
+
+/**
+ * Representative point of a Polygon or MultiPolygon: the vertex mean of its
+ * largest outer ring
+ * @param {Object} geometry - Validated Polygon or MultiPolygon
+ * @returns {Array<number>} - [lat, lng]
+ */
+function polygonCentroid(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const outer = polygons
+    .map(polygon => polygon[0])
+    .reduce((largest, ring) => (ringArea(ring) > ringArea(largest) ? ring : largest));
+
+  const vertices = outer.slice(0, -1);
+  const lng = vertices.reduce((sum, position) => sum + position[0], 0) / vertices.length;
+  const lat = vertices.reduce((sum, position) => sum + position[1], 0) / vertices.length;
+  return [lat, lng];
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  destinationPoint,
+  isLatLng,
+  pointInPolygon,
+  validatePolygonGeometry,
+  polygonAreaHa,
+  polygonCentroid
+}
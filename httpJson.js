@@ -0,0 +1,93 @@
+const http = require('http')
+const https = require('https')
+
+/**
+ * POST a JSON body over HTTP or HTTPS
+ * @param {string} url - Target URL
+ * @param {Object} payload - Body to serialize as JSON
+ * @param {Object} headers - Extra request headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<{statusCode: number, headers: Object, body: *}>} - Body is parsed JSON when possible, raw text otherwise
+ */
+function postJson(url, payload, headers = {}, timeoutMs = 15000) {
+  const postData = JSON.stringify(payload);
+  const transport = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const options = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+        ...headers
+      },
+      timeout: timeoutMs
+    };
+
+    const req = transport.request(url, options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        let body = data;
+        try {
+          body = data ? JSON.parse(data) : null;
+        } catch (error) {
+          // Keep the raw text for non-JSON responses
+        }
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    });
+
+    req.on('error', reject);
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Build an error for a failed HTTP response, flagged for the notification
+ * outbox: 429 and 5xx are retryable, 429 honours the Retry-After header
+ * @param {string} message - Error message
+ * @param {{statusCode: number, headers: Object}} response - Response from postJson
+ * @returns {Error}
+ */
+function httpError(message, response) {
+  const error = new Error(message);
+  error.retryable = response.statusCode === 429 || response.statusCode >= 500;
+
+  const retryAfter = Number(response.headers && response.headers['retry-after']);
+  if (response.statusCode === 429 && retryAfter > 0) {
+    error.retryAfter = retryAfter;
+  }
+
+  return error;
+}
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value - URL to check
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  postJson,
+  httpError,
+  isHttpUrl
+}
@@ -0,0 +1,83 @@
+const { readDatabaseConfig, openDatabase, describeDatabase } = require('./database')
+const { createMigrator } = require('./migrations')
+
+const COMMANDS = ['status', 'up', 'down'];
+
+const USAGE = `Usage: node migrate.js <command>
+
+Commands:
+  status          List migrations and whether they are applied
+  up [version]    Apply pending migrations, up to version if given
+  down [steps]    Revert the latest applied migrations (default 1)
+
+The database is the one the server uses: DATABASE_URL for PostgreSQL,
+otherwise the SQLite file at DB_PATH (default fires.db).`;
+
+/**
+ * Parse a positive integer command argument
+ * @param {string} value - Argument
+ * @param {string} name - Argument name for the error message
+ * @returns {number}
+ */
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return count;
+}
+
+/**
+ * Run a migration command against the configured database
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} command - One of COMMANDS
+ * @param {string} [argument] - Target version or number of steps
+ * @returns {Promise<void>}
+ */
+async function runCommand(db, command, argument) {
+  const migrator = createMigrator(db);
+
+  if (command === 'status') {
+    const migrations = await migrator.status();
+    migrations.forEach(({ version, name, applied_at, missing }) => {
+      const state = applied_at ? `applied ${applied_at}` : 'pending';
+      console.log(`${String(version).padStart(3, '0')} ${name.padEnd(30)} ${state}${missing ? ' (file missing)' : ''}`);
+    });
+  } else if (command === 'up') {
+    const applied = await migrator.migrate(argument === undefined ? {} : { to: parseCount(argument, 'version') });
+    applied.forEach(({ version, name }) => console.log(`Applied ${version} ${name}`));
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Nothing to apply');
+  } else if (command === 'down') {
+    const reverted = await migrator.rollback(argument === undefined ? {} : { steps: parseCount(argument, 'steps') });
+    reverted.forEach(({ version, name }) => console.log(`Reverted ${version} ${name}`));
+    console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+  }
+}
+
+const [command, argument] = process.argv.slice(2);
+if (!COMMANDS.includes(command)) {
+  console.log(USAGE);
+  process.exit(command === '--help' || command === '-h' ? 0 : 1);
+}
+
+let config;
+try {
+  config = readDatabaseConfig(process.env);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const db = openDatabase(config, (err) => {
+  if (err) {
+    console.error(`Cannot connect to ${describeDatabase(config)}:`, err.message);
+    process.exit(1);
+  }
+
+  runCommand(db, command, argument)
+    .then(() => 0, (error) => {
+      console.error(error.message);
+      return 1;
+    })
+    .then(code => db.close(() => process.exit(code)));
+});
@@ -0,0 +1,147 @@
+const fs = require('fs')
+const path = require('path')
+const { run, all, transaction } = require('./dbHelpers')
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 001_initial_schema.js
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Load the migrations of a directory, oldest first. Each file exports
+ * up(db) and down(db), async functions applying and reverting it.
+ * @param {string} dir - Migrations directory
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations(dir) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Create a migrator applying the versioned migrations of a directory and
+ * recording the applied versions in the schema_migrations table. Each
+ * migration runs in its own transaction.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Object}
+ */
+function createMigrator(db, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  /**
+   * Create the schema_migrations table
+   * @returns {Promise<void>}
+   */
+  async function ensureTable() {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Applied migrations by version
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async function appliedVersions() {
+    await ensureTable();
+    const rows = await all(db, 'SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Every known migration and when it was applied
+   * @returns {Promise<Array<{version: number, name: string, applied_at: string|null}>>}
+   */
+  async function status() {
+    const applied = await appliedVersions();
+    const known = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.has(version) ? applied.get(version).applied_at : null
+    }));
+    // Versions applied by a newer server whose files are missing here
+    const unknown = [...applied.values()]
+      .filter(row => !migrations.some(migration => migration.version === row.version))
+      .map(({ version, name, applied_at }) => ({ version, name, applied_at, missing: true }));
+    return [...known, ...unknown].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply the pending migrations in order
+   * @param {Object} [options]
+   * @param {number} [options.to] - Stop after this version
+   * @returns {Promise<Array<{version: number, name: string}>>} - Migrations applied
+   */
+  async function migrate({ to = Infinity } = {}) {
+    const applied = await appliedVersions();
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await transaction(db, async () => {
+        await migration.up(db);
+        await run(db, 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [
+          migration.version, migration.name, new Date().toISOString()
+        ]);
+      });
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {Object} [options]
+   * @param {number} [options.steps] - How many migrations to revert
+   * @returns {Promise<Array<{version: number, name: string}>>} - Migrations reverted
+   */
+  async function rollback({ steps = 1 } = {}) {
+    const applied = await appliedVersions();
+    const latest = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const reverted = [];
+    for (const version of latest) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${version}: its file is missing`);
+      }
+      await transaction(db, async () => {
+        await migration.down(db);
+        await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [version]);
+      });
+      reverted.push({ version, name: migration.name });
+    }
+    return reverted;
+  }
+
+  return {
+    status,
+    migrate,
+    rollback
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  createMigrator
+}
@@ -0,0 +1,376 @@
+const { run, addColumnIfMissing } = require('../dbHelpers')
+
+// Tables in creation order; down drops them in reverse
+const TABLES = {
+  fires: `
+    CREATE TABLE IF NOT EXISTS fires (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+
+      -- Timestamps
+      timestamp_detected DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_update DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      -- Fire status and characteristics
+      fire_status TEXT CHECK(fire_status IN ('active', 'controlled', 'threat')) DEFAULT 'active',
+      fire_type TEXT DEFAULT 'wildfire',
+      fire_intensity REAL DEFAULT 100,
+      fire_size REAL DEFAULT 1.0,
+      confidence INTEGER DEFAULT 85,
+
+      -- Environmental conditions
+      fuel_type TEXT DEFAULT 'mixed_forest',
+      terrain_type TEXT DEFAULT 'mountain',
+      slope REAL DEFAULT 15,
+
+      -- Weather conditions
+      temperature REAL DEFAULT 30,
+      humidity INTEGER DEFAULT 25,
+      wind_speed REAL DEFAULT 10,
+      wind_direction INTEGER DEFAULT 180,
+      wind_type TEXT DEFAULT 'meltemi',
+
+      -- Response information
+      agency_in_charge TEXT DEFAULT 'Cyprus Fire Service',
+      response_level TEXT DEFAULT 'district',
+      firefighters INTEGER DEFAULT 20,
+      vehicles INTEGER DEFAULT 5,
+      aircraft INTEGER DEFAULT 1,
+      evacuation_status TEXT DEFAULT 'none',
+
+      -- Location information
+      district TEXT DEFAULT 'Limassol',
+      nearest_village TEXT DEFAULT 'Unknown',
+      distance_to_village REAL DEFAULT 1.5,
+      risk_to_settlements TEXT CHECK(risk_to_settlements IN ('low', 'medium', 'high')) DEFAULT 'medium',
+
+      -- Legacy fields for compatibility
+      reporter_name TEXT,
+      reporter_contact TEXT,
+
+      -- Latest perimeter (GeoJSON Polygon/MultiPolygon, progression in fire_perimeters)
+      perimeter TEXT,
+
+      -- Attached media URLs (JSON, details in fire_media)
+      media TEXT
+    )
+  `,
+  fire_perimeters: `
+    CREATE TABLE IF NOT EXISTS fire_perimeters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER NOT NULL,
+      geometry TEXT NOT NULL,
+      area_ha REAL NOT NULL,
+      recorded_by TEXT,
+      recorded_at TEXT NOT NULL
+    )
+  `,
+  fire_revisions: `
+    CREATE TABLE IF NOT EXISTS fire_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      action TEXT CHECK(action IN ('created', 'updated', 'deleted')) NOT NULL,
+      changed_by TEXT,
+      changed_at TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      snapshot TEXT,
+      UNIQUE(fire_id, version)
+    )
+  `,
+  api_keys: `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT CHECK(role IN ('viewer', 'field_reporter', 'dispatcher', 'admin')) NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_hint TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      revoked_at TEXT
+    )
+  `,
+  alert_rules: `
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      events TEXT NOT NULL,
+      conditions TEXT NOT NULL,
+      message_template TEXT NOT NULL,
+      cooldown_minutes REAL NOT NULL DEFAULT 60,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  alert_rule_triggers: `
+    CREATE TABLE IF NOT EXISTS alert_rule_triggers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER NOT NULL,
+      fire_id INTEGER NOT NULL,
+      event_id INTEGER,
+      triggered_at TEXT NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT CHECK(status IN ('pending', 'sent', 'failed')) NOT NULL DEFAULT 'pending',
+      error TEXT,
+      notification_id INTEGER
+    )
+  `,
+  subscriptions: `
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      address TEXT NOT NULL,
+      area TEXT NOT NULL,
+      fire_events INTEGER NOT NULL DEFAULT 1,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  evacuation_zones: `
+    CREATE TABLE IF NOT EXISTS evacuation_zones (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER,
+      name TEXT NOT NULL,
+      status TEXT CHECK(status IN ('ordered', 'advised', 'lifted')) NOT NULL,
+      geometry TEXT NOT NULL,
+      instructions TEXT,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      status_changed_at TEXT NOT NULL
+    )
+  `,
+  shelters: `
+    CREATE TABLE IF NOT EXISTS shelters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      address TEXT,
+      capacity INTEGER NOT NULL,
+      occupancy INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  evacuation_zone_shelters: `
+    CREATE TABLE IF NOT EXISTS evacuation_zone_shelters (
+      zone_id INTEGER NOT NULL,
+      shelter_id INTEGER NOT NULL,
+      PRIMARY KEY (zone_id, shelter_id)
+    )
+  `,
+  resources: `
+    CREATE TABLE IF NOT EXISTS resources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_sign TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      home_station TEXT NOT NULL,
+      personnel INTEGER NOT NULL DEFAULT 0,
+      status TEXT CHECK(status IN ('available', 'en_route', 'on_scene', 'returning')) NOT NULL DEFAULT 'available',
+      latitude REAL,
+      longitude REAL,
+      position_updated_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  resource_assignments: `
+    CREATE TABLE IF NOT EXISTS resource_assignments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      resource_id INTEGER NOT NULL,
+      fire_id INTEGER NOT NULL,
+      dispatched_by TEXT,
+      dispatched_at TEXT NOT NULL,
+      arrived_at TEXT,
+      released_at TEXT
+    )
+  `,
+  fire_media: `
+    CREATE TABLE IF NOT EXISTS fire_media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER NOT NULL,
+      file_path TEXT NOT NULL,
+      thumbnail_path TEXT NOT NULL,
+      original_name TEXT,
+      content_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      latitude REAL,
+      longitude REAL,
+      altitude REAL,
+      taken_at TEXT,
+      camera TEXT,
+      uploaded_by TEXT,
+      uploaded_at TEXT NOT NULL
+    )
+  `,
+  citizen_reports: `
+    CREATE TABLE IF NOT EXISTS citizen_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      description TEXT NOT NULL,
+      reporter_name TEXT,
+      reporter_contact TEXT,
+      photo BLOB,
+      photo_type TEXT,
+      client_address TEXT,
+      status TEXT CHECK(status IN ('pending', 'confirmed', 'rejected')) NOT NULL DEFAULT 'pending',
+      fire_id INTEGER,
+      moderated_by TEXT,
+      moderated_at TEXT,
+      rejection_reason TEXT,
+      created_at TEXT NOT NULL
+    )
+  `,
+  fire_reports: `
+    CREATE TABLE IF NOT EXISTS fire_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER NOT NULL,
+      source_fire_id INTEGER NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      reported_at TEXT,
+      reporter_name TEXT,
+      reporter_contact TEXT,
+      snapshot TEXT NOT NULL,
+      merged_by TEXT,
+      merged_at TEXT NOT NULL
+    )
+  `,
+  satellite_detections: `
+    CREATE TABLE IF NOT EXISTS satellite_detections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER,
+      satellite TEXT NOT NULL,
+      instrument TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      acquired_at TEXT NOT NULL,
+      brightness REAL,
+      frp REAL NOT NULL,
+      confidence INTEGER NOT NULL,
+      daynight TEXT,
+      imported_by TEXT,
+      imported_at TEXT NOT NULL,
+      UNIQUE(satellite, instrument, acquired_at, latitude, longitude)
+    )
+  `,
+  notifications: `
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message TEXT NOT NULL,
+      evacuation_points TEXT NOT NULL DEFAULT '[]',
+      location TEXT,
+      zone_id INTEGER,
+      source TEXT NOT NULL DEFAULT 'manual',
+      status TEXT CHECK(status IN ('pending', 'sent', 'partial', 'failed')) NOT NULL DEFAULT 'pending',
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  notification_deliveries: `
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+      channel TEXT NOT NULL,
+      recipient TEXT,
+      subscription_id INTEGER,
+      status TEXT CHECK(status IN ('pending', 'sending', 'sent', 'failed')) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      message_id TEXT,
+      last_error TEXT,
+      result TEXT,
+      sent_at TEXT,
+      updated_at TEXT NOT NULL
+    )
+  `
+};
+
+// Columns added after their tables first shipped, missing from databases
+// created by older servers
+const LATER_COLUMNS = [
+  ['fires', 'perimeter', 'TEXT'],
+  ['fires', 'media', 'TEXT'],
+  ['alert_rule_triggers', 'notification_id', 'INTEGER'],
+  ['notifications', 'zone_id', 'INTEGER'],
+  ['notification_deliveries', 'recipient', 'TEXT'],
+  ['notification_deliveries', 'subscription_id', 'INTEGER']
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_fire_perimeters_fire ON fire_perimeters(fire_id, recorded_at)',
+  'CREATE INDEX IF NOT EXISTS idx_fire_revisions_changed_at ON fire_revisions(changed_at)',
+  'CREATE INDEX IF NOT EXISTS idx_alert_rule_triggers_rule_fire ON alert_rule_triggers(rule_id, fire_id)',
+  'CREATE INDEX IF NOT EXISTS idx_evacuation_zones_fire ON evacuation_zones(fire_id)',
+  'CREATE INDEX IF NOT EXISTS idx_resource_assignments_fire ON resource_assignments(fire_id, released_at)',
+  'CREATE INDEX IF NOT EXISTS idx_resource_assignments_resource ON resource_assignments(resource_id, released_at)',
+  'CREATE INDEX IF NOT EXISTS idx_fire_media_fire ON fire_media(fire_id)',
+  'CREATE INDEX IF NOT EXISTS idx_citizen_reports_status ON citizen_reports(status, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_fire_reports_fire ON fire_reports(fire_id)',
+  'CREATE INDEX IF NOT EXISTS idx_fire_reports_source ON fire_reports(source_fire_id)',
+  'CREATE INDEX IF NOT EXISTS idx_satellite_detections_fire ON satellite_detections(fire_id)',
+  'CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries(status, next_attempt_at)',
+  'CREATE INDEX IF NOT EXISTS idx_notification_deliveries_notification ON notification_deliveries(notification_id)'
+];
+
+// SQLite date functions the queries use, recreated on PostgreSQL. The
+// session runs in UTC, matching the zone-less timestamps stored.
+const POSTGRES_FUNCTIONS = [
+  `CREATE OR REPLACE FUNCTION julianday(value TEXT) RETURNS DOUBLE PRECISION AS $$
+    SELECT extract(epoch FROM CASE WHEN value = 'now' THEN now() ELSE value::timestamptz END) / 86400.0 + 2440587.5
+  $$ LANGUAGE SQL STABLE STRICT`
+];
+
+/**
+ * Create the tables of the server as they were before versioned
+ * migrations. Databases created by older servers already have some of
+ * them; those are kept and given the columns they lack.
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  for (const sql of Object.values(TABLES)) {
+    await run(db, sql);
+  }
+  for (const [table, column, definition] of LATER_COLUMNS) {
+    await addColumnIfMissing(db, table, column, definition);
+  }
+  for (const sql of INDEXES) {
+    await run(db, sql);
+  }
+  if (db.dialect === 'postgres') {
+    for (const sql of POSTGRES_FUNCTIONS) {
+      await run(db, sql);
+    }
+  }
+}
+
+/**
+ * Drop every table, and with them all data
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function down(db) {
+  for (const table of Object.keys(TABLES).reverse()) {
+    await run(db, `DROP TABLE IF EXISTS ${table}`);
+  }
+  if (db.dialect === 'postgres') {
+    await run(db, 'DROP FUNCTION IF EXISTS julianday(TEXT)');
+  }
+}
+
+module.exports = {
+  up,
+  down
+}
@@ -0,0 +1,45 @@
+const { run, get } = require('../dbHelpers')
+
+/**
+ * On PostgreSQL with PostGIS installed, give fires a geom column (a WGS84
+ * point kept in step with latitude and longitude) with a spatial index, so
+ * GIS tools can query the fires table directly. Does nothing on SQLite or
+ * where the PostGIS extension is not available.
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  if (db.dialect !== 'postgres') {
+    return;
+  }
+  const available = await get(db, "SELECT 1 AS available FROM pg_available_extensions WHERE name = 'postgis'");
+  if (!available) {
+    console.warn('PostGIS is not available: fires get no geom column');
+    return;
+  }
+
+  await run(db, 'CREATE EXTENSION IF NOT EXISTS postgis');
+  await run(db, `
+    ALTER TABLE fires ADD COLUMN IF NOT EXISTS geom geometry(Point, 4326)
+      GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)) STORED
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_fires_geom ON fires USING GIST (geom)');
+}
+
+/**
+ * Drop the geom column and its index (the extension is left installed)
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function down(db) {
+  if (db.dialect !== 'postgres') {
+    return;
+  }
+  await run(db, 'DROP INDEX IF EXISTS idx_fires_geom');
+  await run(db, 'ALTER TABLE fires DROP COLUMN IF EXISTS geom');
+}
+
+module.exports = {
+  up,
+  down
+}
@@ -0,0 +1,87 @@
+const { run, get } = require('../dbHelpers')
+
+const LIFECYCLE_STATUSES = ['reported', 'confirmed', 'active', 'threat', 'contained', 'controlled', 'extinguished', 'archived'];
+
+const PREVIOUS_STATUSES = ['active', 'controlled', 'threat'];
+
+// Where each new status goes when the migration is reverted
+const PREVIOUS_STATUS_OF = {
+  reported: 'active',
+  confirmed: 'active',
+  contained: 'controlled',
+  extinguished: 'controlled',
+  archived: 'controlled'
+};
+
+/**
+ * Replace the CHECK constraint limiting fires.fire_status. SQLite cannot
+ * alter a constraint, so the table is rebuilt from its own definition.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Array<string>} statuses - Statuses to allow
+ * @returns {Promise<void>}
+ */
+async function setStatusCheck(db, statuses) {
+  const check = `CHECK(fire_status IN (${statuses.map(status => `'${status}'`).join(', ')}))`;
+
+  if (db.dialect === 'postgres') {
+    await run(db, 'ALTER TABLE fires DROP CONSTRAINT IF EXISTS fires_fire_status_check');
+    await run(db, `ALTER TABLE fires ADD CONSTRAINT fires_fire_status_check ${check}`);
+    return;
+  }
+
+  const { sql } = await get(db, "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'fires'");
+  // Keep the AUTOINCREMENT high-water mark so IDs of deleted fires, still
+  // referenced by their history, are not handed out again
+  const sequence = await get(db, "SELECT seq FROM sqlite_sequence WHERE name = 'fires'");
+  const definition = sql
+    .replace(/CHECK\s*\(\s*fire_status\s+IN\s*\([^)]*\)\s*\)/i, check)
+    .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?"?fires"?/i, 'CREATE TABLE fires_rebuilt');
+  await run(db, definition);
+  await run(db, 'INSERT INTO fires_rebuilt SELECT * FROM fires');
+  await run(db, 'DROP TABLE fires');
+  await run(db, 'ALTER TABLE fires_rebuilt RENAME TO fires');
+  if (sequence) {
+    await run(db, "UPDATE sqlite_sequence SET seq = ? WHERE name = 'fires'", [sequence.seq]);
+  }
+}
+
+/**
+ * Allow the full lifecycle in fires.fire_status and add the
+ * fire_status_transitions table recording each status change
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  await setStatusCheck(db, LIFECYCLE_STATUSES);
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS fire_status_transitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fire_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      reason TEXT,
+      changed_by TEXT,
+      changed_at TEXT NOT NULL
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_fire_status_transitions_fire ON fire_status_transitions(fire_id, changed_at)');
+}
+
+/**
+ * Map the lifecycle statuses back to active, threat and controlled, restore
+ * the old constraint and drop the transitions
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function down(db) {
+  for (const [status, previous] of Object.entries(PREVIOUS_STATUS_OF)) {
+    await run(db, 'UPDATE fires SET fire_status = ? WHERE fire_status = ?', [previous, status]);
+  }
+  await setStatusCheck(db, PREVIOUS_STATUSES);
+  await run(db, 'DROP TABLE IF EXISTS fire_status_transitions');
+}
+
+module.exports = {
+  up,
+  down
+}
@@ -0,0 +1,29 @@
+const { run } = require('../dbHelpers')
+
+/**
+ * Give subscriptions an owner column holding the stable identity of their
+ * creator (see principalId in auth.js). created_by keeps the display name,
+ * which API keys and tokens do not have to keep unique. Subscriptions made
+ * before this migration have no owner and are managed by dispatchers only.
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  await run(db, 'ALTER TABLE subscriptions ADD COLUMN owner TEXT');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_subscriptions_owner ON subscriptions(owner)');
+}
+
+/**
+ * Drop the owner column and its index
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function down(db) {
+  await run(db, 'DROP INDEX IF EXISTS idx_subscriptions_owner');
+  await run(db, 'ALTER TABLE subscriptions DROP COLUMN owner');
+}
+
+module.exports = {
+  up,
+  down
+}
@@ -0,0 +1,52 @@
+const { run, get } = require('../dbHelpers')
+
+/**
+ * Rebuild fire_reports with source_fire_id allowing or forbidding NULL.
+ * SQLite cannot alter a column, so the table is rebuilt from its own
+ * definition.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {boolean} nullable - Whether source_fire_id may be NULL
+ * @returns {Promise<void>}
+ */
+async function setSourceNullable(db, nullable) {
+  if (db.dialect === 'postgres') {
+    await run(db, `ALTER TABLE fire_reports ALTER COLUMN source_fire_id ${nullable ? 'DROP' : 'SET'} NOT NULL`);
+    return;
+  }
+
+  const { sql } = await get(db, "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'fire_reports'");
+  const definition = sql
+    .replace(/source_fire_id\s+INTEGER(\s+NOT NULL)?/i, `source_fire_id INTEGER${nullable ? '' : ' NOT NULL'}`)
+    .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?"?fire_reports"?/i, 'CREATE TABLE fire_reports_rebuilt');
+  await run(db, definition);
+  await run(db, 'INSERT INTO fire_reports_rebuilt SELECT * FROM fire_reports');
+  await run(db, 'DROP TABLE fire_reports');
+  await run(db, 'ALTER TABLE fire_reports_rebuilt RENAME TO fire_reports');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_fire_reports_fire ON fire_reports(fire_id)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_fire_reports_source ON fire_reports(source_fire_id)');
+}
+
+/**
+ * Let fire_reports hold reports merged straight into a fire
+ * (POST /api/fires?on_duplicate=merge), which never had a fire ID of their own
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  await setSourceNullable(db, true);
+}
+
+/**
+ * Drop the reports without a source fire and restore the NOT NULL constraint
+ * @param {Object} db - sqlite3 Database instance
+ * @returns {Promise<void>}
+ */
+async function down(db) {
+  await run(db, 'DELETE FROM fire_reports WHERE source_fire_id IS NULL');
+  await setSourceNullable(db, false);
+}
+
+module.exports = {
+  up,
+  down
+}
@@ -0,0 +1,109 @@
+const { telegramChannel } = require('./telegramService')
+const { whatsappChannel } = require('./whatsappService')
+const { webhookChannel } = require('./webhookService')
+const { emailChannel } = require('./emailService')
+const { smsChannel } = require('./smsService')
+const { parseEnvList } = require('./notificationText')
+
+// Every available channel provider, in the order results are reported
+const PROVIDERS = [telegramChannel, whatsappChannel, webhookChannel, emailChannel, smsChannel];
+
+const PROVIDERS_BY_NAME = Object.fromEntries(PROVIDERS.map(provider => [provider.name, provider]));
+
+const CHANNEL_NAMES = PROVIDERS.map(provider => provider.name);
+
+/**
+ * Build the notification dispatcher from environment configuration.
+ * A channel is enabled when its settings are present; partially or wrongly
+ * configured channels make this throw, so the server refuses to start with a
+ * broken notification setup.
+ * @param {Object} env - Environment variables
+ * @param {Object} overrides - Channel instances by name, replacing the configured ones (for tests)
+ * @returns {Object} - Dispatcher with enabledChannels, defaultChannels, getChannel, validateChannels and validateAddress
+ */
+function createNotificationDispatcher(env = process.env, overrides = {}) {
+  const channels = {};
+  const errors = [];
+
+  PROVIDERS.forEach(provider => {
+    if (overrides[provider.name]) {
+      channels[provider.name] = overrides[provider.name];
+      return;
+    }
+
+    const config = provider.readConfig(env);
+    if (!config) {
+      return;
+    }
+
+    const problems = provider.validateConfig(config);
+    if (problems.length > 0) {
+      errors.push(...problems);
+      return;
+    }
+
+    channels[provider.name] = provider.createChannel(config);
+  });
+
+  const requestedDefaults = parseEnvList(env.NOTIFICATION_CHANNELS);
+  requestedDefaults
+    .filter(name => !channels[name])
+    .forEach(name => errors.push(`NOTIFICATION_CHANNELS lists ${name}, which is ${CHANNEL_NAMES.includes(name) ? 'not configured' : 'not a known channel'}`));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid notification configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const enabledChannels = Object.keys(channels);
+  const defaultChannels = requestedDefaults.length > 0 ? requestedDefaults : enabledChannels;
+
+  /**
+   * Check a requested channel list
+   * @param {*} names - Channel names from a request
+   * @returns {string|null} - Error message, or null if every channel can be used
+   */
+  function validateChannels(names) {
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) {
+      return 'channels must be a non-empty array of channel names';
+    }
+    const unknown = names.filter(name => !CHANNEL_NAMES.includes(name));
+    if (unknown.length > 0) {
+      return `Unknown channels: ${unknown.join(', ')} (available: ${CHANNEL_NAMES.join(', ')})`;
+    }
+    const disabled = names.filter(name => !channels[name]);
+    if (disabled.length > 0) {
+      return `Channels not configured: ${disabled.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a subscriber address for a channel
+   * @param {string} name - Channel name
+   * @param {*} address - Chat ID, phone number, email address or URL
+   * @returns {string|null} - Error message, or null if the address can be used
+   */
+  function validateAddress(name, address) {
+    const channelError = validateChannels([name]);
+    if (channelError) {
+      return channelError;
+    }
+    if (typeof address !== 'string' || !address.trim()) {
+      return 'address is required and must be a non-empty string';
+    }
+    return PROVIDERS_BY_NAME[name].validateAddress(address);
+  }
+
+  return {
+    enabledChannels,
+    defaultChannels,
+    getChannel: (name) => channels[name] || null,
+    validateChannels,
+    validateAddress
+  };
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  createNotificationDispatcher
+}
@@ -0,0 +1,349 @@
+const { run, get, all } = require('./dbHelpers')
+
+// Delivery attempts per channel before a notification is given up on
+const MAX_ATTEMPTS = 8;
+
+// Exponential backoff: 10s, 20s, 40s ... capped at 15 minutes
+const BASE_RETRY_DELAY_MS = 10 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// How often the worker looks for due deliveries
+const POLL_INTERVAL_MS = 2000;
+
+// Deliveries attempted per worker pass
+const BATCH_SIZE = 20;
+
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'partial', 'failed'];
+
+/**
+ * Delay before the next attempt, with ±20% jitter so retries from a burst
+ * of notifications do not hit a provider at the same moment
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+function retryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Parse a JSON column
+ * @param {string|null} value - Stored JSON
+ * @returns {*}
+ */
+function parseJson(value) {
+  return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+/**
+ * Convert a notification_deliveries row to its API representation
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function deliveryToJSON(row) {
+  return {
+    channel: row.channel,
+    recipient: row.recipient,
+    subscription_id: row.subscription_id,
+    status: row.status,
+    attempts: row.attempts,
+    next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+    message_id: row.message_id,
+    last_error: row.last_error,
+    sent_at: row.sent_at,
+    result: parseJson(row.result)
+  };
+}
+
+/**
+ * Convert a notifications row and its deliveries to the API representation
+ * @param {Object} row - Database row
+ * @param {Array<Object>} deliveries - Its notification_deliveries rows
+ * @returns {Object}
+ */
+function notificationToJSON(row, deliveries) {
+  return {
+    id: row.id,
+    status: row.status,
+    message: row.message,
+    evacuationPoints: parseJson(row.evacuation_points),
+    location: parseJson(row.location),
+    zone_id: row.zone_id,
+    source: row.source,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    deliveries: deliveries.map(deliveryToJSON)
+  };
+}
+
+/**
+ * Create the notification outbox. Every notification is stored before it is
+ * sent, with one delivery per channel; a background worker retries failed
+ * deliveries with exponential backoff until they succeed, fail permanently
+ * or run out of attempts. A channel that reports a rate limit (Telegram's
+ * retry_after, HTTP 429 Retry-After) is paused for the requested time.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} dispatcher - Notification dispatcher (see notificationDispatcher.js)
+ * @returns {Object} - Outbox with enqueue, deliverNow, start, stop, list and getById
+ */
+function createNotificationOutbox(db, dispatcher) {
+  // Channel name -> timestamp until which it is rate limited
+  const pausedUntil = {};
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Store a notification with a pending delivery per channel and per
+   * subscriber recipient
+   * @param {Object} notification - { message, evacuationPoints, location, zoneId }
+   * @param {Array<string>} channels - Channels to deliver to their configured targets
+   * @param {Object} options - { source, createdBy, recipients: [{ channel, address, subscriptionId }] }
+   * @returns {Promise<number>} - Notification ID
+   */
+  async function enqueue(notification, channels, { source = 'manual', createdBy = null, recipients = [] } = {}) {
+    if (channels.length === 0 && recipients.length === 0) {
+      throw new Error('A notification needs at least one channel or recipient');
+    }
+
+    const now = new Date().toISOString();
+    const { lastID } = await run(db,
+      `INSERT INTO notifications (message, evacuation_points, location, zone_id, source, status, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+      [
+        notification.message,
+        JSON.stringify(notification.evacuationPoints || []),
+        notification.location ? JSON.stringify(notification.location) : null,
+        notification.zoneId || null,
+        source,
+        createdBy,
+        now,
+        now
+      ]
+    );
+
+    const deliveries = [
+      ...channels.map(channel => ({ channel, address: null, subscriptionId: null })),
+      ...recipients
+    ];
+    for (const delivery of deliveries) {
+      await run(db,
+        `INSERT INTO notification_deliveries (notification_id, channel, recipient, subscription_id, status, next_attempt_at, updated_at)
+         VALUES (?, ?, ?, ?, 'pending', ?, ?)`,
+        [lastID, delivery.channel, delivery.address, delivery.subscriptionId, now, now]
+      );
+    }
+
+    return lastID;
+  }
+
+  /**
+   * Recompute a notification's overall status from its deliveries
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  async function refreshStatus(notificationId) {
+    const rows = await all(db, 'SELECT status FROM notification_deliveries WHERE notification_id = ?', [notificationId]);
+    const statuses = rows.map(row => row.status);
+
+    let status = 'failed';
+    if (statuses.some(value => value === 'pending' || value === 'sending')) {
+      status = 'pending';
+    } else if (statuses.length > 0 && statuses.every(value => value === 'sent')) {
+      status = 'sent';
+    } else if (statuses.includes('sent')) {
+      status = 'partial';
+    }
+
+    await run(db, 'UPDATE notifications SET status = ?, updated_at = ? WHERE id = ?',
+      [status, new Date().toISOString(), notificationId]);
+  }
+
+  /**
+   * Make one attempt at a pending delivery
+   * @param {Object} delivery - notification_deliveries row
+   * @returns {Promise<void>}
+   */
+  async function attempt(delivery) {
+    // Claim the delivery so the worker and deliverNow never send it twice
+    const claimed = await run(db,
+      `UPDATE notification_deliveries SET status = 'sending', attempts = attempts + 1, updated_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [new Date().toISOString(), delivery.id]
+    );
+    if (claimed.changes === 0) {
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const notification = await get(db, 'SELECT * FROM notifications WHERE id = ?', [delivery.notification_id]);
+    const channel = dispatcher.getChannel(delivery.channel);
+
+    try {
+      if (!channel) {
+        const error = new Error(`Channel not configured: ${delivery.channel}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      const result = await channel.send({
+        message: notification.message,
+        evacuationPoints: parseJson(notification.evacuation_points),
+        location: parseJson(notification.location),
+        recipient: delivery.recipient
+      });
+
+      const now = new Date().toISOString();
+      const messageId = result && result.messageId !== undefined && result.messageId !== null ? String(result.messageId) : null;
+      await run(db,
+        `UPDATE notification_deliveries SET status = 'sent', message_id = ?, result = ?, last_error = NULL, sent_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [messageId, JSON.stringify(result || null), now, now, delivery.id]
+      );
+    } catch (error) {
+      console.error(`${delivery.channel} notification error (attempt ${attempts}):`, error.message);
+
+      let status = 'failed';
+      let nextAttemptAt = delivery.next_attempt_at;
+      if (error.retryable !== false && attempts < MAX_ATTEMPTS) {
+        let delay = retryDelay(attempts);
+        if (error.retryAfter > 0) {
+          delay = error.retryAfter * 1000;
+          pausedUntil[delivery.channel] = Date.now() + delay;
+        }
+        status = 'pending';
+        nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      }
+
+      await run(db,
+        'UPDATE notification_deliveries SET status = ?, next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?',
+        [status, nextAttemptAt, error.message, new Date().toISOString(), delivery.id]
+      );
+    }
+
+    await refreshStatus(delivery.notification_id);
+  }
+
+  /**
+   * Attempt every due delivery, skipping rate-limited channels
+   * @param {Array<Object>} deliveries - Due notification_deliveries rows
+   * @returns {Promise<void>}
+   */
+  async function attemptAll(deliveries) {
+    const ready = deliveries.filter(delivery => !(pausedUntil[delivery.channel] > Date.now()));
+    await Promise.all(ready.map(attempt));
+  }
+
+  /**
+   * Send the pending deliveries of one notification immediately, so API
+   * callers see the first attempt's outcome
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<Object>} - The notification after the attempt
+   */
+  async function deliverNow(notificationId) {
+    const deliveries = await all(db,
+      "SELECT * FROM notification_deliveries WHERE notification_id = ? AND status = 'pending'",
+      [notificationId]
+    );
+    await attemptAll(deliveries);
+    return getById(notificationId);
+  }
+
+  /**
+   * One worker pass over the deliveries that are due
+   * @returns {Promise<void>}
+   */
+  async function poll() {
+    if (polling) {
+      return;
+    }
+    polling = true;
+    try {
+      const deliveries = await all(db,
+        "SELECT * FROM notification_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT ?",
+        [new Date().toISOString(), BATCH_SIZE]
+      );
+      await attemptAll(deliveries);
+    } catch (error) {
+      console.error('Notification outbox error:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  /**
+   * Start the background worker. Deliveries left 'sending' by a crash are
+   * retried, since their outcome is unknown.
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    await run(db, "UPDATE notification_deliveries SET status = 'pending' WHERE status = 'sending'");
+    timer = setInterval(poll, POLL_INTERVAL_MS);
+    timer.unref();
+  }
+
+  /**
+   * Stop the background worker
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Load a notification with its deliveries
+   * @param {number} id - Notification ID
+   * @returns {Promise<Object|null>}
+   */
+  async function getById(id) {
+    const row = await get(db, 'SELECT * FROM notifications WHERE id = ?', [id]);
+    if (!row) {
+      return null;
+    }
+    const deliveries = await all(db, 'SELECT * FROM notification_deliveries WHERE notification_id = ? ORDER BY id ASC', [id]);
+    return notificationToJSON(row, deliveries);
+  }
+
+  /**
+   * List notifications, newest first
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Promise<{total: number, notifications: Array<Object>}>}
+   */
+  async function list({ status = null, limit = 50, offset = 0 } = {}) {
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status] : [];
+
+    const { total } = await get(db, `SELECT COUNT(*) AS total FROM notifications ${where}`, params);
+    const rows = await all(db,
+      `SELECT * FROM notifications ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const deliveries = rows.length === 0 ? [] : await all(db,
+      `SELECT * FROM notification_deliveries WHERE notification_id IN (${rows.map(() => '?').join(', ')}) ORDER BY id ASC`,
+      rows.map(row => row.id)
+    );
+
+    return {
+      total,
+      notifications: rows.map(row => notificationToJSON(row, deliveries.filter(delivery => delivery.notification_id === row.id)))
+    };
+  }
+
+  return {
+    enqueue,
+    deliverNow,
+    start,
+    stop,
+    list,
+    getById
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  NOTIFICATION_STATUSES,
+  createNotificationOutbox
+}
@@ -0,0 +1,70 @@
+/**
+ * Build the plain-text body shared by every notification channel
+ * @param {string} message - Message text
+ * @param {Array<Array<number>>} evacuationPoints - Array of [lat, lng] coordinates
+ * @param {Array<number>} location - [lat, lng] of the notification location
+ * @returns {string}
+ */
+function formatNotificationText(message, evacuationPoints = [], location = null) {
+  // Format evacuation points
+  let evacuationText = '';
+  if (evacuationPoints && evacuationPoints.length > 0) {
+    evacuationText = '\n\n📍 Safe Evacuation Points:\n';
+    evacuationPoints.forEach((point, index) => {
+      const [lat, lng] = point;
+      const mapsUrl = `https://www.google.com/maps?q=${lat},${lng}`;
+      evacuationText += `${index + 1}. ${lat.toFixed(6)}, ${lng.toFixed(6)}\n   ${mapsUrl}\n`;
+    });
+  }
+
+  // Add location if provided
+  let locationText = '';
+  if (location && location.length === 2) {
+    const [lat, lng] = location;
+    const mapsUrl = `https://www.google.com/maps?q=${lat},${lng}`;
+    locationText = `\n\n📍 Location: ${lat.toFixed(6)}, ${lng.toFixed(6)}\n${mapsUrl}`;
+  }
+
+  return `${message}${locationText}${evacuationText}`;
+}
+
+/**
+ * Escape text for Telegram's HTML parse mode
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Strip the HTML tags Telegram accepts, for channels that send plain text
+ * @param {string} text - Text that may contain Telegram HTML markup
+ * @returns {string}
+ */
+function stripHtml(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a comma-separated list from an environment variable
+ * @param {string} value - Raw value
+ * @returns {Array<string>}
+ */
+function parseEnvList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  formatNotificationText,
+  escapeHtml,
+  stripHtml,
+  parseEnvList
+}
@@ -0,0 +1,385 @@
+const { run, get, all } = require('./dbHelpers')
+
+// Unit types and the resources_on_site count each one adds to
+const RESOURCE_TYPES = {
+  crew: 'firefighters',
+  engine: 'vehicles',
+  water_tender: 'vehicles',
+  bulldozer: 'vehicles',
+  helicopter: 'aircraft',
+  airplane: 'aircraft'
+};
+
+const RESOURCE_STATUSES = ['available', 'en_route', 'on_scene', 'returning'];
+
+// Status changes allowed through updates; units leave available or
+// returning only by being dispatched
+const STATUS_TRANSITIONS = {
+  available: [],
+  en_route: ['on_scene', 'returning'],
+  on_scene: ['returning'],
+  returning: ['available']
+};
+
+// Statuses a unit can be dispatched from
+const DISPATCHABLE_STATUSES = ['available', 'returning'];
+
+/**
+ * Validate a resource payload. Status and position are changed through
+ * updateResourceStatus, not here.
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {{resource: Object}|{error: string}}
+ */
+function validateResource(body, partial = false) {
+  const resource = {};
+
+  for (const field of ['call_sign', 'home_station']) {
+    if (!partial || body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || !body[field].trim()) {
+        return { error: `${field} is required and must be a non-empty string` };
+      }
+      resource[field] = body[field].trim();
+    }
+  }
+
+  if (!partial || body.type !== undefined) {
+    if (!Object.keys(RESOURCE_TYPES).includes(body.type)) {
+      return { error: `type must be one of ${Object.keys(RESOURCE_TYPES).join(', ')}` };
+    }
+    resource.type = body.type;
+  }
+
+  if (body.personnel !== undefined) {
+    if (!Number.isInteger(body.personnel) || body.personnel < 0) {
+      return { error: 'personnel must be a non-negative integer' };
+    }
+    resource.personnel = body.personnel;
+  }
+
+  return { resource };
+}
+
+/**
+ * Convert a resources row to its API representation
+ * @param {Object} row - resources row, with the active assignment's
+ *   fire_id, dispatched_at and arrived_at joined in when there is one
+ * @returns {Object}
+ */
+function resourceToJSON(row) {
+  return {
+    id: row.id,
+    call_sign: row.call_sign,
+    type: row.type,
+    home_station: row.home_station,
+    personnel: row.personnel,
+    status: row.status,
+    position: row.latitude === null ? null : [row.latitude, row.longitude],
+    position_updated_at: row.position_updated_at,
+    assignment: row.assignment_id ? {
+      id: row.assignment_id,
+      fire_id: row.fire_id,
+      dispatched_at: row.dispatched_at,
+      arrived_at: row.arrived_at
+    } : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Resources joined with their active assignment, if any
+const RESOURCE_SELECT = `
+  SELECT resources.*, assignments.id AS assignment_id, assignments.fire_id,
+         assignments.dispatched_at, assignments.arrived_at
+  FROM resources
+  LEFT JOIN resource_assignments assignments
+    ON assignments.resource_id = resources.id AND assignments.released_at IS NULL
+`;
+
+/**
+ * Store a new resource unit, available at its home station
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} resource - Validated resource
+ * @returns {Promise<Object>}
+ */
+async function createResource(db, resource) {
+  const now = new Date().toISOString();
+  const { lastID } = await run(db, `
+    INSERT INTO resources (call_sign, type, home_station, personnel, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'available', ?, ?)
+  `, [resource.call_sign, resource.type, resource.home_station, resource.personnel || 0, now, now]);
+  return getResource(db, lastID);
+}
+
+/**
+ * List resource units
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} filters - { status, type, homeStation, fireId }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listResources(db, { status = null, type = null, homeStation = null, fireId = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status !== null) {
+    conditions.push('resources.status = ?');
+    params.push(status);
+  }
+  if (type !== null) {
+    conditions.push('resources.type = ?');
+    params.push(type);
+  }
+  if (homeStation !== null) {
+    conditions.push('resources.home_station = ?');
+    params.push(homeStation);
+  }
+  if (fireId !== null) {
+    conditions.push('assignments.fire_id = ?');
+    params.push(fireId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = await all(db, `${RESOURCE_SELECT} ${where} ORDER BY resources.home_station, resources.call_sign`, params);
+  return rows.map(resourceToJSON);
+}
+
+/**
+ * Count units by status and type
+ * @param {Array<Object>} resources - Resources returned by listResources
+ * @returns {Object} - { available: { crew: 3, ... }, en_route: {...}, ... }
+ */
+function summarizeResources(resources) {
+  const summary = {};
+  RESOURCE_STATUSES.forEach((status) => {
+    summary[status] = {};
+  });
+  resources.forEach((resource) => {
+    summary[resource.status][resource.type] = (summary[resource.status][resource.type] || 0) + 1;
+  });
+  return summary;
+}
+
+/**
+ * Load one resource unit
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Resource ID
+ * @returns {Promise<Object|null>}
+ */
+async function getResource(db, id) {
+  const row = await get(db, `${RESOURCE_SELECT} WHERE resources.id = ?`, [id]);
+  return row ? resourceToJSON(row) : null;
+}
+
+/**
+ * Apply validated changes to a resource unit
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Resource ID
+ * @param {Object} changes - Validated partial resource
+ * @returns {Promise<Object|null>}
+ */
+async function updateResource(db, id, changes) {
+  const columns = Object.keys(changes).map(key => `${key} = ?`);
+  const params = Object.values(changes);
+
+  columns.push('updated_at = ?');
+  params.push(new Date().toISOString(), id);
+
+  const { changes: updated } = await run(db, `UPDATE resources SET ${columns.join(', ')} WHERE id = ?`, params);
+  return updated === 0 ? null : getResource(db, id);
+}
+
+/**
+ * Delete a resource unit that is not assigned to a fire. Its past
+ * assignments are kept for statistics.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} resource - Resource returned by getResource
+ * @returns {Promise<{error: string}|{}>}
+ */
+async function deleteResource(db, resource) {
+  if (resource.assignment) {
+    return { error: 'Resource is assigned to a fire; release it first' };
+  }
+  await run(db, 'DELETE FROM resources WHERE id = ?', [resource.id]);
+  return {};
+}
+
+/**
+ * Dispatch units to a fire: each must be available or returning from
+ * another fire. Units that cannot be dispatched are reported, the rest are
+ * sent en route.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} fireId - Fire ID
+ * @param {Array<number>} resourceIds - Resource IDs
+ * @param {string} dispatchedBy - Name of the dispatcher
+ * @returns {Promise<{dispatched: Array<Object>, errors: Array<{resource_id: number, error: string}>}>}
+ */
+async function dispatchResources(db, fireId, resourceIds, dispatchedBy) {
+  const dispatched = [];
+  const errors = [];
+  const now = new Date().toISOString();
+
+  for (const resourceId of resourceIds) {
+    const resource = await getResource(db, resourceId);
+    if (!resource) {
+      errors.push({ resource_id: resourceId, error: 'Resource not found' });
+      continue;
+    }
+    if (resource.assignment && resource.assignment.fire_id === fireId) {
+      errors.push({ resource_id: resourceId, error: 'Resource is already assigned to this fire' });
+      continue;
+    }
+
+    // Claim the unit atomically so concurrent dispatches cannot both take it
+    const placeholders = DISPATCHABLE_STATUSES.map(() => '?').join(', ');
+    const { changes } = await run(db,
+      `UPDATE resources SET status = 'en_route', updated_at = ? WHERE id = ? AND status IN (${placeholders})`,
+      [now, resourceId, ...DISPATCHABLE_STATUSES]
+    );
+    if (changes === 0) {
+      errors.push({ resource_id: resourceId, error: `Resource is ${resource.status.replace('_', ' ')}` });
+      continue;
+    }
+
+    await run(db, 'UPDATE resource_assignments SET released_at = ? WHERE resource_id = ? AND released_at IS NULL',
+      [now, resourceId]);
+    await run(db,
+      'INSERT INTO resource_assignments (resource_id, fire_id, dispatched_by, dispatched_at) VALUES (?, ?, ?, ?)',
+      [resourceId, fireId, dispatchedBy, now]
+    );
+    dispatched.push(await getResource(db, resourceId));
+  }
+
+  return { dispatched, errors };
+}
+
+/**
+ * Change the status and/or position of a unit. Arriving on scene records
+ * the arrival time; returning releases the unit from its fire.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} resource - Resource returned by getResource
+ * @param {Object} changes - { status, position: [lat, lng] }
+ * @returns {Promise<{resource: Object, fireId: number|null}|{error: string}>}
+ *   fireId is the fire whose active assignments changed
+ */
+async function updateResourceStatus(db, resource, { status, position }) {
+  const now = new Date().toISOString();
+  const columns = ['updated_at = ?'];
+  const params = [now];
+  let fireId = null;
+
+  if (status !== undefined && status !== resource.status) {
+    if (!STATUS_TRANSITIONS[resource.status].includes(status)) {
+      return { error: `Cannot change status from ${resource.status} to ${status}` };
+    }
+    columns.push('status = ?');
+    params.push(status);
+
+    if (status === 'on_scene') {
+      await run(db, 'UPDATE resource_assignments SET arrived_at = ? WHERE id = ?', [now, resource.assignment.id]);
+    } else if (status === 'returning') {
+      await run(db, 'UPDATE resource_assignments SET released_at = ? WHERE id = ?', [now, resource.assignment.id]);
+      fireId = resource.assignment.fire_id;
+    }
+  }
+
+  if (position !== undefined) {
+    columns.push('latitude = ?', 'longitude = ?', 'position_updated_at = ?');
+    params.push(position ? position[0] : null, position ? position[1] : null, now);
+  }
+
+  await run(db, `UPDATE resources SET ${columns.join(', ')} WHERE id = ?`, [...params, resource.id]);
+  return { resource: await getResource(db, resource.id), fireId };
+}
+
+/**
+ * Release every unit assigned to a fire, e.g. when the fire is deleted
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} fireId - Fire ID
+ * @returns {Promise<number>} - Number of units released
+ */
+async function releaseFireResources(db, fireId) {
+  const now = new Date().toISOString();
+  const rows = await all(db, 'SELECT resource_id FROM resource_assignments WHERE fire_id = ? AND released_at IS NULL', [fireId]);
+
+  for (const { resource_id: resourceId } of rows) {
+    await run(db, 'UPDATE resource_assignments SET released_at = ? WHERE resource_id = ? AND released_at IS NULL', [now, resourceId]);
+    await run(db, "UPDATE resources SET status = 'returning', updated_at = ? WHERE id = ?", [now, resourceId]);
+  }
+  return rows.length;
+}
+
+/**
+ * resources_on_site of a fire computed from its active assignments (units
+ * en route or on scene), or null when no unit was ever dispatched to it and
+ * the counts entered on the fire still apply
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number} fireId - Fire ID
+ * @returns {Promise<{firefighters: number, vehicles: number, aircraft: number}|null>}
+ */
+async function fireResourceCounts(db, fireId) {
+  const tracked = await get(db, 'SELECT 1 FROM resource_assignments WHERE fire_id = ? LIMIT 1', [fireId]);
+  if (!tracked) {
+    return null;
+  }
+
+  const rows = await all(db, `
+    SELECT resources.type, resources.personnel FROM resource_assignments assignments
+    JOIN resources ON resources.id = assignments.resource_id
+    WHERE assignments.fire_id = ? AND assignments.released_at IS NULL
+  `, [fireId]);
+
+  const counts = { firefighters: 0, vehicles: 0, aircraft: 0 };
+  rows.forEach((row) => {
+    const category = RESOURCE_TYPES[row.type];
+    if (category !== 'aircraft') {
+      counts.firefighters += row.personnel;
+    }
+    if (category !== 'firefighters') {
+      counts[category] += 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Assignments of a fire, newest first
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} fireId - Fire ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAssignments(db, fireId) {
+  const rows = await all(db, `
+    SELECT assignments.*, resources.call_sign, resources.type FROM resource_assignments assignments
+    LEFT JOIN resources ON resources.id = assignments.resource_id
+    WHERE assignments.fire_id = ?
+    ORDER BY assignments.dispatched_at DESC, assignments.id DESC
+  `, [fireId]);
+
+  return rows.map(row => ({
+    id: row.id,
+    resource_id: row.resource_id,
+    call_sign: row.call_sign,
+    type: row.type,
+    dispatched_by: row.dispatched_by,
+    dispatched_at: row.dispatched_at,
+    arrived_at: row.arrived_at,
+    released_at: row.released_at,
+    active: row.released_at === null
+  }));
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  RESOURCE_STATUSES,
+  validateResource,
+  createResource,
+  listResources,
+  summarizeResources,
+  getResource,
+  updateResource,
+  deleteResource,
+  dispatchResources,
+  updateResourceStatus,
+  releaseFireResources,
+  fireResourceCounts,
+  listAssignments
+}
@@ -1,14 +1,173 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
+const multer = require('multer');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const sendTelegramNotification = require('./telegramService').sendTelegramNotification;
+const { CHANNEL_NAMES, createNotificationDispatcher } = require('./notificationDispatcher');
+const { NOTIFICATION_STATUSES, createNotificationOutbox } = require('./notificationOutbox');
+const { get, all, transaction } = require('./dbHelpers');
+const { readDatabaseConfig, openDatabase, describeDatabase } = require('./database');
+const { createMigrator } = require('./migrations');
+const { createFireRepository } = require('./fireRepository');
+const { distanceKm, isLatLng, polygonAreaHa, polygonCentroid } = require('./geoUtils');
+const { initializeHistory, recordRevision, getHistory, asOfSource } = require('./fireHistory');
+const { FILTER_PARAMETERS, buildFireFilters } = require('./fireFilters');
+const {
+    MAX_LIMIT,
+    SORTABLE_COLUMNS,
+    parseLimit,
+    parseSort,
+    parseFields,
+    pickProperties,
+    encodeCursor,
+    decodeCursor,
+    orderByClause,
+    keysetCondition,
+    buildLink
+} = require('./firePagination');
+const {
+    createFireEventHub,
+    parseSubscription,
+    parseLastEventId,
+    attachWebSocketServer
+} = require('./fireEvents');
+const {
+    ROLES,
+    initializeAuth,
+    resolvePrincipal,
+    principalId,
+    authenticate,
+    requireRole,
+    requireReadAccess,
+    isPublicRead,
+    hasRole,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+} = require('./auth');
+const {
+    validateRule,
+    createRule,
+    listRules,
+    getRule,
+    updateRule,
+    deleteRule,
+    listTriggers,
+    evaluateAlertRules
+} = require('./alertRules');
+const {
+    validateSubscription,
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    updateSubscription,
+    deleteSubscription,
+    listSubscriptionsByAddress,
+    deleteSubscriptionsByAddress,
+    findSubscribers,
+    fireEventMessage
+} = require('./subscriptions');
+const {
+    validatePerimeter,
+    recordPerimeter,
+    getPerimeters
+} = require('./firePerimeters');
+const { MAX_HOURS, parseHours, predictSpread } = require('./fireSpread');
+const { DANGER_RATINGS, fireDanger, summarizeDanger } = require('./fireDanger');
+const {
+    ZONE_STATUSES,
+    validateZone,
+    validateShelter,
+    findMissingShelters,
+    createZone,
+    listZones,
+    getZone,
+    updateZone,
+    deleteZone,
+    createShelter,
+    listShelters,
+    getShelter,
+    updateShelter,
+    deleteShelter,
+    zoneNotification
+} = require('./evacuation');
+const {
+    RESOURCE_TYPES,
+    RESOURCE_STATUSES,
+    validateResource,
+    createResource,
+    listResources,
+    summarizeResources,
+    getResource,
+    updateResource,
+    deleteResource,
+    dispatchResources,
+    updateResourceStatus,
+    releaseFireResources,
+    fireResourceCounts,
+    listAssignments
+} = require('./resources');
+const { readBotConfig, createTelegramBot } = require('./telegramBot');
+const { readFirmsConfig, createFirmsImporter } = require('./firmsImport');
+const {
+    DUPLICATE_ACTIONS,
+    findDuplicates,
+    mergedFields,
+    recordReport,
+    moveFireRecords,
+    listReports,
+    findMergedInto
+} = require('./fireMerging');
+const {
+    REPORT_STATUSES,
+    DEFAULT_RATE_LIMIT,
+    validateCitizenReport,
+    createCitizenReport,
+    listCitizenReports,
+    getCitizenReport,
+    getCitizenReportPhoto,
+    moderateCitizenReport,
+    createRateLimiter
+} = require('./citizenReports');
+const { nearestVillage } = require('./villages');
+const { MAX_MEDIA_BYTES, MAX_FILES_PER_UPLOAD, createMediaStore } = require('./fireMedia');
+const { EXPORT_FORMATS, parseExportFormat, exportFires } = require('./fireExport');
+const { parseGroupBy, fireStats, statsToCsv } = require('./fireStats');
+const {
+    BATCH_MODES,
+    parseFeatureCollection,
+    featureToFire,
+    parseBatchUpdates,
+    changedFields
+} = require('./fireBatch');
+const { FIRE_SCHEMA, validateFireFields, fireOpenApiSchemas } = require('./fireSchema');
+const {
+    BURNING_STATUSES,
+    initializeLifecycle,
+    allowedTransitions,
+    statusChangeError,
+    validateTransition,
+    recordTransition,
+    listTransitions
+} = require('./fireLifecycle');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Express 4 ignores the promise an async handler returns, so an error thrown
+// outside its try/catch would crash the process: pass it to next() instead
+['get', 'post', 'put', 'patch', 'delete'].forEach((method) => {
+    const register = app[method].bind(app);
+    app[method] = (path, ...handlers) => register(path, ...handlers.map(handler =>
+        (typeof handler === 'function' && handler.length < 4
+            ? (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next)
+            : handler)));
+});
+
+// Notification channels (fails fast on invalid channel configuration)
+const notifications = createNotificationDispatcher();
+
 // Swagger configuration
 const swaggerOptions = {
   definition: {
@@ -36,8 +195,84 @@ const swaggerOptions = {
       {
         name: 'Fires',
         description: 'Fire incident management endpoints'
+      },
+      {
+        name: 'Notifications',
+        description: 'Public alert broadcasting endpoints'
+      },
+      {
+        name: 'Auth',
+        description: 'API key management endpoints'
+      },
+      {
+        name: 'Alert Rules',
+        description: 'Automatic notifications triggered by fire changes'
+      },
+      {
+        name: 'Subscriptions',
+        description: 'Area subscriptions routing alerts to residents'
+      },
+      {
+        name: 'Fire Danger',
+        description: 'Fire weather danger ratings'
+      },
+      {
+        name: 'Evacuation',
+        description: 'Evacuation zones and shelters'
+      },
+      {
+        name: 'Resources',
+        description: 'Firefighting units and their dispatch to fires'
+      },
+      {
+        name: 'Satellite',
+        description: 'NASA FIRMS hotspot import (VIIRS and MODIS)'
+      },
+      {
+        name: 'Citizen Reports',
+        description: 'Public fire reports and their moderation queue'
+      },
+      {
+        name: 'Media',
+        description: 'Photos and drone images attached to fires'
+      }
+    ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key issued through /api/keys (or ADMIN_API_KEY)'
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'HS256 JWT signed with JWT_SECRET, carrying sub and role (viewer, field_reporter, dispatcher, admin) claims'
+        }
+      },
+      // Fire bodies and properties come from the fire schema used to validate them
+      schemas: {
+        ...fireOpenApiSchemas(),
+        ValidationError: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', example: 'Invalid fields: humidity must be between 0 and 100' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'humidity' },
+                  message: { type: 'string', example: 'must be between 0 and 100' }
+                }
+              }
+            }
+          }
+        }
       }
-    ]
+    }
   },
   apis: ['./server.js']
 };
@@ -46,6 +281,9 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
 // Middleware
 app.use(cors());
+// Citizen reports may carry a photo as a base64 data URL
+app.use('/api/citizen-reports', express.json({ limit: '8mb' }));
+app.use('/api/fires/batch', express.json({ limit: '20mb' }));
 app.use(express.json());
 
 // Swagger UI served under /docs to preserve JSON root endpoint
@@ -54,203 +292,162 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customSiteTitle: 'Fire Monitoring API Documentation'
 }));
 
-// Database setup
-const dbPath = path.join(__dirname, 'fires.db');
-const db = new sqlite3.Database(dbPath, (err) => {
+// Database setup (SQLite at DB_PATH, or PostgreSQL when DATABASE_URL is set)
+const databaseConfig = readDatabaseConfig(process.env);
+const db = openDatabase(databaseConfig, (err) => {
     if (err) {
         console.error('Database connection error:', err);
     } else {
-        console.log('Connected to SQLite database');
+        console.log(`Connected to ${describeDatabase(databaseConfig)}`);
         initializeDatabase();
     }
 });
 
-// Initialize database schema with all required fields
-function initializeDatabase() {
-    db.run(`
-        CREATE TABLE IF NOT EXISTS fires (
-                                             id INTEGER PRIMARY KEY AUTOINCREMENT,
-                                             latitude REAL NOT NULL,
-                                             longitude REAL NOT NULL,
-
-            -- Timestamps
-                                             timestamp_detected DATETIME DEFAULT CURRENT_TIMESTAMP,
-                                             last_update DATETIME DEFAULT CURRENT_TIMESTAMP,
-
-            -- Fire status and characteristics
-                                             fire_status TEXT CHECK(fire_status IN ('active', 'controlled', 'threat')) DEFAULT 'active',
-            fire_type TEXT DEFAULT 'wildfire',
-            fire_intensity REAL DEFAULT 100,
-            fire_size REAL DEFAULT 1.0,
-            confidence INTEGER DEFAULT 85,
-
-            -- Environmental conditions
-            fuel_type TEXT DEFAULT 'mixed_forest',
-            terrain_type TEXT DEFAULT 'mountain',
-            slope REAL DEFAULT 15,
-
-            -- Weather conditions
-            temperature REAL DEFAULT 30,
-            humidity INTEGER DEFAULT 25,
-            wind_speed REAL DEFAULT 10,
-            wind_direction INTEGER DEFAULT 180,
-            wind_type TEXT DEFAULT 'meltemi',
-
-            -- Response information
-            agency_in_charge TEXT DEFAULT 'Cyprus Fire Service',
-            response_level TEXT DEFAULT 'district',
-            firefighters INTEGER DEFAULT 20,
-            vehicles INTEGER DEFAULT 5,
-            aircraft INTEGER DEFAULT 1,
-            evacuation_status TEXT DEFAULT 'none',
-
-            -- Location information
-            district TEXT DEFAULT 'Limassol',
-            nearest_village TEXT DEFAULT 'Unknown',
-            distance_to_village REAL DEFAULT 1.5,
-            risk_to_settlements TEXT CHECK(risk_to_settlements IN ('low', 'medium', 'high')) DEFAULT 'medium',
-
-            -- Legacy fields for compatibility
-            reporter_name TEXT,
-            reporter_contact TEXT
-            )
-    `, (err) => {
-        if (err) {
-            console.error('Error creating table:', err);
-        } else {
-            console.log('Fires table ready');
-            seedInitialData();
-        }
-    });
+// Reads and writes of single fire rows
+const fireRepository = createFireRepository(db);
+
+// Resolve API key / JWT credentials into req.auth for every request
+app.use(authenticate(db));
+
+// Stores outgoing notifications and retries failed deliveries
+const notificationOutbox = createNotificationOutbox(db, notifications);
+
+// Photos and drone images attached to fires, stored on local disk
+const mediaStore = createMediaStore(db, { dir: process.env.MEDIA_DIR || path.join(__dirname, 'media') });
+
+// Bring the schema up to date, then start the services that depend on it
+async function initializeDatabase() {
+    try {
+        const applied = await createMigrator(db).migrate();
+        applied.forEach(({ version, name }) => console.log(`Applied migration ${version} ${name}`));
+        console.log('Database schema up to date');
+    } catch (err) {
+        console.error('Error migrating database:', err);
+        return;
+    }
+
+    seedInitialData()
+        .then(() => initializeHistory(db))
+        .then(() => initializeLifecycle(db))
+        .then(() => console.log('Fire history ready'))
+        .catch(err => console.error('Error initializing fire history:', err));
+    initializeAuth(db)
+        .catch(err => console.error('Error checking API keys:', err));
+    mediaStore.initialize()
+        .then(() => console.log('Fire media ready'))
+        .catch(err => console.error('Error initializing fire media:', err));
+    if (firmsImporter.start()) {
+        console.log(`Watching ${firmsImporter.watchDir} for FIRMS files`);
+    }
+    notificationOutbox.start()
+        .then(() => console.log('Notification outbox ready'))
+        .catch(err => console.error('Error starting notification outbox:', err));
 }
 
 // Seed initial data with complete information
-function seedInitialData() {
-    db.get('SELECT COUNT(*) as count FROM fires', (err, row) => {
-        if (err) {
-            console.error('Error checking data:', err);
-            return;
-        }
-
-        if (row.count === 0) {
-            console.log('Seeding initial data...');
-            const initialFires = [
-                {
-                    latitude: 34.6857,
-                    longitude: 33.0437,
-                    fire_status: 'active',
-                    fire_type: 'forest',
-                    fire_intensity: 450,
-                    fire_size: 12.5,
-                    confidence: 92,
-                    fuel_type: 'pine_forest',
-                    terrain_type: 'mountain',
-                    slope: 28,
-                    temperature: 35,
-                    humidity: 18,
-                    wind_speed: 25,
-                    wind_direction: 270,
-                    wind_type: 'meltemi',
-                    agency_in_charge: 'Cyprus Fire Service',
-                    response_level: 'national',
-                    firefighters: 45,
-                    vehicles: 12,
-                    aircraft: 3,
-                    evacuation_status: 'partial',
-                    district: 'Limassol',
-                    nearest_village: 'Troodos',
-                    distance_to_village: 2.3,
-                    risk_to_settlements: 'high'
-                },
-                {
-                    latitude: 35.1264,
-                    longitude: 33.4299,
-                    fire_status: 'active',
-                    fire_type: 'agricultural',
-                    fire_intensity: 180,
-                    fire_size: 5.2,
-                    confidence: 85,
-                    fuel_type: 'crop_residue',
-                    terrain_type: 'plain',
-                    slope: 5,
-                    temperature: 32,
-                    humidity: 22,
-                    wind_speed: 12,
-                    wind_direction: 90,
-                    wind_type: 'levante',
-                    agency_in_charge: 'Cyprus Fire Service',
-                    response_level: 'district',
-                    firefighters: 25,
-                    vehicles: 6,
-                    aircraft: 1,
-                    evacuation_status: 'none',
-                    district: 'Nicosia',
-                    nearest_village: 'Nicosia',
-                    distance_to_village: 0.8,
-                    risk_to_settlements: 'medium'
-                },
-                {
-                    latitude: 34.7575,
-                    longitude: 32.4242,
-                    fire_status: 'controlled',
-                    fire_type: 'grassland',
-                    fire_intensity: 75,
-                    fire_size: 2.1,
-                    confidence: 78,
-                    fuel_type: 'dry_grass',
-                    terrain_type: 'coastal',
-                    slope: 8,
-                    temperature: 28,
-                    humidity: 35,
-                    wind_speed: 8,
-                    wind_direction: 180,
-                    wind_type: 'ostro',
-                    agency_in_charge: 'Cyprus Fire Service',
-                    response_level: 'local',
-                    firefighters: 12,
-                    vehicles: 3,
-                    aircraft: 0,
-                    evacuation_status: 'none',
-                    district: 'Paphos',
-                    nearest_village: 'Paphos',
-                    distance_to_village: 1.2,
-                    risk_to_settlements: 'low'
-                }
-            ];
-
-            const stmt = db.prepare(`
-                INSERT INTO fires (
-                    latitude, longitude, fire_status, fire_type, fire_intensity, fire_size, confidence,
-                    fuel_type, terrain_type, slope, temperature, humidity, wind_speed, wind_direction,
-                    wind_type, agency_in_charge, response_level, firefighters, vehicles, aircraft,
-                    evacuation_status, district, nearest_village, distance_to_village, risk_to_settlements
-                )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-
-            initialFires.forEach(fire => {
-                stmt.run(
-                    fire.latitude, fire.longitude, fire.fire_status, fire.fire_type, fire.fire_intensity,
-                    fire.fire_size, fire.confidence, fire.fuel_type, fire.terrain_type, fire.slope,
-                    fire.temperature, fire.humidity, fire.wind_speed, fire.wind_direction, fire.wind_type,
-                    fire.agency_in_charge, fire.response_level, fire.firefighters, fire.vehicles,
-                    fire.aircraft, fire.evacuation_status, fire.district, fire.nearest_village,
-                    fire.distance_to_village, fire.risk_to_settlements
-                );
-            });
+async function seedInitialData() {
+    const { count } = await get(db, 'SELECT COUNT(*) AS count FROM fires');
+    if (count > 0) {
+        return;
+    }
 
-            stmt.finalize(() => {
-                console.log('Initial data seeded successfully');
-            });
+    console.log('Seeding initial data...');
+    const initialFires = [
+        {
+            latitude: 34.6857,
+            longitude: 33.0437,
+            fire_status: 'active',
+            fire_type: 'forest',
+            fire_intensity: 450,
+            fire_size: 12.5,
+            confidence: 92,
+            fuel_type: 'pine_forest',
+            terrain_type: 'mountain',
+            slope: 28,
+            temperature: 35,
+            humidity: 18,
+            wind_speed: 25,
+            wind_direction: 270,
+            wind_type: 'meltemi',
+            agency_in_charge: 'Cyprus Fire Service',
+            response_level: 'national',
+            firefighters: 45,
+            vehicles: 12,
+            aircraft: 3,
+            evacuation_status: 'partial',
+            district: 'Limassol',
+            nearest_village: 'Troodos',
+            distance_to_village: 2.3,
+            risk_to_settlements: 'high'
+        },
+        {
+            latitude: 35.1264,
+            longitude: 33.4299,
+            fire_status: 'active',
+            fire_type: 'agricultural',
+            fire_intensity: 180,
+            fire_size: 5.2,
+            confidence: 85,
+            fuel_type: 'crop_residue',
+            terrain_type: 'plain',
+            slope: 5,
+            temperature: 32,
+            humidity: 22,
+            wind_speed: 12,
+            wind_direction: 90,
+            wind_type: 'levante',
+            agency_in_charge: 'Cyprus Fire Service',
+            response_level: 'district',
+            firefighters: 25,
+            vehicles: 6,
+            aircraft: 1,
+            evacuation_status: 'none',
+            district: 'Nicosia',
+            nearest_village: 'Nicosia',
+            distance_to_village: 0.8,
+            risk_to_settlements: 'medium'
+        },
+        {
+            latitude: 34.7575,
+            longitude: 32.4242,
+            fire_status: 'controlled',
+            fire_type: 'grassland',
+            fire_intensity: 75,
+            fire_size: 2.1,
+            confidence: 78,
+            fuel_type: 'dry_grass',
+            terrain_type: 'coastal',
+            slope: 8,
+            temperature: 28,
+            humidity: 35,
+            wind_speed: 8,
+            wind_direction: 180,
+            wind_type: 'ostro',
+            agency_in_charge: 'Cyprus Fire Service',
+            response_level: 'local',
+            firefighters: 12,
+            vehicles: 3,
+            aircraft: 0,
+            evacuation_status: 'none',
+            district: 'Paphos',
+            nearest_village: 'Paphos',
+            distance_to_village: 1.2,
+            risk_to_settlements: 'low'
         }
-    });
+    ];
+
+    for (const fire of initialFires) {
+        await fireRepository.insert(fire);
+    }
+    console.log('Initial data seeded successfully');
 }
 
 // Convert database row to GeoJSON Feature
-function rowToGeoJSON(row) {
+// (geometry 'perimeter' emits the latest perimeter polygon instead of the point when there is one)
+function rowToGeoJSON(row, geometry = 'point') {
     return {
         type: 'Feature',
-        geometry: {
+        geometry: geometry === 'perimeter' && row.perimeter ? JSON.parse(row.perimeter) : {
             type: 'Point',
             coordinates: [row.longitude, row.latitude]
         },
@@ -282,11 +479,362 @@ function rowToGeoJSON(row) {
             district: row.district,
             nearest_village: row.nearest_village,
             distance_to_village: row.distance_to_village,
-            risk_to_settlements: row.risk_to_settlements
+            risk_to_settlements: row.risk_to_settlements,
+            has_perimeter: Boolean(row.perimeter),
+            media: row.media ? JSON.parse(row.media) : [],
+            fire_danger: fireDanger(row)
         }
     };
 }
 
+// Parse the geometry query parameter (point or perimeter)
+function parseGeometry(value = 'point') {
+    return ['point', 'perimeter'].includes(value) ? value : null;
+}
+
+// Identify who is making a change, for the fire history
+function getActor(req) {
+    return req.auth ? req.auth.name : 'anonymous';
+}
+
+// Reporter names and contacts are shown only to dispatchers
+const REPORTER_COLUMNS = ['reporter_name', 'reporter_contact'];
+
+function canSeeReporters(req) {
+    return Boolean(req.auth) && hasRole(req.auth.role, 'dispatcher');
+}
+
+// Broadcasts fire changes to SSE and WebSocket clients
+const fireEvents = createFireEventHub(db, rowToGeoJSON);
+
+// Queue a message for the default notification channels (used by alert rules)
+async function notifyDefaultChannels(message, location = null) {
+    if (notifications.defaultChannels.length === 0) {
+        throw new Error('No notification channels are configured');
+    }
+
+    const id = await notificationOutbox.enqueue(
+        { message, evacuationPoints: [], location },
+        notifications.defaultChannels,
+        { source: 'alert_rule', createdBy: 'system' }
+    );
+    const notification = await notificationOutbox.deliverNow(id);
+    if (notification.status === 'failed') {
+        throw new Error(notification.deliveries.map(delivery => `${delivery.channel}: ${delivery.last_error}`).join('; '));
+    }
+    return notification;
+}
+
+// Tell subscribers whose area covers a fire when it is reported or its status changes
+async function notifyFireSubscribers(event) {
+    const message = fireEventMessage(event);
+    if (!message) {
+        return;
+    }
+
+    const [lng, lat] = event.feature.geometry.coordinates;
+    const location = [lat, lng];
+    const recipients = await findSubscribers(db, { location, district: event.feature.properties.district }, { fireEvents: true });
+    if (recipients.length === 0) {
+        return;
+    }
+
+    const id = await notificationOutbox.enqueue(
+        { message, evacuationPoints: [], location },
+        [],
+        { source: 'fire_event', createdBy: 'system', recipients }
+    );
+    await notificationOutbox.deliverNow(id);
+}
+
+// Evaluate alert rules and notify area subscribers on every fire change
+fireEvents.on((event) => {
+    evaluateAlertRules(db, event, notifyDefaultChannels)
+        .catch(err => console.error('Error evaluating alert rules:', err));
+    notifyFireSubscribers(event)
+        .catch(err => console.error('Error notifying subscribers:', err));
+});
+
+// Record a fire change in its history and broadcast it to stream clients
+// (inside a transaction, pass events to hold the broadcast until it commits)
+async function recordFireChange(changedBy, action, oldRow, newRow, events = null) {
+    const revision = await recordRevision(db, { action, changedBy, oldRow, newRow });
+    if (events) {
+        events.push([revision, newRow || oldRow]);
+    } else {
+        fireEvents.publish(revision, newRow || oldRow);
+    }
+    return revision;
+}
+
+// Run fire writes and their revisions in one transaction. Their events go
+// to events when the caller publishes them itself, otherwise they are
+// published once the transaction commits.
+async function fireTransaction(events, fn) {
+    if (events) {
+        return transaction(db, () => fn(events));
+    }
+    const committed = [];
+    const result = await transaction(db, () => fn(committed));
+    committed.forEach(([revision, row]) => fireEvents.publish(revision, row));
+    return result;
+}
+
+// Recompute a fire's resources_on_site from its active assignments, recording the change in the history
+async function syncFireResources(fireId, changedBy, events = null) {
+    return fireTransaction(events, async (pending) => {
+        const counts = await fireResourceCounts(db, fireId);
+        const oldRow = await fireRepository.findById(fireId);
+
+        if (!counts || !oldRow || Object.keys(counts).every(key => oldRow[key] === counts[key])) {
+            return;
+        }
+
+        const row = await fireRepository.update(fireId, counts);
+        await recordFireChange(changedBy, 'updated', oldRow, row, pending);
+    });
+}
+
+// Validate a new fire report against the fire schema and fill in the defaults.
+// A perimeter sets the size, and the location when none is given. A restored
+// fire (batch import) may start in any lifecycle status, not only an entry one.
+function validateNewFire(body, { restore = false } = {}) {
+    const fields = { ...body };
+
+    let perimeter = null;
+    if (body.perimeter !== undefined && body.perimeter !== null) {
+        const validation = validatePerimeter(body.perimeter);
+        if (validation.error) {
+            return { error: validation.error, details: [{ field: 'perimeter', message: validation.error }] };
+        }
+        perimeter = validation.geometry;
+        fields.fire_size = polygonAreaHa(perimeter);
+        if (fields.latitude === undefined && fields.longitude === undefined) {
+            [fields.latitude, fields.longitude] = polygonCentroid(perimeter);
+        }
+    }
+
+    const validation = validateFireFields(fields, { restore });
+    if (validation.error) {
+        return validation;
+    }
+    return { fire: validation.values, perimeter };
+}
+
+// Validate and store a new fire report, recording it in the history
+// (detectedAt overrides timestamp_detected, e.g. with a satellite overpass time).
+// With mergeDuplicates, a report that probably duplicates a fire is folded
+// into the nearest one instead of being stored, and merged is set. restore is
+// passed on to validateNewFire.
+async function createFire(body, changedBy, { detectedAt = null, events = null, mergeDuplicates = false, restore = false } = {}) {
+    const { fire, perimeter, error, details } = validateNewFire(body, { restore });
+    if (error) {
+        return { error, details };
+    }
+
+    return fireTransaction(events, async (pending) => {
+        if (mergeDuplicates) {
+            const report = {
+                id: null,
+                ...fire,
+                perimeter: perimeter ? JSON.stringify(perimeter) : null,
+                timestamp_detected: detectedAt || fire.timestamp_detected || new Date().toISOString()
+            };
+            const duplicates = await findDuplicates(db, report);
+            if (duplicates.length > 0) {
+                const target = await fireRepository.findById(duplicates[0].id);
+                return { row: await mergeReport(target, report, changedBy, pending), merged: true, duplicates };
+            }
+        }
+
+        const row = await fireRepository.insert(
+            { ...fire, perimeter: perimeter ? JSON.stringify(perimeter) : null },
+            { detectedAt }
+        );
+
+        if (perimeter) {
+            await recordPerimeter(db, row.id, perimeter, changedBy);
+        }
+
+        await recordTransition(db, { fireId: row.id, from: null, to: row.fire_status, changedBy });
+        await recordFireChange(changedBy, 'created', null, row, pending);
+        return { row };
+    });
+}
+
+// Fields an update may set (the location and reporter are fixed when the fire is reported)
+const UPDATABLE_FIRE_FIELDS = Object.keys(FIRE_SCHEMA).filter(field => !FIRE_SCHEMA[field].createOnly);
+
+// Validate a partial update against the fire schema into the column values
+// to set. A new perimeter replaces the current one and sets fire_size to its
+// area; null clears it.
+function validateFireUpdate(updates) {
+    const validation = validateFireFields(updates, { partial: true });
+    if (validation.error) {
+        return validation;
+    }
+    const fields = validation.values;
+
+    let perimeter = null;
+    if (updates.perimeter === null) {
+        fields.perimeter = null;
+    } else if (updates.perimeter !== undefined) {
+        const geometry = validatePerimeter(updates.perimeter);
+        if (geometry.error) {
+            return { error: geometry.error, details: [{ field: 'perimeter', message: geometry.error }] };
+        }
+        perimeter = geometry.geometry;
+        fields.perimeter = JSON.stringify(perimeter);
+        fields.fire_size = polygonAreaHa(perimeter);
+    }
+
+    if (Object.keys(fields).length === 0) {
+        return { error: 'No valid fields to update' };
+    }
+    return { fields, perimeter };
+}
+
+// Whether an update sets resources_on_site on a fire whose counts follow its dispatched units
+async function setsTrackedResources(fireId, fields) {
+    return ['firefighters', 'vehicles', 'aircraft'].some(key => fields[key] !== undefined) &&
+        (await fireResourceCounts(db, fireId)) !== null;
+}
+
+// Apply a validated update to a fire, recording it in the history. The
+// change is diffed against the row as read inside the transaction, in case
+// another request changed the fire since oldRow was read.
+async function updateFire(oldRow, { fields, perimeter, reason = null }, changedBy, events = null) {
+    return fireTransaction(events, async (pending) => {
+        const current = (await fireRepository.findById(oldRow.id)) || oldRow;
+        const row = await fireRepository.update(current.id, fields);
+
+        if (perimeter) {
+            await recordPerimeter(db, current.id, perimeter, changedBy);
+        }
+
+        if (row.fire_status !== current.fire_status) {
+            await recordTransition(db, { fireId: current.id, from: current.fire_status, to: row.fire_status, reason, changedBy });
+        }
+
+        await recordFireChange(changedBy, 'updated', current, row, pending);
+        return row;
+    });
+}
+
+// Fold a fire into another: its original report, detections, assignments and
+// evacuation zones move to the target, whose readings take the stronger of the two.
+// Both fires are read inside the transaction, so a change committed just before
+// is merged rather than overwritten.
+async function mergeFires(targetId, sourceId, changedBy) {
+    return fireTransaction(null, async (pending) => {
+        const target = await fireRepository.findById(targetId);
+        if (!target) {
+            return { status: 404, error: 'Fire not found' };
+        }
+        if (!BURNING_STATUSES.includes(target.fire_status)) {
+            return {
+                status: 409,
+                error: `Fire is ${target.fire_status}; only a burning fire (${BURNING_STATUSES.join(', ')}) can take in another`
+            };
+        }
+        const source = await fireRepository.findById(sourceId);
+        if (!source) {
+            return { status: 404, error: 'Source fire not found' };
+        }
+
+        const tracked = (await fireResourceCounts(db, target.id)) !== null ||
+            (await fireResourceCounts(db, source.id)) !== null;
+
+        await moveFireRecords(db, source, target.id, changedBy);
+        await fireRepository.remove(source.id);
+        await recordFireChange(changedBy, 'deleted', source, null, pending);
+
+        const row = await fireRepository.update(target.id, mergedFields(target, source, tracked));
+        await recordFireChange(changedBy, 'updated', target, row, pending);
+
+        await syncFireResources(target.id, changedBy, pending);
+        await mediaStore.refreshFireMedia(target.id);
+        return { row: await fireRepository.findById(target.id), source };
+    });
+}
+
+// Fold a report that was never stored as a fire into a fire it duplicates
+async function mergeReport(target, report, changedBy, pending) {
+    const tracked = (await fireResourceCounts(db, target.id)) !== null;
+
+    await recordReport(db, report, target.id, changedBy);
+    const row = await fireRepository.update(target.id, mergedFields(target, report, tracked));
+    await recordFireChange(changedBy, 'updated', target, row, pending);
+    return row;
+}
+
+// NASA FIRMS hotspot import from uploads and, if FIRMS_WATCH_DIR is set, a watched directory
+const firmsImporter = createFirmsImporter(db, readFirmsConfig(process.env), { createFire, updateFire });
+
+// Name recorded in the fire history and subscriptions for a Telegram user
+function telegramActor(user) {
+    return `telegram:${user.username ? `@${user.username}` : user.id}`;
+}
+
+// Telegram bot answering /fires, /fire, /near, /subscribe and /report (off unless TELEGRAM_BOT_UPDATES is set)
+const telegramBot = createTelegramBot(readBotConfig(process.env), {
+    async listActiveFires() {
+        const rows = await all(db,
+            `SELECT * FROM fires WHERE fire_status IN (${BURNING_STATUSES.map(() => '?').join(', ')}) ORDER BY timestamp_detected DESC`,
+            BURNING_STATUSES
+        );
+        return rows.map(rowToGeoJSON);
+    },
+
+    async getFire(id) {
+        const row = await fireRepository.findById(id);
+        return row ? rowToGeoJSON(row) : null;
+    },
+
+    async findFiresNear(lat, lng, radiusKm) {
+        const { conditions, params } = buildFireFilters({ near: `${lat},${lng}`, radius_km: String(radiusKm) }, { hideArchived: true });
+        const rows = await all(db, `SELECT * FROM fires WHERE ${conditions.join(' AND ')}`, params);
+        return rows
+            .map(row => ({ feature: rowToGeoJSON(row), distance: distanceKm(lat, lng, row.latitude, row.longitude) }))
+            .sort((a, b) => a.distance - b.distance);
+    },
+
+    async subscribe(chatId, district, user) {
+        const existing = await listSubscriptionsByAddress(db, 'telegram', String(chatId));
+        if (existing.some(subscription => subscription.area.type === 'district' &&
+            subscription.area.district.toLowerCase() === district.toLowerCase())) {
+            return { created: false };
+        }
+
+        const validation = validateSubscription({
+            channel: 'telegram',
+            address: String(chatId),
+            area: { type: 'district', district }
+        }, notifications.validateAddress);
+        if (validation.error) {
+            return { error: validation.error };
+        }
+
+        await createSubscription(db, validation.subscription, telegramActor(user), `telegram:${user.id}`);
+        return { created: true };
+    },
+
+    unsubscribe(chatId) {
+        return deleteSubscriptionsByAddress(db, 'telegram', String(chatId));
+    },
+
+    async reportFire(lat, lng, user) {
+        const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+        const { row, error } = await createFire({
+            latitude: lat,
+            longitude: lng,
+            reporter_name: name,
+            reporter_contact: user.username ? `@${user.username}` : `telegram:${user.id}`
+        }, telegramActor(user));
+        return error ? { error } : rowToGeoJSON(row);
+    }
+});
+
 // Routes
 
 // Root health/info endpoint (Swagger docs live at /docs)
@@ -300,10 +848,93 @@ app.get('/', (req, res) => {
             fires: {
                 getAll: 'GET /api/fires',
                 getActive: 'GET /api/fires?fire_status=active',
+                getInArea: 'GET /api/fires?bbox=minLon,minLat,maxLon,maxLat',
+                getNearby: 'GET /api/fires?near=lat,lng&radius_km=10',
+                export: 'GET /api/fires?format=kml|csv|gpx|shapefile',
+                batchImport: 'POST /api/fires/batch',
+                batchUpdate: 'PATCH /api/fires/batch',
+                deleteMatching: 'DELETE /api/fires?fire_status=controlled&older_than_days=30',
                 getById: 'GET /api/fires/:id',
+                history: 'GET /api/fires/:id/history',
+                perimeters: 'GET /api/fires/:id/perimeters',
+                spread: 'GET /api/fires/:id/spread?hours=1,3,6',
+                reports: 'GET /api/fires/:id/reports',
+                merge: 'POST /api/fires/:id/merge',
+                transition: 'POST /api/fires/:id/transition',
+                transitions: 'GET /api/fires/:id/transitions',
+                report: 'POST /api/citizen-reports',
+                detections: 'GET /api/fires/:id/detections',
+                media: 'GET /api/fires/:id/media',
+                uploadMedia: 'POST /api/fires/:id/media',
+                importFirms: 'POST /api/fires/import/firms',
+                stream: 'GET /api/fires/stream',
+                websocket: 'WS /api/fires/ws',
+                asOf: 'GET /api/fires?as_of=2025-08-01T12:00:00Z',
                 create: 'POST /api/fires',
                 update: 'PATCH /api/fires/:id',
                 delete: 'DELETE /api/fires/:id'
+            },
+            danger: 'GET /api/danger',
+            stats: 'GET /api/stats?group_by=district,week&detected_since=2025-06-01&format=csv',
+            keys: {
+                list: 'GET /api/keys',
+                create: 'POST /api/keys',
+                revoke: 'DELETE /api/keys/:id'
+            },
+            notifications: {
+                send: 'POST /api/notifications/send',
+                list: 'GET /api/notifications',
+                getById: 'GET /api/notifications/:id',
+                channels: 'GET /api/notifications/channels'
+            },
+            subscriptions: {
+                list: 'GET /api/subscriptions',
+                create: 'POST /api/subscriptions',
+                getById: 'GET /api/subscriptions/:id',
+                update: 'PATCH /api/subscriptions/:id',
+                delete: 'DELETE /api/subscriptions/:id'
+            },
+            telegram: {
+                webhook: 'POST /api/telegram/webhook'
+            },
+            citizenReports: {
+                create: 'POST /api/citizen-reports',
+                queue: 'GET /api/citizen-reports?status=pending',
+                getById: 'GET /api/citizen-reports/:id',
+                photo: 'GET /api/citizen-reports/:id/photo',
+                confirm: 'POST /api/citizen-reports/:id/confirm',
+                reject: 'POST /api/citizen-reports/:id/reject'
+            },
+            resources: {
+                list: 'GET /api/resources',
+                create: 'POST /api/resources',
+                getById: 'GET /api/resources/:id',
+                update: 'PATCH /api/resources/:id',
+                delete: 'DELETE /api/resources/:id',
+                dispatch: 'POST /api/fires/:id/dispatch',
+                assignments: 'GET /api/fires/:id/assignments'
+            },
+            evacuationZones: {
+                list: 'GET /api/evacuation-zones',
+                create: 'POST /api/evacuation-zones',
+                getById: 'GET /api/evacuation-zones/:id',
+                update: 'PATCH /api/evacuation-zones/:id',
+                delete: 'DELETE /api/evacuation-zones/:id'
+            },
+            shelters: {
+                list: 'GET /api/shelters',
+                create: 'POST /api/shelters',
+                getById: 'GET /api/shelters/:id',
+                update: 'PATCH /api/shelters/:id',
+                delete: 'DELETE /api/shelters/:id'
+            },
+            alertRules: {
+                list: 'GET /api/alert-rules',
+                create: 'POST /api/alert-rules',
+                getById: 'GET /api/alert-rules/:id',
+                update: 'PATCH /api/alert-rules/:id',
+                delete: 'DELETE /api/alert-rules/:id',
+                triggers: 'GET /api/alert-rules/:id/triggers'
             }
         }
     });
@@ -314,25 +945,183 @@ app.get('/', (req, res) => {
  * /api/fires:
  *   get:
  *     summary: Get all fire incidents
- *     description: Retrieve all fire incidents in GeoJSON FeatureCollection format. Optionally filter by fire status.
+ *     description: Retrieve all fire incidents in GeoJSON FeatureCollection format. Optionally filter by status, location, attributes and time windows. All filters are combined with AND; list filters accept comma-separated values. Archived fires are left out unless asked for by status or with include_archived=true.
  *     tags: [Fires]
  *     parameters:
  *       - in: query
  *         name: fire_status
  *         schema:
  *           type: string
- *           enum: [active, controlled, threat]
+ *           enum: [reported, confirmed, active, threat, contained, controlled, extinguished, archived]
  *         description: Filter fires by status
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, controlled, threat]
+ *           enum: [reported, confirmed, active, threat, contained, controlled, extinguished, archived]
  *         description: Alternative parameter for filtering by status
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list archived fires when no status filter is given
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: 32.2,34.5,34.6,35.7
+ *         description: Bounding box as minLon,minLat,maxLon,maxLat
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *           example: 34.6857,33.0437
+ *         description: Centre point as lat,lng (requires radius_km)
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *           example: 25
+ *         description: Search radius in kilometres around near
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *           example: Limassol,Paphos
+ *         description: Filter by district
+ *       - in: query
+ *         name: fire_type
+ *         schema:
+ *           type: string
+ *           example: forest
+ *         description: Filter by fire type
+ *       - in: query
+ *         name: risk_to_settlements
+ *         schema:
+ *           type: string
+ *           example: high
+ *         description: Filter by risk to settlements
+ *       - in: query
+ *         name: response_level
+ *         schema:
+ *           type: string
+ *           example: national
+ *         description: Filter by response level
+ *       - in: query
+ *         name: fire_intensity_min
+ *         schema:
+ *           type: number
+ *         description: Minimum fire intensity
+ *       - in: query
+ *         name: fire_intensity_max
+ *         schema:
+ *           type: number
+ *         description: Maximum fire intensity
+ *       - in: query
+ *         name: fire_size_min
+ *         schema:
+ *           type: number
+ *         description: Minimum fire size in hectares
+ *       - in: query
+ *         name: fire_size_max
+ *         schema:
+ *           type: number
+ *         description: Maximum fire size in hectares
+ *       - in: query
+ *         name: confidence_min
+ *         schema:
+ *           type: integer
+ *         description: Minimum detection confidence
+ *       - in: query
+ *         name: confidence_max
+ *         schema:
+ *           type: integer
+ *         description: Maximum detection confidence
+ *       - in: query
+ *         name: detected_since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only fires detected at or after this time
+ *       - in: query
+ *         name: detected_until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only fires detected at or before this time
+ *       - in: query
+ *         name: updated_since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only fires updated at or after this time
+ *       - in: query
+ *         name: updated_until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only fires updated at or before this time
+ *       - in: query
+ *         name: older_than_days
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only fires not updated for at least this many days
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Maximum number of features per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from next_cursor or links.next of the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -timestamp_detected
+ *           example: -fire_intensity
+ *         description: Sort column (id, timestamp_detected, last_update, fire_intensity, fire_size, confidence, district, fire_status, risk_to_settlements); prefix with - for descending
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *           example: fire_status,fire_intensity
+ *         description: Comma-separated feature properties to return; geometry and id are always included
+ *       - in: query
+ *         name: geometry
+ *         schema:
+ *           type: string
+ *           enum: [point, perimeter]
+ *           default: point
+ *         description: Feature geometry; perimeter returns the latest perimeter Polygon/MultiPolygon for fires that have one (others stay points)
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Replay the fire history and return fires as they were at this moment
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [geojson, kml, csv, gpx, shapefile]
+ *           default: geojson
+ *         description: Download the matching fires as a file instead of a page. Exports are streamed, include every matching fire unless limit is given and ignore cursor. KML placemarks are coloured by fire_status and sized by risk_to_settlements; GPX, CSV and Shapefile (zipped .shp/.shx/.dbf/.prj) always use point geometry. Without format the Accept header is used.
  *     responses:
  *       200:
- *         description: GeoJSON FeatureCollection of fire incidents
+ *         description: GeoJSON FeatureCollection of fire incidents, or an export file when format is given
  *         content:
+ *           application/vnd.google-earth.kml+xml: {}
+ *           text/csv: {}
+ *           application/gpx+xml: {}
+ *           application/zip: {}
  *           application/json:
  *             schema:
  *               type: object
@@ -340,6 +1129,30 @@ app.get('/', (req, res) => {
  *                 type:
  *                   type: string
  *                   example: FeatureCollection
+ *                 total:
+ *                   type: integer
+ *                   description: Number of fires matching the filters across all pages
+ *                 count:
+ *                   type: integer
+ *                   description: Number of features in this page
+ *                 limit:
+ *                   type: integer
+ *                 sort:
+ *                   type: string
+ *                   example: -timestamp_detected
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     self:
+ *                       type: string
+ *                     first:
+ *                       type: string
+ *                     next:
+ *                       type: string
+ *                       nullable: true
  *                 features:
  *                   type: array
  *                   items:
@@ -360,77 +1173,172 @@ app.get('/', (req, res) => {
  *                               type: number
  *                             example: [33.0437, 34.6857]
  *                       properties:
- *                         type: object
- *                         properties:
- *                           fire_status:
- *                             type: string
- *                             enum: [active, controlled, threat]
- *                           fire_type:
- *                             type: string
- *                             example: forest
- *                           fire_intensity:
- *                             type: number
- *                             example: 450
- *                           fire_size:
- *                             type: number
- *                             description: Fire size in hectares
- *                             example: 12.5
- *                           confidence:
- *                             type: integer
- *                             example: 92
- *                           temperature:
- *                             type: number
- *                             example: 35
- *                           humidity:
- *                             type: integer
- *                             example: 18
- *                           wind_speed:
- *                             type: number
- *                             example: 25
- *                           nearest_village:
- *                             type: string
- *                             example: Troodos
- *                           risk_to_settlements:
- *                             type: string
- *                             enum: [low, medium, high]
+ *                         $ref: '#/components/schemas/FireProperties'
+ *       400:
+ *         description: Invalid filter, pagination, sort, fields, format or as_of value
  *       500:
  *         description: Database error
  */
-// GET all fires in GeoJSON format (with optional status filter)
-app.get('/api/fires', (req, res) => {
-    const { fire_status, status } = req.query;
-    const statusFilter = fire_status || status;
+// GET all fires in GeoJSON format (with optional filters, pagination and point-in-time replay)
+app.get('/api/fires', requireReadAccess(), async (req, res) => {
+    const { as_of, cursor } = req.query;
 
-    let query = 'SELECT * FROM fires ORDER BY timestamp_detected DESC';
-    let params = [];
+    const format = parseExportFormat(req);
+    if (!format) {
+        return res.status(400).json({
+            error: `Invalid format (must be one of geojson, ${Object.keys(EXPORT_FORMATS).join(', ')})`
+        });
+    }
 
-    if (statusFilter) {
-        query = 'SELECT * FROM fires WHERE fire_status = ? ORDER BY timestamp_detected DESC';
-        params = [statusFilter];
+    const filters = buildFireFilters(req.query, { hideArchived: true });
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
     }
 
-    db.all(query, params, (err, rows) => {
-        if (err) {
-            console.error('Error fetching data:', err);
-            return res.status(500).json({ error: 'Database error' });
+    if (as_of && isNaN(Date.parse(as_of))) {
+        return res.status(400).json({
+            error: 'Invalid as_of (must be an ISO 8601 timestamp)'
+        });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+        return res.status(400).json({
+            error: `Invalid limit (must be an integer between 1 and ${MAX_LIMIT})`
+        });
+    }
+
+    const sort = parseSort(req.query.sort);
+    if (!sort) {
+        return res.status(400).json({
+            error: `Invalid sort (must be one of ${SORTABLE_COLUMNS.join(', ')}, optionally prefixed with -)`
+        });
+    }
+
+    const fields = parseFields(req.query.fields);
+    if (fields.error) {
+        return res.status(400).json({ error: fields.error });
+    }
+
+    const geometry = parseGeometry(req.query.geometry);
+    if (!geometry) {
+        return res.status(400).json({ error: 'Invalid geometry (must be point or perimeter)' });
+    }
+    if (geometry === 'perimeter' && fields.columns) {
+        fields.columns.push('perimeter');
+    }
+
+    const position = cursor !== undefined ? decodeCursor(cursor, sort) : null;
+    if (cursor !== undefined && !position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let source = 'fires';
+    const sourceParams = [];
+
+    if (as_of) {
+        const replay = asOfSource(as_of, db.dialect);
+        source = replay.sql;
+        sourceParams.push(...replay.params);
+    }
+
+    // Exports stream every matching fire unless a limit is given explicitly
+    if (format !== 'geojson') {
+        try {
+            await exportFires(db, res, {
+                format,
+                query: {
+                    source,
+                    columns: fields.columns ? [...new Set([...fields.columns, sort.column])].join(', ') : '*',
+                    conditions: filters.conditions,
+                    params: [...sourceParams, ...filters.params],
+                    sort,
+                    limit: req.query.limit !== undefined ? limit : null
+                },
+                properties: fields.properties,
+                toFeature: row => pickProperties(rowToGeoJSON(row, geometry), fields.properties)
+            });
+        } catch (err) {
+            // A client that disconnected mid-export has nothing left to answer
+            if (res.destroyed) {
+                return;
+            }
+            console.error('Error exporting fires:', err);
+            if (res.headersSent) {
+                res.destroy(err);
+            } else {
+                res.status(500).json({ error: 'Database error' });
+            }
         }
+        return;
+    }
+
+    const where = filters.conditions.length > 0 ? ` WHERE ${filters.conditions.join(' AND ')}` : '';
+    const countQuery = `SELECT COUNT(*) AS total FROM ${source}${where}`;
+    const countParams = [...sourceParams, ...filters.params];
+
+    const conditions = [...filters.conditions];
+    const params = [...sourceParams, ...filters.params];
+
+    if (position) {
+        const keyset = keysetCondition(sort, position);
+        conditions.push(keyset.condition);
+        params.push(...keyset.params);
+    }
+
+    const columns = fields.columns
+        ? [...new Set([...fields.columns, sort.column])].join(', ')
+        : '*';
+    let query = `SELECT ${columns} FROM ${source}`;
+
+    if (conditions.length > 0) {
+        query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    // Fetch one extra row to know whether another page follows
+    query += ` ${orderByClause(sort)} LIMIT ?`;
+    params.push(limit + 1);
+
+    try {
+        const { total } = await get(db, countQuery, countParams);
+        const rows = await all(db, query, params);
+        const hasMore = rows.length > limit;
+        const page = hasMore ? rows.slice(0, limit) : rows;
+        const nextCursor = hasMore ? encodeCursor(sort, page[page.length - 1]) : null;
 
         // Convert to GeoJSON FeatureCollection
         const geoJSON = {
             type: 'FeatureCollection',
-            features: rows.map(rowToGeoJSON)
+            features: page.map(row => pickProperties(rowToGeoJSON(row, geometry), fields.properties)),
+            total,
+            count: page.length,
+            limit,
+            sort: sort.key,
+            next_cursor: nextCursor,
+            links: {
+                self: buildLink(req, {}),
+                first: buildLink(req, { cursor: undefined }),
+                next: nextCursor ? buildLink(req, { cursor: nextCursor }) : null
+            }
         };
 
+        if (as_of) {
+            geoJSON.as_of = new Date(as_of).toISOString();
+        }
+
         res.json(geoJSON);
-    });
+    } catch (err) {
+        console.error('Error fetching data:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 /**
  * @swagger
- * /api/fires/{id}:
+ * /api/fires/{id}/history:
  *   get:
- *     summary: Get fire incident by ID
- *     description: Retrieve a single fire incident by its ID in GeoJSON Feature format
+ *     summary: Get fire incident change history
+ *     description: Retrieve every recorded revision of a fire incident, oldest first. Each revision lists who made the change, when, and the old and new value of every changed field. History is kept after the fire is deleted. Changes to reporter_name and reporter_contact are shown only to dispatchers.
  *     tags: [Fires]
  *     parameters:
  *       - in: path
@@ -441,225 +1349,162 @@ app.get('/api/fires', (req, res) => {
  *         description: Fire incident ID
  *     responses:
  *       200:
- *         description: GeoJSON Feature representing the fire incident
+ *         description: Revision history of the fire incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fire_id:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                         example: 2
+ *                       action:
+ *                         type: string
+ *                         enum: [created, updated, deleted]
+ *                       changed_by:
+ *                         type: string
+ *                         example: dispatcher-1
+ *                       changed_at:
+ *                         type: string
+ *                         format: date-time
+ *                       changes:
+ *                         type: object
+ *                         example: { fire_status: { old: active, new: controlled } }
  *       404:
- *         description: Fire not found
+ *         description: No history for this fire
  *       500:
  *         description: Database error
  */
-// GET single fire by ID in GeoJSON format
-app.get('/api/fires/:id', (req, res) => {
+// GET revision history of a fire
+app.get('/api/fires/:id/history', requireReadAccess(), async (req, res) => {
     const { id } = req.params;
 
-    db.get('SELECT * FROM fires WHERE id = ?', [id], (err, row) => {
-        if (err) {
-            console.error('Error fetching data:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
+    try {
+        const revisions = await getHistory(db, id, { omit: canSeeReporters(req) ? [] : REPORTER_COLUMNS });
 
-        if (!row) {
+        if (revisions.length === 0) {
             return res.status(404).json({ error: 'Fire not found' });
         }
 
-        res.json(rowToGeoJSON(row));
-    });
+        res.json({
+            fire_id: Number(id),
+            count: revisions.length,
+            revisions
+        });
+    } catch (err) {
+        console.error('Error fetching fire history:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 /**
  * @swagger
- * /api/fires:
- *   post:
- *     summary: Create new fire incident
- *     description: Report a new fire incident with location and optional detailed information
+ * /api/fires/{id}/perimeters:
+ *   get:
+ *     summary: Get fire perimeter progression
+ *     description: Retrieve every perimeter recorded for a fire, oldest first, as a GeoJSON FeatureCollection. Each feature carries when and by whom it was recorded, its computed area and the growth since the previous perimeter.
  *     tags: [Fires]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - latitude
- *               - longitude
- *             properties:
- *               latitude:
- *                 type: number
- *                 description: Latitude (-90 to 90)
- *                 example: 34.6857
- *               longitude:
- *                 type: number
- *                 description: Longitude (-180 to 180)
- *                 example: 33.0437
- *               fire_status:
- *                 type: string
- *                 enum: [active, controlled, threat]
- *                 default: active
- *               fire_type:
- *                 type: string
- *                 example: wildfire
- *               fire_intensity:
- *                 type: number
- *                 default: 100
- *               fire_size:
- *                 type: number
- *                 description: Fire size in hectares
- *                 default: 1.0
- *               confidence:
- *                 type: integer
- *                 default: 85
- *               temperature:
- *                 type: number
- *                 default: 30
- *               humidity:
- *                 type: integer
- *                 default: 25
- *               wind_speed:
- *                 type: number
- *                 default: 10
- *               wind_direction:
- *                 type: integer
- *                 default: 180
- *               district:
- *                 type: string
- *                 example: Limassol
- *               nearest_village:
- *                 type: string
- *                 example: Troodos
- *               risk_to_settlements:
- *                 type: string
- *                 enum: [low, medium, high]
- *                 default: medium
- *               reporter_name:
- *                 type: string
- *               reporter_contact:
- *                 type: string
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire incident ID
  *     responses:
- *       201:
- *         description: Fire incident created successfully
+ *       200:
+ *         description: Perimeter progression
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
+ *                 type:
  *                   type: string
- *                 data:
- *                   type: object
- *       400:
- *         description: Validation error
+ *                   example: FeatureCollection
+ *                 fire_id:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 features:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         example: Feature
+ *                       geometry:
+ *                         type: object
+ *                         description: GeoJSON Polygon or MultiPolygon
+ *                       properties:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           recorded_at:
+ *                             type: string
+ *                             format: date-time
+ *                           recorded_by:
+ *                             type: string
+ *                           area_ha:
+ *                             type: number
+ *                             example: 14.2
+ *                           growth_ha:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Area change since the previous perimeter (null for the first)
+ *                             example: 1.7
+ *       404:
+ *         description: Fire not found
  *       500:
  *         description: Database error
  */
-// POST new fire report
-app.post('/api/fires', (req, res) => {
-    const {
-        latitude,
-        longitude,
-        fire_status = 'active',
-        fire_type = 'wildfire',
-        fire_intensity = 100,
-        fire_size = 1.0,
-        confidence = 85,
-        fuel_type = 'mixed_forest',
-        terrain_type = 'mountain',
-        slope = 15,
-        temperature = 30,
-        humidity = 25,
-        wind_speed = 10,
-        wind_direction = 180,
-        wind_type = 'meltemi',
-        agency_in_charge = 'Cyprus Fire Service',
-        response_level = 'district',
-        firefighters = 20,
-        vehicles = 5,
-        aircraft = 1,
-        evacuation_status = 'none',
-        district = 'Unknown',
-        nearest_village = 'Unknown',
-        distance_to_village = 1.5,
-        risk_to_settlements = 'medium',
-        reporter_name = '',
-        reporter_contact = ''
-    } = req.body;
-
-    // Validation
-    if (!latitude || !longitude) {
-        return res.status(400).json({
-            error: 'Latitude and longitude are required'
-        });
-    }
-
-    if (latitude < -90 || latitude > 90) {
-        return res.status(400).json({
-            error: 'Invalid latitude (must be between -90 and 90)'
-        });
-    }
-
-    if (longitude < -180 || longitude > 180) {
-        return res.status(400).json({
-            error: 'Invalid longitude (must be between -180 and 180)'
-        });
-    }
+// GET perimeter progression of a fire
+app.get('/api/fires/:id/perimeters', requireReadAccess(), async (req, res) => {
+    const { id } = req.params;
 
-    if (!['active', 'controlled', 'threat'].includes(fire_status)) {
-        return res.status(400).json({
-            error: 'Invalid fire_status (must be active, controlled, or threat)'
-        });
-    }
+    try {
+        const features = await getPerimeters(db, id);
 
-    if (!['low', 'medium', 'high'].includes(risk_to_settlements)) {
-        return res.status(400).json({
-            error: 'Invalid risk_to_settlements (must be low, medium, or high)'
-        });
-    }
-
-    const query = `
-        INSERT INTO fires (
-            latitude, longitude, fire_status, fire_type, fire_intensity, fire_size, confidence,
-            fuel_type, terrain_type, slope, temperature, humidity, wind_speed, wind_direction,
-            wind_type, agency_in_charge, response_level, firefighters, vehicles, aircraft,
-            evacuation_status, district, nearest_village, distance_to_village, risk_to_settlements,
-            reporter_name, reporter_contact
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    db.run(query, [
-        latitude, longitude, fire_status, fire_type, fire_intensity, fire_size, confidence,
-        fuel_type, terrain_type, slope, temperature, humidity, wind_speed, wind_direction,
-        wind_type, agency_in_charge, response_level, firefighters, vehicles, aircraft,
-        evacuation_status, district, nearest_village, distance_to_village, risk_to_settlements,
-        reporter_name, reporter_contact
-    ], function(err) {
-        if (err) {
-            console.error('Error creating report:', err);
-            return res.status(500).json({ error: 'Database error' });
+        // Like history, perimeters are kept after the fire is deleted
+        if (features.length === 0 && !(await fireRepository.exists(id))) {
+            return res.status(404).json({ error: 'Fire not found' });
         }
 
-        // Return the created fire in GeoJSON format
-        db.get('SELECT * FROM fires WHERE id = ?', [this.lastID], (err, row) => {
-            if (err) {
-                console.error('Error fetching created report:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
-
-            res.status(201).json({
-                success: true,
-                message: 'Fire report created successfully',
-                data: rowToGeoJSON(row)
-            });
+        res.json({
+            type: 'FeatureCollection',
+            fire_id: Number(id),
+            count: features.length,
+            features
         });
-    });
+    } catch (err) {
+        console.error('Error fetching fire perimeters:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 /**
  * @swagger
- * /api/fires/{id}:
- *   patch:
- *     summary: Update fire incident
- *     description: Update any field of an existing fire incident. All fields are optional. The last_update timestamp is automatically updated.
+ * /api/fires/{id}/spread:
+ *   get:
+ *     summary: Predict fire spread
+ *     description: |
+ *       Predicted burned area after each forecast horizon as GeoJSON polygons, with the villages each polygon reaches.
+ *       The fire is modelled as a wind-driven ellipse growing from its current location and size: the head rate of spread comes from the fuel type,
+ *       wind speed, slope and fuel moisture (from temperature and humidity), blended with the rate implied by the reported fire intensity (Byram);
+ *       the ellipse elongates with wind speed and points away from wind_direction (the direction the wind blows from).
+ *       Missing weather readings fall back to the column defaults. Units assumed: wind_speed km/h, slope degrees, fire_intensity kW/m, fire_size hectares.
+ *       The forecast ignores terrain aspect, fuel breaks and suppression, so treat it as a planning aid rather than a perimeter.
  *     tags: [Fires]
  *     parameters:
  *       - in: path
@@ -668,112 +1513,295 @@ app.post('/api/fires', (req, res) => {
  *         schema:
  *           type: integer
  *         description: Fire incident ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               fire_status:
- *                 type: string
- *                 enum: [active, controlled, threat]
- *               fire_intensity:
- *                 type: number
- *               fire_size:
- *                 type: number
- *               temperature:
- *                 type: number
- *               wind_speed:
- *                 type: number
- *               evacuation_status:
- *                 type: string
- *               firefighters:
- *                 type: integer
- *               vehicles:
- *                 type: integer
- *               aircraft:
- *                 type: integer
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: string
+ *           default: 1,3,6
+ *         description: Comma-separated forecast horizons in hours (up to 12 values, each above 0 and at most 48)
  *     responses:
  *       200:
- *         description: Fire incident updated successfully
+ *         description: Predicted spread polygons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   example: FeatureCollection
+ *                 fire_id:
+ *                   type: integer
+ *                 model:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: elliptical
+ *                     head_rate_m_per_min:
+ *                       type: number
+ *                       example: 14.2
+ *                     length_to_breadth:
+ *                       type: number
+ *                       example: 2.23
+ *                     spread_direction:
+ *                       type: integer
+ *                       description: Bearing the head of the fire runs towards, degrees
+ *                       example: 90
+ *                     inputs:
+ *                       type: object
+ *                       description: Fuel and weather values used, after defaults
+ *                 villages_at_risk:
+ *                   type: array
+ *                   description: Every village reached within the longest horizon, with the first horizon that reaches it
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: Platres
+ *                       district:
+ *                         type: string
+ *                         example: Limassol
+ *                       distance_km:
+ *                         type: number
+ *                         example: 4.1
+ *                       within_hours:
+ *                         type: number
+ *                         example: 3
+ *                 features:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         example: Feature
+ *                       geometry:
+ *                         type: object
+ *                         description: GeoJSON Polygon
+ *                       properties:
+ *                         type: object
+ *                         properties:
+ *                           hours:
+ *                             type: number
+ *                           head_distance_km:
+ *                             type: number
+ *                           back_distance_km:
+ *                             type: number
+ *                           width_km:
+ *                             type: number
+ *                           area_ha:
+ *                             type: number
+ *                           villages:
+ *                             type: array
+ *                             items:
+ *                               type: object
  *       400:
- *         description: No valid fields to update
+ *         description: Invalid hours
  *       404:
  *         description: Fire not found
  *       500:
  *         description: Database error
  */
-// UPDATE fire (any field)
-app.patch('/api/fires/:id', (req, res) => {
+// GET predicted spread of a fire
+app.get('/api/fires/:id/spread', requireReadAccess(), async (req, res) => {
     const { id } = req.params;
-    const updates = req.body;
-
-    // Build dynamic update query
-    const allowedFields = [
-        'fire_status', 'fire_type', 'fire_intensity', 'fire_size', 'confidence',
-        'fuel_type', 'terrain_type', 'slope', 'temperature', 'humidity',
-        'wind_speed', 'wind_direction', 'wind_type', 'agency_in_charge',
-        'response_level', 'firefighters', 'vehicles', 'aircraft',
-        'evacuation_status', 'district', 'nearest_village',
-        'distance_to_village', 'risk_to_settlements'
-    ];
 
-    const updateFields = [];
-    const updateValues = [];
+    const hours = parseHours(req.query.hours);
+    if (!hours) {
+        return res.status(400).json({ error: `Invalid hours (comma-separated values above 0 and up to ${MAX_HOURS})` });
+    }
 
-    Object.keys(updates).forEach(key => {
-        if (allowedFields.includes(key)) {
-            updateFields.push(`${key} = ?`);
-            updateValues.push(updates[key]);
-        }
-    });
+    try {
+        const row = await fireRepository.findById(id);
+        if (!row) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
 
-    if (updateFields.length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
+        res.json(predictSpread(row, hours));
+    } catch (err) {
+        console.error('Error predicting fire spread:', err);
+        res.status(500).json({ error: 'Database error' });
     }
+});
 
-    // Always update last_update timestamp
-    updateFields.push('last_update = CURRENT_TIMESTAMP');
-    updateValues.push(id);
+/**
+ * @swagger
+ * /api/fires/stream:
+ *   get:
+ *     summary: Stream fire incident changes (Server-Sent Events)
+ *     description: |
+ *       Push channel emitting `created`, `updated` and `deleted` events as fires change. Each event's data is JSON with the event `id`, `type`, the changed fields and the GeoJSON `feature`. Event IDs are stable across server restarts; reconnecting clients send the `Last-Event-ID` header (browsers do this automatically) or the `last_event_id` query parameter to receive events they missed.
+ *
+ *       The same events are available over WebSocket at `/api/fires/ws`, which accepts the same query parameters and sends each event as a JSON message.
+ *
+ *       Changes to reporter_name and reporter_contact are sent only to dispatchers.
+ *     tags: [Fires]
+ *     parameters:
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *           example: Limassol,Paphos
+ *         description: Only events for fires in these districts
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: 32.2,34.5,34.6,35.7
+ *         description: Only events for fires inside minLon,minLat,maxLon,maxLat
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event ID (alternative to the Last-Event-ID header)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event ID
+ *     responses:
+ *       200:
+ *         description: text/event-stream of fire events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 42\nevent: updated\ndata: {\"id\":42,\"type\":\"updated\",\"changes\":{},\"feature\":{}}\n\n"
+ *       400:
+ *         description: Invalid filter or event ID
+ */
+// GET live stream of fire changes over Server-Sent Events
+app.get('/api/fires/stream', requireReadAccess(), async (req, res) => {
+    const subscription = parseSubscription(req.query, { omit: canSeeReporters(req) ? [] : REPORTER_COLUMNS });
+    if (subscription.error) {
+        return res.status(400).json({ error: subscription.error });
+    }
 
-    const query = `UPDATE fires SET ${updateFields.join(', ')} WHERE id = ?`;
+    const lastEventId = parseLastEventId(req.get('Last-Event-ID') ?? req.query.last_event_id);
+    if (lastEventId === undefined) {
+        return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+    }
 
-    db.run(query, updateValues, function(err) {
-        if (err) {
-            console.error('Error updating fire:', err);
-            return res.status(500).json({ error: 'Database error' });
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    let unsubscribe = null;
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe();
         }
+    });
 
-        if (this.changes === 0) {
-            return res.status(404).json({ error: 'Fire not found' });
+    try {
+        unsubscribe = await fireEvents.subscribe(subscription, lastEventId, (event) => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+        if (closed) {
+            unsubscribe();
         }
+    } catch (err) {
+        console.error('Error replaying fire events:', err);
+        res.end();
+    }
+});
 
-        db.get('SELECT * FROM fires WHERE id = ?', [id], (err, row) => {
-            if (err) {
-                console.error('Error fetching updated report:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
+/**
+ * @swagger
+ * /api/fires/{id}:
+ *   get:
+ *     summary: Get fire incident by ID
+ *     description: Retrieve a single fire incident by its ID in GeoJSON Feature format
+ *     tags: [Fires]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire incident ID
+ *       - in: query
+ *         name: geometry
+ *         schema:
+ *           type: string
+ *           enum: [point, perimeter]
+ *           default: point
+ *         description: Feature geometry; perimeter returns the latest perimeter Polygon/MultiPolygon for fires that have one (others stay points)
+ *     responses:
+ *       200:
+ *         description: GeoJSON Feature representing the fire incident
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ */
+// GET single fire by ID in GeoJSON format
+app.get('/api/fires/:id', requireReadAccess(), async (req, res) => {
+    const { id } = req.params;
 
-            res.json({
-                success: true,
-                message: 'Fire updated successfully',
-                data: rowToGeoJSON(row)
-            });
-        });
-    });
+    const geometry = parseGeometry(req.query.geometry);
+    if (!geometry) {
+        return res.status(400).json({ error: 'Invalid geometry (must be point or perimeter)' });
+    }
+
+    try {
+        const row = await fireRepository.findById(id);
+        if (!row) {
+            // Point clients holding the ID of a merged fire at the incident it became part of
+            const mergedInto = await findMergedInto(db, id).catch(() => null);
+            return res.status(404).json(mergedInto ? { error: 'Fire was merged', merged_into: mergedInto } : { error: 'Fire not found' });
+        }
+
+        res.json(rowToGeoJSON(row, geometry));
+    } catch (err) {
+        console.error('Error fetching data:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 /**
  * @swagger
  * /api/fires:
- *   delete:
- *     summary: Delete all fire incidents
- *     description: Permanently delete all fire incidents from the database. Used before generating a new set of fires.
+ *   post:
+ *     summary: Create new fire incident
+ *     description: |
+ *       Report a new fire incident with location and optional detailed information. latitude and longitude may be omitted when a perimeter is given; its centre is used instead. Requires the field_reporter role.
+ *       Burning fires (reported to contained) within 1 km that were active within 12 hours of the report are returned as probable duplicates. With on_duplicate=merge the report is folded into the nearest of them instead of becoming a separate incident: no fire is created for it, and it is kept among that fire's reports.
  *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [flag, merge]
+ *           default: flag
+ *         description: flag returns probable duplicates alongside the new fire; merge links the report to the nearest duplicate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FireInput'
  *     responses:
  *       200:
- *         description: All fire incidents deleted successfully
+ *         description: Report merged into an existing fire (on_duplicate=merge); data is that fire
+ *       201:
+ *         description: Fire incident created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -783,92 +1811,4593 @@ app.patch('/api/fires/:id', (req, res) => {
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 deletedCount:
- *                   type: integer
+ *                 data:
+ *                   type: object
+ *                 duplicates:
+ *                   type: array
+ *                   description: Probable duplicates of the new report, nearest first
+ *                   items:
+ *                     $ref: '#/components/schemas/DuplicateCandidate'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
  *       500:
  *         description: Database error
  */
-// DELETE all fires
-app.delete('/api/fires', (req, res) => {
-    db.run('DELETE FROM fires', [], function(err) {
-        if (err) {
-            console.error('Error deleting all fires:', err);
-            return res.status(500).json({ error: 'Database error' });
+// POST new fire report
+app.post('/api/fires', requireRole('field_reporter'), async (req, res) => {
+    const onDuplicate = req.query.on_duplicate || 'flag';
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+        return res.status(400).json({ error: `Invalid on_duplicate (must be ${DUPLICATE_ACTIONS.join(' or ')})` });
+    }
+
+    try {
+        const created = await createFire(req.body, getActor(req), { mergeDuplicates: onDuplicate === 'merge' });
+
+        if (created.error) {
+            return res.status(400).json({ error: created.error, details: created.details });
+        }
+
+        if (created.merged) {
+            return res.json({
+                success: true,
+                message: `Report merged into fire ${created.row.id}`,
+                data: rowToGeoJSON(created.row),
+                duplicates: created.duplicates
+            });
+        }
+
+        const { row } = created;
+        const duplicates = await findDuplicates(db, row);
+
+        // Return the created fire in GeoJSON format
+        res.status(201).json({
+            success: true,
+            message: duplicates.length > 0
+                ? `Fire report created successfully; ${duplicates.length} probable duplicate(s) found`
+                : 'Fire report created successfully',
+            data: rowToGeoJSON(row),
+            duplicates
+        });
+    } catch (err) {
+        console.error('Error creating report:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BatchResult:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         created:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         data:
+ *           type: array
+ *           description: Outcome for each feature or change, in request order
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               action:
+ *                 type: string
+ *                 enum: [created, updated, unchanged]
+ *               id:
+ *                 type: integer
+ *     BatchErrors:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position in features or updates
+ *               id:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               details:
+ *                 type: array
+ *                 description: Field-level errors, as in ValidationError
+ *                 items:
+ *                   type: object
+ * /api/fires/batch:
+ *   post:
+ *     summary: Import fire incidents in bulk
+ *     description: |
+ *       Create or update many fires from a GeoJSON FeatureCollection shaped like the one GET /api/fires returns. A Point geometry gives the location of a new fire; a Polygon or MultiPolygon becomes its perimeter. Computed properties (last_update, has_perimeter, media, fire_danger) are ignored.
+ *       With mode=upsert (the default) a feature whose id matches an existing fire updates it, changing only fields that differ; the location of an existing fire is not changed. Other features create new fires with server-assigned IDs, in the fire_status they give (any lifecycle status, so exported fires can be re-imported), recorded as their first transition.
+ *       Every feature is validated first. If any fails, nothing is imported and the errors are listed by feature index; otherwise all changes are written in one transaction. Duplicate detection does not run on imports. Requires the dispatcher role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [create, upsert]
+ *           default: upsert
+ *         description: create ignores feature IDs and always creates new fires
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, features]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 example: FeatureCollection
+ *               features:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Features imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResult'
+ *       400:
+ *         description: Invalid body or features; nothing was imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchErrors'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error; nothing was imported
+ */
+// POST import a FeatureCollection of fires in one transaction
+app.post('/api/fires/batch', requireRole('dispatcher'), async (req, res) => {
+    const mode = req.query.mode || 'upsert';
+    if (!BATCH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Invalid mode (must be ${BATCH_MODES.join(' or ')})` });
+    }
+
+    const collection = parseFeatureCollection(req.body);
+    if (collection.error) {
+        return res.status(400).json({ error: collection.error });
+    }
+
+    try {
+        // Validate every feature before writing anything
+        const plans = [];
+        const errors = [];
+        const seen = new Set();
+
+        for (const [index, feature] of collection.features.entries()) {
+            const parsed = featureToFire(feature);
+            if (parsed.error) {
+                errors.push({ index, error: parsed.error });
+                continue;
+            }
+
+            const existing = mode === 'upsert' && parsed.id !== null
+                ? await fireRepository.findById(parsed.id)
+                : null;
+
+            if (!existing) {
+                const validation = validateNewFire(parsed.fields, { restore: true });
+                if (validation.error) {
+                    errors.push({ index, error: validation.error, details: validation.details });
+                } else {
+                    plans.push({ index, action: 'created', parsed });
+                }
+                continue;
+            }
+
+            if (seen.has(existing.id)) {
+                errors.push({ index, id: existing.id, error: 'Fire appears more than once in the batch' });
+                continue;
+            }
+            seen.add(existing.id);
+
+            const hasUpdates = Object.keys(parsed.fields)
+                .some(key => UPDATABLE_FIRE_FIELDS.includes(key) || key === 'perimeter');
+            const update = hasUpdates ? validateFireUpdate(parsed.fields) : { fields: {} };
+            if (update.error) {
+                errors.push({ index, id: existing.id, error: update.error, details: update.details });
+                continue;
+            }
+
+            const fields = changedFields(existing, update.fields);
+            const statusError = statusChangeError(existing.fire_status, fields.fire_status);
+            if (Object.keys(fields).length === 0) {
+                plans.push({ index, action: 'unchanged', id: existing.id });
+            } else if (statusError) {
+                errors.push({ index, id: existing.id, error: statusError.error });
+            } else if (await setsTrackedResources(existing.id, fields)) {
+                errors.push({ index, id: existing.id, error: 'firefighters, vehicles and aircraft are computed from dispatched resources for this fire' });
+            } else {
+                plans.push({
+                    index,
+                    action: 'updated',
+                    id: existing.id,
+                    update: { fields, perimeter: fields.perimeter !== undefined ? update.perimeter : null }
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: `${errors.length} feature(s) are invalid; nothing was imported`,
+                errors
+            });
+        }
+
+        const changedBy = getActor(req);
+        const events = [];
+        const results = await transaction(db, async () => {
+            const written = [];
+            for (const plan of plans) {
+                if (plan.action === 'created') {
+                    const { row } = await createFire(plan.parsed.fields, changedBy, { detectedAt: plan.parsed.detectedAt, events, restore: true });
+                    written.push({ index: plan.index, action: 'created', id: row.id });
+                } else {
+                    if (plan.action === 'updated') {
+                        const oldRow = await fireRepository.findById(plan.id);
+                        await updateFire(oldRow, plan.update, changedBy, events);
+                    }
+                    written.push({ index: plan.index, action: plan.action, id: plan.id });
+                }
+            }
+            return written;
+        });
+
+        events.forEach(([revision, row]) => fireEvents.publish(revision, row));
+
+        const counts = { created: 0, updated: 0, unchanged: 0 };
+        results.forEach(result => counts[result.action]++);
+
+        res.json({
+            success: true,
+            message: `Imported ${results.length} feature(s): ${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged`,
+            ...counts,
+            data: results
+        });
+    } catch (err) {
+        console.error('Error importing fires:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/batch:
+ *   patch:
+ *     summary: Update many fire incidents
+ *     description: Apply a list of changes, each naming a fire by id and setting any field PATCH /api/fires/{id} accepts. Every change is validated first; if any fails, no fire is changed and the errors are listed by index. Otherwise all changes are written in one transaction. Requires the dispatcher role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [updates]
+ *             properties:
+ *               updates:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required: [id]
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                 example: [{ id: 3, fire_status: controlled }, { id: 5, fire_status: controlled, firefighters: 10 }]
+ *     responses:
+ *       200:
+ *         description: Fires updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResult'
+ *       400:
+ *         description: Invalid body or changes; no fire was changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchErrors'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error; no fire was changed
+ */
+// PATCH many fires in one transaction
+app.patch('/api/fires/batch', requireRole('dispatcher'), async (req, res) => {
+    const batch = parseBatchUpdates(req.body);
+    if (batch.error) {
+        return res.status(400).json({ error: batch.error });
+    }
+
+    try {
+        // Validate every change before writing anything
+        const plans = [];
+        const errors = [];
+        const seen = new Set();
+
+        for (const [index, { id, ...changes }] of batch.updates.entries()) {
+            if (!Number.isInteger(id)) {
+                errors.push({ index, error: 'id must be an integer' });
+                continue;
+            }
+            if (seen.has(id)) {
+                errors.push({ index, id, error: 'Fire appears more than once in the batch' });
+                continue;
+            }
+            seen.add(id);
+
+            const oldRow = await fireRepository.findById(id);
+            if (!oldRow) {
+                errors.push({ index, id, error: 'Fire not found' });
+                continue;
+            }
+
+            const update = validateFireUpdate(changes);
+            const statusError = update.error ? null : statusChangeError(oldRow.fire_status, update.fields.fire_status);
+            if (update.error) {
+                errors.push({ index, id, error: update.error, details: update.details });
+            } else if (statusError) {
+                errors.push({ index, id, error: statusError.error });
+            } else if (await setsTrackedResources(id, update.fields)) {
+                errors.push({ index, id, error: 'firefighters, vehicles and aircraft are computed from dispatched resources for this fire' });
+            } else {
+                plans.push({ index, id, update });
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: `${errors.length} change(s) are invalid; no fire was updated`,
+                errors
+            });
+        }
+
+        const changedBy = getActor(req);
+        const events = [];
+        await transaction(db, async () => {
+            for (const plan of plans) {
+                const oldRow = await fireRepository.findById(plan.id);
+                await updateFire(oldRow, plan.update, changedBy, events);
+            }
+        });
+
+        events.forEach(([revision, row]) => fireEvents.publish(revision, row));
+
+        res.json({
+            success: true,
+            message: `Updated ${plans.length} fire(s)`,
+            updated: plans.length,
+            data: plans.map(plan => ({ index: plan.index, action: 'updated', id: plan.id }))
+        });
+    } catch (err) {
+        console.error('Error updating fires:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}:
+ *   patch:
+ *     summary: Update fire incident
+ *     description: Update any field of an existing fire incident. All fields are optional. The last_update timestamp is automatically updated. fire_status may only move to a status the lifecycle allows next (see POST /api/fires/{id}/transition). firefighters, vehicles and aircraft cannot be set once resources have been dispatched to the fire; they are computed from the active assignments. Requires the dispatcher role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire incident ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FireUpdate'
+ *     responses:
+ *       200:
+ *         description: Fire incident updated successfully
+ *       400:
+ *         description: Invalid fields, or no valid fields to update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Fire not found
+ *       409:
+ *         description: fire_status change not allowed by the lifecycle
+ *       500:
+ *         description: Database error
+ */
+// UPDATE fire (any field)
+app.patch('/api/fires/:id', requireRole('dispatcher'), async (req, res) => {
+    const { id } = req.params;
+
+    const update = validateFireUpdate(req.body);
+    if (update.error) {
+        return res.status(400).json({ error: update.error, details: update.details });
+    }
+
+    try {
+        const oldRow = await fireRepository.findById(id);
+
+        if (!oldRow) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        // fire_status only moves along the lifecycle
+        const statusError = statusChangeError(oldRow.fire_status, update.fields.fire_status);
+        if (statusError) {
+            return res.status(409).json(statusError);
+        }
+
+        // Once units are dispatched, resources_on_site follows their assignments
+        if (await setsTrackedResources(oldRow.id, update.fields)) {
+            return res.status(400).json({ error: 'firefighters, vehicles and aircraft are computed from dispatched resources for this fire' });
+        }
+
+        const row = await updateFire(oldRow, update, getActor(req));
+
+        res.json({
+            success: true,
+            message: 'Fire updated successfully',
+            data: rowToGeoJSON(row)
+        });
+    } catch (err) {
+        console.error('Error updating fire:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires:
+ *   delete:
+ *     summary: Delete fire incidents
+ *     description: |
+ *       Permanently delete the fire incidents matching the filters, in one transaction; without filters every fire is deleted (used before generating a new set of fires). Filters are those of GET /api/fires, e.g. fire_status=controlled&older_than_days=30; unknown parameters are rejected so a misspelt filter cannot delete everything.
+ *       Units assigned to deleted fires are released and their media files are deleted. Requires the admin role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fire_status
+ *         schema:
+ *           type: string
+ *           example: controlled
+ *         description: Only fires with these statuses (comma-separated)
+ *       - in: query
+ *         name: older_than_days
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           example: 30
+ *         description: Only fires not updated for at least this many days
+ *     responses:
+ *       200:
+ *         description: Matching fire incidents deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 deletedCount:
+ *                   type: integer
+ *       400:
+ *         description: Unknown or invalid filter
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ */
+// DELETE all fires, or those matching filters
+app.delete('/api/fires', requireRole('admin'), async (req, res) => {
+    const unknown = Object.keys(req.query).filter(name => !FILTER_PARAMETERS.includes(name));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown filters: ${unknown.join(', ')}` });
+    }
+
+    const filters = buildFireFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+    const where = filters.conditions.length > 0 ? ` WHERE ${filters.conditions.join(' AND ')}` : '';
+
+    try {
+        const events = [];
+        const rows = await transaction(db, async () => {
+            const matching = await all(db, `SELECT * FROM fires${where}`, filters.params);
+            for (const row of matching) {
+                await fireRepository.remove(row.id);
+                await releaseFireResources(db, row.id);
+                await recordFireChange(getActor(req), 'deleted', row, null, events);
+            }
+            return matching;
+        });
+
+        // Files cannot be rolled back, so they go once the deletion is committed
+        for (const row of rows) {
+            await mediaStore.deleteFireMedia(row.id);
+        }
+        events.forEach(([revision, row]) => fireEvents.publish(revision, row));
+
+        res.json({
+            success: true,
+            message: `Deleted ${rows.length} fire(s) from database`,
+            deletedCount: rows.length
+        });
+    } catch (err) {
+        console.error('Error deleting all fires:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}:
+ *   delete:
+ *     summary: Delete fire incident
+ *     description: Permanently delete a fire incident from the database. Units assigned to it are released and start returning; its media files are deleted. Requires the dispatcher role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire incident ID
+ *     responses:
+ *       200:
+ *         description: Fire incident deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ */
+// DELETE fire by id
+app.delete('/api/fires/:id', requireRole('dispatcher'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const row = await fireRepository.findById(id);
+
+        if (!row) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        await fireTransaction(null, async (pending) => {
+            await fireRepository.remove(row.id);
+            await releaseFireResources(db, row.id);
+            await mediaStore.deleteFireMedia(row.id);
+            await recordFireChange(getActor(req), 'deleted', row, null, pending);
+        });
+
+        res.json({
+            success: true,
+            message: 'Fire deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting fire:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}/merge:
+ *   post:
+ *     summary: Merge another fire into this one
+ *     description: |
+ *       Fold a duplicate incident into this fire. The duplicate is deleted; its row is kept as an original report (GET /api/fires/{id}/reports) together with any reports it had absorbed, and its satellite detections, resource assignments, evacuation zones and media move to this fire.
+ *       This fire keeps the earliest detection time and the higher intensity, size, confidence and risk of the two; resources_on_site is recomputed from assignments, or added up when neither fire has any.
+ *       GET /api/fires/{source_id} then answers 404 with merged_into. Requires the dispatcher role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire that remains
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source_id]
+ *             properties:
+ *               source_id:
+ *                 type: integer
+ *                 description: Fire folded into this one
+ *                 example: 7
+ *     responses:
+ *       200:
+ *         description: Fires merged; data is the remaining fire
+ *       400:
+ *         description: Invalid source_id
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Fire not found
+ *       409:
+ *         description: This fire is no longer burning (controlled or later); a report near it is a new fire, not a duplicate
+ *       500:
+ *         description: Database error
+ */
+// POST merge a duplicate fire into this one
+app.post('/api/fires/:id/merge', requireRole('dispatcher'), async (req, res) => {
+    const sourceId = req.body.source_id;
+    if (!Number.isInteger(sourceId)) {
+        return res.status(400).json({ error: 'source_id must be a fire ID' });
+    }
+    if (sourceId === Number(req.params.id)) {
+        return res.status(400).json({ error: 'A fire cannot be merged into itself' });
+    }
+
+    try {
+        const merged = await mergeFires(req.params.id, sourceId, getActor(req));
+        if (merged.error) {
+            return res.status(merged.status).json({ error: merged.error });
+        }
+
+        const { row, source } = merged;
+        res.json({
+            success: true,
+            message: `Fire ${source.id} merged into fire ${row.id}`,
+            data: rowToGeoJSON(row)
+        });
+    } catch (err) {
+        console.error('Error merging fires:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FireStatusTransition:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fire_id:
+ *           type: integer
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *           description: null when the fire was reported
+ *           example: active
+ *         to_status:
+ *           type: string
+ *           example: contained
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           example: Containment line closed on the northern flank
+ *         changed_by:
+ *           type: string
+ *           example: dispatcher-1
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ * /api/fires/{id}/transition:
+ *   post:
+ *     summary: Move a fire along its lifecycle
+ *     description: |
+ *       Change fire_status to the next lifecycle stage and record when, by whom and why. The lifecycle is reported → confirmed → active ↔ threat → contained → controlled → extinguished → archived; active and threat may switch back and forth, every other step only goes forward. Archived fires are left out of GET /api/fires unless asked for.
+ *       The change is also recorded in the fire history and notifies subscribers. Requires the dispatcher role.
+ *     tags: [Fires]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire incident ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [reported, confirmed, active, threat, contained, controlled, extinguished, archived]
+ *                 example: contained
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Containment line closed on the northern flank
+ *     responses:
+ *       200:
+ *         description: Status changed; data is the updated fire and transition the stored change
+ *       400:
+ *         description: Invalid status or reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Fire not found
+ *       409:
+ *         description: The fire already has this status, or the lifecycle does not allow the change; allowed lists the statuses it may move to
+ *       500:
+ *         description: Database error
+ */
+// POST change the lifecycle status of a fire
+app.post('/api/fires/:id/transition', requireRole('dispatcher'), async (req, res) => {
+    const transition = validateTransition(req.body);
+    if (transition.error) {
+        return res.status(400).json({ error: transition.error, details: transition.details });
+    }
+
+    try {
+        const oldRow = await fireRepository.findById(req.params.id);
+        if (!oldRow) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        if (transition.status === oldRow.fire_status) {
+            return res.status(409).json({
+                error: `Fire is already ${oldRow.fire_status}`,
+                allowed: allowedTransitions(oldRow.fire_status)
+            });
+        }
+        const statusError = statusChangeError(oldRow.fire_status, transition.status);
+        if (statusError) {
+            return res.status(409).json(statusError);
+        }
+
+        const row = await updateFire(oldRow, {
+            fields: { fire_status: transition.status },
+            perimeter: null,
+            reason: transition.reason
+        }, getActor(req));
+        const [stored] = (await listTransitions(db, oldRow.id)).slice(-1);
+
+        res.json({
+            success: true,
+            message: `Fire status changed from ${oldRow.fire_status} to ${row.fire_status}`,
+            data: rowToGeoJSON(row),
+            transition: stored
+        });
+    } catch (err) {
+        console.error('Error changing fire status:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}/transitions:
+ *   get:
+ *     summary: Get fire lifecycle transitions
+ *     description: Every status change of a fire, oldest first, starting with the status it was reported with. Also lists the statuses the fire may move to next.
+ *     tags: [Fires]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fire incident ID
+ *     responses:
+ *       200:
+ *         description: Status changes of the fire
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fire_id:
+ *                   type: integer
+ *                 fire_status:
+ *                   type: string
+ *                   example: contained
+ *                 allowed:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [controlled]
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FireStatusTransition'
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ */
+// GET lifecycle status changes of a fire
+app.get('/api/fires/:id/transitions', requireReadAccess(), async (req, res) => {
+    try {
+        const row = await fireRepository.findById(req.params.id);
+        if (!row) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        const transitions = await listTransitions(db, row.id);
+        res.json({
+            fire_id: row.id,
+            fire_status: row.fire_status,
+            allowed: allowedTransitions(row.fire_status),
+            count: transitions.length,
+            data: transitions
+        });
+    } catch (err) {
+        console.error('Error fetching fire transitions:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DuplicateCandidate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fire_status:
+ *           type: string
+ *         district:
+ *           type: string
+ *         timestamp_detected:
+ *           type: string
+ *         last_update:
+ *           type: string
+ *         distance_km:
+ *           type: number
+ *           example: 0.42
+ * /api/fires/{id}/reports:
+ *   get:
+ *     summary: Get original reports merged into a fire
+ *     description: Reports of duplicate incidents folded into this fire, oldest first. report is the duplicate's fire record as it was when merged. Reporter names and contacts are shown only to dispatchers.
+ *     tags: [Fires]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Merged reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fire_id:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       source_fire_id:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: ID the report had as a fire; null for reports merged on creation (on_duplicate=merge)
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *                       reported_at:
+ *                         type: string
+ *                       reporter_name:
+ *                         type: string
+ *                       reporter_contact:
+ *                         type: string
+ *                       merged_by:
+ *                         type: string
+ *                       merged_at:
+ *                         type: string
+ *                         format: date-time
+ *                       report:
+ *                         type: object
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ */
+// GET original reports merged into a fire
+app.get('/api/fires/:id/reports', requireReadAccess(), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const fire = await fireRepository.findById(id);
+        if (!fire) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        const reports = await listReports(db, fire.id, { hideReporters: !canSeeReporters(req) });
+        res.json({ fire_id: fire.id, count: reports.length, data: reports });
+    } catch (err) {
+        console.error('Error fetching fire reports:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Citizen reports accepted per client per hour
+const citizenReportLimiter = createRateLimiter({
+    limit: Number(process.env.CITIZEN_REPORT_RATE_LIMIT) || DEFAULT_RATE_LIMIT
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CitizenReport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, rejected]
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         description:
+ *           type: string
+ *           example: Smoke rising behind the church, spreading uphill
+ *         reporter_name:
+ *           type: string
+ *           nullable: true
+ *         reporter_contact:
+ *           type: string
+ *           nullable: true
+ *         client_address:
+ *           type: string
+ *         photo_url:
+ *           type: string
+ *           nullable: true
+ *           example: /api/citizen-reports/12/photo
+ *         fire_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Fire the report was confirmed as
+ *         moderated_by:
+ *           type: string
+ *           nullable: true
+ *         moderated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rejection_reason:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ * /api/citizen-reports:
+ *   post:
+ *     summary: Report a fire (public)
+ *     description: |
+ *       Submit a fire seen by a member of the public. No credentials are needed; reports go to a moderation queue and become fires only once a dispatcher confirms them.
+ *       Each client may send a limited number of reports per hour (CITIZEN_REPORT_RATE_LIMIT, 5 by default).
+ *     tags: [Citizen Reports]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [latitude, longitude, description]
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *                 example: 34.9229
+ *               longitude:
+ *                 type: number
+ *                 example: 32.8792
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: Smoke rising behind the church, spreading uphill
+ *               reporter_name:
+ *                 type: string
+ *               reporter_contact:
+ *                 type: string
+ *                 description: Phone or email for the dispatcher to call back; never shown publicly
+ *               photo:
+ *                 type: string
+ *                 description: JPEG, PNG or WebP photo as a base64 data URL, up to 5 MB
+ *                 example: data:image/jpeg;base64,/9j/4AAQSkZJRg...
+ *     responses:
+ *       201:
+ *         description: Report queued for moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many reports from this client; see Retry-After
+ *       500:
+ *         description: Database error
+ *   get:
+ *     summary: List citizen reports
+ *     description: The moderation queue, oldest first. Requires the dispatcher role.
+ *     tags: [Citizen Reports]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, rejected]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Citizen reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CitizenReport'
+ *       400:
+ *         description: Invalid status, limit or offset
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ */
+// POST public fire report into the moderation queue
+app.post('/api/citizen-reports', async (req, res) => {
+    const rate = citizenReportLimiter.hit(req.ip);
+    if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfterSeconds));
+        return res.status(429).json({ error: 'Too many reports, please try again later' });
+    }
+
+    const validation = validateCitizenReport(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const report = await createCitizenReport(db, validation.report, req.ip);
+        res.status(201).json({
+            success: true,
+            message: 'Thank you, your report will be reviewed by a dispatcher',
+            data: { id: report.id, status: report.status, created_at: report.created_at }
+        });
+    } catch (err) {
+        console.error('Error creating citizen report:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// GET citizen reports (moderation queue)
+app.get('/api/citizen-reports', requireRole('dispatcher'), async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status (must be ${REPORT_STATUSES.join(', ')})` });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    try {
+        const { total, data } = await listCitizenReports(db, { status, limit, offset });
+        res.json({ total, count: data.length, data });
+    } catch (err) {
+        console.error('Error fetching citizen reports:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/citizen-reports/{id}:
+ *   get:
+ *     summary: Get a citizen report
+ *     description: A report with the fires it probably duplicates (within 1 km and active within 12 hours of the report), to help decide whether to link it to one of them. Requires the dispatcher role.
+ *     tags: [Citizen Reports]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Citizen report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CitizenReport'
+ *                 - type: object
+ *                   properties:
+ *                     duplicates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DuplicateCandidate'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Citizen report not found
+ *       500:
+ *         description: Database error
+ */
+// GET single citizen report with probable duplicate fires
+app.get('/api/citizen-reports/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const report = await getCitizenReport(db, req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Citizen report not found' });
+        }
+
+        const duplicates = await findDuplicates(db, {
+            id: null,
+            latitude: report.latitude,
+            longitude: report.longitude,
+            timestamp_detected: report.created_at
+        });
+        res.json({ ...report, duplicates });
+    } catch (err) {
+        console.error('Error fetching citizen report:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/citizen-reports/{id}/photo:
+ *   get:
+ *     summary: Get the photo of a citizen report
+ *     description: Requires the dispatcher role.
+ *     tags: [Citizen Reports]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The photo
+ *         content:
+ *           image/jpeg: {}
+ *           image/png: {}
+ *           image/webp: {}
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: No photo for this report
+ *       500:
+ *         description: Database error
+ */
+// GET photo attached to a citizen report
+app.get('/api/citizen-reports/:id/photo', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const photo = await getCitizenReportPhoto(db, req.params.id);
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.type(photo.type).send(photo.data);
+    } catch (err) {
+        console.error('Error fetching citizen report photo:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/citizen-reports/{id}/confirm:
+ *   post:
+ *     summary: Confirm a citizen report
+ *     description: |
+ *       Take a pending report out of the queue as a real fire. With fire_id the report is linked to that existing fire; otherwise a new active fire is created at the reported location, with the reporter's name and contact, in the district of the nearest village. The report's photo is attached to the fire as media.
+ *       Requires the dispatcher role.
+ *     tags: [Citizen Reports]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fire_id:
+ *                 type: integer
+ *                 description: Existing fire the report describes
+ *     responses:
+ *       200:
+ *         description: Report confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CitizenReport'
+ *                 fire:
+ *                   type: object
+ *                   description: The fire as GeoJSON Feature
+ *                 photo_error:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Why the report's photo could not be attached to the fire; the report is confirmed regardless
+ *       400:
+ *         description: Invalid fire_id, or no fire can be created at the reported location (e.g. too far from any known village); the report stays pending
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Citizen report or fire not found
+ *       409:
+ *         description: Report already moderated
+ *       500:
+ *         description: Database error
+ */
+// POST confirm a citizen report, creating or linking a fire
+app.post('/api/citizen-reports/:id/confirm', requireRole('dispatcher'), async (req, res) => {
+    const fireId = req.body.fire_id;
+    if (fireId !== undefined && fireId !== null && !Number.isInteger(fireId)) {
+        return res.status(400).json({ error: 'fire_id must be a fire ID' });
+    }
+
+    try {
+        const report = await getCitizenReport(db, req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Citizen report not found' });
+        }
+        if (report.status !== 'pending') {
+            return res.status(409).json({ error: `Citizen report already ${report.status}` });
+        }
+
+        let fire;
+        if (Number.isInteger(fireId)) {
+            fire = await fireRepository.findById(fireId);
+            if (!fire) {
+                return res.status(404).json({ error: 'Fire not found' });
+            }
+        }
+
+        // Claim the report, create its fire and link the two in one transaction, so two
+        // moderators cannot both confirm it and a fire that cannot be created leaves it pending
+        const confirmed = await fireTransaction(null, async (pending) => {
+            const current = await getCitizenReport(db, report.id);
+            if (current.status !== 'pending') {
+                return { conflict: `Citizen report already ${current.status}` };
+            }
+
+            let row = fire;
+            if (!row) {
+                const village = nearestVillage(report.latitude, report.longitude);
+                const created = await createFire({
+                    latitude: report.latitude,
+                    longitude: report.longitude,
+                    district: village.district,
+                    nearest_village: village.name,
+                    distance_to_village: village.distance_km,
+                    reporter_name: report.reporter_name || '',
+                    reporter_contact: report.reporter_contact || ''
+                }, getActor(req), { detectedAt: report.created_at.replace('T', ' ').slice(0, 19), events: pending });
+                if (created.error) {
+                    return created;
+                }
+                row = created.row;
+            }
+
+            await moderateCitizenReport(db, report.id, { status: 'confirmed', fireId: row.id, moderatedBy: getActor(req) });
+            return { row };
+        });
+
+        if (confirmed.conflict) {
+            return res.status(409).json({ error: confirmed.conflict });
+        }
+        if (confirmed.error) {
+            return res.status(400).json({
+                error: `No fire can be created from this report: ${confirmed.error}`,
+                details: confirmed.details
+            });
+        }
+        fire = confirmed.row;
+
+        // The citizen's photo becomes an attachment of the fire; the report stays
+        // confirmed if it cannot be attached
+        let photoError = null;
+        const photo = await getCitizenReportPhoto(db, report.id);
+        if (photo) {
+            const attached = await mediaStore.addMedia(fire.id, { data: photo.data, originalName: `citizen-report-${report.id}` }, getActor(req));
+            if (attached.error) {
+                photoError = attached.error;
+                console.error(`Photo of citizen report ${report.id} not attached to fire ${fire.id}:`, attached.error);
+            } else {
+                fire = await fireRepository.findById(fire.id);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Citizen report confirmed as fire ${fire.id}`,
+            data: await getCitizenReport(db, report.id),
+            fire: rowToGeoJSON(fire),
+            photo_error: photoError
+        });
+    } catch (err) {
+        console.error('Error confirming citizen report:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/citizen-reports/{id}/reject:
+ *   post:
+ *     summary: Reject a citizen report
+ *     description: Take a pending report out of the queue without creating a fire. Requires the dispatcher role.
+ *     tags: [Citizen Reports]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Controlled agricultural burn
+ *     responses:
+ *       200:
+ *         description: Report rejected
+ *       400:
+ *         description: Invalid reason
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Citizen report not found
+ *       409:
+ *         description: Report already moderated
+ *       500:
+ *         description: Database error
+ */
+// POST reject a citizen report
+app.post('/api/citizen-reports/:id/reject', requireRole('dispatcher'), async (req, res) => {
+    const { reason = null } = req.body;
+    if (reason !== null && typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason must be a string' });
+    }
+
+    try {
+        const report = await getCitizenReport(db, req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Citizen report not found' });
+        }
+
+        const rejected = await moderateCitizenReport(db, report.id, {
+            status: 'rejected',
+            reason,
+            moderatedBy: getActor(req)
+        });
+        if (!rejected) {
+            return res.status(409).json({ error: `Citizen report already ${report.status}` });
+        }
+
+        res.json({
+            success: true,
+            message: 'Citizen report rejected',
+            data: rejected
+        });
+    } catch (err) {
+        console.error('Error rejecting citizen report:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/danger:
+ *   get:
+ *     summary: Current fire danger per district
+ *     description: |
+ *       Fire danger of each district from the weather readings of fires updated in the last `hours` hours.
+ *       The danger index is the Hot-Dry-Windy index (vapour pressure deficit in hPa times wind speed in m/s) computed from temperature, humidity and wind_speed.
+ *       Each district reports its worst reading and rating, the mean index and the number of readings; districts are listed most dangerous first.
+ *     tags: [Fire Danger]
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *           minimum: 1
+ *           maximum: 720
+ *         description: Only use readings from fires updated within this many hours
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *         description: Comma-separated districts to report on
+ *     responses:
+ *       200:
+ *         description: Danger per district
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generated_at:
+ *                   type: string
+ *                   format: date-time
+ *                 hours:
+ *                   type: integer
+ *                   example: 24
+ *                 index:
+ *                   type: string
+ *                   example: hot_dry_windy
+ *                 ratings:
+ *                   type: array
+ *                   description: Rating bands, each applying from its threshold up to the next
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rating:
+ *                         type: string
+ *                       from:
+ *                         type: number
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       district:
+ *                         type: string
+ *                         example: Limassol
+ *                       rating:
+ *                         type: string
+ *                         enum: [low, moderate, high, very_high, extreme]
+ *                       hdw:
+ *                         type: number
+ *                         description: Worst index in the district
+ *                         example: 320.4
+ *                       mean_hdw:
+ *                         type: number
+ *                         example: 210.7
+ *                       readings:
+ *                         type: integer
+ *                         example: 3
+ *                       worst_reading:
+ *                         type: object
+ *                         properties:
+ *                           fire_id:
+ *                             type: integer
+ *                           temperature:
+ *                             type: number
+ *                           humidity:
+ *                             type: number
+ *                           wind_speed:
+ *                             type: number
+ *                           last_update:
+ *                             type: string
+ *       400:
+ *         description: Invalid hours
+ *       500:
+ *         description: Database error
+ */
+// GET current fire danger per district
+app.get('/api/danger', requireReadAccess(), async (req, res) => {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+        return res.status(400).json({ error: 'Invalid hours (must be an integer between 1 and 720)' });
+    }
+
+    // last_update is stored like CURRENT_TIMESTAMP: UTC, "YYYY-MM-DD HH:MM:SS"
+    const since = new Date(Date.now() - hours * 3600 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    const conditions = ['last_update >= ?'];
+    const params = [since];
+    if (req.query.district) {
+        const districts = String(req.query.district).split(',').map(d => d.trim()).filter(Boolean);
+        conditions.push(`district IN (${districts.map(() => '?').join(', ')})`);
+        params.push(...districts);
+    }
+
+    try {
+        const rows = await all(db, `SELECT * FROM fires WHERE ${conditions.join(' AND ')}`, params);
+        const data = summarizeDanger(rows);
+
+        res.json({
+            generated_at: new Date().toISOString(),
+            hours,
+            index: 'hot_dry_windy',
+            ratings: DANGER_RATINGS,
+            count: data.length,
+            data
+        });
+    } catch (err) {
+        console.error('Error computing fire danger:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/stats:
+ *   get:
+ *     summary: Fire season statistics
+ *     description: |
+ *       Aggregates of the fires matching the filters of GET /api/fires (archived fires included), grouped by district, fire_type, fuel_type and/or a detection time bucket: day (YYYY-MM-DD), week (date of its Monday) or month (YYYY-MM), all in UTC.
+ *       Each group reports the number of fires, total and mean fire_size (ha), peak fire_intensity (kW/m), mean hours from detection to the first change to controlled (over controlled_fires, the fires that reached it) and resource-hours, the hours each dispatched unit was assigned to the group's fires (until now for units still assigned).
+ *       Use detected_since and detected_until for a season or reporting period.
+ *     tags: [Fires]
+ *     parameters:
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           default: district
+ *           example: district,week
+ *         description: Comma-separated groups (district, fire_type, fuel_type and at most one of day, week, month)
+ *       - in: query
+ *         name: detected_since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-06-01T00:00:00Z
+ *         description: Only fires detected at or after this time
+ *       - in: query
+ *         name: detected_until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-09-30T23:59:59Z
+ *         description: Only fires detected at or before this time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv returns one line per group, the group columns followed by the measures
+ *     responses:
+ *       200:
+ *         description: Statistics per group, sorted by group values, and totals over all matching fires
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generated_at:
+ *                   type: string
+ *                   format: date-time
+ *                 group_by:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [district, week]
+ *                 totals:
+ *                   $ref: '#/components/schemas/FireStats'
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         description: The value of each group_by column
+ *                         example: { district: Limassol, week: '2025-07-28' }
+ *                       - $ref: '#/components/schemas/FireStats'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid group_by, format or filter
+ *       500:
+ *         description: Database error
+ * components:
+ *   schemas:
+ *     FireStats:
+ *       type: object
+ *       properties:
+ *         fires:
+ *           type: integer
+ *           example: 14
+ *         total_fire_size:
+ *           type: number
+ *           description: Hectares
+ *           example: 326.5
+ *         mean_fire_size:
+ *           type: number
+ *           nullable: true
+ *           example: 23.32
+ *         peak_fire_intensity:
+ *           type: number
+ *           nullable: true
+ *           description: kW/m
+ *           example: 4200
+ *         controlled_fires:
+ *           type: integer
+ *           description: Fires that reached controlled
+ *           example: 9
+ *         mean_hours_to_controlled:
+ *           type: number
+ *           nullable: true
+ *           example: 17.4
+ *         resource_hours:
+ *           type: number
+ *           example: 412.75
+ */
+// GET fire statistics grouped by district, type, fuel and time bucket
+app.get('/api/stats', requireReadAccess(), async (req, res) => {
+    const { group_by, format = 'json', ...query } = req.query;
+
+    const unknown = Object.keys(query).filter(name => !FILTER_PARAMETERS.includes(name));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown filters: ${unknown.join(', ')}` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format (must be json or csv)' });
+    }
+
+    const { groups, error } = parseGroupBy(group_by);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const filters = buildFireFilters(query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+        const { totals, data } = await fireStats(db, filters, groups);
+
+        if (format === 'csv') {
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="fire-stats-${stamp}.csv"`);
+            return res.send(statsToCsv(groups, data));
+        }
+
+        res.json({
+            generated_at: new Date().toISOString(),
+            group_by: groups,
+            totals,
+            count: data.length,
+            data
+        });
+    } catch (err) {
+        console.error('Error computing fire statistics:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/resources:
+ *   get:
+ *     summary: List resource units
+ *     description: Every firefighting unit with its status, position and current assignment, plus counts per status and type, e.g. `summary.available` shows what is still free nationwide.
+ *     tags: [Resources]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, en_route, on_scene, returning]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [crew, engine, water_tender, bulldozer, helicopter, airplane]
+ *       - in: query
+ *         name: home_station
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fire_id
+ *         schema:
+ *           type: integer
+ *         description: Only units currently assigned to this fire
+ *     responses:
+ *       200:
+ *         description: Resource units, grouped by home station
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 summary:
+ *                   type: object
+ *                   description: Number of listed units per status and type
+ *                   example: { available: { engine: 12, helicopter: 2 }, en_route: { crew: 1 }, on_scene: { engine: 3 }, returning: {} }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Resource'
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Create resource unit
+ *     description: Register a unit; it starts available at its home station. Requires the dispatcher role.
+ *     tags: [Resources]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResourceInput'
+ *     responses:
+ *       201:
+ *         description: Resource unit created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       409:
+ *         description: call_sign already in use
+ *       500:
+ *         description: Database error
+ * components:
+ *   schemas:
+ *     ResourceInput:
+ *       type: object
+ *       required:
+ *         - call_sign
+ *         - type
+ *         - home_station
+ *       properties:
+ *         call_sign:
+ *           type: string
+ *           example: LIM-E12
+ *         type:
+ *           type: string
+ *           enum: [crew, engine, water_tender, bulldozer, helicopter, airplane]
+ *           description: crew counts towards firefighters; engine, water_tender and bulldozer towards vehicles; helicopter and airplane towards aircraft
+ *         home_station:
+ *           type: string
+ *           example: Limassol
+ *         personnel:
+ *           type: integer
+ *           default: 0
+ *           description: Firefighters carried (not counted for aircraft)
+ *           example: 5
+ *     Resource:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ResourceInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             status:
+ *               type: string
+ *               enum: [available, en_route, on_scene, returning]
+ *             position:
+ *               type: array
+ *               nullable: true
+ *               items:
+ *                 type: number
+ *               description: Last reported [lat, lng]
+ *             position_updated_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             assignment:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 fire_id:
+ *                   type: integer
+ *                 dispatched_at:
+ *                   type: string
+ *                   format: date-time
+ *                 arrived_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ */
+// GET resource units
+app.get('/api/resources', requireReadAccess(), async (req, res) => {
+    const { status = null, type = null, home_station: homeStation = null } = req.query;
+    if (status !== null && !RESOURCE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status (must be one of ${RESOURCE_STATUSES.join(', ')})` });
+    }
+    if (type !== null && !RESOURCE_TYPES[type]) {
+        return res.status(400).json({ error: `Invalid type (must be one of ${Object.keys(RESOURCE_TYPES).join(', ')})` });
+    }
+    const fireId = req.query.fire_id === undefined ? null : Number(req.query.fire_id);
+    if (fireId !== null && !Number.isInteger(fireId)) {
+        return res.status(400).json({ error: 'Invalid fire_id' });
+    }
+
+    try {
+        const resources = await listResources(db, { status, type, homeStation, fireId });
+        res.json({ count: resources.length, summary: summarizeResources(resources), data: resources });
+    } catch (err) {
+        console.error('Error fetching resources:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST new resource unit
+app.post('/api/resources', requireRole('dispatcher'), async (req, res) => {
+    const validation = validateResource(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const resource = await createResource(db, validation.resource);
+        res.status(201).json({
+            success: true,
+            message: 'Resource created successfully',
+            data: resource
+        });
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'call_sign already in use' });
+        }
+        console.error('Error creating resource:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/resources/{id}:
+ *   get:
+ *     summary: Get resource unit by ID
+ *     tags: [Resources]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resource unit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Resource'
+ *       404:
+ *         description: Resource not found
+ *       500:
+ *         description: Database error
+ *   patch:
+ *     summary: Update resource unit
+ *     description: |
+ *       Change the unit's details, report its position, or move it along its assignment: en_route → on_scene (records the arrival), en_route or on_scene → returning (releases it from the fire), returning → available.
+ *       Units become en_route only through `POST /api/fires/{id}/dispatch`. Releasing a unit updates the fire's resources_on_site. Requires the dispatcher role.
+ *     tags: [Resources]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ResourceInput'
+ *               - type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [on_scene, returning, available]
+ *                   position:
+ *                     type: array
+ *                     nullable: true
+ *                     items:
+ *                       type: number
+ *                     example: [34.8889, 32.8636]
+ *     responses:
+ *       200:
+ *         description: Resource unit updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Status change not allowed, or call_sign already in use
+ *       500:
+ *         description: Database error
+ *   delete:
+ *     summary: Delete resource unit
+ *     description: Units assigned to a fire must be released first. Past assignments are kept. Requires the dispatcher role.
+ *     tags: [Resources]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resource unit deleted
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Resource is assigned to a fire
+ *       500:
+ *         description: Database error
+ */
+// GET resource unit by id
+app.get('/api/resources/:id', requireReadAccess(), async (req, res) => {
+    try {
+        const resource = await getResource(db, req.params.id);
+
+        if (!resource) {
+            return res.status(404).json({ error: 'Resource not found' });
+        }
+
+        res.json(resource);
+    } catch (err) {
+        console.error('Error fetching resource:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// UPDATE resource unit: details, position and assignment status
+app.patch('/api/resources/:id', requireRole('dispatcher'), async (req, res) => {
+    const { status, position } = req.body;
+    const validation = validateResource(req.body, true);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    if (status !== undefined && !RESOURCE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${RESOURCE_STATUSES.join(', ')}` });
+    }
+    if (position !== undefined && position !== null && !isLatLng(position)) {
+        return res.status(400).json({ error: 'position must be [lat, lng] or null' });
+    }
+    if (Object.keys(validation.resource).length === 0 && status === undefined && position === undefined) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    try {
+        const existing = await getResource(db, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Resource not found' });
+        }
+
+        const result = await updateResourceStatus(db, existing, { status, position });
+        if (result.error) {
+            return res.status(409).json({ error: result.error });
+        }
+        if (result.fireId !== null) {
+            await syncFireResources(result.fireId, getActor(req));
+        }
+
+        const resource = Object.keys(validation.resource).length > 0
+            ? await updateResource(db, existing.id, validation.resource)
+            : result.resource;
+
+        res.json({
+            success: true,
+            message: 'Resource updated successfully',
+            data: resource
+        });
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'call_sign already in use' });
+        }
+        console.error('Error updating resource:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE resource unit
+app.delete('/api/resources/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const existing = await getResource(db, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Resource not found' });
+        }
+
+        const result = await deleteResource(db, existing);
+        if (result.error) {
+            return res.status(409).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Resource deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting resource:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch resources to a fire
+ *     description: Send available units (or units returning from another fire) to a fire; they become en_route. The fire's resources_on_site is recomputed from its active assignments. Units that cannot be dispatched are listed in errors. Requires the dispatcher role.
+ *     tags: [Resources]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resource_ids
+ *             properties:
+ *               resource_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [3, 7]
+ *     responses:
+ *       200:
+ *         description: At least one unit dispatched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dispatched:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Resource'
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           resource_id:
+ *                             type: integer
+ *                           error:
+ *                             type: string
+ *                       example: [{ resource_id: 7, error: Resource is on scene }]
+ *       400:
+ *         description: Invalid resource_ids
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Fire not found
+ *       409:
+ *         description: No unit could be dispatched
+ *       500:
+ *         description: Database error
+ */
+// POST dispatch resource units to a fire
+app.post('/api/fires/:id/dispatch', requireRole('dispatcher'), async (req, res) => {
+    const resourceIds = req.body.resource_ids;
+    if (!Array.isArray(resourceIds) || resourceIds.length === 0 || !resourceIds.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'resource_ids must be a non-empty array of resource IDs' });
+    }
+
+    try {
+        const fire = await fireRepository.findById(req.params.id);
+        if (!fire) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        const result = await dispatchResources(db, fire.id, [...new Set(resourceIds)], getActor(req));
+        if (result.dispatched.length === 0) {
+            return res.status(409).json({ error: 'No resource could be dispatched', data: result });
+        }
+
+        await syncFireResources(fire.id, getActor(req));
+        res.json({
+            success: true,
+            message: `Dispatched ${result.dispatched.length} resource(s)`,
+            data: result
+        });
+    } catch (err) {
+        console.error('Error dispatching resources:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}/assignments:
+ *   get:
+ *     summary: Get resource assignments of a fire
+ *     description: Every unit dispatched to the fire, newest first, with dispatch, arrival and release times. Active assignments make up its resources_on_site.
+ *     tags: [Resources]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Assignments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fire_id:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       resource_id:
+ *                         type: integer
+ *                       call_sign:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       dispatched_by:
+ *                         type: string
+ *                       dispatched_at:
+ *                         type: string
+ *                         format: date-time
+ *                       arrived_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       released_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       active:
+ *                         type: boolean
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ */
+// GET resource assignments of a fire
+app.get('/api/fires/:id/assignments', requireReadAccess(), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const assignments = await listAssignments(db, id);
+
+        // Like history, assignments are kept after the fire is deleted
+        if (assignments.length === 0 && !(await fireRepository.exists(id))) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        res.json({ fire_id: Number(id), count: assignments.length, data: assignments });
+    } catch (err) {
+        console.error('Error fetching resource assignments:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/import/firms:
+ *   post:
+ *     summary: Import NASA FIRMS hotspots
+ *     description: |
+ *       Import a FIRMS CSV export (VIIRS `bright_ti4` or MODIS `brightness` columns, plus `latitude`, `longitude`, `acq_date`, `acq_time`, `frp` and `confidence`).
+ *       Each detection is attached to the nearest active or threat fire within FIRMS_ATTACH_RADIUS_KM (1.5 km by default) or creates a new fire detected at the overpass time.
+ *       FRP is converted to fire-line intensity (kW/m) over the pixel width and becomes the fire's fire_intensity; VIIRS confidence l/n/h maps to 30/60/90.
+ *       Detections already imported are counted as duplicates. Requires the dispatcher role.
+ *     tags: [Satellite]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: min_confidence
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         description: Skip detections below this confidence (default FIRMS_MIN_CONFIDENCE or 0)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               latitude,longitude,bright_ti4,scan,track,acq_date,acq_time,satellite,instrument,confidence,version,bright_ti5,frp,daynight
+ *               34.9012,32.8745,345.2,0.39,0.36,2025-08-01,1042,N,VIIRS,h,2.0NRT,298.1,12.4,D
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rows:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                       description: Detections that started a new fire
+ *                     attached:
+ *                       type: integer
+ *                       description: Detections attached to an existing fire
+ *                     duplicates:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                       description: Detections below min_confidence
+ *                     fires:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           action:
+ *                             type: string
+ *                             enum: [created, updated]
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                           error:
+ *                             type: string
+ *                       example: [{ line: 4, error: Invalid frp }]
+ *       400:
+ *         description: Not a FIRMS CSV file or invalid min_confidence
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ */
+// POST import a NASA FIRMS CSV file
+app.post('/api/fires/import/firms', requireRole('dispatcher'),
+    express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '20mb' }), async (req, res) => {
+    const options = { importedBy: getActor(req) };
+    if (req.query.min_confidence !== undefined) {
+        options.minConfidence = Number(req.query.min_confidence);
+        if (isNaN(options.minConfidence) || options.minConfidence < 0 || options.minConfidence > 100) {
+            return res.status(400).json({ error: 'min_confidence must be between 0 and 100' });
+        }
+    }
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({ error: 'Request body must be a FIRMS CSV file (Content-Type: text/csv)' });
+    }
+
+    try {
+        const summary = await firmsImporter.importCsv(req.body, options);
+        if (summary.error) {
+            return res.status(400).json({ error: summary.error });
+        }
+
+        res.json({
+            success: true,
+            message: `Imported ${summary.created + summary.attached} detection(s): ${summary.created} new fire(s), ${summary.attached} attached`,
+            data: summary
+        });
+    } catch (err) {
+        console.error('Error importing FIRMS file:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}/detections:
+ *   get:
+ *     summary: Get satellite detections of a fire
+ *     description: FIRMS hotspots attached to the fire, oldest first.
+ *     tags: [Satellite]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Detections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fire_id:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       satellite:
+ *                         type: string
+ *                         example: N
+ *                       instrument:
+ *                         type: string
+ *                         example: VIIRS
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *                       acquired_at:
+ *                         type: string
+ *                         example: '2025-08-01 10:42:00'
+ *                       brightness:
+ *                         type: number
+ *                         description: Brightness temperature (K)
+ *                       frp:
+ *                         type: number
+ *                         description: Fire radiative power (MW)
+ *                       confidence:
+ *                         type: integer
+ *                       daynight:
+ *                         type: string
+ *                       imported_by:
+ *                         type: string
+ *                       imported_at:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ */
+// GET satellite detections of a fire
+app.get('/api/fires/:id/detections', requireReadAccess(), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const detections = await firmsImporter.listDetections(id);
+
+        if (detections.length === 0 && !(await fireRepository.exists(id))) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        res.json({ fire_id: Number(id), count: detections.length, data: detections });
+    } catch (err) {
+        console.error('Error fetching satellite detections:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Multipart parser for media uploads, files kept in memory until checked
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MEDIA_BYTES, files: MAX_FILES_PER_UPLOAD }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+// Run the media upload parser, answering upload limit errors as JSON
+function parseMediaUpload(req, res, next) {
+    mediaUpload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return err.code === 'LIMIT_FILE_SIZE'
+                ? res.status(413).json({ error: `Files must be at most ${MAX_MEDIA_BYTES / 1024 / 1024} MB` })
+                : res.status(400).json({ error: `Upload up to ${MAX_FILES_PER_UPLOAD} images in the "files" field` });
+        }
+        next(err);
+    });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FireMedia:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fire_id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           example: /api/fires/1/media/4/file
+ *         thumbnail_url:
+ *           type: string
+ *           example: /api/fires/1/media/4/thumbnail
+ *         original_name:
+ *           type: string
+ *           example: DJI_0042.JPG
+ *         content_type:
+ *           type: string
+ *           example: image/jpeg
+ *         size_bytes:
+ *           type: integer
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *           description: Camera position from EXIF GPS
+ *         longitude:
+ *           type: number
+ *           nullable: true
+ *         altitude:
+ *           type: number
+ *           nullable: true
+ *         taken_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: EXIF DateTimeOriginal
+ *         camera:
+ *           type: string
+ *           nullable: true
+ *           example: DJI FC3170
+ *         uploaded_by:
+ *           type: string
+ *         uploaded_at:
+ *           type: string
+ *           format: date-time
+ * /api/fires/{id}/media:
+ *   get:
+ *     summary: List media of a fire
+ *     description: Photos and drone images attached to the fire, oldest first. The fire's media property holds the same URLs.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Media
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fire_id:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FireMedia'
+ *       404:
+ *         description: Fire not found
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Upload media to a fire
+ *     description: |
+ *       Attach up to 5 JPEG, PNG, WebP or TIFF images of up to 25 MB each, sent as multipart/form-data in the files field. The format is checked from the content.
+ *       Camera position, altitude, time and model are read from EXIF, and a JPEG thumbnail (320 px) is generated. Requires the field_reporter role.
+ *     tags: [Media]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: At least one file stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FireMedia'
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       file:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: No files, too many files or no valid image
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Fire not found
+ *       413:
+ *         description: File too large
+ *       500:
+ *         description: Database error
+ */
+// GET media attached to a fire
+app.get('/api/fires/:id/media', requireReadAccess(), async (req, res) => {
+    try {
+        const fire = await fireRepository.findById(req.params.id);
+        if (!fire) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        const media = await mediaStore.listMedia(fire.id);
+        res.json({ fire_id: fire.id, count: media.length, data: media });
+    } catch (err) {
+        console.error('Error fetching fire media:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST upload photos or drone images to a fire
+app.post('/api/fires/:id/media', requireRole('field_reporter'), parseMediaUpload, async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'Upload images as multipart/form-data in the "files" field' });
+    }
+
+    try {
+        const fire = await fireRepository.findById(req.params.id);
+        if (!fire) {
+            return res.status(404).json({ error: 'Fire not found' });
+        }
+
+        const stored = [];
+        const errors = [];
+        for (const file of req.files) {
+            const result = await mediaStore.addMedia(fire.id, { data: file.buffer, originalName: file.originalname }, getActor(req));
+            if (result.error) {
+                errors.push({ file: file.originalname, error: result.error });
+            } else {
+                stored.push(result.media);
+            }
+        }
+
+        if (stored.length === 0) {
+            return res.status(400).json({ error: 'No valid image uploaded', errors });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Uploaded ${stored.length} file(s)`,
+            data: stored,
+            errors
+        });
+    } catch (err) {
+        console.error('Error uploading fire media:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/fires/{id}/media/{mediaId}:
+ *   get:
+ *     summary: Get a media attachment
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Media attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FireMedia'
+ *       404:
+ *         description: Media not found
+ *       500:
+ *         description: Database error
+ *   delete:
+ *     summary: Delete a media attachment
+ *     description: Delete the file and its thumbnail. Requires the dispatcher role.
+ *     tags: [Media]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Media deleted
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Media not found
+ *       500:
+ *         description: Database error
+ * /api/fires/{id}/media/{mediaId}/file:
+ *   get:
+ *     summary: Download a media file
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The original image
+ *       404:
+ *         description: Media not found
+ * /api/fires/{id}/media/{mediaId}/thumbnail:
+ *   get:
+ *     summary: Download a media thumbnail
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: JPEG thumbnail, at most 320 px on the longest side
+ *         content:
+ *           image/jpeg: {}
+ *       404:
+ *         description: Media not found
+ */
+// GET a media attachment of a fire
+app.get('/api/fires/:id/media/:mediaId', requireReadAccess(), async (req, res) => {
+    try {
+        const media = await mediaStore.getMedia(req.params.id, req.params.mediaId);
+        if (!media) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        const { filePath, thumbnailPath, ...data } = media;
+        res.json(data);
+    } catch (err) {
+        console.error('Error fetching fire media:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// GET the original file or thumbnail of a media attachment
+app.get('/api/fires/:id/media/:mediaId/:variant(file|thumbnail)', requireReadAccess(), async (req, res) => {
+    try {
+        const media = await mediaStore.getMedia(req.params.id, req.params.mediaId);
+        if (!media) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        const file = req.params.variant === 'file' ? media.filePath : media.thumbnailPath;
+        res.sendFile(file, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'Media file missing' });
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching fire media file:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE a media attachment of a fire
+app.delete('/api/fires/:id/media/:mediaId', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const deleted = await mediaStore.deleteMedia(req.params.id, req.params.mediaId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Media deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting fire media:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: List every issued API key with its role and usage. Plain keys are never returned after creation. Requires the admin role.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Issue API key
+ *     description: Issue a new API key with a role. The plain key is returned only in this response. Requires the admin role.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Limassol station tablet
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, field_reporter, dispatcher, admin]
+ *     responses:
+ *       201:
+ *         description: API key issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 key:
+ *                   type: string
+ *                   example: fm_3q2n0bX1c9QeV4m6Yp8tKz7dWf5hJr2a
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, field_reporter, dispatcher, admin]
+ *         key_hint:
+ *           type: string
+ *           example: fm_3q2n…Jr2a
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+// GET all API keys
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+    try {
+        const keys = await listApiKeys(db);
+        res.json({ count: keys.length, data: keys });
+    } catch (err) {
+        console.error('Error fetching API keys:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST new API key
+app.post('/api/keys', requireRole('admin'), async (req, res) => {
+    const { name, role } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+            error: 'Name is required and must be a non-empty string'
+        });
+    }
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({
+            error: `Invalid role (must be ${ROLES.join(', ')})`
+        });
+    }
+
+    try {
+        const { key, apiKey } = await createApiKey(db, {
+            name: name.trim(),
+            role,
+            createdBy: getActor(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created successfully. Store it now, it will not be shown again.',
+            key,
+            data: apiKey
+        });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke API key
+ *     description: Revoke an API key so it can no longer be used. Requires the admin role.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: API key not found or already revoked
+ *       500:
+ *         description: Database error
+ */
+// DELETE (revoke) API key
+app.delete('/api/keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const revoked = await revokeApiKey(db, req.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules:
+ *   get:
+ *     summary: List alert rules
+ *     description: List every alert rule. Requires the dispatcher role.
+ *     tags: [Alert Rules]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertRule'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Create alert rule
+ *     description: |
+ *       Define a rule that sends a Telegram notification, with the fire's location, when a created or updated fire matches every condition. Conditions compare a feature property (`field`, dotted paths such as `resources_on_site.aircraft` allowed) with `op` eq, neq, gt, gte, lt, lte, in, `changed` (field changed in this update) or `changed_to` (field changed to value), or test distance with `{ "op": "within_km", "point": [lat, lng], "value": km }`.
+ *
+ *       The message template may reference feature properties as `{{property}}`, plus `{{latitude}}` and `{{longitude}}`. A rule fires at most once per fire within `cooldown_minutes`. Requires the dispatcher role.
+ *     tags: [Alert Rules]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRuleInput'
+ *     responses:
+ *       201:
+ *         description: Alert rule created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ * components:
+ *   schemas:
+ *     AlertRuleInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - conditions
+ *         - message_template
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Fire turned into a threat
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [created, updated]
+ *           default: [created, updated]
+ *         conditions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               op:
+ *                 type: string
+ *                 enum: [eq, neq, gt, gte, lt, lte, in, changed, changed_to, within_km]
+ *               value: {}
+ *               point:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *           example:
+ *             - field: fire_status
+ *               op: changed_to
+ *               value: threat
+ *             - field: distance_to_village
+ *               op: lte
+ *               value: 3
+ *         message_template:
+ *           type: string
+ *           example: "⚠️ Fire near {{nearest_village}} ({{district}}) is now a threat to settlements"
+ *         cooldown_minutes:
+ *           type: number
+ *           default: 60
+ *     AlertRule:
+ *       allOf:
+ *         - $ref: '#/components/schemas/AlertRuleInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             created_by:
+ *               type: string
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ */
+// GET all alert rules
+app.get('/api/alert-rules', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const rules = await listRules(db);
+        res.json({ count: rules.length, data: rules });
+    } catch (err) {
+        console.error('Error fetching alert rules:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST new alert rule
+app.post('/api/alert-rules', requireRole('dispatcher'), async (req, res) => {
+    const validation = validateRule(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const rule = await createRule(db, validation.rule, getActor(req));
+        res.status(201).json({
+            success: true,
+            message: 'Alert rule created successfully',
+            data: rule
+        });
+    } catch (err) {
+        console.error('Error creating alert rule:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules/{id}:
+ *   get:
+ *     summary: Get alert rule by ID
+ *     tags: [Alert Rules]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alert rule
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Alert rule not found
+ *       500:
+ *         description: Database error
+ *   patch:
+ *     summary: Update alert rule
+ *     description: Update any field of an alert rule, e.g. set enabled to false to pause it. Requires the dispatcher role.
+ *     tags: [Alert Rules]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRuleInput'
+ *     responses:
+ *       200:
+ *         description: Alert rule updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Alert rule not found
+ *       500:
+ *         description: Database error
+ *   delete:
+ *     summary: Delete alert rule
+ *     tags: [Alert Rules]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alert rule deleted
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Alert rule not found
+ *       500:
+ *         description: Database error
+ */
+// GET alert rule by id
+app.get('/api/alert-rules/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const rule = await getRule(db, req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        res.json(rule);
+    } catch (err) {
+        console.error('Error fetching alert rule:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// UPDATE alert rule
+app.patch('/api/alert-rules/:id', requireRole('dispatcher'), async (req, res) => {
+    const validation = validateRule(req.body, true);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const rule = await updateRule(db, req.params.id, validation.rule);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert rule updated successfully',
+            data: rule
+        });
+    } catch (err) {
+        console.error('Error updating alert rule:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE alert rule
+app.delete('/api/alert-rules/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const deleted = await deleteRule(db, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert rule deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting alert rule:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules/{id}/triggers:
+ *   get:
+ *     summary: Get alert rule trigger log
+ *     description: The most recent notifications sent (or attempted) by a rule, newest first. Requires the dispatcher role.
+ *     tags: [Alert Rules]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trigger log with fire_id, event_id, triggered_at, message, status (pending, sent, failed), error and notification_id (see GET /api/notifications/{id} for delivery status)
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Alert rule not found
+ *       500:
+ *         description: Database error
+ */
+// GET trigger log of an alert rule
+app.get('/api/alert-rules/:id/triggers', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const rule = await getRule(db, req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        const triggers = await listTriggers(db, rule.id);
+        res.json({ rule_id: rule.id, count: triggers.length, data: triggers });
+    } catch (err) {
+        console.error('Error fetching alert rule triggers:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Subscribers manage their own subscriptions; dispatchers manage everyone's (null owner)
+function subscriptionOwner(req) {
+    return hasRole(req.auth.role, 'dispatcher') ? null : principalId(req.auth);
+}
+
+// Webhook subscriptions make the server call the given URL, so only dispatchers may point them anywhere
+function webhookSubscriptionError(req, subscription) {
+    return subscription.channel === 'webhook' && !hasRole(req.auth.role, 'dispatcher')
+        ? 'Insufficient permissions (webhook subscriptions require dispatcher role)'
+        : null;
+}
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   get:
+ *     summary: List subscriptions
+ *     description: Dispatchers see every subscription, other users only their own. Requires the viewer role.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscription'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Create subscription
+ *     description: |
+ *       Register a channel address (Telegram chat ID, phone number for sms/whatsapp, email address or webhook URL) for an area. The area is a point with a radius, a polygon, or a district name. The subscriber receives notifications sent with a location or district inside the area and, unless `fire_events` is false, a message when a fire in the area is reported or its status, evacuation status or risk to settlements changes. The channel must be configured on the server. Requires the viewer role; webhook subscriptions require the dispatcher role.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubscriptionInput'
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *       400:
+ *         description: Validation error, unknown or unconfigured channel
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Webhook subscription without the dispatcher role
+ *       500:
+ *         description: Database error
+ * components:
+ *   schemas:
+ *     SubscriptionInput:
+ *       type: object
+ *       required:
+ *         - channel
+ *         - address
+ *         - area
+ *       properties:
+ *         channel:
+ *           type: string
+ *           enum: [telegram, whatsapp, webhook, email, sms]
+ *         address:
+ *           type: string
+ *           example: "+35799123456"
+ *         area:
+ *           oneOf:
+ *             - type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [point]
+ *                 point:
+ *                   type: array
+ *                   items:
+ *                     type: number
+ *                   example: [34.7720, 32.4297]
+ *                 radius_km:
+ *                   type: number
+ *                   example: 15
+ *             - type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [polygon]
+ *                 polygon:
+ *                   type: array
+ *                   description: Vertices as [lat, lng]
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                   example: [[34.70, 32.35], [34.90, 32.35], [34.90, 32.60], [34.70, 32.60]]
+ *             - type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [district]
+ *                 district:
+ *                   type: string
+ *                   example: Paphos
+ *         fire_events:
+ *           type: boolean
+ *           default: true
+ *           description: Also notify when fires in the area are reported or change status
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *     Subscription:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SubscriptionInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             created_by:
+ *               type: string
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ */
+// GET subscriptions
+app.get('/api/subscriptions', requireRole('viewer'), async (req, res) => {
+    try {
+        const subscriptions = await listSubscriptions(db, subscriptionOwner(req));
+        res.json({ count: subscriptions.length, data: subscriptions });
+    } catch (err) {
+        console.error('Error fetching subscriptions:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST new subscription
+app.post('/api/subscriptions', requireRole('viewer'), async (req, res) => {
+    const validation = validateSubscription(req.body, notifications.validateAddress);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const webhookError = webhookSubscriptionError(req, validation.subscription);
+    if (webhookError) {
+        return res.status(403).json({ error: webhookError });
+    }
+
+    try {
+        const subscription = await createSubscription(db, validation.subscription, getActor(req), principalId(req.auth));
+        res.status(201).json({
+            success: true,
+            message: 'Subscription created successfully',
+            data: subscription
+        });
+    } catch (err) {
+        console.error('Error creating subscription:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}:
+ *   get:
+ *     summary: Get subscription by ID
+ *     tags: [Subscriptions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription
+ *       401:
+ *         description: Missing or invalid credentials
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Database error
+ *   patch:
+ *     summary: Update subscription
+ *     description: Change the area, switch fire event messages, or set enabled to false to pause it. channel and address must be changed together. Only the creator or a dispatcher may update a subscription, and only a dispatcher may change it to a webhook.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubscriptionInput'
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Changing to a webhook without the dispatcher role
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Database error
+ *   delete:
+ *     summary: Delete subscription
+ *     description: Only the creator or a dispatcher may delete a subscription.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       401:
+ *         description: Missing or invalid credentials
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Database error
+ */
+// GET subscription by id
+app.get('/api/subscriptions/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const subscription = await getSubscription(db, req.params.id, subscriptionOwner(req));
+
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        res.json(subscription);
+    } catch (err) {
+        console.error('Error fetching subscription:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// UPDATE subscription
+app.patch('/api/subscriptions/:id', requireRole('viewer'), async (req, res) => {
+    const validation = validateSubscription(req.body, notifications.validateAddress, true);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const webhookError = webhookSubscriptionError(req, validation.subscription);
+    if (webhookError) {
+        return res.status(403).json({ error: webhookError });
+    }
+
+    try {
+        const existing = await getSubscription(db, req.params.id, subscriptionOwner(req));
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        const subscription = await updateSubscription(db, existing.id, validation.subscription);
+        res.json({
+            success: true,
+            message: 'Subscription updated successfully',
+            data: subscription
+        });
+    } catch (err) {
+        console.error('Error updating subscription:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE subscription
+app.delete('/api/subscriptions/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const existing = await getSubscription(db, req.params.id, subscriptionOwner(req));
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        await deleteSubscription(db, existing.id);
+        res.json({
+            success: true,
+            message: 'Subscription deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting subscription:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Check that the fire and shelters a zone refers to exist
+async function zoneReferenceError(zone) {
+    if (zone.fire_id !== undefined && zone.fire_id !== null &&
+        !(await fireRepository.exists(zone.fire_id))) {
+        return 'fire_id does not match a fire';
+    }
+    const missing = zone.shelter_ids ? await findMissingShelters(db, zone.shelter_ids) : [];
+    if (missing.length > 0) {
+        return `Unknown shelter IDs: ${missing.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * @swagger
+ * /api/evacuation-zones:
+ *   get:
+ *     summary: List evacuation zones
+ *     description: Evacuation zones with their shelters, optionally for one fire or status.
+ *     tags: [Evacuation]
+ *     parameters:
+ *       - in: query
+ *         name: fire_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ordered, advised, lifted]
+ *     responses:
+ *       200:
+ *         description: Evacuation zones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EvacuationZone'
+ *       400:
+ *         description: Invalid fire_id or status
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Create evacuation zone
+ *     description: Define an evacuation zone as a GeoJSON polygon, optionally linked to a fire and to the shelters its residents should go to. Requires the dispatcher role.
+ *     tags: [Evacuation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EvacuationZoneInput'
+ *     responses:
+ *       201:
+ *         description: Evacuation zone created
+ *       400:
+ *         description: Validation error, unknown fire or shelter
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ * components:
+ *   schemas:
+ *     EvacuationZoneInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - status
+ *         - geometry
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Platres north
+ *         status:
+ *           type: string
+ *           enum: [ordered, advised, lifted]
+ *         geometry:
+ *           type: object
+ *           description: GeoJSON Polygon or MultiPolygon ([longitude, latitude] rings)
+ *           example: { type: Polygon, coordinates: [[[32.85, 34.88], [32.88, 34.88], [32.88, 34.90], [32.85, 34.90], [32.85, 34.88]]] }
+ *         fire_id:
+ *           type: integer
+ *           nullable: true
+ *         instructions:
+ *           type: string
+ *           nullable: true
+ *           example: Leave by the Platres-Limassol road
+ *         shelter_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [1, 2]
+ *     EvacuationZone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fire_id:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [ordered, advised, lifted]
+ *         geometry:
+ *           type: object
+ *         instructions:
+ *           type: string
+ *           nullable: true
+ *         shelters:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Shelter'
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         status_changed_at:
+ *           type: string
+ *           format: date-time
+ *     ShelterInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - latitude
+ *         - longitude
+ *         - capacity
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Platres community hall
+ *         latitude:
+ *           type: number
+ *           example: 34.8889
+ *         longitude:
+ *           type: number
+ *           example: 32.8636
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         capacity:
+ *           type: integer
+ *           example: 200
+ *         occupancy:
+ *           type: integer
+ *           default: 0
+ *           description: People currently housed, at most capacity
+ *     Shelter:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ShelterInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             available:
+ *               type: integer
+ *               description: capacity minus occupancy
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ */
+// GET evacuation zones
+app.get('/api/evacuation-zones', requireReadAccess(), async (req, res) => {
+    const fireId = req.query.fire_id === undefined ? null : Number(req.query.fire_id);
+    if (fireId !== null && !Number.isInteger(fireId)) {
+        return res.status(400).json({ error: 'Invalid fire_id' });
+    }
+    const status = req.query.status === undefined ? null : req.query.status;
+    if (status !== null && !ZONE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status (must be one of ${ZONE_STATUSES.join(', ')})` });
+    }
+
+    try {
+        const zones = await listZones(db, { fireId, status });
+        res.json({ count: zones.length, data: zones });
+    } catch (err) {
+        console.error('Error fetching evacuation zones:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST new evacuation zone
+app.post('/api/evacuation-zones', requireRole('dispatcher'), async (req, res) => {
+    const validation = validateZone(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const referenceError = await zoneReferenceError(validation.zone);
+        if (referenceError) {
+            return res.status(400).json({ error: referenceError });
+        }
+
+        const zone = await createZone(db, validation.zone, getActor(req));
+        res.status(201).json({
+            success: true,
+            message: 'Evacuation zone created successfully',
+            data: zone
+        });
+    } catch (err) {
+        console.error('Error creating evacuation zone:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/evacuation-zones/{id}:
+ *   get:
+ *     summary: Get evacuation zone by ID
+ *     tags: [Evacuation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Evacuation zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EvacuationZone'
+ *       404:
+ *         description: Evacuation zone not found
+ *       500:
+ *         description: Database error
+ *   patch:
+ *     summary: Update evacuation zone
+ *     description: Change any field, e.g. set status to lifted when residents may return. shelter_ids replaces the linked shelters. Requires the dispatcher role.
+ *     tags: [Evacuation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EvacuationZoneInput'
+ *     responses:
+ *       200:
+ *         description: Evacuation zone updated
+ *       400:
+ *         description: Validation error, unknown fire or shelter
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Evacuation zone not found
+ *       500:
+ *         description: Database error
+ *   delete:
+ *     summary: Delete evacuation zone
+ *     description: Requires the dispatcher role. Shelters are kept.
+ *     tags: [Evacuation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Evacuation zone deleted
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Evacuation zone not found
+ *       500:
+ *         description: Database error
+ */
+// GET evacuation zone by id
+app.get('/api/evacuation-zones/:id', requireReadAccess(), async (req, res) => {
+    try {
+        const zone = await getZone(db, req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({ error: 'Evacuation zone not found' });
+        }
+
+        res.json(zone);
+    } catch (err) {
+        console.error('Error fetching evacuation zone:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// UPDATE evacuation zone
+app.patch('/api/evacuation-zones/:id', requireRole('dispatcher'), async (req, res) => {
+    const validation = validateZone(req.body, true);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const referenceError = await zoneReferenceError(validation.zone);
+        if (referenceError) {
+            return res.status(400).json({ error: referenceError });
+        }
+
+        const zone = await updateZone(db, req.params.id, validation.zone);
+        if (!zone) {
+            return res.status(404).json({ error: 'Evacuation zone not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Evacuation zone updated successfully',
+            data: zone
+        });
+    } catch (err) {
+        console.error('Error updating evacuation zone:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE evacuation zone
+app.delete('/api/evacuation-zones/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        if (!(await deleteZone(db, req.params.id))) {
+            return res.status(404).json({ error: 'Evacuation zone not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Evacuation zone deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting evacuation zone:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shelters:
+ *   get:
+ *     summary: List shelters
+ *     description: Shelters with their capacity and current occupancy, optionally only those serving one evacuation zone.
+ *     tags: [Evacuation]
+ *     parameters:
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shelters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shelter'
+ *       400:
+ *         description: Invalid zone_id
+ *       500:
+ *         description: Database error
+ *   post:
+ *     summary: Create shelter
+ *     description: Requires the dispatcher role.
+ *     tags: [Evacuation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShelterInput'
+ *     responses:
+ *       201:
+ *         description: Shelter created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Database error
+ */
+// GET shelters
+app.get('/api/shelters', requireReadAccess(), async (req, res) => {
+    const zoneId = req.query.zone_id === undefined ? null : Number(req.query.zone_id);
+    if (zoneId !== null && !Number.isInteger(zoneId)) {
+        return res.status(400).json({ error: 'Invalid zone_id' });
+    }
+
+    try {
+        const shelters = await listShelters(db, zoneId);
+        res.json({ count: shelters.length, data: shelters });
+    } catch (err) {
+        console.error('Error fetching shelters:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// POST new shelter
+app.post('/api/shelters', requireRole('dispatcher'), async (req, res) => {
+    const validation = validateShelter(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const shelter = await createShelter(db, validation.shelter);
+        res.status(201).json({
+            success: true,
+            message: 'Shelter created successfully',
+            data: shelter
+        });
+    } catch (err) {
+        console.error('Error creating shelter:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shelters/{id}:
+ *   get:
+ *     summary: Get shelter by ID
+ *     tags: [Evacuation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shelter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shelter'
+ *       404:
+ *         description: Shelter not found
+ *       500:
+ *         description: Database error
+ *   patch:
+ *     summary: Update shelter
+ *     description: Change any field, typically occupancy as people arrive and leave. Occupancy may not exceed capacity. Requires the dispatcher role.
+ *     tags: [Evacuation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShelterInput'
+ *     responses:
+ *       200:
+ *         description: Shelter updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Shelter not found
+ *       500:
+ *         description: Database error
+ *   delete:
+ *     summary: Delete shelter
+ *     description: The shelter is removed from every evacuation zone. Requires the dispatcher role.
+ *     tags: [Evacuation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shelter deleted
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Shelter not found
+ *       500:
+ *         description: Database error
+ */
+// GET shelter by id
+app.get('/api/shelters/:id', requireReadAccess(), async (req, res) => {
+    try {
+        const shelter = await getShelter(db, req.params.id);
+
+        if (!shelter) {
+            return res.status(404).json({ error: 'Shelter not found' });
+        }
+
+        res.json(shelter);
+    } catch (err) {
+        console.error('Error fetching shelter:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// UPDATE shelter
+app.patch('/api/shelters/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const existing = await getShelter(db, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Shelter not found' });
+        }
+
+        const validation = validateShelter(req.body, existing);
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const shelter = await updateShelter(db, existing.id, validation.shelter);
+        res.json({
+            success: true,
+            message: 'Shelter updated successfully',
+            data: shelter
+        });
+    } catch (err) {
+        console.error('Error updating shelter:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE shelter
+app.delete('/api/shelters/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        if (!(await deleteShelter(db, req.params.id))) {
+            return res.status(404).json({ error: 'Shelter not found' });
         }
 
         res.json({
             success: true,
-            message: `Deleted ${this.changes} fire(s) from database`,
-            deletedCount: this.changes
+            message: 'Shelter deleted successfully'
         });
-    });
+    } catch (err) {
+        console.error('Error deleting shelter:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 /**
  * @swagger
- * /api/fires/{id}:
- *   delete:
- *     summary: Delete fire incident
- *     description: Permanently delete a fire incident from the database
- *     tags: [Fires]
+ * /api/telegram/webhook:
+ *   post:
+ *     summary: Telegram bot webhook
+ *     description: Receives bot updates from Telegram when TELEGRAM_BOT_UPDATES=webhook. Register it with the Bot API setWebhook method, passing TELEGRAM_WEBHOOK_SECRET as secret_token; Telegram sends it back in the X-Telegram-Bot-Api-Secret-Token header.
+ *     tags: [Notifications]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: header
+ *         name: X-Telegram-Bot-Api-Secret-Token
  *         required: true
  *         schema:
- *           type: integer
- *         description: Fire incident ID
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Telegram Update object
  *     responses:
  *       200:
- *         description: Fire incident deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *         description: Update accepted
+ *       401:
+ *         description: Missing or wrong secret token
  *       404:
- *         description: Fire not found
- *       500:
- *         description: Database error
+ *         description: Bot webhook is not enabled
  */
-// DELETE fire by id
-app.delete('/api/fires/:id', (req, res) => {
-    const { id } = req.params;
-
-    db.run('DELETE FROM fires WHERE id = ?', [id], function(err) {
-        if (err) {
-            console.error('Error deleting fire:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
-
-        if (this.changes === 0) {
-            return res.status(404).json({ error: 'Fire not found' });
-        }
+app.post('/api/telegram/webhook', (req, res) => {
+    if (!telegramBot || telegramBot.mode !== 'webhook') {
+        return res.status(404).json({ error: 'Telegram bot webhook is not enabled' });
+    }
+    if (!telegramBot.isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        return res.status(401).json({ error: 'Invalid secret token' });
+    }
 
-        res.json({
-            success: true,
-            message: 'Fire deleted successfully'
-        });
-    });
+    // Answer right away; Telegram retries updates that are not acknowledged quickly
+    res.json({ ok: true });
+    telegramBot.handleUpdate(req.body);
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🔥 Fire Monitoring API v2.0 running on port ${PORT}`);
     console.log(`📍 GeoJSON format enabled`);
 });
 
+// Start the WhatsApp session if that channel is configured
+if (notifications.getChannel('whatsapp')) {
+    notifications.getChannel('whatsapp').initialize();
+}
+
+// Start long polling for Telegram bot commands
+if (telegramBot) {
+    telegramBot.start();
+    console.log(`Telegram bot receiving updates by ${telegramBot.mode}`);
+}
+
+// WebSocket endpoint for the fire event stream (same read access and
+// reporter visibility rules as SSE)
+attachWebSocketServer(server, fireEvents, '/api/fires/ws', async (req) => {
+    const principal = await resolvePrincipal(db, req);
+    if (principal === undefined) {
+        return false;
+    }
+    if (!isPublicRead() && !(principal !== null && hasRole(principal.role, 'viewer'))) {
+        return false;
+    }
+    return { omit: principal !== null && hasRole(principal.role, 'dispatcher') ? [] : REPORTER_COLUMNS };
+});
+
 // Notification endpoints
-app.post('/api/notifications/send', async (req, res) => {
+/**
+ * @swagger
+ * /api/notifications/send:
+ *   post:
+ *     summary: Send public alert
+ *     description: Broadcast an alert message, with optional location and evacuation points, to the selected notification channels (all default channels when none are given). The notification is stored in the outbox and the first delivery attempt is made before responding; channels that fail with a temporary error (network, 5xx, rate limit) are retried in the background with exponential backoff. Subscribers whose area contains `location`, or whose district matches `district`, also receive the alert at their own address. With `zone_id`, the evacuation zone's status, instructions and shelters with free places are appended to the message, the shelters become evacuation points, and the zone centre and its fire's district are used when location and district are not given. The response reports the result of every channel. Requires the dispatcher role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Required unless zone_id is given
+ *                 example: Wildfire near Troodos, residents of nearby villages should prepare to evacuate
+ *               zone_id:
+ *                 type: integer
+ *                 description: Evacuation zone whose shelters and instructions to include
+ *               evacuationPoints:
+ *                 type: array
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: number
+ *                 example: [[34.6738515, 33.0567334]]
+ *               location:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [34.6857, 33.0437]
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [telegram, whatsapp, webhook, email, sms]
+ *                 example: [telegram, sms]
+ *               district:
+ *                 type: string
+ *                 description: District the alert concerns; subscribers to this district receive it
+ *                 example: Limassol
+ *               subscribers_only:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Send only to subscribers whose area covers location or district, not to the channels' configured targets
+ *     responses:
+ *       200:
+ *         description: Notification sent to at least one channel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 results:
+ *                   type: object
+ *                   description: Result per requested channel (null when that channel has not delivered) and an errors list
+ *                   example: { telegram: { success: true, messageId: 123 }, sms: null, errors: [{ service: sms, error: "SMS gateway error: HTTP 503", retrying: true }] }
+ *                 subscribers:
+ *                   type: integer
+ *                   description: Number of subscribers the alert was routed to
+ *                 notification:
+ *                   $ref: '#/components/schemas/Notification'
+ *       202:
+ *         description: No channel delivered yet; failed deliveries are queued for retry
+ *       400:
+ *         description: Validation error or unknown/unconfigured channel
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Notification could not be sent to any service and will not be retried
+ *       503:
+ *         description: No notification channel is configured and no subscriber covers the alert; nothing is stored
+ */
+app.post('/api/notifications/send', requireRole('dispatcher'), async (req, res) => {
     try {
-        const { message, evacuationPoints = [], location = null } = req.body;
+        let { message, evacuationPoints = [], location = null, district = null } = req.body;
+        const { zone_id: zoneId = null, subscribers_only: subscribersOnly = false } = req.body;
 
         // Validation
-        if (!message || typeof message !== 'string' || !message.trim()) {
+        if (zoneId !== null && !Number.isInteger(zoneId)) {
+            return res.status(400).json({ error: 'zone_id must be an integer' });
+        }
+        if ((zoneId === null || message !== undefined) && (!message || typeof message !== 'string' || !message.trim())) {
             return res.status(400).json({
                 error: 'Message is required and must be a non-empty string'
             });
@@ -892,43 +6421,104 @@ app.post('/api/notifications/send', async (req, res) => {
             }
         }
 
-        const results = {
-            telegram: null,
-            errors: []
-        };
+        // Send to the requested channels, or every default channel
+        const channels = req.body.channels !== undefined ? req.body.channels : notifications.defaultChannels;
+        const channelError = req.body.channels !== undefined ? notifications.validateChannels(channels) : null;
+
+        if (channelError) {
+            return res.status(400).json({ error: channelError });
+        }
 
-        // Send to Telegram if configured
-        const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
-        const telegramChatId = process.env.TELEGRAM_CHAT_ID || '@hotSpotFireAlarm';
-
-        if (telegramBotToken) {
-            try {
-                const telegramResult = await sendTelegramNotification(
-                    telegramBotToken,
-                    telegramChatId,
-                    message,
-                    evacuationPoints,
-                    location
-                );
-                results.telegram = telegramResult;
-            } catch (error) {
-                console.error('Telegram notification error:', error);
-                results.errors.push({ service: 'telegram', error: error.message });
+        if (location !== null && !isLatLng(location)) {
+            return res.status(400).json({ error: 'location must be [lat, lng]' });
+        }
+        if (district !== null && (typeof district !== 'string' || !district.trim())) {
+            return res.status(400).json({ error: 'district must be a non-empty string' });
+        }
+
+        // A zone adds its shelters as evacuation points and defaults the location and district
+        if (zoneId !== null) {
+            const zone = await getZone(db, zoneId);
+            if (!zone) {
+                return res.status(400).json({ error: 'zone_id does not match an evacuation zone' });
             }
+
+            const content = zoneNotification(zone);
+            message = message ? `${message}\n\n${content.text}` : content.text;
+            evacuationPoints = [...(Array.isArray(evacuationPoints) ? evacuationPoints : []), ...content.evacuationPoints];
+            location = location !== null ? location : content.location;
+
+            const fire = zone.fire_id !== null ? await get(db, 'SELECT district FROM fires WHERE id = ?', [zone.fire_id]) : null;
+            district = district !== null ? district : (fire && fire.district) || null;
+        }
+
+        if (subscribersOnly && location === null && district === null) {
+            return res.status(400).json({ error: 'subscribers_only requires a location or district' });
+        }
+
+        // Route to subscribers whose area covers the alert
+        const recipients = location !== null || district !== null
+            ? await findSubscribers(db, { location, district })
+            : [];
+
+        if (subscribersOnly && recipients.length === 0) {
+            return res.json({
+                success: true,
+                message: 'No subscribers cover this area',
+                results: { errors: [] },
+                subscribers: 0
+            });
         }
 
+        // Nothing would be delivered: no channel is configured and no subscriber covers the alert
+        if (!subscribersOnly && channels.length === 0 && recipients.length === 0) {
+            return res.status(503).json({ error: 'No notification channels configured or selected, and no subscribers cover this alert' });
+        }
+
+        const id = await notificationOutbox.enqueue(
+            { message, evacuationPoints, location, zoneId },
+            subscribersOnly ? [] : channels,
+            { source: 'manual', createdBy: getActor(req), recipients }
+        );
+        const notification = await notificationOutbox.deliverNow(id);
+
+        // Per-channel results cover the configured targets; subscriber deliveries are listed in notification
+        const results = { errors: [] };
+        notification.deliveries.filter(delivery => delivery.recipient === null).forEach((delivery) => {
+            results[delivery.channel] = delivery.status === 'sent' ? delivery.result : null;
+            if (delivery.status !== 'sent') {
+                results.errors.push({
+                    service: delivery.channel,
+                    error: delivery.last_error,
+                    retrying: delivery.status === 'pending'
+                });
+            }
+        });
+
         // Return success if at least one service succeeded
-        if (results.telegram) {
+        if (notification.deliveries.some(delivery => delivery.status === 'sent')) {
             res.json({
                 success: true,
                 message: 'Notification sent successfully',
-                results
+                results,
+                subscribers: recipients.length,
+                notification
+            });
+        } else if (notification.status === 'pending') {
+            res.status(202).json({
+                success: false,
+                message: 'Notification queued for retry',
+                results,
+                subscribers: recipients.length,
+                notification
             });
         } else {
             res.status(500).json({
                 success: false,
                 error: 'Failed to send notification to any service',
-                results
+                results,
+                subscribers: recipients.length,
+                notification
             });
         }
     } catch (error) {
@@ -939,8 +6529,369 @@ app.post('/api/notifications/send', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/notifications/channels:
+ *   get:
+ *     summary: List notification channels
+ *     description: Every known channel, whether it is configured, and which channels are used when a request does not choose. Requires the dispatcher role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification channels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 available:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [telegram, whatsapp, webhook, email, sms]
+ *                 enabled:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [telegram, sms]
+ *                 defaults:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [telegram]
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ */
+app.get('/api/notifications/channels', requireRole('dispatcher'), (req, res) => {
+    res.json({
+        available: CHANNEL_NAMES,
+        enabled: notifications.enabledChannels,
+        defaults: notifications.defaultChannels
+    });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationDelivery:
+ *       type: object
+ *       properties:
+ *         channel:
+ *           type: string
+ *           enum: [telegram, whatsapp, webhook, email, sms]
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a pending delivery will be retried
+ *         message_id:
+ *           type: string
+ *           nullable: true
+ *           description: Message ID reported by the channel (Telegram message_id, SMTP Message-ID, ...)
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         sent_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Channel response of the successful attempt
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, sent, partial, failed]
+ *           description: pending while any delivery is queued, partial when some channels failed permanently
+ *         message:
+ *           type: string
+ *         evacuationPoints:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: number
+ *         location:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: number
+ *         zone_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Evacuation zone the notification was sent for
+ *         source:
+ *           type: string
+ *           enum: [manual, alert_rule, fire_event]
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         deliveries:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/NotificationDelivery'
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List notifications
+ *     description: Notifications stored in the outbox, newest first, with the delivery status of every channel. Requires the dispatcher role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, partial, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Invalid status, limit or offset
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ */
+app.get('/api/notifications', requireRole('dispatcher'), async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !NOTIFICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status (must be ${NOTIFICATION_STATUSES.join(', ')})` });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    try {
+        const { total, notifications: data } = await notificationOutbox.list({ status, limit, offset });
+        res.json({ total, count: data.length, data });
+    } catch (err) {
+        console.error('Error fetching notifications:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   get:
+ *     summary: Get notification delivery status
+ *     description: A notification with the status, attempt count, next retry time, message ID and last error of every channel. Requires the dispatcher role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Notification not found
+ */
+app.get('/api/notifications/:id', requireRole('dispatcher'), async (req, res) => {
+    try {
+        const notification = await notificationOutbox.getById(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json(notification);
+    } catch (err) {
+        console.error('Error fetching notification:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// WhatsApp session management (the channel needs a QR code scanned once)
+function getWhatsAppChannel(res) {
+    const channel = notifications.getChannel('whatsapp');
+    if (!channel) {
+        res.status(404).json({ error: 'WhatsApp channel is not configured' });
+    }
+    return channel;
+}
+
+/**
+ * @swagger
+ * /api/whatsapp/status:
+ *   get:
+ *     summary: Get WhatsApp client status
+ *     description: Session status (not_initialized, initializing, qr, ready, disconnected, error) of the WhatsApp channel. Requires the admin role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: WhatsApp client status
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: WhatsApp channel is not configured
+ */
+app.get('/api/whatsapp/status', requireRole('admin'), (req, res) => {
+    const channel = getWhatsAppChannel(res);
+    if (channel) {
+        res.json(channel.getStatus());
+    }
+});
+
+/**
+ * @swagger
+ * /api/whatsapp/qr:
+ *   get:
+ *     summary: Get WhatsApp login QR code
+ *     description: QR code (PNG data URL) to scan with the WhatsApp app to log the server in. Requires the admin role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: QR code as a data URL
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: WhatsApp channel is not configured or no QR code is pending
+ */
+app.get('/api/whatsapp/qr', requireRole('admin'), async (req, res) => {
+    const channel = getWhatsAppChannel(res);
+    if (!channel) {
+        return;
+    }
+
+    try {
+        const qr = await channel.getQrCode();
+        if (!qr) {
+            return res.status(404).json({ error: 'No QR code pending', status: channel.getStatus().status });
+        }
+        res.json({ qr });
+    } catch (error) {
+        console.error('WhatsApp QR code error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/whatsapp/initialize:
+ *   post:
+ *     summary: Initialize WhatsApp client
+ *     description: Start (or restart after a failure) the WhatsApp Web session. Requires the admin role.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Initialization started
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: WhatsApp channel is not configured
+ */
+app.post('/api/whatsapp/initialize', requireRole('admin'), (req, res) => {
+    const channel = getWhatsAppChannel(res);
+    if (channel) {
+        channel.initialize();
+        res.status(202).json({ success: true, ...channel.getStatus() });
+    }
+});
+
+// Errors passed on by route handlers and middleware (malformed JSON bodies,
+// unexpected failures); client errors keep their status and message
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.expose && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`Error handling ${req.method} ${req.path}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
 // Graceful shutdown
 process.on('SIGINT', () => {
+    notificationOutbox.stop();
+    firmsImporter.stop();
+    if (telegramBot) {
+        telegramBot.stop();
+    }
     db.close((err) => {
         if (err) {
             console.error('Error closing database:', err);
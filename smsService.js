@@ -0,0 +1,92 @@
+const { postJson, httpError, isHttpUrl } = require('./httpJson')
+const { stripHtml, parseEnvList } = require('./notificationText')
+
+/**
+ * Send notification through an HTTP SMS gateway. The gateway receives
+ * { from, to, text } as JSON, authenticated with a bearer token.
+ * @param {Object} config - Gateway configuration
+ * @param {string} message - Message text
+ * @param {Array<number>} location - [lat, lng] of the notification location
+ * @returns {Promise<Object>}
+ */
+async function sendSmsNotification(config, message, location = null) {
+  // SMS stays short: the message plus a map link, no evacuation list
+  let text = stripHtml(message);
+  if (location && location.length === 2) {
+    text += `\nhttps://www.google.com/maps?q=${location[0]},${location[1]}`;
+  }
+
+  const headers = config.token ? { Authorization: `Bearer ${config.token}` } : {};
+
+  let response;
+  try {
+    response = await postJson(config.url, { from: config.sender, to: config.recipients, text }, headers);
+  } catch (error) {
+    throw new Error(`SMS gateway request failed: ${error.message}`);
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    const detail = response.body && response.body.error ? response.body.error : `HTTP ${response.statusCode}`;
+    throw httpError(`SMS gateway error: ${detail}`, response);
+  }
+
+  return {
+    success: true,
+    messageId: response.body && (response.body.id || response.body.message_id || null),
+    recipients: config.recipients.length
+  };
+}
+
+/**
+ * HTTP SMS gateway notification channel provider
+ */
+const smsChannel = {
+  name: 'sms',
+
+  readConfig(env) {
+    if (!env.SMS_GATEWAY_URL) {
+      return null;
+    }
+    return {
+      url: env.SMS_GATEWAY_URL,
+      token: env.SMS_GATEWAY_TOKEN || null,
+      sender: env.SMS_SENDER || 'FireAlert',
+      recipients: parseEnvList(env.SMS_RECIPIENTS)
+    };
+  },
+
+  validateConfig(config) {
+    const errors = [];
+    if (!isHttpUrl(config.url)) {
+      errors.push('SMS_GATEWAY_URL must be an http(s) URL');
+    }
+    if (config.recipients.length === 0) {
+      errors.push('SMS_RECIPIENTS is required when SMS_GATEWAY_URL is set');
+    }
+    config.recipients
+      .filter(number => !/^\+\d{7,15}$/.test(number))
+      .forEach(number => errors.push(`SMS_RECIPIENTS contains an invalid phone number: ${number}`));
+    return errors;
+  },
+
+  /**
+   * @param {string} address - Subscriber phone number
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAddress(address) {
+    return /^\+\d{7,15}$/.test(address) ? null : 'SMS address must be a phone number with country code, e.g. +35799123456';
+  },
+
+  createChannel(config) {
+    return {
+      send: ({ message, location, recipient }) => sendSmsNotification(
+        recipient ? { ...config, recipients: [recipient] } : config, message, location
+      )
+    };
+  }
+};
+
+module.exports = {
+  sendSmsNotification,
+  smsChannel
+}
@@ -0,0 +1,311 @@
+const { run, get, all } = require('./dbHelpers')
+const { distanceKm, isLatLng, pointInPolygon } = require('./geoUtils')
+const { renderTemplate } = require('./alertRules')
+
+const AREA_TYPES = ['point', 'polygon', 'district'];
+
+// Largest radius a point subscription may cover
+const MAX_RADIUS_KM = 200;
+
+// Fire changes worth telling subscribers about
+const NOTIFIED_FIELDS = ['fire_status', 'evacuation_status', 'risk_to_settlements'];
+
+const CREATED_TEMPLATE = '🔥 <b>New fire reported</b> near {{nearest_village}} ({{district}})\n' +
+  'Status: {{fire_status}}, risk to settlements: {{risk_to_settlements}}';
+const UPDATED_TEMPLATE = '🔥 <b>Fire update</b> near {{nearest_village}} ({{district}})\n' +
+  'Status: {{fire_status}}, evacuation: {{evacuation_status}}, risk to settlements: {{risk_to_settlements}}';
+
+/**
+ * Validate a subscription area
+ * @param {Object} area - { type: 'point', point: [lat, lng], radius_km },
+ *   { type: 'polygon', polygon: [[lat, lng], ...] } or { type: 'district', district }
+ * @returns {{area: Object}|{error: string}}
+ */
+function validateArea(area) {
+  if (!area || typeof area !== 'object' || !AREA_TYPES.includes(area.type)) {
+    return { error: `area.type must be one of ${AREA_TYPES.join(', ')}` };
+  }
+
+  if (area.type === 'point') {
+    if (!isLatLng(area.point)) {
+      return { error: 'Point areas require point as [lat, lng]' };
+    }
+    if (typeof area.radius_km !== 'number' || area.radius_km <= 0 || area.radius_km > MAX_RADIUS_KM) {
+      return { error: `Point areas require radius_km between 0 and ${MAX_RADIUS_KM}` };
+    }
+    return { area: { type: 'point', point: area.point, radius_km: area.radius_km } };
+  }
+
+  if (area.type === 'polygon') {
+    if (!Array.isArray(area.polygon) || area.polygon.length < 3 || !area.polygon.every(isLatLng)) {
+      return { error: 'Polygon areas require polygon as an array of at least 3 [lat, lng] points' };
+    }
+    return { area: { type: 'polygon', polygon: area.polygon } };
+  }
+
+  if (typeof area.district !== 'string' || !area.district.trim()) {
+    return { error: 'District areas require a district name' };
+  }
+  return { area: { type: 'district', district: area.district.trim() } };
+}
+
+/**
+ * Validate a subscription payload
+ * @param {Object} body - Request body
+ * @param {Function} validateAddress - (channel, address) => error message or null
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {{subscription: Object}|{error: string}}
+ */
+function validateSubscription(body, validateAddress, partial = false) {
+  const subscription = {};
+
+  if (!partial || body.channel !== undefined || body.address !== undefined) {
+    if (partial && (body.channel === undefined || body.address === undefined)) {
+      return { error: 'channel and address must be changed together' };
+    }
+    const addressError = validateAddress(body.channel, body.address);
+    if (addressError) {
+      return { error: addressError };
+    }
+    subscription.channel = body.channel;
+    subscription.address = body.address.trim();
+  }
+
+  if (!partial || body.area !== undefined) {
+    const { area, error } = validateArea(body.area);
+    if (error) {
+      return { error };
+    }
+    subscription.area = area;
+  }
+
+  if (body.fire_events !== undefined) {
+    if (typeof body.fire_events !== 'boolean') {
+      return { error: 'fire_events must be a boolean' };
+    }
+    subscription.fire_events = body.fire_events;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    subscription.enabled = body.enabled;
+  }
+
+  return { subscription };
+}
+
+/**
+ * Convert a subscriptions row to its API representation
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function subscriptionToJSON(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    address: row.address,
+    area: JSON.parse(row.area),
+    fire_events: Boolean(row.fire_events),
+    enabled: Boolean(row.enabled),
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Store a new subscription
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} subscription - Validated subscription
+ * @param {string} createdBy - Name of the creator
+ * @param {string} owner - Stable identity of the creator, who may manage it
+ * @returns {Promise<Object>}
+ */
+async function createSubscription(db, subscription, createdBy, owner) {
+  const now = new Date().toISOString();
+  const { lastID } = await run(db, `
+    INSERT INTO subscriptions (channel, address, area, fire_events, enabled, created_by, owner, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    subscription.channel,
+    subscription.address,
+    JSON.stringify(subscription.area),
+    subscription.fire_events === false ? 0 : 1,
+    subscription.enabled === false ? 0 : 1,
+    createdBy,
+    owner,
+    now,
+    now
+  ]);
+  return getSubscription(db, lastID);
+}
+
+/**
+ * List subscriptions, optionally only those of one owner
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string|null} owner - Owner to filter by, or null for all
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSubscriptions(db, owner = null) {
+  const rows = owner === null
+    ? await all(db, 'SELECT * FROM subscriptions ORDER BY id')
+    : await all(db, 'SELECT * FROM subscriptions WHERE owner = ? ORDER BY id', [owner]);
+  return rows.map(subscriptionToJSON);
+}
+
+/**
+ * Load one subscription, optionally only if it belongs to an owner
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Subscription ID
+ * @param {string|null} owner - Owner it must belong to, or null for any
+ * @returns {Promise<Object|null>}
+ */
+async function getSubscription(db, id, owner = null) {
+  const row = owner === null
+    ? await get(db, 'SELECT * FROM subscriptions WHERE id = ?', [id])
+    : await get(db, 'SELECT * FROM subscriptions WHERE id = ? AND owner = ?', [id, owner]);
+  return row ? subscriptionToJSON(row) : null;
+}
+
+/**
+ * Apply validated changes to a subscription
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Subscription ID
+ * @param {Object} changes - Validated partial subscription
+ * @returns {Promise<Object|null>}
+ */
+async function updateSubscription(db, id, changes) {
+  const columns = [];
+  const params = [];
+
+  Object.entries(changes).forEach(([key, value]) => {
+    columns.push(`${key} = ?`);
+    if (key === 'area') {
+      params.push(JSON.stringify(value));
+    } else if (typeof value === 'boolean') {
+      params.push(value ? 1 : 0);
+    } else {
+      params.push(value);
+    }
+  });
+
+  columns.push('updated_at = ?');
+  params.push(new Date().toISOString(), id);
+
+  const { changes: updated } = await run(db, `UPDATE subscriptions SET ${columns.join(', ')} WHERE id = ?`, params);
+  return updated === 0 ? null : getSubscription(db, id);
+}
+
+/**
+ * Delete a subscription
+ * @param {Object} db - sqlite3 Database instance
+ * @param {number|string} id - Subscription ID
+ * @returns {Promise<boolean>} - Whether a subscription was deleted
+ */
+async function deleteSubscription(db, id) {
+  const { changes } = await run(db, 'DELETE FROM subscriptions WHERE id = ?', [id]);
+  return changes > 0;
+}
+
+/**
+ * List the subscriptions of one channel address
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} channel - Channel name
+ * @param {string} address - Channel address
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSubscriptionsByAddress(db, channel, address) {
+  const rows = await all(db, 'SELECT * FROM subscriptions WHERE channel = ? AND address = ? ORDER BY id', [channel, address]);
+  return rows.map(subscriptionToJSON);
+}
+
+/**
+ * Delete every subscription of one channel address
+ * @param {Object} db - sqlite3 Database instance
+ * @param {string} channel - Channel name
+ * @param {string} address - Channel address
+ * @returns {Promise<number>} - Number of subscriptions deleted
+ */
+async function deleteSubscriptionsByAddress(db, channel, address) {
+  const { changes } = await run(db, 'DELETE FROM subscriptions WHERE channel = ? AND address = ?', [channel, address]);
+  return changes;
+}
+
+/**
+ * Check whether a subscription area covers a place
+ * @param {Object} area - Validated area
+ * @param {Object} place - { location: [lat, lng] | null, district: string | null }
+ * @returns {boolean}
+ */
+function areaMatches(area, place) {
+  if (area.type === 'district') {
+    return Boolean(place.district) && place.district.toLowerCase() === area.district.toLowerCase();
+  }
+  if (!place.location) {
+    return false;
+  }
+
+  const [lat, lng] = place.location;
+  if (area.type === 'point') {
+    return distanceKm(area.point[0], area.point[1], lat, lng) <= area.radius_km;
+  }
+  return pointInPolygon(lat, lng, area.polygon);
+}
+
+/**
+ * Find the recipients whose area covers a place. A subscriber registered
+ * several times on the same channel and address is returned once.
+ * @param {Object} db - sqlite3 Database instance
+ * @param {Object} place - { location: [lat, lng] | null, district: string | null }
+ * @param {Object} options - { fireEvents: only subscriptions that want fire events }
+ * @returns {Promise<Array<{channel: string, address: string, subscriptionId: number}>>}
+ */
+async function findSubscribers(db, place, { fireEvents = false } = {}) {
+  const rows = await all(db,
+    `SELECT * FROM subscriptions WHERE enabled = 1 ${fireEvents ? 'AND fire_events = 1' : ''} ORDER BY id`
+  );
+
+  const recipients = new Map();
+  rows.map(subscriptionToJSON)
+    .filter(subscription => areaMatches(subscription.area, place))
+    .forEach((subscription) => {
+      const key = `${subscription.channel}:${subscription.address}`;
+      if (!recipients.has(key)) {
+        recipients.set(key, { channel: subscription.channel, address: subscription.address, subscriptionId: subscription.id });
+      }
+    });
+
+  return [...recipients.values()];
+}
+
+/**
+ * Build the message sent to subscribers for a fire event, or null when the
+ * event is not worth a notification (deletions, minor updates)
+ * @param {Object} event - Fire event from the event hub
+ * @returns {string|null}
+ */
+function fireEventMessage(event) {
+  if (event.type === 'created') {
+    return renderTemplate(CREATED_TEMPLATE, event.feature);
+  }
+  if (event.type === 'updated' && NOTIFIED_FIELDS.some(field => event.changes[field])) {
+    return renderTemplate(UPDATED_TEMPLATE, event.feature);
+  }
+  return null;
+}
+
+module.exports = {
+  AREA_TYPES,
+  validateSubscription,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listSubscriptionsByAddress,
+  deleteSubscriptionsByAddress,
+  findSubscribers,
+  fireEventMessage
+}
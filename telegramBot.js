@@ -0,0 +1,363 @@
+const crypto = require('crypto')
+const { DEFAULT_API_URL, callTelegramApi } = require('./telegramService')
+const { escapeHtml, parseEnvList } = require('./notificationText')
+
+const UPDATE_MODES = ['polling', 'webhook'];
+
+// Seconds Telegram holds a getUpdates request open when there is nothing new
+const POLL_TIMEOUT_SECONDS = 30;
+
+// Wait before polling again after a failed getUpdates
+const POLL_ERROR_DELAY_MS = 5000;
+
+// Radius searched by /near
+const NEAR_RADIUS_KM = 25;
+
+// Fires listed by /fires and /near
+const MAX_LISTED_FIRES = 10;
+
+const STATUS_ICONS = {
+  reported: '❓',
+  confirmed: '🔥',
+  active: '🔥',
+  threat: '⚠️',
+  contained: '🚒',
+  controlled: '✅',
+  extinguished: '✅',
+  archived: '🗄️'
+};
+
+const HELP_TEXT = [
+  '<b>Fire monitoring bot</b>',
+  '/fires — fires still burning',
+  '/fire &lt;id&gt; — details of a fire',
+  '/near — fires near a location you share',
+  '/subscribe &lt;district&gt; — alerts for a district',
+  '/unsubscribe — stop all alerts to this chat',
+  '/report — report a new fire by sharing its location (trusted reporters)'
+].join('\n');
+
+const LOCATION_KEYBOARD = {
+  keyboard: [[{ text: '📍 Share location', request_location: true }]],
+  resize_keyboard: true,
+  one_time_keyboard: true
+};
+
+/**
+ * Read the bot configuration. The bot is off unless TELEGRAM_BOT_UPDATES
+ * selects how updates are received: long polling getUpdates, or a webhook
+ * Telegram calls at /api/telegram/webhook (set up with setWebhook and the
+ * same secret_token).
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Config, or null if the bot is disabled
+ */
+function readBotConfig(env) {
+  if (!env.TELEGRAM_BOT_UPDATES) {
+    return null;
+  }
+
+  const config = {
+    mode: env.TELEGRAM_BOT_UPDATES,
+    botToken: env.TELEGRAM_BOT_TOKEN,
+    apiUrl: env.TELEGRAM_API_URL || DEFAULT_API_URL,
+    webhookSecret: env.TELEGRAM_WEBHOOK_SECRET || null,
+    trustedUsers: parseEnvList(env.TELEGRAM_TRUSTED_USERS)
+  };
+
+  const errors = [];
+  if (!UPDATE_MODES.includes(config.mode)) {
+    errors.push(`TELEGRAM_BOT_UPDATES must be ${UPDATE_MODES.join(' or ')}`);
+  }
+  if (!config.botToken) {
+    errors.push('TELEGRAM_BOT_TOKEN is required when TELEGRAM_BOT_UPDATES is set');
+  }
+  if (config.mode === 'webhook' && !config.webhookSecret) {
+    errors.push('TELEGRAM_WEBHOOK_SECRET is required for webhook updates');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid Telegram bot configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Split a message into a command and its argument text
+ * @param {string} text - Message text, e.g. "/fire@FireBot 12"
+ * @returns {{command: string, args: string}|null} - null if the text is not a command
+ */
+function parseCommand(text) {
+  const match = /^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+  return { command: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * One-line summary of a fire
+ * @param {Object} feature - Fire GeoJSON Feature
+ * @param {number} [distance] - Distance from the user in km
+ * @returns {string}
+ */
+function formatFireLine(feature, distance) {
+  const p = feature.properties;
+  const icon = STATUS_ICONS[p.fire_status] || '🔥';
+  const away = distance !== undefined ? `, ${distance.toFixed(1)} km away` : '';
+  return `${icon} #${p.id} ${escapeHtml(p.nearest_village)} (${escapeHtml(p.district)}) — ${escapeHtml(p.fire_status)}, ${p.fire_size} ha${away}`;
+}
+
+/**
+ * Full description of a fire
+ * @param {Object} feature - Fire GeoJSON Feature
+ * @returns {string}
+ */
+function formatFireDetails(feature) {
+  const p = feature.properties;
+  const [lng, lat] = feature.geometry.coordinates;
+  const resources = p.resources_on_site;
+  return [
+    `${STATUS_ICONS[p.fire_status] || '🔥'} <b>Fire #${p.id}</b> near ${escapeHtml(p.nearest_village)} (${escapeHtml(p.district)})`,
+    `Status: ${escapeHtml(p.fire_status)}, type: ${escapeHtml(p.fire_type)}`,
+    `Size: ${p.fire_size} ha, intensity: ${p.fire_intensity}`,
+    `Risk to settlements: ${escapeHtml(p.risk_to_settlements)}, evacuation: ${escapeHtml(p.evacuation_status)}`,
+    `Wind: ${p.wind_speed} km/h from ${p.wind_direction}°`,
+    `On site: ${resources.firefighters} firefighters, ${resources.vehicles} vehicles, ${resources.aircraft} aircraft`,
+    `Detected: ${escapeHtml(p.timestamp_detected)}`,
+    `https://www.google.com/maps?q=${lat},${lng}`
+  ].join('\n');
+}
+
+/**
+ * Create the Telegram bot that answers commands. Fire data and changes go
+ * through the actions supplied by the server, so bot reports are recorded
+ * exactly like POST /api/fires.
+ * @param {Object|null} config - Config returned by readBotConfig
+ * @param {Object} actions - Server callbacks:
+ *   listActiveFires() => features,
+ *   getFire(id) => feature or null,
+ *   findFiresNear(lat, lng, radiusKm) => [{ feature, distance }],
+ *   subscribe(chatId, district, user) => { created: boolean } or { error },
+ *   unsubscribe(chatId) => number removed,
+ *   reportFire(lat, lng, user) => feature or { error }
+ * @returns {Object|null} - Bot with handleUpdate, isValidWebhookSecret, start and stop, or null when disabled
+ */
+function createTelegramBot(config, actions) {
+  if (!config) {
+    return null;
+  }
+
+  // Chat ID -> what a shared location is for ('near' or 'report')
+  const pendingLocations = new Map();
+  let offset = 0;
+  let polling = false;
+
+  /**
+   * Send a reply to a chat
+   * @param {number} chatId - Chat ID
+   * @param {string} text - HTML message text
+   * @param {Object} [replyMarkup] - Keyboard
+   * @returns {Promise<void>}
+   */
+  async function reply(chatId, text, replyMarkup = { remove_keyboard: true }) {
+    await callTelegramApi(config.botToken, 'sendMessage', {
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: replyMarkup
+    }, config.apiUrl);
+  }
+
+  /**
+   * Check whether a Telegram user may report fires
+   * @param {Object} user - Telegram User
+   * @returns {boolean}
+   */
+  function isTrusted(user) {
+    return config.trustedUsers.includes(String(user.id)) ||
+      (Boolean(user.username) && config.trustedUsers.includes(`@${user.username}`));
+  }
+
+  /**
+   * Answer a command
+   * @param {Object} message - Telegram Message
+   * @param {string} command - Command name without the slash
+   * @param {string} args - Text after the command
+   * @returns {Promise<void>}
+   */
+  async function handleCommand(message, command, args) {
+    const chatId = message.chat.id;
+
+    switch (command) {
+      case 'fires': {
+        const fires = await actions.listActiveFires();
+        if (fires.length === 0) {
+          return reply(chatId, 'No fires burning.');
+        }
+        const lines = fires.slice(0, MAX_LISTED_FIRES).map(feature => formatFireLine(feature));
+        const more = fires.length > MAX_LISTED_FIRES ? `\n…and ${fires.length - MAX_LISTED_FIRES} more` : '';
+        return reply(chatId, `<b>Active fires (${fires.length})</b>\n${lines.join('\n')}${more}`);
+      }
+
+      case 'fire': {
+        if (!/^\d+$/.test(args)) {
+          return reply(chatId, 'Usage: /fire &lt;id&gt;');
+        }
+        const feature = await actions.getFire(Number(args));
+        return reply(chatId, feature ? formatFireDetails(feature) : `Fire #${args} not found.`);
+      }
+
+      case 'near':
+        pendingLocations.set(chatId, 'near');
+        return reply(chatId, 'Share your location to see fires nearby.', LOCATION_KEYBOARD);
+
+      case 'subscribe': {
+        if (!args) {
+          return reply(chatId, 'Usage: /subscribe &lt;district&gt;, e.g. /subscribe Paphos');
+        }
+        const result = await actions.subscribe(chatId, args, message.from);
+        if (result.error) {
+          return reply(chatId, `Could not subscribe: ${escapeHtml(result.error)}`);
+        }
+        return reply(chatId, result.created
+          ? `Subscribed to fire alerts for ${escapeHtml(args)}.`
+          : `This chat is already subscribed to ${escapeHtml(args)}.`);
+      }
+
+      case 'unsubscribe': {
+        const removed = await actions.unsubscribe(chatId);
+        return reply(chatId, removed > 0 ? `Removed ${removed} subscription(s).` : 'This chat has no subscriptions.');
+      }
+
+      case 'report':
+        if (!isTrusted(message.from)) {
+          return reply(chatId, 'Only trusted reporters can submit fires. Call 112 to report a fire.');
+        }
+        pendingLocations.set(chatId, 'report');
+        return reply(chatId, 'Share the location of the fire.', LOCATION_KEYBOARD);
+
+      default:
+        return reply(chatId, HELP_TEXT);
+    }
+  }
+
+  /**
+   * Handle a shared location: report a fire after /report, otherwise list
+   * fires near it
+   * @param {Object} message - Telegram Message with a location
+   * @returns {Promise<void>}
+   */
+  async function handleLocation(message) {
+    const chatId = message.chat.id;
+    const { latitude, longitude } = message.location;
+    const purpose = pendingLocations.get(chatId) || 'near';
+    pendingLocations.delete(chatId);
+
+    if (purpose === 'report' && isTrusted(message.from)) {
+      const result = await actions.reportFire(latitude, longitude, message.from);
+      if (result.error) {
+        return reply(chatId, `Could not register the fire: ${escapeHtml(result.error)}`);
+      }
+      return reply(chatId, `Fire #${result.properties.id} registered for dispatch.`);
+    }
+
+    const fires = await actions.findFiresNear(latitude, longitude, NEAR_RADIUS_KM);
+    if (fires.length === 0) {
+      return reply(chatId, `No fires within ${NEAR_RADIUS_KM} km.`);
+    }
+    const lines = fires.slice(0, MAX_LISTED_FIRES).map(({ feature, distance }) => formatFireLine(feature, distance));
+    return reply(chatId, `<b>Fires within ${NEAR_RADIUS_KM} km</b>\n${lines.join('\n')}`);
+  }
+
+  /**
+   * Process one Telegram Update
+   * @param {Object} update - Telegram Update
+   * @returns {Promise<void>}
+   */
+  async function handleUpdate(update) {
+    const message = update.message;
+    if (!message || !message.chat || !message.from) {
+      return;
+    }
+
+    try {
+      if (message.location) {
+        await handleLocation(message);
+        return;
+      }
+
+      const parsed = typeof message.text === 'string' ? parseCommand(message.text) : null;
+      if (parsed) {
+        await handleCommand(message, parsed.command, parsed.args);
+      } else if (message.chat.type === 'private') {
+        await reply(message.chat.id, HELP_TEXT);
+      }
+    } catch (error) {
+      console.error('Telegram bot error:', error.message);
+    }
+  }
+
+  /**
+   * Check the X-Telegram-Bot-Api-Secret-Token header of a webhook call
+   * @param {string|undefined} token - Header value
+   * @returns {boolean}
+   */
+  function isValidWebhookSecret(token) {
+    if (typeof token !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(config.webhookSecret);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Long-poll getUpdates until stopped
+   * @returns {Promise<void>}
+   */
+  async function poll() {
+    while (polling) {
+      try {
+        const updates = await callTelegramApi(config.botToken, 'getUpdates', {
+          offset,
+          timeout: POLL_TIMEOUT_SECONDS,
+          allowed_updates: ['message']
+        }, config.apiUrl, (POLL_TIMEOUT_SECONDS + 10) * 1000);
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          await handleUpdate(update);
+        }
+      } catch (error) {
+        console.error('Telegram getUpdates error:', error.message);
+        await new Promise(resolve => setTimeout(resolve, POLL_ERROR_DELAY_MS));
+      }
+    }
+  }
+
+  return {
+    mode: config.mode,
+    handleUpdate,
+    isValidWebhookSecret,
+
+    /**
+     * Start receiving updates (long polling only; webhooks arrive over HTTP)
+     */
+    start() {
+      if (config.mode === 'polling' && !polling) {
+        polling = true;
+        poll();
+      }
+    },
+
+    stop() {
+      polling = false;
+    }
+  };
+}
+
+module.exports = {
+  readBotConfig,
+  createTelegramBot
+}
@@ -1,4 +1,43 @@
-const https = require('https')
+const { postJson, isHttpUrl } = require('./httpJson')
+const { formatNotificationText } = require('./notificationText')
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+const DEFAULT_CHAT_ID = '@hotSpotFireAlarm';
+
+/**
+ * Call a Telegram Bot API method
+ * @param {string} botToken - Telegram bot token
+ * @param {string} method - API method, e.g. sendMessage or getUpdates
+ * @param {Object} payload - Method parameters
+ * @param {string} apiUrl - Telegram Bot API base URL (overridable for local testing)
+ * @param {number} [timeoutMs] - Request timeout, raised for long polling
+ * @returns {Promise<*>} - The method's result
+ */
+async function callTelegramApi(botToken, method, payload, apiUrl = DEFAULT_API_URL, timeoutMs = undefined) {
+  const url = `${apiUrl.replace(/\/$/, '')}/bot${botToken}/${method}`;
+
+  let statusCode;
+  let response;
+  try {
+    ({ statusCode, body: response } = await postJson(url, payload, {}, timeoutMs));
+  } catch (error) {
+    throw new Error(`Telegram request failed: ${error.message}`);
+  }
+
+  if (!response || typeof response !== 'object') {
+    throw new Error('Failed to parse Telegram response');
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Telegram API error: ${response.description || 'Unknown error'}`);
+    // 429 carries retry_after; other 4xx (bad token, unknown chat) will not succeed on retry
+    error.retryable = statusCode === 429 || statusCode >= 500;
+    error.retryAfter = response.parameters && response.parameters.retry_after;
+    throw error;
+  }
+
+  return response.result;
+}
 
 /**
  * Send notification to Telegram channel
@@ -7,87 +46,89 @@ const https = require('https')
  * @param {string} message - Message text
  * @param {Array<Array<number>>} evacuationPoints - Array of [lat, lng] coordinates
  * @param {Array<number>} location - [lat, lng] of the notification location
+ * @param {string} apiUrl - Telegram Bot API base URL (overridable for local testing)
  * @returns {Promise<Object>} - Response from Telegram API
  */
-async function sendTelegramNotification(botToken, chatId, message, evacuationPoints = [], location = null) {
+async function sendTelegramNotification(botToken, chatId, message, evacuationPoints = [], location = null, apiUrl = DEFAULT_API_URL) {
   if (!botToken || !chatId) {
     throw new Error('Telegram bot token and chat ID are required');
   }
 
-  // Format evacuation points
-  let evacuationText = '';
-  if (evacuationPoints && evacuationPoints.length > 0) {
-    evacuationText = '\n\n📍 Safe Evacuation Points:\n';
-    evacuationPoints.forEach((point, index) => {
-      const [lat, lng] = point;
-      const mapsUrl = `https://www.google.com/maps?q=${lat},${lng}`;
-      evacuationText += `${index + 1}. ${lat.toFixed(6)}, ${lng.toFixed(6)}\n   ${mapsUrl}\n`;
-    });
-  }
-
-  // Add location if provided
-  let locationText = '';
-  if (location && location.length === 2) {
-    const [lat, lng] = location;
-    const mapsUrl = `https://www.google.com/maps?q=${lat},${lng}`;
-    locationText = `\n\n📍 Location: ${lat.toFixed(6)}, ${lng.toFixed(6)}\n${mapsUrl}`;
-  }
-
-  const fullMessage = `${message}${locationText}${evacuationText}`;
-
-  // Telegram Bot API endpoint
-  const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-
-  const postData = JSON.stringify({
+  const result = await callTelegramApi(botToken, 'sendMessage', {
     chat_id: chatId,
-    text: fullMessage,
+    text: formatNotificationText(message, evacuationPoints, location),
     parse_mode: 'HTML',
     disable_web_page_preview: false
-  });
+  }, apiUrl);
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
+  return {
+    success: true,
+    messageId: result.message_id,
+    chat: result.chat
+  };
+}
 
-    const req = https.request(url, options, (res) => {
-      let data = '';
+/**
+ * Telegram notification channel provider
+ */
+const telegramChannel = {
+  name: 'telegram',
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  /**
+   * Read channel configuration from the environment
+   * @param {Object} env - Environment variables
+   * @returns {Object|null} - Config, or null if the channel is not configured
+   */
+  readConfig(env) {
+    if (!env.TELEGRAM_BOT_TOKEN) {
+      return null;
+    }
+    return {
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID || DEFAULT_CHAT_ID,
+      apiUrl: env.TELEGRAM_API_URL || DEFAULT_API_URL
+    };
+  },
 
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          if (response.ok) {
-            resolve({
-              success: true,
-              messageId: response.result.message_id,
-              chat: response.result.chat
-            });
-          } else {
-            reject(new Error(`Telegram API error: ${response.description || 'Unknown error'}`));
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse Telegram response: ${error.message}`));
-        }
-      });
-    });
+  /**
+   * @param {Object} config - Config returned by readConfig
+   * @returns {Array<string>} - Configuration problems
+   */
+  validateConfig(config) {
+    const errors = [];
+    if (!/^\d+:[\w-]+$/.test(config.botToken)) {
+      errors.push('TELEGRAM_BOT_TOKEN must look like 123456789:ABCdef...');
+    }
+    if (!isHttpUrl(config.apiUrl)) {
+      errors.push('TELEGRAM_API_URL must be an http(s) URL');
+    }
+    return errors;
+  },
 
-    req.on('error', (error) => {
-      reject(new Error(`Telegram request failed: ${error.message}`));
-    });
+  /**
+   * @param {string} address - Subscriber chat ID or @channel username
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAddress(address) {
+    return /^(-?\d+|@\w{5,})$/.test(address) ? null : 'Telegram address must be a numeric chat ID or @username';
+  },
 
-    req.write(postData);
-    req.end();
-  });
-}
+  /**
+   * @param {Object} config - Validated config
+   * @returns {{send: Function}}
+   */
+  createChannel(config) {
+    return {
+      send: ({ message, evacuationPoints, location, recipient }) => sendTelegramNotification(
+        config.botToken, recipient || config.chatId, message, evacuationPoints, location, config.apiUrl
+      )
+    };
+  }
+};
 
 module.exports = {
-  sendTelegramNotification
+  DEFAULT_API_URL,
+  callTelegramApi,
+  sendTelegramNotification,
+  telegramChannel
 }
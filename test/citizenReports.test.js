@@ -0,0 +1,79 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const sharp = require('sharp')
+const { startServer, request } = require('./helpers')
+
+/**
+ * Submit a citizen report without credentials, as the public does
+ * @param {string} baseUrl - Server URL
+ * @param {Object} fields - Report fields on top of a description
+ * @returns {Promise<Object>} - The stored report
+ */
+async function submitReport(baseUrl, fields) {
+  const response = await request(baseUrl, 'POST', '/api/citizen-reports', { description: 'Smoke over the hills', ...fields }, {});
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+/**
+ * A photo as a data URL
+ * @param {Buffer} data - PNG content
+ * @returns {string}
+ */
+function pngDataUrl(data) {
+  return `data:image/png;base64,${data.toString('base64')}`;
+}
+
+describe('POST /api/citizen-reports/:id/confirm', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('creates a fire, links it and attaches the photo', async () => {
+    const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ff4400' } }).png().toBuffer();
+    const report = await submitReport(server.url, { latitude: 34.92, longitude: 32.98, photo: pngDataUrl(photo) });
+
+    const confirmed = await request(server.url, 'POST', `/api/citizen-reports/${report.id}/confirm`, {});
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal(confirmed.body.data.status, 'confirmed');
+    assert.equal(confirmed.body.data.fire_id, confirmed.body.fire.properties.id);
+    assert.equal(confirmed.body.photo_error, null);
+    assert.equal(confirmed.body.fire.properties.media.length, 1);
+
+    const again = await request(server.url, 'POST', `/api/citizen-reports/${report.id}/confirm`, {});
+    assert.equal(again.status, 409);
+  });
+
+  test('leaves the report pending when no fire can be created at its location', async () => {
+    const before = await request(server.url, 'GET', '/api/fires?include_archived=true');
+    const report = await submitReport(server.url, { latitude: 51.5, longitude: -0.1 });
+
+    const confirmed = await request(server.url, 'POST', `/api/citizen-reports/${report.id}/confirm`, {});
+    assert.equal(confirmed.status, 400);
+    assert.match(confirmed.body.error, /distance_to_village/);
+
+    const stored = await request(server.url, 'GET', `/api/citizen-reports/${report.id}`);
+    assert.equal(stored.body.status, 'pending');
+    assert.equal(stored.body.fire_id, null);
+    const after = await request(server.url, 'GET', '/api/fires?include_archived=true');
+    assert.equal(after.body.features.length, before.body.features.length);
+
+    const rejected = await request(server.url, 'POST', `/api/citizen-reports/${report.id}/reject`, { reason: 'Outside Cyprus' });
+    assert.equal(rejected.status, 200);
+  });
+
+  test('confirms the report when its photo cannot be attached', async () => {
+    const broken = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47]), Buffer.from('not really an image')]);
+    const report = await submitReport(server.url, { latitude: 34.95, longitude: 33.02, photo: pngDataUrl(broken) });
+
+    const confirmed = await request(server.url, 'POST', `/api/citizen-reports/${report.id}/confirm`, {});
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal(confirmed.body.data.status, 'confirmed');
+    assert.match(confirmed.body.photo_error, /not a readable image/);
+    assert.deepEqual(confirmed.body.fire.properties.media, []);
+  });
+});
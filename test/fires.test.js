@@ -0,0 +1,135 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, request } = require('./helpers')
+
+/**
+ * Report a fire and move it along its lifecycle
+ * @param {string} baseUrl - Server URL
+ * @param {Object} fields - Fire fields, with latitude and longitude
+ * @param {Array<string>} [statuses] - Statuses to move it through, in order
+ * @returns {Promise<Object>} - The fire as a GeoJSON Feature
+ */
+async function reportFire(baseUrl, fields, statuses = []) {
+  const created = await request(baseUrl, 'POST', '/api/fires', fields);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  let feature = created.body.data;
+
+  for (const status of statuses) {
+    const moved = await request(baseUrl, 'POST', `/api/fires/${feature.properties.id}/transition`, { status });
+    assert.equal(moved.status, 200, JSON.stringify(moved.body));
+    feature = moved.body.data;
+  }
+  return feature;
+}
+
+describe('POST /api/fires/batch', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('re-imports exported fires in any lifecycle status', async () => {
+    await reportFire(server.url, { latitude: 35.31, longitude: 33.21, fire_size: 4 }, ['contained', 'controlled']);
+    await reportFire(server.url, { latitude: 35.36, longitude: 33.29, fire_size: 9 }, ['contained', 'controlled', 'extinguished', 'archived']);
+
+    const exported = await request(server.url, 'GET', '/api/fires?fire_status=controlled,archived');
+    assert.equal(exported.status, 200);
+    const statuses = exported.body.features.map(feature => feature.properties.fire_status);
+    assert.ok(statuses.includes('controlled') && statuses.includes('archived'));
+
+    const imported = await request(server.url, 'POST', '/api/fires/batch?mode=create', exported.body);
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.equal(imported.body.created, statuses.length);
+
+    for (const [index, result] of imported.body.data.entries()) {
+      const status = statuses[index];
+      const transitions = await request(server.url, 'GET', `/api/fires/${result.id}/transitions`);
+      assert.equal(transitions.body.fire_status, status);
+      assert.deepEqual(transitions.body.data.map(row => [row.from_status, row.to_status]), [[null, status]]);
+    }
+  });
+
+  test('single reports still start in an entry status', async () => {
+    const response = await request(server.url, 'POST', '/api/fires', { latitude: 35.41, longitude: 33.35, fire_status: 'controlled' });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /fire_status must be one of reported, confirmed, active/);
+  });
+});
+
+describe('duplicate merging', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('folds a report into a burning fire nearby', async () => {
+    const fire = await reportFire(server.url, { latitude: 35.11, longitude: 33.61, fire_intensity: 200 });
+
+    const report = await request(server.url, 'POST', '/api/fires?on_duplicate=merge', {
+      latitude: 35.112, longitude: 33.611, fire_intensity: 900
+    });
+    assert.equal(report.status, 200, JSON.stringify(report.body));
+    assert.equal(report.body.data.properties.id, fire.properties.id);
+    assert.equal(report.body.data.properties.fire_intensity, 900);
+  });
+
+  test('merges a duplicate fire into another', async () => {
+    const target = await reportFire(server.url, { latitude: 35.01, longitude: 33.81, fire_intensity: 200, fire_size: 3 });
+    const source = await reportFire(server.url, { latitude: 34.41, longitude: 33.11, fire_intensity: 700, fire_size: 1 });
+
+    const merged = await request(server.url, 'POST', `/api/fires/${target.properties.id}/merge`, { source_id: source.properties.id });
+    assert.equal(merged.status, 200, JSON.stringify(merged.body));
+    assert.equal(merged.body.data.properties.fire_intensity, 700);
+    assert.equal(merged.body.data.properties.fire_size, 3);
+
+    const gone = await request(server.url, 'GET', `/api/fires/${source.properties.id}`);
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.merged_into, target.properties.id);
+
+    const missing = await request(server.url, 'POST', `/api/fires/${target.properties.id}/merge`, { source_id: source.properties.id });
+    assert.equal(missing.status, 404);
+  });
+
+  test('keeps an update made while a merge is requested', async () => {
+    const target = await reportFire(server.url, { latitude: 35.05, longitude: 33.85, fire_intensity: 200 });
+    const source = await reportFire(server.url, { latitude: 34.45, longitude: 33.15, fire_intensity: 300 });
+
+    const [updated, merged] = await Promise.all([
+      request(server.url, 'PATCH', `/api/fires/${target.properties.id}`, { fire_intensity: 5000 }),
+      request(server.url, 'POST', `/api/fires/${target.properties.id}/merge`, { source_id: source.properties.id })
+    ]);
+    assert.equal(updated.status, 200);
+    assert.equal(merged.status, 200);
+
+    const fire = await request(server.url, 'GET', `/api/fires/${target.properties.id}`);
+    assert.equal(fire.body.properties.fire_intensity, 5000);
+  });
+
+  test('does not fold a report into a fire that is no longer burning', async () => {
+    const fire = await reportFire(server.url, { latitude: 35.21, longitude: 33.71, fire_intensity: 200 },
+      ['contained', 'controlled', 'extinguished', 'archived']);
+
+    const report = await request(server.url, 'POST', '/api/fires?on_duplicate=merge', {
+      latitude: 35.212, longitude: 33.711, fire_intensity: 900
+    });
+    assert.equal(report.status, 201, JSON.stringify(report.body));
+    assert.notEqual(report.body.data.properties.id, fire.properties.id);
+    assert.equal(report.body.data.properties.fire_status, 'active');
+    assert.deepEqual(report.body.duplicates, []);
+
+    const archived = await request(server.url, 'GET', `/api/fires/${fire.properties.id}`);
+    assert.equal(archived.body.properties.fire_intensity, 200);
+
+    const merged = await request(server.url, 'POST', `/api/fires/${fire.properties.id}/merge`, {
+      source_id: report.body.data.properties.id
+    });
+    assert.equal(merged.status, 409);
+    assert.match(merged.body.error, /Fire is archived/);
+  });
+});
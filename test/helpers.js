@@ -0,0 +1,331 @@
+const fs = require('fs')
+const http = require('http')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+
+const SERVER_SCRIPT = path.join(__dirname, '..', 'server.js');
+
+// How long the server may take to migrate and seed a fresh database
+const SERVER_START_TIMEOUT_MS = 20000;
+
+/**
+ * Start an HTTP server standing in for a remote API. Every request is
+ * recorded with its JSON body; respond(request) picks the answer.
+ * @param {Function} [respond] - request => { status, body, delayMs }, default 200 {}
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+function startHttpStub(respond = () => ({})) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      let body = data;
+      try {
+        body = data ? JSON.parse(data) : null;
+      } catch (error) {
+        // Keep the raw text
+      }
+
+      const request = { method: req.method, path: req.url, headers: req.headers, body, raw: data };
+      requests.push(request);
+      const { status = 200, body: answer = {}, delayMs = 0 } = respond(request) || {};
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer));
+      }, delayMs);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Decode the RFC 2047 encoded words of a mail header
+ * @param {string} value - Unfolded header value
+ * @returns {string}
+ */
+function decodeHeader(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?UTF-8\?([QB])\?([^?]*)\?=/gi, (match, encoding, text) => (encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1')
+    ).toString('utf8'));
+}
+
+/**
+ * Split a received message into decoded headers and body
+ * @param {string} data - Message as received after DATA, with \n line ends
+ * @returns {{headers: Object, body: string}} - Header names are lower case
+ */
+function parseMail(data) {
+  const split = data.indexOf('\n\n');
+  const headers = {};
+  data.slice(0, split).replace(/\n[ \t]+/g, ' ').split('\n').forEach((line) => {
+    const colon = line.indexOf(':');
+    headers[line.slice(0, colon).toLowerCase()] = decodeHeader(line.slice(colon + 1).trim());
+  });
+  return { headers, body: data.slice(split + 2) };
+}
+
+/**
+ * Start a minimal SMTP server accepting every message, except for the
+ * recipients listed in reject, which get a permanent 550 reply
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reject] - Recipient addresses to refuse
+ * @returns {Promise<Object>} - { port, messages: [{ from, to, headers, body }], close }
+ */
+function startSmtpStub({ reject = [] } = {}) {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let message = null;
+    let inData = false;
+    const send = line => socket.write(`${line}\r\n`);
+
+    send('220 localhost ESMTP stub');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push({ from: message.from, to: message.to, ...parseMail(message.data) });
+            send(`250 OK queued as ${messages.length}`);
+          } else {
+            message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          send('250 localhost');
+        } else if (command === 'MAIL') {
+          message = { from: /<([^>]*)>/.exec(line)[1], to: [], data: '' };
+          send('250 OK');
+        } else if (command === 'RCPT') {
+          const recipient = /<([^>]*)>/.exec(line)[1];
+          if (reject.includes(recipient)) {
+            send('550 No such user');
+          } else {
+            message.to.push(recipient);
+            send('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          send('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          send('221 Bye');
+          socket.end();
+        } else {
+          send('250 OK');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise((done) => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Find a free TCP port
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run server.js on a fresh database in a temporary directory. Resolves once
+ * it listens and its notification outbox is ready.
+ * @param {Object} env - Environment variables on top of a minimal base
+ * @returns {Promise<Object>} - { url, output, stop }
+ */
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fires-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DB_PATH: path.join(dir, 'fires.db'),
+      MEDIA_DIR: path.join(dir, 'media'),
+      ADMIN_API_KEY: 'test-admin-key',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const stop = () => new Promise((resolve) => {
+    const cleanup = () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    };
+    if (child.exitCode !== null || child.signalCode !== null) {
+      cleanup();
+      return;
+    }
+    child.once('exit', cleanup);
+    child.kill('SIGINT');
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => fail(new Error(`Server did not start:\n${output}`)), SERVER_START_TIMEOUT_MS);
+    const ready = () => output.includes('running on port') && output.includes('Notification outbox ready');
+    const onExit = code => fail(new Error(`Server exited with code ${code}:\n${output}`));
+    const onData = (chunk) => {
+      output += chunk;
+      if (ready()) {
+        clearTimeout(timer);
+        child.off('exit', onExit);
+        resolve();
+      }
+    };
+    const fail = (error) => {
+      clearTimeout(timer);
+      child.off('exit', onExit);
+      stop().then(() => reject(error));
+    };
+
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', onExit);
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    get output() {
+      return output;
+    },
+    stop
+  };
+}
+
+/**
+ * Run server.js until it exits by itself, e.g. on invalid configuration
+ * @param {Object} env - Environment variables on top of a minimal base
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function runServerToExit(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fires-test-'));
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(await freePort()),
+      DB_PATH: path.join(dir, 'fires.db'),
+      MEDIA_DIR: path.join(dir, 'media'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), SERVER_START_TIMEOUT_MS);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve({ code, output });
+    });
+  });
+}
+
+/**
+ * Call the API of a server started with startServer, as the admin
+ * @param {string} baseUrl - Server URL
+ * @param {string} method - HTTP method
+ * @param {string} route - Path, e.g. /api/fires
+ * @param {Object} [body] - JSON body
+ * @param {Object} [headers] - Headers replacing the admin key
+ * @returns {Promise<{status: number, body: *}>}
+ */
+async function request(baseUrl, method, route, body = undefined, headers = { 'X-API-Key': 'test-admin-key' }) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Keep the raw text
+  }
+  return { status: response.status, body: parsed };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 20 ms
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = {
+  startHttpStub,
+  startSmtpStub,
+  startServer,
+  runServerToExit,
+  request,
+  waitFor
+}
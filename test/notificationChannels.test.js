@@ -0,0 +1,325 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const { telegramChannel } = require('../telegramService')
+const { webhookChannel } = require('../webhookService')
+const { emailChannel } = require('../emailService')
+const { smsChannel } = require('../smsService')
+const { createNotificationDispatcher } = require('../notificationDispatcher')
+const { startHttpStub, startSmtpStub, startServer, runServerToExit, request } = require('./helpers')
+
+const BOT_TOKEN = '123456:test-token';
+
+/**
+ * Create a channel the way the dispatcher does, from environment variables
+ * @param {Object} provider - Channel provider
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Channel with send
+ */
+function channelFromEnv(provider, env) {
+  const config = provider.readConfig(env);
+  assert.deepEqual(provider.validateConfig(config), []);
+  return provider.createChannel(config);
+}
+
+/**
+ * Answer like the Bot API sendMessage method
+ * @param {Object} request - Recorded request
+ * @returns {Object}
+ */
+function telegramAnswer(request) {
+  return { body: { ok: true, result: { message_id: 42, chat: { id: request.body.chat_id } } } };
+}
+
+describe('notification providers', () => {
+  let api;
+  let smtp;
+
+  before(async () => {
+    api = await startHttpStub((request) => {
+      if (request.path.startsWith(`/bot${BOT_TOKEN}/`)) {
+        return telegramAnswer(request);
+      }
+      if (request.path === '/sms') {
+        return { body: { id: 'sms-1' } };
+      }
+      if (request.path === '/sms-down') {
+        return { status: 503, body: { error: 'maintenance' } };
+      }
+      if (request.path === '/hook-gone') {
+        return { status: 410 };
+      }
+      return {};
+    });
+    smtp = await startSmtpStub({ reject: ['nobody@example.org'] });
+  });
+
+  after(async () => {
+    await api.close();
+    await smtp.close();
+  });
+
+  test('telegram posts sendMessage to the configured chat and returns the message ID', async () => {
+    const channel = channelFromEnv(telegramChannel, {
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      TELEGRAM_CHAT_ID: '-1001',
+      TELEGRAM_API_URL: api.url
+    });
+
+    const result = await channel.send({ message: '<b>Fire</b> near Troodos', evacuationPoints: [[34.9, 32.9]], location: [34.93, 32.86] });
+
+    const sent = api.requests.at(-1);
+    assert.equal(sent.path, `/bot${BOT_TOKEN}/sendMessage`);
+    assert.equal(sent.body.chat_id, '-1001');
+    assert.equal(sent.body.parse_mode, 'HTML');
+    assert.match(sent.body.text, /^<b>Fire<\/b> near Troodos/);
+    assert.match(sent.body.text, /Location: 34\.930000, 32\.860000/);
+    assert.match(sent.body.text, /1\. 34\.900000, 32\.900000/);
+    assert.deepEqual(result, { success: true, messageId: 42, chat: { id: '-1001' } });
+  });
+
+  test('telegram sends to a subscriber chat instead of the default one', async () => {
+    const channel = channelFromEnv(telegramChannel, { TELEGRAM_BOT_TOKEN: BOT_TOKEN, TELEGRAM_API_URL: api.url });
+
+    await channel.send({ message: 'Alert', recipient: '555' });
+
+    assert.equal(api.requests.at(-1).body.chat_id, '555');
+  });
+
+  test('webhook posts a signed JSON payload to every URL', async () => {
+    const channel = channelFromEnv(webhookChannel, {
+      WEBHOOK_URLS: `${api.url}/hook-a,${api.url}/hook-b`,
+      WEBHOOK_SECRET: 'shared-secret'
+    });
+
+    const result = await channel.send({ message: '<i>Fire</i> near Paphos', evacuationPoints: [], location: [34.77, 32.42] });
+
+    const hooks = api.requests.filter(request => request.path.startsWith('/hook-')).slice(-2);
+    assert.deepEqual(hooks.map(hook => hook.path).sort(), ['/hook-a', '/hook-b']);
+    hooks.forEach((hook) => {
+      const signature = crypto.createHmac('sha256', 'shared-secret').update(hook.raw).digest('hex');
+      assert.equal(hook.headers['x-fire-signature'], `sha256=${signature}`);
+      assert.equal(hook.body.message, '<i>Fire</i> near Paphos');
+      assert.match(hook.body.text, /^Fire near Paphos/);
+      assert.deepEqual(hook.body.location, [34.77, 32.42]);
+    });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.deliveries.map(delivery => delivery.statusCode), [200, 200]);
+  });
+
+  test('webhook succeeds when one URL fails and fails when all do', async () => {
+    const partly = channelFromEnv(webhookChannel, { WEBHOOK_URLS: `${api.url}/hook-a,${api.url}/hook-gone` });
+    const result = await partly.send({ message: 'Alert' });
+    assert.deepEqual(result.deliveries.map(delivery => delivery.success), [true, false]);
+
+    const broken = channelFromEnv(webhookChannel, { WEBHOOK_URLS: `${api.url}/hook-gone` });
+    await assert.rejects(broken.send({ message: 'Alert' }), /Webhook request failed: HTTP 410/);
+  });
+
+  test('email is sent over SMTP to the configured recipients', async () => {
+    const channel = channelFromEnv(emailChannel, {
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtp.port),
+      EMAIL_FROM: 'alerts@fire.example.org',
+      EMAIL_TO: 'a@example.org, b@example.org'
+    });
+
+    const result = await channel.send({ message: '<b>Wildfire</b> near Limassol\nStay indoors', evacuationPoints: [] });
+
+    const message = smtp.messages.at(-1);
+    assert.equal(message.from, 'alerts@fire.example.org');
+    assert.deepEqual(message.to, ['a@example.org', 'b@example.org']);
+    assert.equal(message.headers.subject, '🔥 Fire alert: Wildfire near Limassol');
+    assert.equal(message.body, 'Wildfire near Limassol\nStay indoors\n');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.accepted, ['a@example.org', 'b@example.org']);
+    assert.match(result.messageId, /@/);
+  });
+
+  test('email refused by the server fails without retrying', async () => {
+    const channel = channelFromEnv(emailChannel, {
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtp.port),
+      EMAIL_FROM: 'alerts@fire.example.org',
+      EMAIL_TO: 'nobody@example.org'
+    });
+
+    await assert.rejects(channel.send({ message: 'Alert' }), (error) => {
+      assert.match(error.message, /^Email request failed/);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  });
+
+  test('sms posts the text and a map link to the gateway with its token', async () => {
+    const channel = channelFromEnv(smsChannel, {
+      SMS_GATEWAY_URL: `${api.url}/sms`,
+      SMS_GATEWAY_TOKEN: 'gateway-token',
+      SMS_SENDER: 'FireDept',
+      SMS_RECIPIENTS: '+35799111222,+35799333444'
+    });
+
+    const result = await channel.send({ message: '<b>Evacuate</b> Kato Amiantos', evacuationPoints: [[34.9, 33.0]], location: [34.93, 33.02] });
+
+    const sent = api.requests.at(-1);
+    assert.equal(sent.path, '/sms');
+    assert.equal(sent.headers.authorization, 'Bearer gateway-token');
+    assert.deepEqual(sent.body, {
+      from: 'FireDept',
+      to: ['+35799111222', '+35799333444'],
+      text: 'Evacuate Kato Amiantos\nhttps://www.google.com/maps?q=34.93,33.02'
+    });
+    assert.deepEqual(result, { success: true, messageId: 'sms-1', recipients: 2 });
+  });
+
+  test('sms gateway errors are reported and retryable on 5xx', async () => {
+    const channel = channelFromEnv(smsChannel, { SMS_GATEWAY_URL: `${api.url}/sms-down`, SMS_RECIPIENTS: '+35799111222' });
+
+    await assert.rejects(channel.send({ message: 'Alert' }), (error) => {
+      assert.equal(error.message, 'SMS gateway error: maintenance');
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  });
+});
+
+describe('notification configuration', () => {
+  test('channels are enabled by their settings and default to all of them', () => {
+    const dispatcher = createNotificationDispatcher({
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      SMS_GATEWAY_URL: 'http://127.0.0.1:1/sms',
+      SMS_RECIPIENTS: '+35799111222'
+    });
+
+    assert.deepEqual(dispatcher.enabledChannels, ['telegram', 'sms']);
+    assert.deepEqual(dispatcher.defaultChannels, ['telegram', 'sms']);
+    assert.equal(dispatcher.validateChannels(['email']), 'Channels not configured: email');
+    assert.equal(dispatcher.validateChannels(['pigeon']), 'Unknown channels: pigeon (available: telegram, whatsapp, webhook, email, sms)');
+  });
+
+  test('NOTIFICATION_CHANNELS narrows the defaults', () => {
+    const dispatcher = createNotificationDispatcher({
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      WEBHOOK_URL: 'https://hooks.example.org/fire',
+      NOTIFICATION_CHANNELS: 'webhook'
+    });
+
+    assert.deepEqual(dispatcher.defaultChannels, ['webhook']);
+  });
+
+  test('every configuration problem is reported at once', () => {
+    assert.throws(() => createNotificationDispatcher({
+      TELEGRAM_BOT_TOKEN: 'not-a-token',
+      WEBHOOK_URLS: 'https://hooks.example.org/fire,ftp://files.example.org',
+      SMTP_HOST: 'smtp.example.org',
+      SMTP_PORT: '99999',
+      SMTP_USER: 'alerts',
+      SMS_GATEWAY_URL: 'https://sms.example.org',
+      SMS_RECIPIENTS: '+35799111222,99111222',
+      NOTIFICATION_CHANNELS: 'telegram,pigeon'
+    }), (error) => {
+      [
+        'TELEGRAM_BOT_TOKEN must look like 123456789:ABCdef...',
+        'WEBHOOK_URLS contains an invalid URL: ftp://files.example.org',
+        'SMTP_PORT must be a port number',
+        'EMAIL_FROM is required when SMTP_HOST is set',
+        'EMAIL_TO is required when SMTP_HOST is set',
+        'SMTP_USER and SMTP_PASS must be set together',
+        'SMS_RECIPIENTS contains an invalid phone number: 99111222',
+        'NOTIFICATION_CHANNELS lists telegram, which is not configured',
+        'NOTIFICATION_CHANNELS lists pigeon, which is not a known channel'
+      ].forEach(problem => assert.ok(error.message.includes(problem), `missing: ${problem}\n${error.message}`));
+      return true;
+    });
+  });
+
+  test('the server refuses to start with a broken notification setup', async () => {
+    const { code, output } = await runServerToExit({ SMTP_HOST: 'smtp.example.org', EMAIL_TO: 'a@example.org' });
+
+    assert.notEqual(code, 0);
+    assert.match(output, /Invalid notification configuration:\n {2}- EMAIL_FROM is required when SMTP_HOST is set/);
+  });
+});
+
+describe('POST /api/notifications/send', () => {
+  let api;
+  let smtp;
+  let server;
+
+  before(async () => {
+    api = await startHttpStub((request) => {
+      if (request.path.startsWith(`/bot${BOT_TOKEN}/`)) {
+        return telegramAnswer(request);
+      }
+      if (request.path === '/sms') {
+        return { status: 503, body: { error: 'maintenance' } };
+      }
+      return {};
+    });
+    smtp = await startSmtpStub();
+    server = await startServer({
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      TELEGRAM_CHAT_ID: '-1001',
+      TELEGRAM_API_URL: api.url,
+      WEBHOOK_URL: `${api.url}/hook`,
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtp.port),
+      EMAIL_FROM: 'alerts@fire.example.org',
+      EMAIL_TO: 'ops@example.org',
+      SMS_GATEWAY_URL: `${api.url}/sms`,
+      SMS_RECIPIENTS: '+35799111222'
+    });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+    await api.close();
+    await smtp.close();
+  });
+
+  test('reports the result of every channel', async () => {
+    const { status, body } = await request(server.url, 'POST', '/api/notifications/send', {
+      message: 'Wildfire near Troodos',
+      location: [34.93, 32.86],
+      channels: ['telegram', 'webhook', 'email', 'sms']
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.results.telegram, { success: true, messageId: 42, chat: { id: '-1001' } });
+    assert.equal(body.results.webhook.success, true);
+    assert.deepEqual(body.results.webhook.deliveries.map(delivery => delivery.url), [`${api.url}/hook`]);
+    assert.equal(body.results.email.success, true);
+    assert.deepEqual(body.results.email.accepted, ['ops@example.org']);
+    assert.equal(body.results.sms, null);
+    assert.deepEqual(body.results.errors, [{ service: 'sms', error: 'SMS gateway error: maintenance', retrying: true }]);
+
+    assert.equal(api.requests.filter(request => request.path === `/bot${BOT_TOKEN}/sendMessage`).length, 1);
+    assert.equal(api.requests.filter(request => request.path === '/hook').length, 1);
+    assert.equal(smtp.messages.length, 1);
+    assert.equal(api.requests.filter(request => request.path === '/sms').length, 1);
+  });
+
+  test('rejects channels that are not configured', async () => {
+    const { status, body } = await request(server.url, 'POST', '/api/notifications/send', {
+      message: 'Alert',
+      channels: ['whatsapp']
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Channels not configured: whatsapp');
+  });
+
+  test('answers 202 when no channel delivered yet', async () => {
+    const { status, body } = await request(server.url, 'POST', '/api/notifications/send', {
+      message: 'Alert',
+      channels: ['sms']
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.message, 'Notification queued for retry');
+    assert.equal(body.notification.status, 'pending');
+  });
+});
@@ -0,0 +1,383 @@
+const { test, describe, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { readBotConfig, createTelegramBot } = require('../telegramBot')
+const { startHttpStub, startServer, request, waitFor } = require('./helpers')
+
+const BOT_TOKEN = '123456:test-token';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+const TRUSTED_USER = { id: 7, first_name: 'Andreas', username: 'ranger_andreas' };
+const TRUSTED_BY_NAME = { id: 8, first_name: 'Maria', username: 'maria_k' };
+const UNTRUSTED_USER = { id: 9, first_name: 'Nikos' };
+
+/**
+ * Fire GeoJSON Feature as the server actions return it
+ * @param {number} id - Fire ID
+ * @param {Object} [properties] - Properties on top of the defaults
+ * @returns {Object}
+ */
+function fireFeature(id, properties = {}) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [32.42, 34.77] },
+    properties: {
+      id,
+      nearest_village: 'Tala',
+      district: 'Paphos',
+      fire_status: 'active',
+      fire_size: 12,
+      fire_type: 'wildland',
+      fuel_type: 'pine',
+      resources_on_site: [],
+      ...properties
+    }
+  };
+}
+
+/**
+ * Telegram Update carrying a message in a private chat
+ * @param {number} updateId - Update ID
+ * @param {Object} user - Telegram User sending it
+ * @param {Object} content - text or location
+ * @returns {Object}
+ */
+function messageUpdate(updateId, user, content) {
+  return {
+    update_id: updateId,
+    message: {
+      message_id: updateId,
+      date: 1760000000,
+      chat: { id: user.id, type: 'private' },
+      from: user,
+      ...content
+    }
+  };
+}
+
+/**
+ * Actions backed by in-memory fires and subscriptions, recording their calls
+ * @returns {Object} - Bot actions plus calls, subscriptions and reported
+ */
+function fakeActions() {
+  const fires = [fireFeature(1), fireFeature(2, { nearest_village: 'Peyia', fire_status: 'confirmed' })];
+  const calls = [];
+  const subscriptions = [];
+  const reported = [];
+
+  return {
+    calls,
+    subscriptions,
+    reported,
+
+    async listActiveFires() {
+      calls.push(['listActiveFires']);
+      return fires;
+    },
+
+    async getFire(id) {
+      calls.push(['getFire', id]);
+      return fires.find(feature => feature.properties.id === id) || null;
+    },
+
+    async findFiresNear(lat, lng, radiusKm) {
+      calls.push(['findFiresNear', lat, lng, radiusKm]);
+      return lat > 34.5 ? [{ feature: fires[0], distance: 3.24 }] : [];
+    },
+
+    async subscribe(chatId, district, user) {
+      calls.push(['subscribe', chatId, district, user.id]);
+      if (district === 'Atlantis') {
+        return { error: 'Unknown district' };
+      }
+      const existing = subscriptions.some(s => s.chatId === chatId && s.district === district);
+      if (!existing) {
+        subscriptions.push({ chatId, district });
+      }
+      return { created: !existing };
+    },
+
+    async unsubscribe(chatId) {
+      calls.push(['unsubscribe', chatId]);
+      return 0;
+    },
+
+    async reportFire(lat, lng, user) {
+      calls.push(['reportFire', lat, lng, user.id]);
+      const feature = fireFeature(100 + reported.length, { fire_status: 'reported' });
+      reported.push(feature);
+      return feature;
+    }
+  };
+}
+
+describe('telegram bot commands', () => {
+  let api;
+  let actions;
+  let bot;
+
+  /**
+   * Messages the bot sent since the last reset
+   * @returns {Array<Object>} - sendMessage payloads
+   */
+  const sent = () => api.requests
+    .filter(request => request.path === `/bot${BOT_TOKEN}/sendMessage`)
+    .map(request => request.body);
+
+  /**
+   * Feed one message to the bot and return the single reply it sent
+   * @param {Object} user - Telegram User
+   * @param {Object} content - text or location
+   * @returns {Promise<Object>} - sendMessage payload
+   */
+  async function say(user, content) {
+    const before = sent().length;
+    await bot.handleUpdate(messageUpdate(before + 1, user, content));
+    const replies = sent().slice(before);
+    assert.equal(replies.length, 1);
+    return replies[0];
+  }
+
+  before(async () => {
+    api = await startHttpStub(request => ({
+      body: { ok: true, result: { message_id: 1, chat: { id: request.body.chat_id } } }
+    }));
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    api.requests.length = 0;
+    actions = fakeActions();
+    bot = createTelegramBot(readBotConfig({
+      TELEGRAM_BOT_UPDATES: 'polling',
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      TELEGRAM_API_URL: api.url,
+      TELEGRAM_TRUSTED_USERS: `${TRUSTED_USER.id}, @${TRUSTED_BY_NAME.username}`
+    }), actions);
+  });
+
+  test('/fire answers with the fire details, not found or usage', async () => {
+    const details = await say(UNTRUSTED_USER, { text: '/fire 1' });
+    assert.equal(details.chat_id, UNTRUSTED_USER.id);
+    assert.equal(details.parse_mode, 'HTML');
+    assert.match(details.text, /#1/);
+    assert.match(details.text, /Tala/);
+    assert.match(details.text, /Paphos/);
+
+    const missing = await say(UNTRUSTED_USER, { text: '/fire@FireBot 99' });
+    assert.equal(missing.text, 'Fire #99 not found.');
+
+    const usage = await say(UNTRUSTED_USER, { text: '/fire abc' });
+    assert.equal(usage.text, 'Usage: /fire &lt;id&gt;');
+
+    assert.deepEqual(actions.calls, [['getFire', 1], ['getFire', 99]]);
+  });
+
+  test('/near asks for a location and lists the fires around it', async () => {
+    const prompt = await say(UNTRUSTED_USER, { text: '/near' });
+    assert.equal(prompt.reply_markup.keyboard[0][0].request_location, true);
+
+    const nearby = await say(UNTRUSTED_USER, { location: { latitude: 34.8, longitude: 32.4 } });
+    assert.match(nearby.text, /^<b>Fires within 25 km<\/b>\n/);
+    assert.match(nearby.text, /#1 Tala \(Paphos\)/);
+    assert.match(nearby.text, /3\.2 km away/);
+    assert.deepEqual(nearby.reply_markup, { remove_keyboard: true });
+
+    // A location shared without /near lists fires as well
+    const empty = await say(UNTRUSTED_USER, { location: { latitude: 34.1, longitude: 33.9 } });
+    assert.equal(empty.text, 'No fires within 25 km.');
+
+    assert.deepEqual(actions.calls, [['findFiresNear', 34.8, 32.4, 25], ['findFiresNear', 34.1, 33.9, 25]]);
+  });
+
+  test('/subscribe subscribes the chat once per district', async () => {
+    const created = await say(UNTRUSTED_USER, { text: '/subscribe Paphos' });
+    assert.equal(created.text, 'Subscribed to fire alerts for Paphos.');
+
+    const again = await say(UNTRUSTED_USER, { text: '/subscribe Paphos' });
+    assert.equal(again.text, 'This chat is already subscribed to Paphos.');
+
+    const failed = await say(UNTRUSTED_USER, { text: '/subscribe Atlantis' });
+    assert.equal(failed.text, 'Could not subscribe: Unknown district');
+
+    const usage = await say(UNTRUSTED_USER, { text: '/subscribe' });
+    assert.match(usage.text, /^Usage: \/subscribe/);
+
+    assert.deepEqual(actions.subscriptions, [{ chatId: UNTRUSTED_USER.id, district: 'Paphos' }]);
+    assert.deepEqual(actions.calls[0], ['subscribe', UNTRUSTED_USER.id, 'Paphos', UNTRUSTED_USER.id]);
+  });
+
+  test('/report registers a fire at the location shared by a trusted user', async () => {
+    const prompt = await say(TRUSTED_USER, { text: '/report' });
+    assert.equal(prompt.text, 'Share the location of the fire.');
+    assert.equal(prompt.reply_markup.keyboard[0][0].request_location, true);
+
+    const registered = await say(TRUSTED_USER, { location: { latitude: 34.9, longitude: 32.6 } });
+    assert.equal(registered.text, 'Fire #100 registered for dispatch.');
+
+    // Trusted by @username instead of user ID
+    await say(TRUSTED_BY_NAME, { text: '/report' });
+    const byName = await say(TRUSTED_BY_NAME, { location: { latitude: 34.7, longitude: 32.5 } });
+    assert.equal(byName.text, 'Fire #101 registered for dispatch.');
+
+    assert.deepEqual(actions.calls, [
+      ['reportFire', 34.9, 32.6, TRUSTED_USER.id],
+      ['reportFire', 34.7, 32.5, TRUSTED_BY_NAME.id]
+    ]);
+
+    // The pending report is used up: the next location only lists fires
+    await say(TRUSTED_USER, { location: { latitude: 34.9, longitude: 32.6 } });
+    assert.equal(actions.calls[2][0], 'findFiresNear');
+  });
+
+  test('/report is refused to untrusted users', async () => {
+    const refused = await say(UNTRUSTED_USER, { text: '/report' });
+    assert.equal(refused.text, 'Only trusted reporters can submit fires. Call 112 to report a fire.');
+
+    await say(UNTRUSTED_USER, { location: { latitude: 34.9, longitude: 32.6 } });
+    assert.deepEqual(actions.reported, []);
+    assert.equal(actions.calls[0][0], 'findFiresNear');
+  });
+
+  test('ignores updates without a message or sender', async () => {
+    await bot.handleUpdate({ update_id: 1, edited_message: { text: '/fire 1' } });
+    await bot.handleUpdate({ update_id: 2, message: { chat: { id: 1, type: 'private' }, text: '/fire 1' } });
+    assert.equal(sent().length, 0);
+    assert.deepEqual(actions.calls, []);
+  });
+});
+
+describe('telegram bot polling', () => {
+  let api;
+  let pending;
+
+  before(async () => {
+    pending = [
+      messageUpdate(500, UNTRUSTED_USER, { text: '/fire 2' }),
+      messageUpdate(501, TRUSTED_USER, { text: '/report' }),
+      messageUpdate(502, TRUSTED_USER, { location: { latitude: 34.9, longitude: 32.6 } })
+    ];
+    api = await startHttpStub((request) => {
+      if (request.path === `/bot${BOT_TOKEN}/getUpdates`) {
+        const updates = pending.filter(update => update.update_id >= request.body.offset);
+        pending = [];
+        // Hold empty polls for a while, as the real long poll does
+        return { body: { ok: true, result: updates }, delayMs: updates.length > 0 ? 0 : 100 };
+      }
+      return { body: { ok: true, result: { message_id: 1, chat: { id: request.body.chat_id } } } };
+    });
+  });
+
+  after(() => api.close());
+
+  test('handles the updates from getUpdates and confirms them with the next offset', async () => {
+    const actions = fakeActions();
+    const bot = createTelegramBot(readBotConfig({
+      TELEGRAM_BOT_UPDATES: 'polling',
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      TELEGRAM_API_URL: api.url,
+      TELEGRAM_TRUSTED_USERS: String(TRUSTED_USER.id)
+    }), actions);
+
+    const polls = () => api.requests.filter(request => request.path.endsWith('/getUpdates'));
+    bot.start();
+    try {
+      await waitFor(() => polls().length >= 2);
+    } finally {
+      bot.stop();
+    }
+
+    const [first, second] = polls();
+    assert.equal(first.body.offset, 0);
+    assert.equal(first.body.timeout, 30);
+    assert.deepEqual(first.body.allowed_updates, ['message']);
+    assert.equal(second.body.offset, 503);
+
+    const replies = api.requests.filter(request => request.path.endsWith('/sendMessage')).map(request => request.body);
+    assert.deepEqual(replies.map(body => body.chat_id), [UNTRUSTED_USER.id, TRUSTED_USER.id, TRUSTED_USER.id]);
+    assert.match(replies[0].text, /Peyia/);
+    assert.equal(replies[2].text, 'Fire #100 registered for dispatch.');
+    assert.deepEqual(actions.calls, [['getFire', 2], ['reportFire', 34.9, 32.6, TRUSTED_USER.id]]);
+
+    // Let the poll in flight return so the loop sees it was stopped
+    const count = polls().length;
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(polls().length, count);
+  });
+});
+
+describe('telegram bot webhook', () => {
+  test('requires a secret in webhook mode', () => {
+    assert.equal(readBotConfig({}), null);
+    assert.throws(
+      () => readBotConfig({ TELEGRAM_BOT_UPDATES: 'webhook', TELEGRAM_BOT_TOKEN: BOT_TOKEN }),
+      /TELEGRAM_WEBHOOK_SECRET is required for webhook updates/
+    );
+    assert.throws(() => readBotConfig({ TELEGRAM_BOT_UPDATES: 'push' }), /TELEGRAM_BOT_UPDATES must be polling or webhook/);
+  });
+
+  test('checks the secret token', () => {
+    const bot = createTelegramBot(readBotConfig({
+      TELEGRAM_BOT_UPDATES: 'webhook',
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET
+    }), fakeActions());
+
+    assert.equal(bot.isValidWebhookSecret(WEBHOOK_SECRET), true);
+    assert.equal(bot.isValidWebhookSecret('test-webhook-secreT'), false);
+    assert.equal(bot.isValidWebhookSecret('short'), false);
+    assert.equal(bot.isValidWebhookSecret(''), false);
+    assert.equal(bot.isValidWebhookSecret(undefined), false);
+  });
+
+  describe('server endpoint', () => {
+    let api;
+    let server;
+
+    before(async () => {
+      api = await startHttpStub(request => ({
+        body: { ok: true, result: { message_id: 1, chat: { id: request.body.chat_id } } }
+      }));
+      server = await startServer({
+        TELEGRAM_BOT_UPDATES: 'webhook',
+        TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+        TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        TELEGRAM_API_URL: api.url
+      });
+    });
+
+    after(async () => {
+      await server.stop();
+      await api.close();
+    });
+
+    test('rejects updates without the right secret token', async () => {
+      const update = messageUpdate(1, UNTRUSTED_USER, { text: '/fire 1' });
+
+      const missing = await request(server.url, 'POST', '/api/telegram/webhook', update, {});
+      assert.equal(missing.status, 401);
+
+      const wrong = await request(server.url, 'POST', '/api/telegram/webhook', update, {
+        'X-Telegram-Bot-Api-Secret-Token': 'not-the-secret'
+      });
+      assert.equal(wrong.status, 401);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(api.requests.length, 0);
+    });
+
+    test('answers updates carrying the secret token', async () => {
+      const response = await request(server.url, 'POST', '/api/telegram/webhook',
+        messageUpdate(2, UNTRUSTED_USER, { text: '/fire 1' }),
+        { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { ok: true });
+
+      await waitFor(() => api.requests.length > 0);
+      const [reply] = api.requests;
+      assert.equal(reply.path, `/bot${BOT_TOKEN}/sendMessage`);
+      assert.equal(reply.body.chat_id, UNTRUSTED_USER.id);
+      assert.match(reply.body.text, /#1/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { distanceKm } = require('./geoUtils')
+
+// Settlements of the government-controlled areas of Cyprus used to judge
+// which places a fire could reach. Coordinates are approximate village centres.
+const VILLAGES = [
+  { name: 'Nicosia', district: 'Nicosia', latitude: 35.1856, longitude: 33.3823 },
+  { name: 'Strovolos', district: 'Nicosia', latitude: 35.1489, longitude: 33.3496 },
+  { name: 'Lakatamia', district: 'Nicosia', latitude: 35.1167, longitude: 33.3167 },
+  { name: 'Latsia', district: 'Nicosia', latitude: 35.1000, longitude: 33.3700 },
+  { name: 'Dali', district: 'Nicosia', latitude: 35.0225, longitude: 33.4206 },
+  { name: 'Kokkinotrimithia', district: 'Nicosia', latitude: 35.1508, longitude: 33.2062 },
+  { name: 'Peristerona', district: 'Nicosia', latitude: 35.1319, longitude: 33.0800 },
+  { name: 'Evrychou', district: 'Nicosia', latitude: 35.0434, longitude: 32.9020 },
+  { name: 'Kakopetria', district: 'Nicosia', latitude: 34.9893, longitude: 32.9025 },
+  { name: 'Kalopanagiotis', district: 'Nicosia', latitude: 34.9936, longitude: 32.8300 },
+  { name: 'Pedoulas', district: 'Nicosia', latitude: 34.9667, longitude: 32.8306 },
+  { name: 'Kyperounta', district: 'Limassol', latitude: 34.9361, longitude: 32.9769 },
+  { name: 'Palaichori', district: 'Nicosia', latitude: 34.9233, longitude: 33.0878 },
+  { name: 'Athienou', district: 'Larnaca', latitude: 35.0614, longitude: 33.5419 },
+  { name: 'Limassol', district: 'Limassol', latitude: 34.6786, longitude: 33.0413 },
+  { name: 'Troodos', district: 'Limassol', latitude: 34.9227, longitude: 32.8790 },
+  { name: 'Platres', district: 'Limassol', latitude: 34.8889, longitude: 32.8636 },
+  { name: 'Pera Pedi', district: 'Limassol', latitude: 34.8667, longitude: 32.8667 },
+  { name: 'Omodos', district: 'Limassol', latitude: 34.8491, longitude: 32.8098 },
+  { name: 'Agros', district: 'Limassol', latitude: 34.9176, longitude: 33.0164 },
+  { name: 'Pachna', district: 'Limassol', latitude: 34.7833, longitude: 32.8000 },
+  { name: 'Pissouri', district: 'Limassol', latitude: 34.6667, longitude: 32.7000 },
+  { name: 'Episkopi', district: 'Limassol', latitude: 34.6708, longitude: 32.9000 },
+  { name: 'Erimi', district: 'Limassol', latitude: 34.6769, longitude: 32.9186 },
+  { name: 'Kolossi', district: 'Limassol', latitude: 34.6667, longitude: 32.9333 },
+  { name: 'Ypsonas', district: 'Limassol', latitude: 34.6900, longitude: 32.9600 },
+  { name: 'Parekklisia', district: 'Limassol', latitude: 34.7333, longitude: 33.1500 },
+  { name: 'Asgata', district: 'Limassol', latitude: 34.7667, longitude: 33.2333 },
+  { name: 'Larnaca', district: 'Larnaca', latitude: 34.9229, longitude: 33.6233 },
+  { name: 'Aradippou', district: 'Larnaca', latitude: 34.9528, longitude: 33.5917 },
+  { name: 'Livadia', district: 'Larnaca', latitude: 34.9500, longitude: 33.6333 },
+  { name: 'Dromolaxia', district: 'Larnaca', latitude: 34.8791, longitude: 33.5846 },
+  { name: 'Kiti', district: 'Larnaca', latitude: 34.8500, longitude: 33.5667 },
+  { name: 'Mazotos', district: 'Larnaca', latitude: 34.8000, longitude: 33.4833 },
+  { name: 'Kofinou', district: 'Larnaca', latitude: 34.8233, longitude: 33.3919 },
+  { name: 'Lefkara', district: 'Larnaca', latitude: 34.8667, longitude: 33.3000 },
+  { name: 'Choirokoitia', district: 'Larnaca', latitude: 34.8000, longitude: 33.3333 },
+  { name: 'Tochni', district: 'Larnaca', latitude: 34.7833, longitude: 33.3333 },
+  { name: 'Zygi', district: 'Larnaca', latitude: 34.7283, longitude: 33.3408 },
+  { name: 'Pyla', district: 'Larnaca', latitude: 35.0116, longitude: 33.6919 },
+  { name: 'Xylotymbou', district: 'Larnaca', latitude: 35.0167, longitude: 33.7333 },
+  { name: 'Xylofagou', district: 'Larnaca', latitude: 34.9717, longitude: 33.8522 },
+  { name: 'Liopetri', district: 'Famagusta', latitude: 35.0167, longitude: 33.8833 },
+  { name: 'Sotira', district: 'Famagusta', latitude: 35.0333, longitude: 33.9500 },
+  { name: 'Paralimni', district: 'Famagusta', latitude: 35.0378, longitude: 33.9822 },
+  { name: 'Deryneia', district: 'Famagusta', latitude: 35.0600, longitude: 33.9600 },
+  { name: 'Ayia Napa', district: 'Famagusta', latitude: 34.9823, longitude: 33.9996 },
+  { name: 'Paphos', district: 'Paphos', latitude: 34.7754, longitude: 32.4245 },
+  { name: 'Geroskipou', district: 'Paphos', latitude: 34.7597, longitude: 32.4597 },
+  { name: 'Kouklia', district: 'Paphos', latitude: 34.7000, longitude: 32.5667 },
+  { name: 'Tsada', district: 'Paphos', latitude: 34.8297, longitude: 32.4656 },
+  { name: 'Tala', district: 'Paphos', latitude: 34.8411, longitude: 32.4303 },
+  { name: 'Kissonerga', district: 'Paphos', latitude: 34.8167, longitude: 32.4000 },
+  { name: 'Peyia', district: 'Paphos', latitude: 34.8833, longitude: 32.3833 },
+  { name: 'Stroumbi', district: 'Paphos', latitude: 34.8833, longitude: 32.4833 },
+  { name: 'Kathikas', district: 'Paphos', latitude: 34.9000, longitude: 32.4167 },
+  { name: 'Droushia', district: 'Paphos', latitude: 34.9667, longitude: 32.4000 },
+  { name: 'Polis Chrysochous', district: 'Paphos', latitude: 35.0356, longitude: 32.4264 },
+  { name: 'Panagia', district: 'Paphos', latitude: 34.9170, longitude: 32.6330 }
+];
+
+/**
+ * Nearest settlement to a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{name: string, district: string, distance_km: number}}
+ */
+function nearestVillage(lat, lng) {
+  return VILLAGES
+    .map(village => ({
+      name: village.name,
+      district: village.district,
+      distance_km: Math.round(distanceKm(lat, lng, village.latitude, village.longitude) * 10) / 10
+    }))
+    .reduce((nearest, village) => (village.distance_km < nearest.distance_km ? village : nearest));
+}
+
+module.exports = {
+  VILLAGES,
+  nearestVillage
+}
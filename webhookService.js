@@ -0,0 +1,91 @@
+const crypto = require('crypto')
+const { postJson, httpError, isHttpUrl } = require('./httpJson')
+const { formatNotificationText, stripHtml, parseEnvList } = require('./notificationText')
+
+/**
+ * Send notification to one or more webhook URLs as JSON. When a secret is
+ * set, the body is signed with HMAC-SHA256 in the X-Fire-Signature header.
+ * @param {Array<string>} urls - Webhook URLs
+ * @param {string|null} secret - Shared signing secret
+ * @param {string} message - Message text
+ * @param {Array<Array<number>>} evacuationPoints - Array of [lat, lng] coordinates
+ * @param {Array<number>} location - [lat, lng] of the notification location
+ * @returns {Promise<Object>}
+ */
+async function sendWebhookNotification(urls, secret, message, evacuationPoints = [], location = null) {
+  const payload = {
+    message,
+    text: stripHtml(formatNotificationText(message, evacuationPoints, location)),
+    location,
+    evacuationPoints,
+    sent_at: new Date().toISOString()
+  };
+
+  const headers = {};
+  if (secret) {
+    const signature = crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+    headers['X-Fire-Signature'] = `sha256=${signature}`;
+  }
+
+  const deliveries = await Promise.all(urls.map(async (url) => {
+    try {
+      const response = await postJson(url, payload, headers);
+      return { url, statusCode: response.statusCode, success: response.statusCode >= 200 && response.statusCode < 300, response };
+    } catch (error) {
+      return { url, success: false, error: error.message };
+    }
+  }));
+
+  const failed = deliveries.filter(delivery => !delivery.success);
+  if (failed.length === deliveries.length) {
+    const { error, response } = failed[0];
+    throw error ? new Error(`Webhook request failed: ${error}`) : httpError(`Webhook request failed: HTTP ${response.statusCode}`, response);
+  }
+
+  return {
+    success: true,
+    deliveries: deliveries.map(({ url, statusCode, success, error }) => ({ url, statusCode, success, error }))
+  };
+}
+
+/**
+ * Generic webhook notification channel provider
+ */
+const webhookChannel = {
+  name: 'webhook',
+
+  readConfig(env) {
+    const urls = parseEnvList(env.WEBHOOK_URLS || env.WEBHOOK_URL);
+    if (urls.length === 0) {
+      return null;
+    }
+    return { urls, secret: env.WEBHOOK_SECRET || null };
+  },
+
+  validateConfig(config) {
+    return config.urls
+      .filter(url => !isHttpUrl(url))
+      .map(url => `WEBHOOK_URLS contains an invalid URL: ${url}`);
+  },
+
+  /**
+   * @param {string} address - Subscriber webhook URL
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAddress(address) {
+    return isHttpUrl(address) ? null : 'Webhook address must be an http(s) URL';
+  },
+
+  createChannel(config) {
+    return {
+      send: ({ message, evacuationPoints, location, recipient }) => sendWebhookNotification(
+        recipient ? [recipient] : config.urls, config.secret, message, evacuationPoints, location
+      )
+    };
+  }
+};
+
+module.exports = {
+  sendWebhookNotification,
+  webhookChannel
+}
@@ -0,0 +1,174 @@
+const QRCode = require('qrcode')
+const { formatNotificationText, stripHtml } = require('./notificationText')
+
+/**
+ * Create a WhatsApp Web session. whatsapp-web.js drives a headless Chromium,
+ * so it is only loaded when the channel is configured.
+ * @param {Object} config - Channel configuration
+ * @returns {Object} - whatsapp-web.js Client
+ */
+function createWhatsAppClient(config) {
+  const { Client, LocalAuth } = require('whatsapp-web.js');
+
+  return new Client({
+    authStrategy: new LocalAuth({ dataPath: config.sessionPath }),
+    puppeteer: {
+      headless: true,
+      executablePath: config.executablePath || undefined,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    }
+  });
+}
+
+/**
+ * Send notification to a WhatsApp group or phone number
+ * @param {Object} client - Ready whatsapp-web.js Client
+ * @param {Object} target - { groupName } or { phoneNumber }
+ * @param {string} message - Message text
+ * @param {Array<Array<number>>} evacuationPoints - Array of [lat, lng] coordinates
+ * @param {Array<number>} location - [lat, lng] of the notification location
+ * @returns {Promise<Object>}
+ */
+async function sendWhatsAppNotification(client, target, message, evacuationPoints = [], location = null) {
+  const text = stripHtml(formatNotificationText(message, evacuationPoints, location));
+
+  let chatId;
+  if (target.groupName) {
+    const chats = await client.getChats();
+    const group = chats.find(chat => chat.isGroup && chat.name === target.groupName);
+    if (!group) {
+      throw new Error(`WhatsApp group not found: ${target.groupName}`);
+    }
+    chatId = group.id._serialized;
+  } else {
+    chatId = `${target.phoneNumber.replace(/\D/g, '')}@c.us`;
+  }
+
+  const sent = await client.sendMessage(chatId, text);
+
+  return {
+    success: true,
+    messageId: sent.id._serialized
+  };
+}
+
+/**
+ * WhatsApp Web notification channel provider
+ */
+const whatsappChannel = {
+  name: 'whatsapp',
+
+  readConfig(env) {
+    if (!env.WHATSAPP_GROUP_NAME && !env.WHATSAPP_PHONE_NUMBER) {
+      return null;
+    }
+    return {
+      groupName: env.WHATSAPP_GROUP_NAME || null,
+      phoneNumber: env.WHATSAPP_PHONE_NUMBER || null,
+      executablePath: env.PUPPETEER_EXECUTABLE_PATH || null,
+      sessionPath: env.WHATSAPP_SESSION_PATH || '.wwebjs_auth'
+    };
+  },
+
+  validateConfig(config) {
+    const errors = [];
+    if (!config.groupName && !/^\+\d{7,15}$/.test(config.phoneNumber)) {
+      errors.push('WHATSAPP_PHONE_NUMBER must include the country code, e.g. +35799123456');
+    }
+    return errors;
+  },
+
+  /**
+   * @param {string} address - Subscriber phone number
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAddress(address) {
+    return /^\+\d{7,15}$/.test(address) ? null : 'WhatsApp address must be a phone number with country code, e.g. +35799123456';
+  },
+
+  /**
+   * @param {Object} config - Validated config
+   * @param {Function} [createClient] - Client factory, replaceable in tests
+   * @returns {Object} - Channel with send, initialize, getStatus and getQrCode
+   */
+  createChannel(config, createClient = createWhatsAppClient) {
+    const state = { status: 'not_initialized', qr: null, error: null };
+    let client = null;
+
+    /**
+     * Start the WhatsApp Web session; a QR code must be scanned on first run
+     */
+    function initialize() {
+      if (client && state.status !== 'error' && state.status !== 'disconnected') {
+        return;
+      }
+
+      state.status = 'initializing';
+      state.error = null;
+
+      try {
+        client = createClient(config);
+      } catch (error) {
+        state.status = 'error';
+        state.error = error.message;
+        console.error('WhatsApp client error:', error.message);
+        return;
+      }
+
+      client.on('qr', (qr) => {
+        state.status = 'qr';
+        state.qr = qr;
+        QRCode.toString(qr, { type: 'terminal', small: true })
+          .then(code => console.log(`Scan this QR code with WhatsApp:\n${code}`))
+          .catch(() => console.log('WhatsApp QR code available at /api/whatsapp/qr'));
+      });
+      client.on('ready', () => {
+        state.status = 'ready';
+        state.qr = null;
+        console.log('WhatsApp client ready');
+      });
+      client.on('auth_failure', (message) => {
+        state.status = 'error';
+        state.error = `Authentication failed: ${message}`;
+      });
+      client.on('disconnected', (reason) => {
+        state.status = 'disconnected';
+        state.error = reason;
+      });
+
+      client.initialize().catch((error) => {
+        state.status = 'error';
+        state.error = error.message;
+        console.error('WhatsApp client error:', error.message);
+      });
+    }
+
+    return {
+      initialize,
+
+      getStatus: () => ({
+        status: state.status,
+        target: config.groupName ? { group: config.groupName } : { phone: config.phoneNumber },
+        error: state.error
+      }),
+
+      /**
+       * @returns {Promise<string|null>} - QR code as a PNG data URL, or null if none is pending
+       */
+      getQrCode: () => (state.qr ? QRCode.toDataURL(state.qr) : Promise.resolve(null)),
+
+      send: ({ message, evacuationPoints, location, recipient }) => {
+        if (state.status !== 'ready') {
+          return Promise.reject(new Error(`WhatsApp client is not ready (status: ${state.status})`));
+        }
+        const target = recipient ? { phoneNumber: recipient } : config;
+        return sendWhatsAppNotification(client, target, message, evacuationPoints, location);
+      }
+    };
+  }
+};
+
+module.exports = {
+  sendWhatsAppNotification,
+  whatsappChannel
+}